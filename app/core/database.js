@@ -21,6 +21,9 @@ const dbConnection = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign keys
 dbConnection.run('PRAGMA foreign_keys = ON');
 
+// The broadcast worker writes to the same database file, wait for its locks
+dbConnection.configure('busyTimeout', 5000);
+
 /**
  * Initialize database schema
  */
@@ -77,6 +80,8 @@ function initializeSchema() {
       // Broadcasts table (replaces Streams)
       // Note: content_id can reference either content.content_id or playlists.playlist_id
       // depending on content_type. FK constraint removed to allow this flexibility.
+      // Live source broadcasts (content_type 'live') have no content_id, ingest
+      // broadcasts (content_type 'ingest') reference ingest_keys.ingest_key_id.
       dbConnection.run(
         `
         CREATE TABLE IF NOT EXISTS broadcasts (
@@ -130,6 +135,173 @@ function initializeSchema() {
         }
       });
 
+      // Broadcast Destinations table (simulcast targets of a broadcast)
+      // broadcasts.destination_url/stream_key mirror the first (primary) destination
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS broadcast_destinations (
+          destination_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          destination_uuid TEXT UNIQUE NOT NULL,
+          broadcast_id INTEGER NOT NULL,
+          platform_name TEXT DEFAULT 'custom',
+          destination_url TEXT NOT NULL,
+          stream_key TEXT,
+          is_enabled INTEGER DEFAULT 1,
+          destination_status TEXT DEFAULT 'offline',
+          error_message TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (broadcast_id) REFERENCES broadcasts(broadcast_id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating broadcast_destinations table:', err);
+          reject(err);
+        }
+      });
+
+      // Broadcast As-Run table (every playlist item actually aired)
+      // No foreign key on broadcast_id: the log outlives deleted broadcasts
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS broadcast_asrun (
+          asrun_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          broadcast_id INTEGER NOT NULL,
+          broadcast_name TEXT,
+          playlist_id INTEGER,
+          item_id INTEGER,
+          content_id INTEGER,
+          content_title TEXT,
+          position INTEGER,
+          planned_duration_seconds INTEGER,
+          started_at TEXT NOT NULL,
+          ended_at TEXT,
+          aired_seconds INTEGER,
+          end_status TEXT DEFAULT 'on_air',
+          error_message TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating broadcast_asrun table:', err);
+          reject(err);
+        }
+      });
+
+      // Broadcast metrics table (encoder telemetry sampled every few seconds)
+      // No foreign key on broadcast_id: kept for diagnosis after a delete,
+      // old samples are pruned by the task scheduler
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS broadcast_metrics (
+          metric_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          broadcast_id INTEGER NOT NULL,
+          sampled_at TEXT NOT NULL,
+          frames INTEGER,
+          fps REAL,
+          bitrate_kbps REAL,
+          speed REAL,
+          dropped_frames INTEGER DEFAULT 0,
+          duplicated_frames INTEGER DEFAULT 0,
+          timemark TEXT
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating broadcast_metrics table:', err);
+          reject(err);
+        }
+      });
+
+      dbConnection.run(`
+        CREATE INDEX IF NOT EXISTS idx_broadcast_metrics_broadcast_time
+        ON broadcast_metrics (broadcast_id, sampled_at)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating broadcast_metrics index:', err);
+        }
+      });
+
+      // Broadcast events table (changes the engine made on its own)
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS broadcast_events (
+          event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          broadcast_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          message TEXT NOT NULL,
+          details TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (broadcast_id) REFERENCES broadcasts(broadcast_id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating broadcast_events table:', err);
+          reject(err);
+        }
+      });
+
+      // Encoder Profiles table (named FFmpeg encoder settings)
+      // Built-in profiles have a profile_key and no owner
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS encoder_profiles (
+          profile_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          profile_uuid TEXT UNIQUE NOT NULL,
+          account_id INTEGER,
+          profile_key TEXT UNIQUE,
+          is_builtin INTEGER DEFAULT 0,
+          profile_name TEXT NOT NULL,
+          platform_name TEXT DEFAULT 'custom',
+          video_codec TEXT DEFAULT 'libx264',
+          preset TEXT DEFAULT 'ultrafast',
+          tune TEXT DEFAULT 'zerolatency',
+          rate_control TEXT DEFAULT 'vbr',
+          video_bitrate TEXT DEFAULT '2500k',
+          max_bitrate TEXT DEFAULT '3750k',
+          keyframe_interval REAL DEFAULT 2,
+          frame_rate INTEGER DEFAULT 30,
+          resolution TEXT DEFAULT 'auto',
+          orientation TEXT DEFAULT 'landscape',
+          h264_profile TEXT DEFAULT 'auto',
+          h264_level TEXT DEFAULT 'auto',
+          audio_bitrate TEXT DEFAULT '128k',
+          audio_sample_rate INTEGER DEFAULT 44100,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (account_id) REFERENCES accounts(account_id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating encoder_profiles table:', err);
+          reject(err);
+        }
+      });
+
+      // Ingest Keys table (streams pushed to the built-in RTMP ingest)
+      // Status columns are kept up to date by the ingest server
+      dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS ingest_keys (
+          ingest_key_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          key_name TEXT NOT NULL,
+          stream_key TEXT UNIQUE NOT NULL,
+          ingest_status TEXT DEFAULT 'offline',
+          client_ip TEXT,
+          video_codec TEXT,
+          audio_codec TEXT,
+          video_width INTEGER,
+          video_height INTEGER,
+          frame_rate REAL,
+          bitrate_kbps INTEGER,
+          connected_at TEXT,
+          last_seen_at TEXT,
+          revoked_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (account_id) REFERENCES accounts(account_id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating ingest_keys table:', err);
+          reject(err);
+        }
+      });
+
       // Playlist Items table (junction table for playlist-content relationship)
       dbConnection.run(`
         CREATE TABLE IF NOT EXISTS playlist_items (
@@ -153,12 +325,39 @@ function initializeSchema() {
           // Run migrations
           try {
             const Broadcast = require('../models/Broadcast');
+            const BroadcastDestination = require('../models/BroadcastDestination');
+
+            // Broadcast state is only stale in the process running the encoders,
+            // a web server using the broadcast worker leaves it alone
+            const { ownsBroadcastEngine } = require('../services/broadcastControl');
+            const ownsEngine = ownsBroadcastEngine();
             
             // Cleanup orphaned active broadcasts from previous session
-            await Broadcast.cleanupOrphanedBroadcasts();
+            if (ownsEngine) {
+              await Broadcast.cleanupOrphanedBroadcasts();
+            }
             
             // Fix active broadcasts with NULL started_at
             await Broadcast.fixActiveStartedAt();
+            
+            // Move single-destination broadcasts into broadcast_destinations
+            await BroadcastDestination.migrateLegacyDestinations();
+
+            if (ownsEngine) {
+              await BroadcastDestination.resetAllStatuses();
+
+              // Close as-run entries of broadcasts cut off by the restart
+              const BroadcastAsRun = require('../models/BroadcastAsRun');
+              await BroadcastAsRun.closeInterruptedEntries();
+
+              // Pushed streams were dropped with the ingest server
+              const IngestKey = require('../models/IngestKey');
+              await IngestKey.resetAllStatuses();
+            }
+
+            // Built-in encoder profiles (one per platform)
+            const EncoderProfile = require('../models/EncoderProfile');
+            await EncoderProfile.seedBuiltinProfiles();
           } catch (migrationError) {
             console.error('⚠ Migration error:', migrationError.message);
           }
@@ -198,6 +397,15 @@ function initializeSchema() {
         const hasFrameRate = columns.some(col => col.name === 'frame_rate');
         const hasResolution = columns.some(col => col.name === 'resolution');
         const hasOrientation = columns.some(col => col.name === 'orientation');
+        const hasEncoderProfileId = columns.some(col => col.name === 'encoder_profile_id');
+        const hasEncodeMode = columns.some(col => col.name === 'encode_mode');
+        const hasAutoResume = columns.some(col => col.name === 'auto_resume');
+        const hasAdaptiveBitrate = columns.some(col => col.name === 'adaptive_bitrate');
+        const hasWatchdogRestarts = columns.some(col => col.name === 'watchdog_restarts');
+        const hasRetryPolicy = columns.some(col => col.name === 'retry_policy');
+        const hasHlsEnabled = columns.some(col => col.name === 'hls_enabled');
+        const hasSourceUrl = columns.some(col => col.name === 'source_url');
+        const hasLiveSwitch = columns.some(col => col.name === 'switch_source_url');
         const hasAdvancedSettings = columns.some(col => col.name === 'advanced_settings');
         
         if (!hasBroadcastName) {
@@ -259,6 +467,179 @@ function initializeSchema() {
             }
           });
         }
+
+        // Broadcasts without a profile use their legacy bitrate/frame_rate/resolution/orientation
+        if (!hasEncoderProfileId) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN encoder_profile_id INTEGER`, (err) => {
+            if (err) {
+              console.error('Error adding encoder_profile_id column:', err);
+            } else {
+              console.log('✓ Added encoder_profile_id column to broadcasts table');
+            }
+          });
+        }
+
+        // Passthrough (stream copy) or transcode, decided at each start
+        if (!hasEncodeMode) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN encode_mode TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding encode_mode column:', err);
+            } else {
+              console.log('✓ Added encode_mode column to broadcasts table');
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN encode_mode_reason TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding encode_mode_reason column:', err);
+            } else {
+              console.log('✓ Added encode_mode_reason column to broadcasts table');
+            }
+          });
+        }
+
+        // Restart the broadcast after a server restart if it was on air
+        if (!hasAutoResume) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN auto_resume INTEGER DEFAULT 0`, (err) => {
+            if (err) {
+              console.error('Error adding auto_resume column:', err);
+            } else {
+              console.log('✓ Added auto_resume column to broadcasts table');
+            }
+          });
+        }
+
+        // Adaptive bitrate mode and the rung the broadcast is on
+        if (!hasAdaptiveBitrate) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN adaptive_bitrate TEXT DEFAULT 'bitrate'`, (err) => {
+            if (err) {
+              console.error('Error adding adaptive_bitrate column:', err);
+            } else {
+              console.log('✓ Added adaptive_bitrate column to broadcasts table');
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN abr_level INTEGER DEFAULT 0`, (err) => {
+            if (err) {
+              console.error('Error adding abr_level column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN abr_status TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding abr_status column:', err);
+            }
+          });
+        }
+
+        // Encoders/relays the stream watchdog killed for stalling
+        if (!hasWatchdogRestarts) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN watchdog_restarts INTEGER DEFAULT 0`, (err) => {
+            if (err) {
+              console.error('Error adding watchdog_restarts column:', err);
+            } else {
+              console.log('✓ Added watchdog_restarts column to broadcasts table');
+            }
+          });
+        }
+
+        // Reconnect policy (JSON) and when the next reconnect attempt starts
+        if (!hasRetryPolicy) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN retry_policy TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding retry_policy column:', err);
+            } else {
+              console.log('✓ Added retry_policy column to broadcasts table');
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN next_retry_at TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding next_retry_at column:', err);
+            }
+          });
+        }
+
+        // Self-hosted HLS rendition and who may watch it (public | token)
+        if (!hasHlsEnabled) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN hls_enabled INTEGER DEFAULT 0`, (err) => {
+            if (err) {
+              console.error('Error adding hls_enabled column:', err);
+            } else {
+              console.log('✓ Added hls_enabled column to broadcasts table');
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN hls_access TEXT DEFAULT 'public'`, (err) => {
+            if (err) {
+              console.error('Error adding hls_access column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN hls_token TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding hls_token column:', err);
+            }
+          });
+        }
+
+        // URL pulled by live source broadcasts (content_type 'live')
+        if (!hasSourceUrl) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN source_url TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding source_url column:', err);
+            } else {
+              console.log('✓ Added source_url column to broadcasts table');
+            }
+          });
+        }
+
+        // Live source a playlist broadcast switches to while it answers
+        // (an ingest key or a pulled URL, the playlist is the fallback)
+        if (!hasLiveSwitch) {
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN switch_ingest_key_id INTEGER`, (err) => {
+            if (err) {
+              console.error('Error adding switch_ingest_key_id column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcasts ADD COLUMN switch_source_url TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding switch_source_url column:', err);
+            } else {
+              console.log('✓ Added live switch columns to broadcasts table');
+            }
+          });
+        }
+      });
+
+      // Migration: Backup ingest URL of destinations and the endpoint in use
+      dbConnection.all("PRAGMA table_info(broadcast_destinations)", (err, columns) => {
+        if (err) {
+          console.error('Error checking broadcast_destinations table:', err);
+          return;
+        }
+
+        const hasBackupUrl = columns.some(col => col.name === 'backup_url');
+        if (!hasBackupUrl) {
+          dbConnection.run(`ALTER TABLE broadcast_destinations ADD COLUMN backup_url TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding backup_url column:', err);
+            } else {
+              console.log('✓ Added backup_url column to broadcast_destinations table');
+            }
+          });
+          dbConnection.run(`ALTER TABLE broadcast_destinations ADD COLUMN active_endpoint TEXT DEFAULT 'primary'`, (err) => {
+            if (err) {
+              console.error('Error adding active_endpoint column:', err);
+            }
+          });
+        }
+
+        // Next reconnect attempt of a relay (ISO UTC, dashboard countdown)
+        const hasNextRetryAt = columns.some(col => col.name === 'next_retry_at');
+        if (!hasNextRetryAt) {
+          dbConnection.run(`ALTER TABLE broadcast_destinations ADD COLUMN next_retry_at TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding destination next_retry_at column:', err);
+            } else {
+              console.log('✓ Added next_retry_at column to broadcast_destinations table');
+            }
+          });
+        }
       });
 
       // Migration: Add resolution column to content table if it doesn't exist
@@ -278,6 +659,52 @@ function initializeSchema() {
             }
           });
         }
+
+        // Last error of a file that failed to air (cleared once it plays through)
+        const hasSourceError = columns.some(col => col.name === 'source_error');
+        if (!hasSourceError) {
+          dbConnection.run(`ALTER TABLE content ADD COLUMN source_error TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding source_error column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE content ADD COLUMN source_error_at TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding source_error_at column:', err);
+            } else {
+              console.log('✓ Added source error columns to content table');
+            }
+          });
+        }
+      });
+
+      // Migration: Emergency slate of an account (image or clip, optional audio)
+      dbConnection.all("PRAGMA table_info(accounts)", (err, columns) => {
+        if (err) {
+          console.error('Error checking accounts table:', err);
+          return;
+        }
+
+        const hasSlate = columns.some(col => col.name === 'slate_path');
+        if (!hasSlate) {
+          dbConnection.run(`ALTER TABLE accounts ADD COLUMN slate_path TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding slate_path column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE accounts ADD COLUMN slate_type TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding slate_type column:', err);
+            }
+          });
+          dbConnection.run(`ALTER TABLE accounts ADD COLUMN slate_audio_path TEXT`, (err) => {
+            if (err) {
+              console.error('Error adding slate_audio_path column:', err);
+            } else {
+              console.log('✓ Added emergency slate columns to accounts table');
+            }
+          });
+        }
       });
 
       // Migration: Add loopvideo column to broadcasts table if it doesn't exist
@@ -25,11 +25,30 @@ const fileStorage = multer.diskStorage({
   },
 });
 
-// File filter for video files
+// Audio files accepted next to videos (music of a stream), by extension
+const AUDIO_MIMETYPES = {
+  mp3: "audio/mpeg",
+  aac: "audio/aac",
+  m4a: "audio/mp4",
+};
+
+/**
+ * Mimetype of an audio upload, null for anything else
+ * Browsers report audio types inconsistently, the extension decides
+ */
+function getAudioMimetype(filename) {
+  const extension = path.extname(filename).toLowerCase().replace(".", "");
+  return AUDIO_MIMETYPES[extension] || null;
+}
+
+// File filter for video (and audio) files
 const videoFileFilter = (req, file, callback) => {
-  const allowedFormats = (
-    process.env.ALLOWED_FORMATS || "mp4,avi,mov,mkv,flv,wmv,webm"
-  ).split(",");
+  const allowedFormats = [
+    ...(process.env.ALLOWED_FORMATS || "mp4,avi,mov,mkv,flv,wmv,webm").split(
+      ","
+    ),
+    ...Object.keys(AUDIO_MIMETYPES),
+  ];
   const extension = path
     .extname(file.originalname)
     .toLowerCase()
@@ -95,6 +114,106 @@ const profilePictureUploader = multer({
   },
 });
 
+/**
+ * Overlay image (watermark logo) upload configuration
+ */
+const overlayImageStorage = multer.diskStorage({
+  destination: (req, file, callback) => {
+    const uploadDir = path.join(
+      process.env.UPLOAD_DIR || "./storage/uploads",
+      "overlays"
+    );
+    fs.ensureDir(uploadDir)
+      .then(() => callback(null, uploadDir))
+      .catch((err) => callback(err));
+  },
+  filename: (req, file, callback) => {
+    const uniqueId = uuidv4();
+    const extension = path.extname(file.originalname).toLowerCase();
+    const filename = `overlay_${uniqueId}${extension}`;
+    callback(null, filename);
+  },
+});
+
+// PNG keeps transparency, JPEG for opaque logos
+const overlayImageFileFilter = (req, file, callback) => {
+  const allowedMimes = ["image/png", "image/jpeg", "image/jpg"];
+
+  if (allowedMimes.includes(file.mimetype)) {
+    callback(null, true);
+  } else {
+    callback(new Error("Invalid image format. Allowed: PNG, JPEG"), false);
+  }
+};
+
+const overlayImageUploader = multer({
+  storage: overlayImageStorage,
+  fileFilter: overlayImageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+/**
+ * Emergency slate upload configuration (image, short clip or audio bed)
+ */
+const slateStorage = multer.diskStorage({
+  destination: (req, file, callback) => {
+    const uploadDir = path.join(
+      process.env.UPLOAD_DIR || "./storage/uploads",
+      "slates"
+    );
+    fs.ensureDir(uploadDir)
+      .then(() => callback(null, uploadDir))
+      .catch((err) => callback(err));
+  },
+  filename: (req, file, callback) => {
+    const uniqueId = uuidv4();
+    const extension = path.extname(file.originalname).toLowerCase();
+    const filename = `slate_${uniqueId}${extension}`;
+    callback(null, filename);
+  },
+});
+
+// Which files may be used for which part of the slate
+const SLATE_FORMATS = {
+  image: ["png", "jpg", "jpeg"],
+  video: ["mp4", "mov", "mkv", "webm"],
+  audio: ["mp3", "aac", "m4a", "wav"],
+};
+
+/**
+ * Kind of slate file (image | video | audio) by extension, null if not allowed
+ */
+function getSlateFileKind(filename) {
+  const extension = path.extname(filename).toLowerCase().replace(".", "");
+  return (
+    Object.keys(SLATE_FORMATS).find((kind) =>
+      SLATE_FORMATS[kind].includes(extension)
+    ) || null
+  );
+}
+
+const slateFileFilter = (req, file, callback) => {
+  if (getSlateFileKind(file.originalname)) {
+    callback(null, true);
+  } else {
+    const allowed = Object.values(SLATE_FORMATS).flat().join(", ");
+    callback(
+      new Error(`Invalid slate format. Allowed formats: ${allowed}`),
+      false
+    );
+  }
+};
+
+const slateUploader = multer({
+  storage: slateStorage,
+  fileFilter: slateFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB
+  },
+});
+
 /**
  * Error handler for multer errors
  */
@@ -122,5 +241,9 @@ function handleUploadError(err, req, res, next) {
 module.exports = {
   videoUploader: videoUploader.array("videoFiles", 10), // Allow up to 10 files at once
   profilePictureUploader: profilePictureUploader.single("profilePicture"),
+  overlayImageUploader: overlayImageUploader.single("overlayImage"),
+  slateUploader: slateUploader.single("slateFile"),
+  getSlateFileKind,
+  getAudioMimetype,
   handleUploadError,
 };
@@ -117,6 +117,46 @@ class Account {
     ]);
   }
 
+  /**
+   * Emergency slate of an account
+   * @returns {Promise<object|null>} - { slate_path, slate_type, slate_audio_path } (file names)
+   */
+  static async getSlate(accountId) {
+    const sql = `
+      SELECT slate_path, slate_type, slate_audio_path
+      FROM accounts WHERE account_id = ?
+    `;
+    return await fetchOne(sql, [accountId]);
+  }
+
+  /**
+   * Update the emergency slate (only the given fields change)
+   * @param {object} slate - { slate_path, slate_type, slate_audio_path }, null clears a field
+   */
+  static async updateSlate(accountId, slate) {
+    const allowedFields = ["slate_path", "slate_type", "slate_audio_path"];
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(slate)) {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error("No valid fields to update");
+    }
+
+    const { getCurrentTimestamp } = require("../utils/datetime");
+    fields.push("updated_at = ?");
+    values.push(getCurrentTimestamp(), accountId);
+
+    const sql = `UPDATE accounts SET ${fields.join(", ")} WHERE account_id = ?`;
+    return await executeQuery(sql, values);
+  }
+
   /**
    * Get all accounts
    */
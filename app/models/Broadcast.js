@@ -1,6 +1,8 @@
 const { executeQuery, fetchOne, fetchAll } = require("../core/database");
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const { formatForDb } = require("../utils/datetime");
+const { normalizeRetryPolicy } = require("../utils/retryPolicy");
 
 /**
  * Broadcast Model - manages live broadcasts/streams
@@ -27,18 +29,28 @@ class Broadcast {
       frameRate: broadcastData.frameRate,
       resolution: broadcastData.resolution,
       orientation: broadcastData.orientation,
+      encoderProfileId: broadcastData.encoderProfileId,
+      autoResume: broadcastData.autoResume,
       advancedSettings: broadcastData.advancedSettings,
       loopvideo: broadcastData.loopvideo,
       durationTimeout: broadcastData.durationTimeout,
+      adaptiveBitrate: broadcastData.adaptiveBitrate,
+      retryPolicy: broadcastData.retryPolicy,
+      hlsEnabled: broadcastData.hlsEnabled,
+      hlsAccess: broadcastData.hlsAccess,
+      sourceUrl: broadcastData.sourceUrl,
+      liveSwitch: broadcastData.liveSwitch,
     });
 
+    const hlsAccess = broadcastData.hlsAccess === "token" ? "token" : "public";
+
     const sql = `
       INSERT INTO broadcasts (
         broadcast_uuid, account_id, content_id, content_type, platform_name,
         destination_url, stream_key, scheduled_time, broadcast_name, broadcast_status,
-        bitrate, frame_rate, resolution, orientation, advanced_settings, loopvideo, duration_timeout, created_at, updated_at, started_at, ended_at
+        bitrate, frame_rate, resolution, orientation, encoder_profile_id, auto_resume, advanced_settings, loopvideo, duration_timeout, adaptive_bitrate, retry_policy, hls_enabled, hls_access, hls_token, source_url, switch_ingest_key_id, switch_source_url, created_at, updated_at, started_at, ended_at
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -58,6 +70,8 @@ class Broadcast {
       broadcastData.frameRate || null,
       broadcastData.resolution || null,
       broadcastData.orientation || null,
+      broadcastData.encoderProfileId || null,
+      broadcastData.autoResume ? 1 : 0,
       broadcastData.advancedSettings
         ? JSON.stringify(broadcastData.advancedSettings)
         : null,
@@ -67,6 +81,16 @@ class Broadcast {
           : 0
         : 1,
       broadcastData.durationTimeout || null,
+      broadcastData.adaptiveBitrate || "bitrate",
+      broadcastData.retryPolicy
+        ? JSON.stringify(normalizeRetryPolicy(broadcastData.retryPolicy))
+        : null,
+      broadcastData.hlsEnabled ? 1 : 0,
+      hlsAccess,
+      hlsAccess === "token" ? this.createWatchToken() : null,
+      broadcastData.sourceUrl || null,
+      broadcastData.liveSwitch ? broadcastData.liveSwitch.ingestKeyId || null : null,
+      broadcastData.liveSwitch ? broadcastData.liveSwitch.sourceUrl || null : null,
       formatForDb(new Date()),
       formatForDb(new Date()),
       formatForDb(new Date()),
@@ -92,10 +116,12 @@ class Broadcast {
    */
   static async findById(broadcastId) {
     const sql = `
-      SELECT b.*, a.username, a.display_name, c.title as content_title, c.thumbnail_path
+      SELECT b.*, a.username, a.display_name, c.title as content_title, c.thumbnail_path,
+        ep.profile_name as encoder_profile_name
       FROM broadcasts b
       LEFT JOIN accounts a ON b.account_id = a.account_id
       LEFT JOIN content c ON b.content_id = c.content_id
+      LEFT JOIN encoder_profiles ep ON b.encoder_profile_id = ep.profile_id
       WHERE b.broadcast_id = ?
     `;
     return await fetchOne(sql, [broadcastId]);
@@ -124,6 +150,10 @@ class Broadcast {
         b.*,
         CASE 
           WHEN b.content_type = 'playlist' THEN p.playlist_name
+          WHEN b.content_type = 'live' THEN 'Live source'
+          WHEN b.content_type = 'ingest' THEN (
+            SELECT ik.key_name FROM ingest_keys ik WHERE ik.ingest_key_id = b.content_id
+          )
           ELSE c.title
         END as content_title,
         CASE 
@@ -138,10 +168,31 @@ class Broadcast {
           ELSE c.thumbnail_path
         END as thumbnail_path,
         p.playlist_name,
-        p.playback_mode
+        p.playback_mode,
+        ep.profile_name as encoder_profile_name,
+        ep.resolution as encoder_resolution,
+        ep.video_bitrate as encoder_bitrate,
+        ep.frame_rate as encoder_frame_rate,
+        (
+          SELECT COUNT(*)
+          FROM broadcast_destinations bd
+          WHERE bd.broadcast_id = b.broadcast_id
+        ) as destination_count,
+        (
+          SELECT COUNT(*)
+          FROM broadcast_destinations bd
+          WHERE bd.broadcast_id = b.broadcast_id AND bd.active_endpoint = 'backup'
+        ) as backup_endpoint_count,
+        (
+          SELECT MIN(bd.next_retry_at)
+          FROM broadcast_destinations bd
+          WHERE bd.broadcast_id = b.broadcast_id
+            AND bd.destination_status = 'reconnecting'
+        ) as destination_retry_at
       FROM broadcasts b
       LEFT JOIN content c ON b.content_id = c.content_id AND b.content_type = 'content'
       LEFT JOIN playlists p ON b.content_id = p.playlist_id AND b.content_type = 'playlist'
+      LEFT JOIN encoder_profiles ep ON b.encoder_profile_id = ep.profile_id
       WHERE b.account_id = ?
       ORDER BY b.created_at DESC
       LIMIT ? OFFSET ?
@@ -180,6 +231,10 @@ class Broadcast {
         a.display_name,
         CASE 
           WHEN b.content_type = 'playlist' THEN p.playlist_name
+          WHEN b.content_type = 'live' THEN 'Live source'
+          WHEN b.content_type = 'ingest' THEN (
+            SELECT ik.key_name FROM ingest_keys ik WHERE ik.ingest_key_id = b.content_id
+          )
           ELSE c.title
         END as content_title,
         CASE 
@@ -230,6 +285,10 @@ class Broadcast {
         a.username,
         CASE 
           WHEN b.content_type = 'playlist' THEN p.playlist_name
+          WHEN b.content_type = 'live' THEN 'Live source'
+          WHEN b.content_type = 'ingest' THEN (
+            SELECT ik.key_name FROM ingest_keys ik WHERE ik.ingest_key_id = b.content_id
+          )
           ELSE c.title
         END as content_title,
         p.playlist_name,
@@ -274,6 +333,264 @@ class Broadcast {
     return await executeQuery(sql, params);
   }
 
+  /**
+   * Parse the advanced_settings JSON of a broadcast row
+   * @returns {object} - Empty object when not set or invalid
+   */
+  static parseAdvancedSettings(broadcast) {
+    if (!broadcast || !broadcast.advanced_settings) return {};
+
+    try {
+      const settings = JSON.parse(broadcast.advanced_settings);
+      return settings && typeof settings === "object" ? settings : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Encoder settings of a broadcast, as passed to the broadcast engine
+   * Broadcasts without an encoder profile keep their legacy loose settings
+   */
+  static async getEngineSettings(broadcast) {
+    const EncoderProfile = require("./EncoderProfile");
+    const advancedSettings = this.parseAdvancedSettings(broadcast);
+
+    const profile = broadcast.encoder_profile_id
+      ? await EncoderProfile.findById(broadcast.encoder_profile_id)
+      : null;
+    const encoder =
+      profile ||
+      EncoderProfile.fromLegacySettings({
+        bitrate: broadcast.bitrate,
+        frame_rate: broadcast.frame_rate,
+        resolution: broadcast.resolution,
+        orientation: broadcast.orientation,
+      });
+
+    return {
+      bitrate: encoder.video_bitrate,
+      frame_rate: encoder.frame_rate,
+      resolution: encoder.resolution,
+      orientation: encoder.orientation,
+      fit_mode: advancedSettings.fitMode || null,
+      overlays: advancedSettings.overlays || null,
+      music_bed: advancedSettings.music_bed || null,
+      adaptive_bitrate: broadcast.adaptive_bitrate || "bitrate",
+      retry_policy: normalizeRetryPolicy(broadcast.retry_policy),
+      // Self-hosted HLS rendition, published under the broadcast UUID
+      hls: broadcast.hls_enabled
+        ? { broadcastUuid: broadcast.broadcast_uuid }
+        : null,
+      live_switch: this.getLiveSwitch(broadcast),
+      encoder,
+    };
+  }
+
+  /**
+   * Live source a playlist broadcast switches to while it answers
+   * @returns {{ingestKeyId: number|null, sourceUrl: string|null}|null}
+   */
+  static getLiveSwitch(broadcast) {
+    if (broadcast.content_type !== "playlist") return null;
+    if (!broadcast.switch_ingest_key_id && !broadcast.switch_source_url) {
+      return null;
+    }
+    return {
+      ingestKeyId: broadcast.switch_ingest_key_id || null,
+      sourceUrl: broadcast.switch_ingest_key_id
+        ? null
+        : broadcast.switch_source_url,
+    };
+  }
+
+  /**
+   * Set or clear the live switch of a broadcast (used from the next start)
+   * @param {object|null} liveSwitch - { ingestKeyId } or { sourceUrl }, null to turn it off
+   */
+  static async updateLiveSwitch(broadcastId, liveSwitch) {
+    const sql = `
+      UPDATE broadcasts
+      SET switch_ingest_key_id = ?, switch_source_url = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [
+      liveSwitch ? liveSwitch.ingestKeyId || null : null,
+      liveSwitch ? liveSwitch.sourceUrl || null : null,
+      broadcastId,
+    ]);
+  }
+
+  /**
+   * Change the encoder profile of a broadcast (used from the next start)
+   */
+  static async updateEncoderProfile(broadcastId, profileId) {
+    const sql = `
+      UPDATE broadcasts
+      SET encoder_profile_id = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [profileId, broadcastId]);
+  }
+
+  /**
+   * Record how the engine runs the broadcast
+   * @param {string} mode - passthrough (stream copy) | transcode
+   * @param {string} reason - Why the mode was chosen
+   */
+  static async updateEncodeMode(broadcastId, mode, reason) {
+    const sql = `
+      UPDATE broadcasts
+      SET encode_mode = ?, encode_mode_reason = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [mode, reason, broadcastId]);
+  }
+
+  /**
+   * Change how the engine adapts the bitrate (used from the next start)
+   * @param {string} mode - off | bitrate | resolution
+   */
+  static async updateAdaptiveBitrate(broadcastId, mode) {
+    const sql = `
+      UPDATE broadcasts
+      SET adaptive_bitrate = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [mode, broadcastId]);
+  }
+
+  /**
+   * Record the rung of the bitrate ladder the broadcast runs at
+   * @param {number} level - 0 is the encoder profile itself
+   * @param {string|null} status - Description of the rung, null at full quality
+   */
+  static async updateAdaptiveState(broadcastId, level, status) {
+    const sql = `
+      UPDATE broadcasts
+      SET abr_level = ?, abr_status = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [level, status, broadcastId]);
+  }
+
+  /**
+   * Change the reconnect policy (used from the next start)
+   * @param {object} policy - See utils/retryPolicy
+   */
+  static async updateRetryPolicy(broadcastId, policy) {
+    const sql = `
+      UPDATE broadcasts
+      SET retry_policy = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [
+      JSON.stringify(normalizeRetryPolicy(policy)),
+      broadcastId,
+    ]);
+  }
+
+  /**
+   * Record when the next reconnect attempt starts (shown as a countdown)
+   * @param {string|null} nextRetryAt - ISO 8601 UTC, null when not waiting
+   */
+  static async updateNextRetry(broadcastId, nextRetryAt) {
+    const sql = `
+      UPDATE broadcasts
+      SET next_retry_at = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [nextRetryAt, broadcastId]);
+  }
+
+  /**
+   * Random token for token-protected watch pages
+   */
+  static createWatchToken() {
+    return crypto.randomBytes(16).toString("hex");
+  }
+
+  /**
+   * Change the HLS output of a broadcast (used from the next start)
+   * Token access keeps its token, a new one is created when there is none
+   * @param {boolean} enabled - Publish an HLS rendition
+   * @param {string} access - public | token
+   * @param {boolean} renewToken - Replace the token (old watch links stop working)
+   */
+  static async updateHlsSettings(broadcastId, enabled, access, renewToken = false) {
+    const broadcast = await this.findById(broadcastId);
+    if (!broadcast) return null;
+
+    const hlsAccess = access === "token" ? "token" : "public";
+    const hlsToken =
+      hlsAccess === "token" && (renewToken || !broadcast.hls_token)
+        ? this.createWatchToken()
+        : broadcast.hls_token;
+
+    const sql = `
+      UPDATE broadcasts
+      SET hls_enabled = ?, hls_access = ?, hls_token = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [
+      enabled ? 1 : 0,
+      hlsAccess,
+      hlsToken,
+      broadcastId,
+    ]);
+  }
+
+  /**
+   * Count a stalled encoder or relay the watchdog restarted
+   */
+  static async incrementWatchdogRestarts(broadcastId) {
+    const sql = `
+      UPDATE broadcasts
+      SET watchdog_restarts = COALESCE(watchdog_restarts, 0) + 1
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [broadcastId]);
+  }
+
+  /**
+   * Turn auto-resume after a server restart on or off
+   */
+  static async updateAutoResume(broadcastId, enabled) {
+    const sql = `
+      UPDATE broadcasts
+      SET auto_resume = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [enabled ? 1 : 0, broadcastId]);
+  }
+
+  /**
+   * Broadcasts left waiting for auto-resume by cleanupOrphanedBroadcasts()
+   */
+  static async getPendingResumes() {
+    const sql = `
+      SELECT * FROM broadcasts
+      WHERE broadcast_status = 'reconnecting' AND auto_resume = 1
+      ORDER BY started_at ASC
+    `;
+    return await fetchAll(sql);
+  }
+
+  /**
+   * Update advanced settings (stored as JSON)
+   */
+  static async updateAdvancedSettings(broadcastId, advancedSettings) {
+    const sql = `
+      UPDATE broadcasts
+      SET advanced_settings = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [
+      JSON.stringify(advancedSettings),
+      broadcastId,
+    ]);
+  }
+
   /**
    * Delete broadcast
    */
@@ -295,6 +612,19 @@ class Broadcast {
     return result.total;
   }
 
+  /**
+   * IDs of an account's broadcasts that are on air or reconnecting
+   */
+  static async getOnAirIdsByAccount(accountId) {
+    const sql = `
+      SELECT broadcast_id
+      FROM broadcasts
+      WHERE account_id = ? AND broadcast_status IN ('active', 'reconnecting')
+    `;
+    const rows = await fetchAll(sql, [accountId]);
+    return rows.map((row) => row.broadcast_id);
+  }
+
   /**
    * Get broadcasts by platform
    */
@@ -351,20 +681,51 @@ class Broadcast {
     const { getCurrentTimestamp } = require("../utils/datetime");
     const currentTime = getCurrentTimestamp();
 
-    const sql = `
-      UPDATE broadcasts 
-      SET broadcast_status = 'failed',
-          error_message = 'Server restarted while broadcast was active',
-          ended_at = ?
-      WHERE broadcast_status = 'active'
-    `;
-    const result = await executeQuery(sql, [currentTime]);
-    if (result && result.changes > 0) {
+    // SELECT * - auto_resume may not be migrated yet on the first start
+    const orphaned = await fetchAll(`
+      SELECT * FROM broadcasts
+      WHERE broadcast_status IN ('active', 'reconnecting')
+    `);
+    const resumeIds = orphaned
+      .filter((broadcast) => broadcast.auto_resume)
+      .map((broadcast) => broadcast.broadcast_id);
+    const failedIds = orphaned
+      .filter((broadcast) => !broadcast.auto_resume)
+      .map((broadcast) => broadcast.broadcast_id);
+
+    if (failedIds.length > 0) {
+      await executeQuery(
+        `
+        UPDATE broadcasts 
+        SET broadcast_status = 'failed',
+            error_message = 'Server restarted while broadcast was active',
+            ended_at = ?
+        WHERE broadcast_id IN (${failedIds.map(() => "?").join(", ")})
+      `,
+        [currentTime, ...failedIds]
+      );
       console.log(
-        `✓ Cleaned up ${result.changes} orphaned broadcast(s) from previous session`
+        `✓ Cleaned up ${failedIds.length} orphaned broadcast(s) from previous session`
       );
     }
-    return result;
+
+    // Auto-resume broadcasts are restarted once the server is up
+    if (resumeIds.length > 0) {
+      await executeQuery(
+        `
+        UPDATE broadcasts
+        SET broadcast_status = 'reconnecting',
+            error_message = 'Resuming after server restart'
+        WHERE broadcast_id IN (${resumeIds.map(() => "?").join(", ")})
+      `,
+        resumeIds
+      );
+      console.log(
+        `✓ ${resumeIds.length} broadcast(s) will resume after the restart`
+      );
+    }
+
+    return { failed: failedIds.length, resuming: resumeIds.length };
   }
 
   /**
@@ -383,6 +744,8 @@ class Broadcast {
         c.duration_seconds,
         p.playlist_name,
         CASE 
+          WHEN b.content_type = 'live' THEN 'live'
+          WHEN b.content_type = 'ingest' THEN 'ingest'
           WHEN p.playlist_id IS NOT NULL THEN 'playlist'
           WHEN c.content_id IS NOT NULL THEN 'content'
           ELSE NULL
@@ -0,0 +1,154 @@
+const { executeQuery, fetchOne, fetchAll } = require("../core/database");
+const { getCurrentTimestamp } = require("../utils/datetime");
+
+/**
+ * BroadcastAsRun Model - log of every playlist item actually aired
+ * Entries keep a copy of the broadcast/content names so the log stays
+ * complete after broadcasts or videos are deleted
+ */
+class BroadcastAsRun {
+  /**
+   * Record that an item went on air
+   * @returns {Promise<number>} - as-run entry ID
+   */
+  static async recordStart(entryData) {
+    const sql = `
+      INSERT INTO broadcast_asrun (
+        account_id, broadcast_id, broadcast_name, playlist_id, item_id,
+        content_id, content_title, position, planned_duration_seconds,
+        started_at, end_status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(sql, [
+      entryData.accountId,
+      entryData.broadcastId,
+      entryData.broadcastName || null,
+      entryData.playlistId || null,
+      entryData.itemId || null,
+      entryData.contentId || null,
+      entryData.contentTitle || null,
+      entryData.position || null,
+      entryData.plannedDurationSeconds || null,
+      getCurrentTimestamp(),
+      "on_air",
+    ]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Most recent entry of a broadcast (the item on air last)
+   */
+  static async getLatestByBroadcast(broadcastId) {
+    const sql = `
+      SELECT * FROM broadcast_asrun
+      WHERE broadcast_id = ?
+      ORDER BY asrun_id DESC
+      LIMIT 1
+    `;
+    return await fetchOne(sql, [broadcastId]);
+  }
+
+  /**
+   * Record that an item went off air
+   * @param {number} asrunId - as-run entry ID
+   * @param {string} endStatus - completed | stopped | failed
+   * @param {number} airedSeconds - How long the item was on air
+   * @param {string} errorMessage - Failure reason
+   */
+  static async recordEnd(asrunId, endStatus, airedSeconds, errorMessage = null) {
+    const sql = `
+      UPDATE broadcast_asrun
+      SET ended_at = ?, end_status = ?, aired_seconds = ?, error_message = ?
+      WHERE asrun_id = ?
+    `;
+    return await executeQuery(sql, [
+      getCurrentTimestamp(),
+      endStatus,
+      Math.round(airedSeconds),
+      errorMessage,
+      asrunId,
+    ]);
+  }
+
+  /**
+   * Find as-run entry by ID
+   */
+  static async findById(asrunId) {
+    const sql = "SELECT * FROM broadcast_asrun WHERE asrun_id = ?";
+    return await fetchOne(sql, [asrunId]);
+  }
+
+  /**
+   * Get as-run log of a broadcast (oldest first)
+   */
+  static async getByBroadcast(broadcastId, limit = 500) {
+    const sql = `
+      SELECT * FROM broadcast_asrun
+      WHERE broadcast_id = ?
+      ORDER BY asrun_id ASC
+      LIMIT ?
+    `;
+    return await fetchAll(sql, [broadcastId, limit]);
+  }
+
+  /**
+   * Get as-run log of an account, optionally filtered
+   * @param {number|null} accountId - Account ID (null = all accounts)
+   * @param {object} filters - { broadcastId, from, to } (from/to: YYYY-MM-DD)
+   */
+  static async getByAccount(accountId, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (accountId) {
+      conditions.push("account_id = ?");
+      params.push(accountId);
+    }
+
+    if (filters.broadcastId) {
+      conditions.push("broadcast_id = ?");
+      params.push(filters.broadcastId);
+    }
+
+    if (filters.from) {
+      conditions.push("started_at >= ?");
+      params.push(`${filters.from} 00:00:00`);
+    }
+
+    if (filters.to) {
+      conditions.push("started_at <= ?");
+      params.push(`${filters.to} 23:59:59`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const sql = `
+      SELECT * FROM broadcast_asrun
+      ${where}
+      ORDER BY started_at ASC, asrun_id ASC
+    `;
+    return await fetchAll(sql, params);
+  }
+
+  /**
+   * Close entries left on air by a previous server session
+   */
+  static async closeInterruptedEntries() {
+    const sql = `
+      UPDATE broadcast_asrun
+      SET end_status = 'interrupted'
+      WHERE end_status = 'on_air'
+    `;
+    const result = await executeQuery(sql);
+    if (result && result.changes > 0) {
+      console.log(
+        `✓ Closed ${result.changes} interrupted as-run entries from previous session`
+      );
+    }
+    return result;
+  }
+}
+
+module.exports = BroadcastAsRun;
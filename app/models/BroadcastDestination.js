@@ -0,0 +1,217 @@
+const { executeQuery, fetchOne, fetchAll } = require("../core/database");
+const { v4: uuidv4 } = require("uuid");
+const { getCurrentTimestamp } = require("../utils/datetime");
+
+/**
+ * BroadcastDestination Model - output targets of a broadcast
+ * One broadcast is encoded once and relayed to every enabled destination
+ */
+class BroadcastDestination {
+  /**
+   * Create new destination for a broadcast
+   */
+  static async createNew(broadcastId, destinationData) {
+    const destinationUuid = uuidv4();
+    const now = getCurrentTimestamp();
+
+    const sql = `
+      INSERT INTO broadcast_destinations (
+        destination_uuid, broadcast_id, platform_name, destination_url,
+        stream_key, backup_url, is_enabled, destination_status, created_at,
+        updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(sql, [
+      destinationUuid,
+      broadcastId,
+      destinationData.platformName || "custom",
+      destinationData.destinationUrl,
+      destinationData.streamKey || null,
+      destinationData.backupUrl || null,
+      destinationData.isEnabled === false ? 0 : 1,
+      "offline",
+      now,
+      now,
+    ]);
+
+    return { destinationId: result.lastID, destinationUuid };
+  }
+
+  /**
+   * Find destination by ID
+   */
+  static async findById(destinationId) {
+    const sql = "SELECT * FROM broadcast_destinations WHERE destination_id = ?";
+    return await fetchOne(sql, [destinationId]);
+  }
+
+  /**
+   * Get all destinations of a broadcast (primary destination first)
+   */
+  static async getByBroadcast(broadcastId) {
+    const sql = `
+      SELECT * FROM broadcast_destinations
+      WHERE broadcast_id = ?
+      ORDER BY destination_id ASC
+    `;
+    return await fetchAll(sql, [broadcastId]);
+  }
+
+  /**
+   * Get enabled destinations of a broadcast
+   */
+  static async getEnabledByBroadcast(broadcastId) {
+    const sql = `
+      SELECT * FROM broadcast_destinations
+      WHERE broadcast_id = ? AND is_enabled = 1
+      ORDER BY destination_id ASC
+    `;
+    return await fetchAll(sql, [broadcastId]);
+  }
+
+  /**
+   * Update destination connection status
+   */
+  static async updateStatus(
+    destinationId,
+    status,
+    errorMessage = null,
+    nextRetryAt = null
+  ) {
+    const sql = `
+      UPDATE broadcast_destinations
+      SET destination_status = ?, error_message = ?, next_retry_at = ?, updated_at = ?
+      WHERE destination_id = ?
+    `;
+    return await executeQuery(sql, [
+      status,
+      errorMessage,
+      nextRetryAt,
+      getCurrentTimestamp(),
+      destinationId,
+    ]);
+  }
+
+  /**
+   * Set the backup ingest URL of a destination (same stream key)
+   * Relays switch to it when the primary URL keeps failing
+   */
+  static async updateBackupUrl(destinationId, backupUrl) {
+    const sql = `
+      UPDATE broadcast_destinations
+      SET backup_url = ?, updated_at = ?
+      WHERE destination_id = ?
+    `;
+    return await executeQuery(sql, [
+      backupUrl || null,
+      getCurrentTimestamp(),
+      destinationId,
+    ]);
+  }
+
+  /**
+   * Record which ingest a destination relay is connected to
+   * @param {string} endpoint - primary | backup
+   */
+  static async updateActiveEndpoint(destinationId, endpoint) {
+    const sql = `
+      UPDATE broadcast_destinations
+      SET active_endpoint = ?, updated_at = ?
+      WHERE destination_id = ?
+    `;
+    return await executeQuery(sql, [
+      endpoint,
+      getCurrentTimestamp(),
+      destinationId,
+    ]);
+  }
+
+  /**
+   * Reset status of every destination of a broadcast
+   */
+  static async resetStatusByBroadcast(broadcastId, status = "offline") {
+    const sql = `
+      UPDATE broadcast_destinations
+      SET destination_status = ?, error_message = NULL, updated_at = ?
+      WHERE broadcast_id = ?
+    `;
+    return await executeQuery(sql, [status, getCurrentTimestamp(), broadcastId]);
+  }
+
+  /**
+   * Reset stale connection statuses left over from a previous session
+   */
+  static async resetAllStatuses() {
+    const sql = `
+      UPDATE broadcast_destinations
+      SET destination_status = 'offline', updated_at = ?
+      WHERE destination_status != 'offline'
+    `;
+    return await executeQuery(sql, [getCurrentTimestamp()]);
+  }
+
+  /**
+   * Update the primary (first) destination of a broadcast
+   * Keeps the legacy destination_url/stream_key columns of broadcasts in sync
+   */
+  static async updatePrimary(broadcastId, destinationUrl, streamKey) {
+    const primary = await fetchOne(
+      `SELECT destination_id FROM broadcast_destinations
+       WHERE broadcast_id = ?
+       ORDER BY destination_id ASC
+       LIMIT 1`,
+      [broadcastId]
+    );
+
+    if (!primary) {
+      return await this.createNew(broadcastId, { destinationUrl, streamKey });
+    }
+
+    return await executeQuery(
+      `UPDATE broadcast_destinations
+       SET destination_url = ?, stream_key = ?, updated_at = ?
+       WHERE destination_id = ?`,
+      [destinationUrl, streamKey || null, getCurrentTimestamp(), primary.destination_id]
+    );
+  }
+
+  /**
+   * Delete destination
+   */
+  static async deleteDestination(destinationId) {
+    const sql = "DELETE FROM broadcast_destinations WHERE destination_id = ?";
+    return await executeQuery(sql, [destinationId]);
+  }
+
+  /**
+   * Create destination rows for broadcasts created before simulcast support
+   * Copies destination_url/stream_key of the broadcast into its first destination
+   */
+  static async migrateLegacyDestinations() {
+    const legacyBroadcasts = await fetchAll(`
+      SELECT b.broadcast_id, b.platform_name, b.destination_url, b.stream_key
+      FROM broadcasts b
+      WHERE NOT EXISTS (
+        SELECT 1 FROM broadcast_destinations d WHERE d.broadcast_id = b.broadcast_id
+      )
+    `);
+
+    for (const broadcast of legacyBroadcasts) {
+      await this.createNew(broadcast.broadcast_id, {
+        platformName: broadcast.platform_name,
+        destinationUrl: broadcast.destination_url,
+        streamKey: broadcast.stream_key,
+      });
+    }
+
+    if (legacyBroadcasts.length > 0) {
+      console.log(
+        `✓ Migrated ${legacyBroadcasts.length} broadcast(s) to destination list`
+      );
+    }
+  }
+}
+
+module.exports = BroadcastDestination;
@@ -0,0 +1,58 @@
+const { executeQuery, fetchAll } = require("../core/database");
+const { getCurrentTimestamp } = require("../utils/datetime");
+
+/**
+ * BroadcastEvent Model - what the engine changed on a broadcast by itself
+ * (bitrate steps, ...), shown in the broadcast details
+ */
+class BroadcastEvent {
+  /**
+   * Record an event
+   * @param {number} broadcastId - Broadcast ID
+   * @param {string} eventType - e.g. adaptive_bitrate
+   * @param {string} message - Human readable description
+   * @param {object} details - Extra data (stored as JSON)
+   */
+  static async record(broadcastId, eventType, message, details = null) {
+    const sql = `
+      INSERT INTO broadcast_events (
+        broadcast_id, event_type, message, details, created_at
+      )
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(sql, [
+      broadcastId,
+      eventType,
+      message,
+      details ? JSON.stringify(details) : null,
+      getCurrentTimestamp(),
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Latest events of a broadcast (newest first)
+   */
+  static async getByBroadcast(broadcastId, limit = 50) {
+    const sql = `
+      SELECT * FROM broadcast_events
+      WHERE broadcast_id = ?
+      ORDER BY event_id DESC
+      LIMIT ?
+    `;
+    const events = await fetchAll(sql, [broadcastId, limit]);
+
+    return events.map((event) => {
+      let details = null;
+      try {
+        details = event.details ? JSON.parse(event.details) : null;
+      } catch (error) {
+        details = null;
+      }
+      return { ...event, details };
+    });
+  }
+}
+
+module.exports = BroadcastEvent;
@@ -0,0 +1,79 @@
+const { executeQuery, fetchAll } = require("../core/database");
+const { getCurrentTimestamp, formatForDb } = require("../utils/datetime");
+
+/**
+ * BroadcastMetric Model - encoder telemetry of broadcasts over time
+ * dropped_frames / duplicated_frames count the frames since the previous
+ * sample, the other values are the encoder state at sampled_at
+ */
+class BroadcastMetric {
+  /**
+   * Record one sample
+   * @param {object} sample - { broadcastId, frames, fps, bitrateKbps, speed, droppedFrames, duplicatedFrames, timemark }
+   */
+  static async record(sample) {
+    const sql = `
+      INSERT INTO broadcast_metrics (
+        broadcast_id, sampled_at, frames, fps, bitrate_kbps, speed,
+        dropped_frames, duplicated_frames, timemark
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    return await executeQuery(sql, [
+      sample.broadcastId,
+      getCurrentTimestamp(),
+      sample.frames,
+      sample.fps,
+      sample.bitrateKbps,
+      sample.speed,
+      sample.droppedFrames || 0,
+      sample.duplicatedFrames || 0,
+      sample.timemark || null,
+    ]);
+  }
+
+  /**
+   * Samples of a broadcast in a time range (oldest first)
+   * Samples are averaged into buckets so a long range stays chartable
+   * @param {number} broadcastId - Broadcast ID
+   * @param {string} from - Start (YYYY-MM-DD HH:MM:SS)
+   * @param {string} to - End (YYYY-MM-DD HH:MM:SS)
+   * @param {number} bucketSeconds - Bucket size (1 = raw samples)
+   */
+  static async getByBroadcast(broadcastId, from, to, bucketSeconds = 1) {
+    const sql = `
+      SELECT
+        MIN(sampled_at) AS sampled_at,
+        MAX(frames) AS frames,
+        ROUND(AVG(fps), 2) AS fps,
+        ROUND(AVG(bitrate_kbps), 1) AS bitrate_kbps,
+        ROUND(AVG(speed), 3) AS speed,
+        SUM(dropped_frames) AS dropped_frames,
+        SUM(duplicated_frames) AS duplicated_frames,
+        MAX(timemark) AS timemark,
+        COUNT(*) AS sample_count
+      FROM broadcast_metrics
+      WHERE broadcast_id = ? AND sampled_at >= ? AND sampled_at <= ?
+      GROUP BY CAST(strftime('%s', sampled_at) AS INTEGER) / ?
+      ORDER BY sampled_at ASC
+    `;
+    return await fetchAll(sql, [
+      broadcastId,
+      from,
+      to,
+      Math.max(1, Math.round(bucketSeconds)),
+    ]);
+  }
+
+  /**
+   * Delete samples older than a number of days
+   */
+  static async deleteOlderThan(days) {
+    const cutoff = formatForDb(new Date(Date.now() - days * 86400000));
+    const sql = "DELETE FROM broadcast_metrics WHERE sampled_at < ?";
+    return await executeQuery(sql, [cutoff]);
+  }
+}
+
+module.exports = BroadcastMetric;
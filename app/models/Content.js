@@ -125,6 +125,42 @@ class Content {
     return await executeQuery(sql, values);
   }
 
+  /**
+   * Flag content that failed to air (missing or corrupt file)
+   */
+  static async flagSourceError(contentId, errorMessage) {
+    const { getCurrentTimestamp } = require('../utils/datetime');
+    const sql = `
+      UPDATE content
+      SET source_error = ?, source_error_at = ?
+      WHERE content_id = ?
+    `;
+    return await executeQuery(sql, [
+      String(errorMessage || 'Playback failed').slice(0, 500),
+      getCurrentTimestamp(),
+      contentId
+    ]);
+  }
+
+  /**
+   * Clear the flag once the content played through again
+   */
+  static async clearSourceError(contentId) {
+    const sql = `
+      UPDATE content
+      SET source_error = NULL, source_error_at = NULL
+      WHERE content_id = ? AND source_error IS NOT NULL
+    `;
+    return await executeQuery(sql, [contentId]);
+  }
+
+  /**
+   * Whether the content is an audio file (music, no video)
+   */
+  static isAudio(content) {
+    return !!content && /^audio\//.test(content.mimetype || '');
+  }
+
   /**
    * Delete content
    */
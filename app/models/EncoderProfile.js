@@ -0,0 +1,476 @@
+const { executeQuery, fetchOne, fetchAll } = require("../core/database");
+const { v4: uuidv4 } = require("uuid");
+const { getCurrentTimestamp } = require("../utils/datetime");
+
+/**
+ * Presets and tunes accepted per video codec
+ * h264_nvenc needs an NVIDIA GPU with FFmpeg built with NVENC
+ */
+const VIDEO_CODECS = {
+  libx264: {
+    presets: [
+      "ultrafast",
+      "superfast",
+      "veryfast",
+      "faster",
+      "fast",
+      "medium",
+      "slow",
+    ],
+    tunes: ["none", "zerolatency", "film", "animation", "fastdecode"],
+    defaultPreset: "veryfast",
+    defaultTune: "zerolatency",
+  },
+  h264_nvenc: {
+    presets: ["p1", "p2", "p3", "p4", "p5", "p6", "p7"],
+    tunes: ["none", "ll", "ull", "hq"],
+    defaultPreset: "p4",
+    defaultTune: "ll",
+  },
+};
+
+const RATE_CONTROLS = ["cbr", "vbr"];
+const H264_PROFILES = ["auto", "baseline", "main", "high"];
+const H264_LEVELS = ["auto", "3.0", "3.1", "4.0", "4.1", "4.2", "5.0", "5.1"];
+const FRAME_RATES = [24, 25, 30, 50, 60];
+const RESOLUTIONS = ["auto", "720p", "1080p", "1440p", "2160p"];
+const ORIENTATIONS = ["landscape", "portrait"];
+const AUDIO_BITRATES = ["64k", "96k", "128k", "160k", "192k", "256k", "320k"];
+const AUDIO_SAMPLE_RATES = [44100, 48000];
+
+/**
+ * Built-in profiles (seeded on startup, read-only)
+ * "default" keeps the engine's original encoder settings
+ */
+const BUILTIN_PROFILES = [
+  {
+    profile_key: "default",
+    profile_name: "Compatible (Default)",
+    platform_name: "custom",
+    video_codec: "libx264",
+    preset: "ultrafast",
+    tune: "zerolatency",
+    rate_control: "vbr",
+    video_bitrate: "2500k",
+    max_bitrate: "3750k",
+    keyframe_interval: 2,
+    frame_rate: 30,
+    resolution: "auto",
+    orientation: "landscape",
+    h264_profile: "auto",
+    h264_level: "auto",
+    audio_bitrate: "128k",
+    audio_sample_rate: 44100,
+  },
+  {
+    profile_key: "youtube",
+    profile_name: "YouTube 1080p30",
+    platform_name: "youtube",
+    video_codec: "libx264",
+    preset: "veryfast",
+    tune: "zerolatency",
+    rate_control: "cbr",
+    video_bitrate: "4500k",
+    max_bitrate: "4500k",
+    keyframe_interval: 2,
+    frame_rate: 30,
+    resolution: "1080p",
+    orientation: "landscape",
+    h264_profile: "high",
+    h264_level: "4.1",
+    audio_bitrate: "128k",
+    audio_sample_rate: 48000,
+  },
+  {
+    profile_key: "facebook",
+    profile_name: "Facebook 1080p30",
+    platform_name: "facebook",
+    video_codec: "libx264",
+    preset: "veryfast",
+    tune: "zerolatency",
+    rate_control: "cbr",
+    video_bitrate: "4000k",
+    max_bitrate: "4000k",
+    keyframe_interval: 2,
+    frame_rate: 30,
+    resolution: "1080p",
+    orientation: "landscape",
+    h264_profile: "high",
+    h264_level: "4.1",
+    audio_bitrate: "128k",
+    audio_sample_rate: 48000,
+  },
+  {
+    profile_key: "twitch",
+    profile_name: "Twitch 720p60",
+    platform_name: "twitch",
+    video_codec: "libx264",
+    preset: "veryfast",
+    tune: "zerolatency",
+    rate_control: "cbr",
+    video_bitrate: "4500k",
+    max_bitrate: "4500k",
+    keyframe_interval: 2,
+    frame_rate: 60,
+    resolution: "720p",
+    orientation: "landscape",
+    h264_profile: "main",
+    h264_level: "4.1",
+    audio_bitrate: "160k",
+    audio_sample_rate: 48000,
+  },
+  {
+    profile_key: "tiktok",
+    profile_name: "TikTok 720x1280",
+    platform_name: "tiktok",
+    video_codec: "libx264",
+    preset: "veryfast",
+    tune: "zerolatency",
+    rate_control: "cbr",
+    video_bitrate: "3000k",
+    max_bitrate: "3000k",
+    keyframe_interval: 2,
+    frame_rate: 30,
+    resolution: "720p",
+    orientation: "portrait",
+    h264_profile: "high",
+    h264_level: "auto",
+    audio_bitrate: "128k",
+    audio_sample_rate: 44100,
+  },
+  {
+    profile_key: "instagram",
+    profile_name: "Instagram 720x1280",
+    platform_name: "instagram",
+    video_codec: "libx264",
+    preset: "veryfast",
+    tune: "zerolatency",
+    rate_control: "cbr",
+    video_bitrate: "3500k",
+    max_bitrate: "3500k",
+    keyframe_interval: 2,
+    frame_rate: 30,
+    resolution: "720p",
+    orientation: "portrait",
+    h264_profile: "main",
+    h264_level: "auto",
+    audio_bitrate: "128k",
+    audio_sample_rate: 44100,
+  },
+];
+
+const EDITABLE_FIELDS = [
+  "profile_name",
+  "platform_name",
+  "video_codec",
+  "preset",
+  "tune",
+  "rate_control",
+  "video_bitrate",
+  "max_bitrate",
+  "keyframe_interval",
+  "frame_rate",
+  "resolution",
+  "orientation",
+  "h264_profile",
+  "h264_level",
+  "audio_bitrate",
+  "audio_sample_rate",
+];
+
+function parseKbps(value) {
+  const match = /^(\d+)k$/.exec(String(value || "").trim());
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * EncoderProfile Model - named FFmpeg encoder settings
+ * Built-in profiles have no owner, custom profiles belong to an account
+ */
+class EncoderProfile {
+  /**
+   * Validate profile settings from the API
+   * Missing fields keep the values of `base` (the profile being edited),
+   * new profiles start from the default built-in profile
+   * @returns {{profile: object|null, errors: string[]}}
+   */
+  static validate(data, base = null) {
+    const defaults = base || { ...BUILTIN_PROFILES[0], profile_name: "" };
+    const profile = {};
+    for (const field of EDITABLE_FIELDS) {
+      profile[field] =
+        data[field] === undefined || data[field] === null || data[field] === ""
+          ? defaults[field]
+          : data[field];
+    }
+
+    const errors = [];
+    profile.profile_name = String(profile.profile_name || "").trim();
+    if (!profile.profile_name) {
+      errors.push("Profile name is required");
+    }
+
+    const codec = VIDEO_CODECS[profile.video_codec];
+    if (!codec) {
+      errors.push(
+        `Video codec must be one of: ${Object.keys(VIDEO_CODECS).join(", ")}`
+      );
+    } else {
+      // Codec changed without preset/tune: use the defaults of the new codec
+      if (!data.preset && !codec.presets.includes(profile.preset)) {
+        profile.preset = codec.defaultPreset;
+      }
+      if (!data.tune && !codec.tunes.includes(profile.tune)) {
+        profile.tune = codec.defaultTune;
+      }
+      if (!codec.presets.includes(profile.preset)) {
+        errors.push(
+          `Preset for ${profile.video_codec} must be one of: ${codec.presets.join(", ")}`
+        );
+      }
+      if (!codec.tunes.includes(profile.tune)) {
+        errors.push(
+          `Tune for ${profile.video_codec} must be one of: ${codec.tunes.join(", ")}`
+        );
+      }
+    }
+
+    if (!RATE_CONTROLS.includes(profile.rate_control)) {
+      errors.push("Rate control must be cbr or vbr");
+    }
+
+    const videoKbps = parseKbps(profile.video_bitrate);
+    if (!videoKbps || videoKbps < 300 || videoKbps > 50000) {
+      errors.push('Video bitrate must be between "300k" and "50000k"');
+    }
+    // CBR sends a constant rate, max bitrate is the video bitrate
+    if (profile.rate_control === "cbr" && videoKbps) {
+      profile.max_bitrate = profile.video_bitrate;
+    } else {
+      // Only the bitrate given: VBR peaks at 1.5x like the original engine
+      if (videoKbps && !data.max_bitrate) {
+        const baseMaxKbps = parseKbps(profile.max_bitrate);
+        if (!baseMaxKbps || baseMaxKbps < videoKbps) {
+          profile.max_bitrate = `${Math.round(videoKbps * 1.5)}k`;
+        }
+      }
+      const maxKbps = parseKbps(profile.max_bitrate);
+      if (!maxKbps || (videoKbps && maxKbps < videoKbps)) {
+        errors.push("Max bitrate must be at least the video bitrate");
+      }
+    }
+
+    profile.keyframe_interval = parseFloat(profile.keyframe_interval);
+    if (
+      !(profile.keyframe_interval >= 0.5 && profile.keyframe_interval <= 10)
+    ) {
+      errors.push("Keyframe interval must be between 0.5 and 10 seconds");
+    }
+
+    profile.frame_rate = parseInt(profile.frame_rate);
+    if (!FRAME_RATES.includes(profile.frame_rate)) {
+      errors.push(`Frame rate must be one of: ${FRAME_RATES.join(", ")}`);
+    }
+    if (!RESOLUTIONS.includes(profile.resolution)) {
+      errors.push(`Resolution must be one of: ${RESOLUTIONS.join(", ")}`);
+    }
+    if (!ORIENTATIONS.includes(profile.orientation)) {
+      errors.push("Orientation must be landscape or portrait");
+    }
+    if (!H264_PROFILES.includes(profile.h264_profile)) {
+      errors.push(`H.264 profile must be one of: ${H264_PROFILES.join(", ")}`);
+    }
+    if (!H264_LEVELS.includes(String(profile.h264_level))) {
+      errors.push(`H.264 level must be one of: ${H264_LEVELS.join(", ")}`);
+    }
+    profile.h264_level = String(profile.h264_level);
+
+    if (!AUDIO_BITRATES.includes(profile.audio_bitrate)) {
+      errors.push(`Audio bitrate must be one of: ${AUDIO_BITRATES.join(", ")}`);
+    }
+    profile.audio_sample_rate = parseInt(profile.audio_sample_rate);
+    if (!AUDIO_SAMPLE_RATES.includes(profile.audio_sample_rate)) {
+      errors.push("Audio sample rate must be 44100 or 48000");
+    }
+
+    profile.platform_name = String(profile.platform_name || "custom");
+
+    return { profile: errors.length ? null : profile, errors };
+  }
+
+  /**
+   * Encoder settings of broadcasts created before encoder profiles
+   * (loose bitrate/frame_rate/resolution/orientation columns)
+   */
+  static fromLegacySettings(settings = {}) {
+    const base = BUILTIN_PROFILES[0];
+    const videoKbps =
+      parseKbps(settings.bitrate) || parseKbps(base.video_bitrate);
+    const frameRate = parseInt(settings.frame_rate);
+
+    return {
+      ...base,
+      profile_name: "Legacy settings",
+      video_bitrate: `${videoKbps}k`,
+      max_bitrate: `${Math.round(videoKbps * 1.5)}k`,
+      frame_rate: FRAME_RATES.includes(frameRate) ? frameRate : base.frame_rate,
+      resolution: RESOLUTIONS.includes(settings.resolution)
+        ? settings.resolution
+        : "auto",
+      orientation: ORIENTATIONS.includes(settings.orientation)
+        ? settings.orientation
+        : "landscape",
+    };
+  }
+
+  /**
+   * Insert missing built-in profiles (runs on startup)
+   */
+  static async seedBuiltinProfiles() {
+    for (const builtin of BUILTIN_PROFILES) {
+      const existing = await fetchOne(
+        "SELECT profile_id FROM encoder_profiles WHERE profile_key = ?",
+        [builtin.profile_key]
+      );
+      if (existing) continue;
+
+      await this.insert(null, builtin, builtin.profile_key);
+      console.log(
+        `✓ Added built-in encoder profile: ${builtin.profile_name}`
+      );
+    }
+  }
+
+  /**
+   * Insert a profile row (validated settings)
+   */
+  static async insert(accountId, profile, profileKey = null) {
+    const now = getCurrentTimestamp();
+
+    const sql = `
+      INSERT INTO encoder_profiles (
+        profile_uuid, account_id, profile_key, is_builtin, ${EDITABLE_FIELDS.join(", ")},
+        created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ${EDITABLE_FIELDS.map(() => "?").join(", ")}, ?, ?)
+    `;
+
+    const result = await executeQuery(sql, [
+      uuidv4(),
+      accountId,
+      profileKey,
+      profileKey ? 1 : 0,
+      ...EDITABLE_FIELDS.map((field) => profile[field]),
+      now,
+      now,
+    ]);
+
+    return result.lastID;
+  }
+
+  /**
+   * Create a custom profile for an account
+   */
+  static async createNew(accountId, profile) {
+    return await this.insert(accountId, profile);
+  }
+
+  /**
+   * Find profile by ID
+   */
+  static async findById(profileId) {
+    const sql = "SELECT * FROM encoder_profiles WHERE profile_id = ?";
+    return await fetchOne(sql, [profileId]);
+  }
+
+  /**
+   * Built-in profile by key ("default", "youtube", ...)
+   */
+  static async findBuiltin(profileKey) {
+    const sql = "SELECT * FROM encoder_profiles WHERE profile_key = ?";
+    return await fetchOne(sql, [profileKey]);
+  }
+
+  /**
+   * Profiles usable by an account (built-in first, then its own)
+   */
+  static async getAvailable(accountId) {
+    const sql = `
+      SELECT * FROM encoder_profiles
+      WHERE is_builtin = 1 OR account_id = ?
+      ORDER BY is_builtin DESC, profile_id ASC
+    `;
+    return await fetchAll(sql, [accountId]);
+  }
+
+  /**
+   * Built-in profiles are shared, custom ones belong to their account
+   */
+  static canUse(profile, accountId) {
+    return (
+      !!profile &&
+      (profile.is_builtin === 1 || profile.account_id === accountId)
+    );
+  }
+
+  /**
+   * Update a custom profile (validated settings)
+   */
+  static async updateProfile(profileId, profile) {
+    const sql = `
+      UPDATE encoder_profiles
+      SET ${EDITABLE_FIELDS.map((field) => `${field} = ?`).join(", ")}, updated_at = ?
+      WHERE profile_id = ? AND is_builtin = 0
+    `;
+    return await executeQuery(sql, [
+      ...EDITABLE_FIELDS.map((field) => profile[field]),
+      getCurrentTimestamp(),
+      profileId,
+    ]);
+  }
+
+  /**
+   * Delete a custom profile
+   * Broadcasts using it fall back to the default profile
+   */
+  static async remove(profileId) {
+    await executeQuery(
+      "UPDATE broadcasts SET encoder_profile_id = NULL WHERE encoder_profile_id = ?",
+      [profileId]
+    );
+    return await executeQuery(
+      "DELETE FROM encoder_profiles WHERE profile_id = ? AND is_builtin = 0",
+      [profileId]
+    );
+  }
+
+  /**
+   * Number of broadcasts using a profile
+   */
+  static async countBroadcasts(profileId) {
+    const row = await fetchOne(
+      "SELECT COUNT(*) as total FROM broadcasts WHERE encoder_profile_id = ?",
+      [profileId]
+    );
+    return row ? row.total : 0;
+  }
+
+  /**
+   * Options accepted by the profile fields (for forms)
+   */
+  static getOptions() {
+    return {
+      video_codecs: VIDEO_CODECS,
+      rate_controls: RATE_CONTROLS,
+      h264_profiles: H264_PROFILES,
+      h264_levels: H264_LEVELS,
+      frame_rates: FRAME_RATES,
+      resolutions: RESOLUTIONS,
+      orientations: ORIENTATIONS,
+      audio_bitrates: AUDIO_BITRATES,
+      audio_sample_rates: AUDIO_SAMPLE_RATES,
+    };
+  }
+}
+
+module.exports = EncoderProfile;
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const { executeQuery, fetchOne, fetchAll } = require("../core/database");
+const { getCurrentTimestamp } = require("../utils/datetime");
+
+/**
+ * IngestKey Model - stream keys of the built-in RTMP ingest
+ * OBS (or any encoder) pushes to rtmp://<host>/live/<stream_key>, the
+ * ingest can then be picked as the source of a broadcast
+ */
+class IngestKey {
+  /**
+   * Create a new ingest key
+   * @param {number} accountId - Owner
+   * @param {string} keyName - Label shown in the dashboard
+   * @returns {Promise<number>} - Ingest key ID
+   */
+  static async createNew(accountId, keyName) {
+    const now = getCurrentTimestamp();
+    const sql = `
+      INSERT INTO ingest_keys (
+        account_id, key_name, stream_key, ingest_status, created_at
+      )
+      VALUES (?, ?, ?, 'offline', ?)
+    `;
+
+    const result = await executeQuery(sql, [
+      accountId,
+      keyName,
+      this.createStreamKey(),
+      now,
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Random stream key, hard to guess since it is all OBS sends
+   */
+  static createStreamKey() {
+    return `live_${crypto.randomBytes(16).toString("hex")}`;
+  }
+
+  static async findById(ingestKeyId) {
+    return await fetchOne(
+      `SELECT * FROM ingest_keys WHERE ingest_key_id = ?`,
+      [ingestKeyId]
+    );
+  }
+
+  /**
+   * Key an encoder may push with (revoked keys are not returned)
+   */
+  static async findActiveByStreamKey(streamKey) {
+    return await fetchOne(
+      `SELECT * FROM ingest_keys WHERE stream_key = ? AND revoked_at IS NULL`,
+      [streamKey]
+    );
+  }
+
+  /**
+   * Keys of an account (revoked ones last)
+   */
+  static async getByAccount(accountId, includeRevoked = true) {
+    const sql = `
+      SELECT * FROM ingest_keys
+      WHERE account_id = ?
+      ${includeRevoked ? "" : "AND revoked_at IS NULL"}
+      ORDER BY revoked_at IS NOT NULL, created_at DESC
+    `;
+    return await fetchAll(sql, [accountId]);
+  }
+
+  /**
+   * Whether an account (or an admin) may use a key
+   */
+  static canUse(ingestKey, accountId, accountRole = null) {
+    return (
+      !!ingestKey &&
+      (ingestKey.account_id === accountId || accountRole === "admin")
+    );
+  }
+
+  /**
+   * Revoke a key, the ingest server drops a stream pushed with it
+   */
+  static async revoke(ingestKeyId) {
+    const sql = `
+      UPDATE ingest_keys
+      SET revoked_at = ?
+      WHERE ingest_key_id = ? AND revoked_at IS NULL
+    `;
+    return await executeQuery(sql, [getCurrentTimestamp(), ingestKeyId]);
+  }
+
+  /**
+   * Mark a key as receiving a stream
+   */
+  static async markConnected(ingestKeyId, clientIp) {
+    const now = getCurrentTimestamp();
+    const sql = `
+      UPDATE ingest_keys
+      SET ingest_status = 'connected', client_ip = ?, connected_at = ?,
+        last_seen_at = ?, bitrate_kbps = NULL
+      WHERE ingest_key_id = ?
+    `;
+    return await executeQuery(sql, [clientIp, now, now, ingestKeyId]);
+  }
+
+  /**
+   * Store what the pushed stream carries
+   * @param {object} stats - { videoCodec, audioCodec, width, height, frameRate, bitrateKbps }
+   */
+  static async updateStats(ingestKeyId, stats) {
+    const sql = `
+      UPDATE ingest_keys
+      SET video_codec = ?, audio_codec = ?, video_width = ?, video_height = ?,
+        frame_rate = ?, bitrate_kbps = ?, last_seen_at = ?
+      WHERE ingest_key_id = ?
+    `;
+    return await executeQuery(sql, [
+      stats.videoCodec || null,
+      stats.audioCodec || null,
+      stats.width || null,
+      stats.height || null,
+      stats.frameRate || null,
+      stats.bitrateKbps,
+      getCurrentTimestamp(),
+      ingestKeyId,
+    ]);
+  }
+
+  static async markOffline(ingestKeyId) {
+    const sql = `
+      UPDATE ingest_keys
+      SET ingest_status = 'offline', bitrate_kbps = NULL, last_seen_at = ?
+      WHERE ingest_key_id = ?
+    `;
+    return await executeQuery(sql, [getCurrentTimestamp(), ingestKeyId]);
+  }
+
+  /**
+   * Nothing is connected after a restart of the ingest server
+   */
+  static async resetAllStatuses() {
+    const sql = `
+      UPDATE ingest_keys
+      SET ingest_status = 'offline', bitrate_kbps = NULL
+      WHERE ingest_status != 'offline'
+    `;
+    return await executeQuery(sql);
+  }
+}
+
+module.exports = IngestKey;
@@ -167,6 +167,7 @@ class Playlist {
         c.filename,
         c.filepath,
         c.filesize,
+        c.mimetype,
         c.duration_seconds,
         c.thumbnail_path,
         c.upload_date as content_created_at
@@ -179,6 +180,16 @@ class Playlist {
     return await fetchAll(query, [playlistId]);
   }
 
+  /**
+   * Items of a playlist that can air as program (audio files only serve as
+   * music beds and are skipped)
+   */
+  static async getProgramItems(playlistId) {
+    const Content = require("./Content");
+    const items = await this.getVideos(playlistId);
+    return items.filter((item) => !Content.isAudio(item));
+  }
+
   /**
    * Reorder videos in playlist
    */
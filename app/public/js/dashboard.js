@@ -524,6 +524,17 @@ function openNewStreamModal() {
   // Show modal
   document.getElementById("newStreamModal").classList.remove("hidden");
 
+  // Encoder profiles follow the selected platform
+  const profileSelect = document.getElementById("advSettingEncoderProfile");
+  if (profileSelect) {
+    loadEncoderProfiles().then(() => {
+      renderEncoderProfileOptions(profileSelect);
+      selectPlatformEncoderProfile(
+        document.getElementById("platformNameInput").value
+      );
+    });
+  }
+
   // Pastikan Advanced Settings input enable/disable sesuai state collapse
   const advDetails = document.getElementById("advancedSettingsDetails");
   if (advDetails) {
@@ -551,11 +562,15 @@ function toggleAdvancedSettings(detailsElement) {
 
   // Enable/disable Advanced Settings fields based on collapse state
   const advFields = [
-    "advSettingBitrate",
-    "advSettingFramerate",
-    "advSettingResolution",
-    "advSettingLandscape",
-    "advSettingPortrait",
+    "advSettingEncoderProfile",
+    "advSettingFitMode",
+    "advSettingAdaptiveBitrate",
+    "advSettingRetryMaxAttempts",
+    "advSettingRetryBaseDelaySeconds",
+    "advSettingRetryMaxDelaySeconds",
+    "advSettingRetryJitterPercent",
+    "advSettingRetryResetAfterStableMinutes",
+    "advSettingHlsAccess",
   ];
 
   advFields.forEach((fieldId) => {
@@ -592,6 +607,8 @@ function closeNewStreamModal() {
   const selectedContentId = document.getElementById("selectedContentId");
   const selectedVideoText = document.getElementById("selectedVideoText");
   if (selectedContentId) selectedContentId.value = "";
+  toggleLiveSourceField(false);
+  toggleLiveSwitchField(false);
   if (selectedVideoText) {
     selectedVideoText.textContent = "Choose a video...";
     selectedVideoText.classList.add("text-gray-400");
@@ -609,7 +626,12 @@ function closeNewStreamModal() {
   });
   document.getElementById("platformNameInput").value = "custom";
   document.getElementById("destinationUrlInput").placeholder =
-    "Enter custom RTMP URL";
+    "Enter RTMP, RTMPS or SRT URL";
+  setBackupUrlPlaceholder(document.getElementById("backupUrlInput"), "custom");
+
+  // Clear additional destinations
+  const extraDestinations = document.getElementById("extraDestinationsList");
+  if (extraDestinations) extraDestinations.innerHTML = "";
 }
 
 // Toggle video dropdown
@@ -659,9 +681,12 @@ function selectVideoFromDropdownItem(element) {
   const type = element.getAttribute("data-type") || "content"; // Default to content if not specified
   const videoCount = element.getAttribute("data-video-count");
 
-  // Update hidden input with format "type-id"
-  const formattedId = `${type}-${contentId}`;
+  // Update hidden input with format "type-id" ("live" for a live source,
+  // "ingest-id" for an ingest key)
+  const formattedId = type === "live" ? "live" : `${type}-${contentId}`;
   document.getElementById("selectedContentId").value = formattedId;
+  toggleLiveSourceField(type === "live");
+  toggleLiveSwitchField(type === "playlist");
 
   // Update button text
   document.getElementById("selectedVideoText").textContent = title;
@@ -680,7 +705,37 @@ function selectVideoFromDropdownItem(element) {
   const videoInfo = document.getElementById("streamVideoInfo");
   const previewContainer = document.getElementById("streamPreviewContainer");
 
-  if (type === "playlist") {
+  if (type === "ingest") {
+    // The encoder pushes once the broadcast runs, nothing to preview yet
+    if (video) video.classList.add("hidden");
+    if (noVideoDiv) {
+      noVideoDiv.classList.remove("hidden");
+      noVideoDiv.innerHTML = `
+        <div class="absolute inset-0 bg-gradient-to-br from-emerald-600 to-teal-500 opacity-20"></div>
+        <div class="relative z-10 flex flex-col items-center">
+          <i class="ti ti-access-point text-6xl mb-3 text-emerald-400"></i>
+          <p class="text-lg font-medium text-white">${title}</p>
+          <p class="text-sm text-gray-400">RTMP ingest</p>
+        </div>
+      `;
+    }
+    if (videoInfo) videoInfo.classList.add("hidden");
+  } else if (type === "live") {
+    // Nothing to preview before the source is pulled
+    if (video) video.classList.add("hidden");
+    if (noVideoDiv) {
+      noVideoDiv.classList.remove("hidden");
+      noVideoDiv.innerHTML = `
+        <div class="absolute inset-0 bg-gradient-to-br from-red-600 to-orange-500 opacity-20"></div>
+        <div class="relative z-10 flex flex-col items-center">
+          <i class="ti ti-broadcast text-6xl mb-3 text-red-400"></i>
+          <p class="text-lg font-medium text-white">Live source</p>
+          <p class="text-sm text-gray-400">RTMP, SRT, HLS or HTTP MPEG-TS</p>
+        </div>
+      `;
+    }
+    if (videoInfo) videoInfo.classList.add("hidden");
+  } else if (type === "playlist") {
     // Show playlist preview with gradient background
     if (video) video.classList.add("hidden");
     if (noVideoDiv) {
@@ -720,101 +775,1225 @@ function selectVideoFromDropdownItem(element) {
       source.src = `/storage/uploads/${filename}`;
       video.load();
 
-      // Show video
-      video.classList.remove("hidden");
+      // Show video
+      video.classList.remove("hidden");
+    }
+
+    // Update video info
+    if (videoInfo) {
+      document.getElementById("streamVideoTitle").textContent = title;
+      document.getElementById("streamVideoResolution").textContent =
+        resolution || "N/A";
+
+      const minutes = Math.floor(duration / 60);
+      const seconds = Math.floor(duration % 60);
+      document.getElementById(
+        "streamVideoDuration"
+      ).textContent = `${minutes}:${String(seconds).padStart(2, "0")}`;
+
+      videoInfo.classList.remove("hidden");
+    }
+  }
+}
+
+/**
+ * Show the source URL input when a live source is picked
+ */
+function toggleLiveSourceField(show) {
+  const field = document.getElementById("liveSourceUrlField");
+  const input = document.getElementById("liveSourceUrlInput");
+  if (!field || !input) return;
+
+  field.classList.toggle("hidden", !show);
+  input.required = show;
+  if (show) {
+    input.focus();
+  } else {
+    input.value = "";
+  }
+}
+
+/**
+ * Show the live switch while a playlist is picked
+ */
+function toggleLiveSwitchField(show) {
+  const field = document.getElementById("liveSwitchField");
+  const select = document.getElementById("liveSwitchSelect");
+  if (!field || !select) return;
+
+  field.classList.toggle("hidden", !show);
+  if (!show) {
+    select.value = "";
+    toggleLiveSwitchUrl("liveSwitchSelect", "liveSwitchUrlInput");
+  }
+}
+
+/**
+ * Show the URL input of a live switch while "Live source" is picked
+ */
+function toggleLiveSwitchUrl(selectId, inputId) {
+  const select = document.getElementById(selectId);
+  const input = document.getElementById(inputId);
+  if (!select || !input) return;
+
+  const isUrl = select.value === "live";
+  input.classList.toggle("hidden", !isUrl);
+  input.required = isUrl;
+  if (!isUrl) input.value = "";
+}
+
+// Platform selection
+function selectPlatform(button) {
+  const platform = button.getAttribute("data-platform");
+  const url = button.getAttribute("data-url");
+
+  // Update hidden input
+  document.getElementById("platformNameInput").value = platform;
+
+  // Update RTMP URL input (only if custom platform, allow manual input)
+  const urlInput = document.getElementById("destinationUrlInput");
+  if (platform !== "custom") {
+    urlInput.value = url;
+    urlInput.placeholder = url + "[your-stream-key]";
+  } else {
+    urlInput.value = "";
+    urlInput.placeholder = "Enter RTMP, RTMPS or SRT URL";
+  }
+  setBackupUrlPlaceholder(document.getElementById("backupUrlInput"), platform);
+
+  // Update button styles
+  document.querySelectorAll(".platform-btn").forEach((btn) => {
+    btn.classList.remove("border-blue-500");
+    btn.classList.add("border-gray-600");
+  });
+  button.classList.remove("border-gray-600");
+  button.classList.add("border-blue-500");
+
+  // Each platform defaults to its built-in encoder profile
+  selectPlatformEncoderProfile(platform);
+}
+
+// ============================================
+// ENCODER PROFILES
+// ============================================
+
+let encoderProfiles = [];
+
+function describeEncoderProfile(profile) {
+  const resolution =
+    profile.resolution === "auto" ? "Source size" : profile.resolution;
+  return `${resolution} ${profile.orientation} • ${profile.frame_rate} FPS • ${
+    profile.video_bitrate
+  } ${profile.rate_control.toUpperCase()} • ${profile.preset}`;
+}
+
+// Fill an encoder profile select (built-in first, then own profiles)
+function renderEncoderProfileOptions(select, selectedId = null) {
+  const groups = [
+    ["Built-in", encoderProfiles.filter((profile) => profile.is_builtin)],
+    ["My Profiles", encoderProfiles.filter((profile) => !profile.is_builtin)],
+  ];
+
+  select.innerHTML = groups
+    .filter(([, profiles]) => profiles.length > 0)
+    .map(
+      ([label, profiles]) =>
+        `<optgroup label="${label}">${profiles
+          .map(
+            (profile) =>
+              `<option value="${profile.profile_id}">${escapeHtml(
+                profile.profile_name
+              )}</option>`
+          )
+          .join("")}</optgroup>`
+    )
+    .join("");
+
+  if (selectedId) select.value = String(selectedId);
+}
+
+async function loadEncoderProfiles() {
+  try {
+    const response = await fetch("/api/encoder-profiles");
+    const data = await response.json();
+
+    if (data.success) {
+      encoderProfiles = data.profiles;
+    }
+  } catch (error) {
+    console.error("Error loading encoder profiles:", error);
+  }
+  return encoderProfiles;
+}
+
+function selectPlatformEncoderProfile(platform) {
+  const select = document.getElementById("advSettingEncoderProfile");
+  if (!select) return;
+
+  const profile =
+    encoderProfiles.find(
+      (item) => item.is_builtin && item.platform_name === platform
+    ) || encoderProfiles.find((item) => item.profile_key === "default");
+  if (profile) {
+    select.value = String(profile.profile_id);
+    updateEncoderProfileHint();
+  }
+}
+
+function updateEncoderProfileHint() {
+  const select = document.getElementById("advSettingEncoderProfile");
+  const hint = document.getElementById("advSettingEncoderProfileHint");
+  if (!select || !hint) return;
+
+  const profile = encoderProfiles.find(
+    (item) => String(item.profile_id) === select.value
+  );
+  if (profile) hint.textContent = describeEncoderProfile(profile);
+}
+
+// Toggle stream key visibility
+function toggleStreamKeyVisibility() {
+  const input = document.getElementById("streamKeyInput");
+  const icon = document.getElementById("toggleKeyIcon");
+
+  if (input.type === "password") {
+    input.type = "text";
+    icon.classList.remove("ti-eye");
+    icon.classList.add("ti-eye-off");
+  } else {
+    input.type = "password";
+    icon.classList.remove("ti-eye-off");
+    icon.classList.add("ti-eye");
+  }
+}
+
+// Update platform hints
+function updatePlatformHints(platform) {
+  const hint = document.getElementById("platform-hint");
+  const hints = {
+    YouTube: "Example: rtmp://a.rtmp.youtube.com/live2",
+    Facebook: "Example: rtmps://live-api-s.facebook.com:443/rtmp/",
+    Twitch: "Example: rtmp://live.twitch.tv/app/",
+    TikTok: "Example: rtmp://push.tiktok.com/rtmp/",
+    Instagram: "Example: rtmps://live-upload.instagram.com:443/rtmp/",
+    Custom: "Enter your custom RTMP server URL",
+  };
+
+  hint.textContent = hints[platform] || "Enter your RTMP server URL";
+}
+
+// ============================================
+// DESTINATIONS (SIMULCAST)
+// ============================================
+
+// Destination presets - same RTMP URLs as the platform buttons
+const DESTINATION_PLATFORMS = [
+  {
+    platform: "youtube",
+    label: "YouTube",
+    url: "rtmp://a.rtmp.youtube.com/live2/",
+    backupUrl: "rtmp://b.rtmp.youtube.com/live2?backup=1",
+  },
+  { platform: "facebook", label: "Facebook", url: "rtmps://live-api-s.facebook.com:443/rtmp/" },
+  { platform: "twitch", label: "Twitch", url: "rtmp://live.twitch.tv/app/" },
+  { platform: "tiktok", label: "TikTok", url: "rtmp://push.tiktok.com/live/" },
+  { platform: "instagram", label: "Instagram", url: "rtmps://live-upload.instagram.com:443/rtmp/" },
+  { platform: "custom", label: "Custom", url: "" },
+];
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  if (text == null) return "";
+  if (typeof text !== "string") text = String(text);
+
+  const map = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  };
+  return text.replace(/[&<>"']/g, (m) => map[m]);
+}
+
+function buildPlatformOptions(selected = "custom") {
+  return DESTINATION_PLATFORMS.map(
+    (p) =>
+      `<option value="${p.platform}" ${p.platform === selected ? "selected" : ""}>${p.label}</option>`
+  ).join("");
+}
+
+// Suggest the platform's own backup ingest (same stream key) if it has one
+function setBackupUrlPlaceholder(input, platform) {
+  if (!input) return;
+  const preset = DESTINATION_PLATFORMS.find((p) => p.platform === platform);
+  input.placeholder =
+    preset && preset.backupUrl
+      ? `Backup URL (optional), e.g. ${preset.backupUrl}`
+      : "Backup URL (optional)";
+}
+
+// Fill RTMP URL of a destination row from the selected platform preset
+function fillDestinationUrl(select, urlInputId = null, backupInputId = null) {
+  const preset = DESTINATION_PLATFORMS.find((p) => p.platform === select.value);
+  const row = select.closest(".extra-destination-row");
+  const urlInput = urlInputId
+    ? document.getElementById(urlInputId)
+    : row.querySelector(".extra-destination-url");
+
+  if (urlInput) {
+    urlInput.value = preset ? preset.url : "";
+    urlInput.placeholder = preset && preset.url ? preset.url + "[your-stream-key]" : "Enter RTMP, RTMPS or SRT URL";
+  }
+
+  setBackupUrlPlaceholder(
+    backupInputId
+      ? document.getElementById(backupInputId)
+      : row && row.querySelector(".extra-destination-backup"),
+    select.value
+  );
+}
+
+// Add an extra destination row to the new stream form
+function addExtraDestinationRow() {
+  const list = document.getElementById("extraDestinationsList");
+  if (!list) return;
+
+  const row = document.createElement("div");
+  row.className = "extra-destination-row flex flex-col sm:flex-row sm:flex-wrap gap-2";
+  row.innerHTML = `
+    <select
+      class="extra-destination-platform bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      onchange="fillDestinationUrl(this)"
+    >${buildPlatformOptions()}</select>
+    <input
+      type="text"
+      class="extra-destination-url flex-1 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      placeholder="Enter RTMP, RTMPS or SRT URL"
+    />
+    <input
+      type="password"
+      class="extra-destination-key flex-1 bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      placeholder="Stream Key"
+    />
+    <input
+      type="text"
+      class="extra-destination-backup sm:basis-full sm:order-last bg-gray-700 border border-gray-600 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      placeholder="Backup URL (optional)"
+    />
+    <button
+      type="button"
+      onclick="this.closest('.extra-destination-row').remove()"
+      class="px-3 py-2 text-red-400 hover:bg-gray-700 rounded"
+      title="Remove destination"
+    >
+      <i class="ti ti-trash"></i>
+    </button>
+  `;
+  list.appendChild(row);
+}
+
+// Primary destination (platform buttons) + extra destination rows
+function collectDestinations(data) {
+  const destinations = [
+    {
+      platformName: data.platformName || "custom",
+      destinationUrl: data.destinationUrl,
+      streamKey: data.streamKey,
+      backupUrl: data.backupUrl,
+    },
+  ];
+
+  document.querySelectorAll(".extra-destination-row").forEach((row) => {
+    const destinationUrl = row.querySelector(".extra-destination-url").value.trim();
+    if (!destinationUrl) return;
+
+    destinations.push({
+      platformName: row.querySelector(".extra-destination-platform").value,
+      destinationUrl,
+      streamKey: row.querySelector(".extra-destination-key").value.trim(),
+      backupUrl: row.querySelector(".extra-destination-backup").value.trim(),
+    });
+  });
+
+  return destinations;
+}
+
+function renderDestinationStatus(status) {
+  const statusColors = {
+    live: "bg-green-600",
+    connecting: "bg-yellow-600",
+    reconnecting: "bg-yellow-600",
+    failed: "bg-red-600",
+    offline: "bg-gray-600",
+  };
+  const color = statusColors[status] || "bg-gray-600";
+
+  return `<span class="px-2 py-0.5 rounded-full text-xs font-medium text-white ${color} capitalize">${escapeHtml(status || "offline")}</span>`;
+}
+
+/**
+ * Render destination list with per-destination status
+ * @param {HTMLElement} container - List container
+ * @param {Array} destinations - Destinations from the API
+ * @param {boolean} removable - Show remove buttons (edit modal)
+ */
+function renderDestinationList(container, destinations, removable = false) {
+  if (!container) return;
+
+  if (!destinations || destinations.length === 0) {
+    container.innerHTML = `<p class="text-sm text-gray-500">No destinations</p>`;
+    return;
+  }
+
+  container.innerHTML = destinations
+    .map(
+      (destination, index) => `
+      <div class="flex items-center justify-between gap-3 bg-gray-900 rounded p-2">
+        <div class="min-w-0">
+          <p class="text-sm text-white capitalize">
+            ${escapeHtml(destination.platform_name || "custom")}
+            ${index === 0 ? '<span class="text-xs text-gray-500 normal-case">(primary)</span>' : ""}
+          </p>
+          <p class="text-xs text-gray-400 font-mono truncate">${escapeHtml(destination.destination_url)}</p>
+          ${destination.backup_url ? `<p class="text-xs text-gray-500 font-mono truncate" title="Backup ingest">Backup: ${escapeHtml(destination.backup_url)}</p>` : ""}
+          ${destination.error_message ? `<p class="text-xs text-red-400 truncate">${escapeHtml(destination.error_message)}</p>` : ""}
+          ${destination.destination_status === "reconnecting" && destination.next_retry_at ? `<p class="text-xs text-yellow-400 retry-countdown" data-retry-at="${escapeHtml(destination.next_retry_at)}"></p>` : ""}
+        </div>
+        <div class="flex items-center gap-2 flex-shrink-0">
+          ${
+            destination.active_endpoint === "backup" &&
+            destination.destination_status !== "offline"
+              ? '<span class="px-2 py-0.5 rounded-full text-xs font-medium text-white bg-orange-600" title="Relaying to the backup ingest">Backup</span>'
+              : ""
+          }
+          ${renderDestinationStatus(destination.destination_status)}
+          ${
+            removable
+              ? `<button type="button" onclick="editDestinationBackup(${destination.destination_id})" class="p-1 text-gray-400 hover:bg-gray-700 rounded" title="Backup ingest"><i class="ti ti-switch-horizontal"></i></button>`
+              : ""
+          }
+          ${
+            removable && destinations.length > 1
+              ? `<button type="button" onclick="removeEditDestination(${destination.destination_id})" class="p-1 text-red-400 hover:bg-gray-700 rounded" title="Remove destination"><i class="ti ti-trash"></i></button>`
+              : ""
+          }
+        </div>
+      </div>
+    `
+    )
+    .join("");
+}
+
+// ============================================
+// NOW PLAYING (PLAYLIST BROADCASTS)
+// ============================================
+
+function formatClock(totalSeconds) {
+  if (totalSeconds === null || totalSeconds === undefined) return "--:--";
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  const mm = String(m).padStart(2, "0");
+  const ss = String(s).padStart(2, "0");
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+/**
+ * Render now playing / up next of a live playlist broadcast
+ * @param {HTMLElement} container - Section wrapper (hidden when nothing plays)
+ * @param {object|null} nowPlaying - nowPlaying from GET /api/broadcast/:id
+ */
+function renderNowPlaying(container, nowPlaying) {
+  if (!container) return;
+
+  if (!nowPlaying || !nowPlaying.now_playing) {
+    container.classList.add("hidden");
+    container.innerHTML = "";
+    return;
+  }
+
+  const current = nowPlaying.now_playing;
+  const next = nowPlaying.up_next;
+  const progress =
+    current.duration_seconds && nowPlaying.elapsed_seconds !== null
+      ? Math.min(100, (nowPlaying.elapsed_seconds / current.duration_seconds) * 100)
+      : 0;
+
+  container.classList.remove("hidden");
+  container.innerHTML = `
+    <p class="text-sm text-gray-400 mb-2">Now Playing</p>
+    <div class="bg-gray-900 rounded p-3 space-y-2">
+      <div class="flex items-center justify-between gap-3">
+        <p class="text-white font-medium truncate">${escapeHtml(current.title || "Untitled")}</p>
+        <span class="text-xs text-gray-400 flex-shrink-0">${current.position ? `${current.position} / ${current.playlist_length}` : nowPlaying.on_live ? "Live" : nowPlaying.on_emergency ? "Skipping" : "On hold"}</span>
+      </div>
+      <div class="w-full h-1.5 bg-gray-700 rounded">
+        <div class="h-1.5 bg-blue-500 rounded" style="width: ${progress}%"></div>
+      </div>
+      <div class="flex justify-between text-xs text-gray-400">
+        <span>${formatClock(nowPlaying.elapsed_seconds)} elapsed</span>
+        <span>${formatClock(nowPlaying.remaining_seconds)} remaining</span>
+      </div>
+      <p class="text-xs text-gray-400">
+        Up next: <span class="text-gray-200">${next ? escapeHtml(next.title || "Untitled") : nowPlaying.shuffle ? "Shuffled" : "—"}</span>
+      </p>
+    </div>
+  `;
+}
+
+// ============================================
+// PLAYOUT CONTROLS (LIVE PLAYLIST CARDS)
+// ============================================
+
+/**
+ * Send a playout control to a live playlist broadcast
+ * The stream stays connected to every destination while the item changes
+ * @param {string} broadcastId - Broadcast ID
+ * @param {string} action - next | previous | jump | slate | resume
+ * @param {object} body - Extra request data (jump: { position })
+ */
+async function playoutControl(broadcastId, action, body = {}) {
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      const messages = {
+        next: "Skipping to next item",
+        previous: "Going back to previous item",
+        jump: "Jumping to item",
+        slate: "Holding on slate",
+        resume: "Resuming playlist",
+      };
+      showNotification(messages[action] || "Done", "success");
+      // Give the feeder a moment to switch items
+      setTimeout(() => refreshPlayoutControls(), 1500);
+    } else {
+      showNotification(result.message || "Playout control failed", "error");
+    }
+  } catch (error) {
+    console.error("Playout control error:", error);
+    showNotification("Playout control failed", "error");
+  }
+}
+
+function jumpToPlaylistItem(broadcastId) {
+  const input = prompt("Jump to playlist item number:");
+  if (input === null) return;
+
+  const position = parseInt(input);
+  if (!Number.isInteger(position) || position < 1) {
+    showNotification("Enter an item number of 1 or greater", "warning");
+    return;
+  }
+
+  playoutControl(broadcastId, "jump", { position });
+}
+
+function toggleSlate(broadcastId) {
+  const container = document.querySelector(
+    `[data-playout-controls="${broadcastId}"]`
+  );
+  const onSlate = container && container.dataset.onSlate === "true";
+  playoutControl(broadcastId, onSlate ? "resume" : "slate");
+}
+
+// Update now playing + slate button of every live playlist card
+async function refreshPlayoutControls() {
+  const containers = document.querySelectorAll("[data-playout-controls]");
+
+  for (const container of containers) {
+    const broadcastId = container.dataset.playoutControls;
+    try {
+      const response = await fetch(`/api/broadcast/${broadcastId}`);
+      const data = await response.json();
+      if (!data.success || !data.nowPlaying) continue;
+
+      const nowPlaying = data.nowPlaying;
+      const current = nowPlaying.now_playing;
+      const title = container.querySelector(".now-playing-title span");
+      title.textContent = current
+        ? `${current.position ? `${current.position}. ` : ""}${current.title || "Untitled"}`
+        : "--";
+      // Auto-switch broadcasts show when their live source is on air
+      container.querySelector(".now-playing-title i").className =
+        nowPlaying.on_live
+          ? "ti ti-broadcast text-red-400"
+          : "ti ti-player-play-filled text-green-400";
+
+      container.dataset.onSlate = nowPlaying.on_slate ? "true" : "false";
+      const slateButton = container.querySelector(".slate-toggle");
+      slateButton.title = nowPlaying.on_slate ? "Resume playlist" : "Hold on slate";
+      slateButton.innerHTML = nowPlaying.on_slate
+        ? '<i class="ti ti-player-play"></i>'
+        : '<i class="ti ti-player-pause"></i>';
+    } catch (error) {
+      console.error("Error refreshing playout controls:", error);
+    }
+  }
+}
+
+if (document.querySelector("[data-playout-controls]")) {
+  refreshPlayoutControls();
+  setInterval(refreshPlayoutControls, 5000);
+}
+
+// Output frames of live broadcasts, shown over the content thumbnail once
+// the engine has grabbed one
+function refreshOutputThumbnails() {
+  document.querySelectorAll("[data-output-thumbnail]").forEach((image) => {
+    const broadcastId = image.dataset.outputThumbnail;
+    const next = new Image();
+    next.onload = () => {
+      image.src = next.src;
+      image.classList.remove("hidden");
+    };
+    next.src = `/api/broadcast/${broadcastId}/thumbnail?t=${Date.now()}`;
+  });
+}
+
+if (document.querySelector("[data-output-thumbnail]")) {
+  refreshOutputThumbnails();
+  setInterval(refreshOutputThumbnails, 10000);
+}
+
+// Output preview player (video.js, created on first use)
+let outputPreviewPlayer = null;
+
+function openOutputPreview(broadcastId, broadcastName) {
+  const modal = document.getElementById("outputPreviewModal");
+  if (!modal || typeof videojs === "undefined") return;
+
+  document.getElementById("outputPreviewTitle").textContent = broadcastName
+    ? `Output Preview - ${broadcastName}`
+    : "Output Preview";
+
+  if (!outputPreviewPlayer) {
+    outputPreviewPlayer = videojs("outputPreviewPlayer", { liveui: true });
+  }
+  outputPreviewPlayer.src({
+    src: `/api/broadcast/${broadcastId}/preview/index.m3u8`,
+    type: "application/x-mpegURL",
+  });
+  outputPreviewPlayer.play().catch(() => {});
+
+  modal.classList.remove("hidden");
+}
+
+// Stopping playback lets the engine stop the preview encoder once idle
+function closeOutputPreview() {
+  document.getElementById("outputPreviewModal").classList.add("hidden");
+  if (outputPreviewPlayer) {
+    outputPreviewPlayer.reset();
+  }
+}
+
+// Ingest keys modal, its status is refreshed while open
+let ingestKeysTimer = null;
+
+function openIngestKeysModal() {
+  const modal = document.getElementById("ingestKeysModal");
+  if (!modal) return;
+
+  modal.classList.remove("hidden");
+  loadIngestKeys();
+  ingestKeysTimer = setInterval(loadIngestKeys, 5000);
+}
+
+function closeIngestKeysModal() {
+  document.getElementById("ingestKeysModal").classList.add("hidden");
+  if (ingestKeysTimer) {
+    clearInterval(ingestKeysTimer);
+    ingestKeysTimer = null;
+  }
+}
+
+async function loadIngestKeys() {
+  try {
+    const response = await fetch("/api/ingest");
+    const data = await response.json();
+
+    if (data.success) {
+      document.getElementById("ingestPushUrl").value = data.pushUrl;
+      document
+        .getElementById("ingestDisabledNotice")
+        .classList.toggle("hidden", data.enabled);
+      renderIngestKeys(data.keys);
+    }
+  } catch (error) {
+    console.error("Error loading ingest keys:", error);
+  }
+}
+
+/**
+ * Stream details of a connected key ("1920x1080 • 30 fps • h264/aac • 4500 kbps")
+ */
+function formatIngestStats(ingestKey) {
+  const parts = [];
+  if (ingestKey.video_width && ingestKey.video_height) {
+    parts.push(`${ingestKey.video_width}x${ingestKey.video_height}`);
+  }
+  if (ingestKey.frame_rate) {
+    parts.push(`${Math.round(ingestKey.frame_rate)} fps`);
+  }
+  const codecs = [ingestKey.video_codec, ingestKey.audio_codec].filter(Boolean);
+  if (codecs.length > 0) {
+    parts.push(codecs.join("/").toLowerCase());
+  }
+  if (ingestKey.bitrate_kbps) {
+    parts.push(`${ingestKey.bitrate_kbps} kbps`);
+  }
+  return parts.join(" • ");
+}
+
+function renderIngestKeys(keys) {
+  const list = document.getElementById("ingestKeysList");
+
+  if (!keys || keys.length === 0) {
+    list.innerHTML =
+      '<p class="text-sm text-gray-500">No ingest keys yet, create one to push from OBS</p>';
+    return;
+  }
+
+  list.innerHTML = keys
+    .map((ingestKey) => {
+      const isRevoked = !!ingestKey.revoked_at;
+      const isConnected =
+        !isRevoked && ingestKey.ingest_status === "connected";
+      const status = isRevoked
+        ? '<span class="text-xs text-gray-500">Revoked</span>'
+        : isConnected
+        ? '<span class="flex items-center gap-1 text-xs text-green-400"><span class="w-2 h-2 rounded-full bg-green-400"></span>Connected</span>'
+        : '<span class="flex items-center gap-1 text-xs text-gray-400"><span class="w-2 h-2 rounded-full bg-gray-500"></span>Offline</span>';
+      const stats = isConnected ? formatIngestStats(ingestKey) : "";
+
+      return `
+        <div class="bg-gray-700/50 rounded-lg p-4 ${isRevoked ? "opacity-60" : ""}">
+          <div class="flex items-center justify-between gap-3">
+            <div class="min-w-0">
+              <p class="text-white font-medium truncate">${escapeHtml(ingestKey.key_name)}</p>
+              ${status}
+            </div>
+            ${
+              isRevoked
+                ? ""
+                : `<div class="flex gap-2 flex-shrink-0">
+                    <button
+                      onclick="copyIngestValue('${ingestKey.stream_key}', 'Stream key')"
+                      class="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 rounded text-sm transition-colors"
+                      title="Copy stream key"
+                    >
+                      <i class="ti ti-key"></i>
+                    </button>
+                    <button
+                      onclick="revokeIngestKey(${ingestKey.ingest_key_id})"
+                      class="px-3 py-1.5 bg-red-600/80 hover:bg-red-600 rounded text-sm transition-colors"
+                      title="Revoke key"
+                    >
+                      <i class="ti ti-ban"></i>
+                    </button>
+                  </div>`
+            }
+          </div>
+          ${
+            stats
+              ? `<p class="text-xs text-gray-400 mt-2">${escapeHtml(stats)}${
+                  ingestKey.client_ip
+                    ? ` • from ${escapeHtml(ingestKey.client_ip)}`
+                    : ""
+                }</p>`
+              : ""
+          }
+        </div>
+      `;
+    })
+    .join("");
+}
+
+async function copyIngestValue(value, label) {
+  try {
+    await navigator.clipboard.writeText(value);
+    showNotification(`${label} copied`, "success");
+  } catch (error) {
+    showNotification(`Could not copy the ${label.toLowerCase()}`, "error");
+  }
+}
+
+async function createIngestKey(event) {
+  event.preventDefault();
+
+  const nameInput = document.getElementById("newIngestKeyName");
+  const keyName = nameInput.value.trim();
+  if (!keyName) return;
+
+  try {
+    const response = await fetch("/api/ingest", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ key_name: keyName }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message || "Ingest key created", "success");
+      nameInput.value = "";
+      await loadIngestKeys();
+    } else {
+      showNotification(data.message || "Failed to create ingest key", "error");
+    }
+  } catch (error) {
+    console.error("Error creating ingest key:", error);
+    showNotification("Failed to create ingest key", "error");
+  }
+}
+
+// Revoking disconnects an encoder that is pushing with the key
+async function revokeIngestKey(ingestKeyId) {
+  if (
+    !confirm(
+      "Revoke this ingest key? Encoders using it are disconnected and can't push with it again."
+    )
+  )
+    return;
+
+  try {
+    const response = await fetch(`/api/ingest/${ingestKeyId}/revoke`, {
+      method: "POST",
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message || "Ingest key revoked", "success");
+      await loadIngestKeys();
+    } else {
+      showNotification(data.message || "Failed to revoke ingest key", "error");
+    }
+  } catch (error) {
+    console.error("Error revoking ingest key:", error);
+    showNotification("Failed to revoke ingest key", "error");
+  }
+}
+
+// Destinations shown in the edit modal
+let editDestinations = [];
+
+// Reload destination list of the edit modal
+async function loadEditDestinations(broadcastId) {
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/destinations`);
+    const data = await response.json();
+
+    if (data.success) {
+      editDestinations = data.destinations;
+      renderDestinationList(
+        document.getElementById("editDestinationsList"),
+        data.destinations,
+        true
+      );
+    }
+  } catch (error) {
+    console.error("Error loading destinations:", error);
+  }
+}
+
+// Add destination from the edit modal (connects immediately when live)
+async function addEditDestination() {
+  const broadcastId = document.getElementById("editBroadcastId").value;
+  const platformName = document.getElementById("editNewDestinationPlatform").value;
+  const destinationUrl = document.getElementById("editNewDestinationUrl").value.trim();
+  const streamKey = document.getElementById("editNewDestinationKey").value.trim();
+  const backupUrl = document.getElementById("editNewDestinationBackupUrl").value.trim();
+
+  if (!destinationUrl) {
+    showNotification("Destination URL is required", "error");
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/destinations`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ platformName, destinationUrl, streamKey, backupUrl }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message || "Destination added", "success");
+      document.getElementById("editNewDestinationUrl").value = "";
+      document.getElementById("editNewDestinationKey").value = "";
+      document.getElementById("editNewDestinationBackupUrl").value = "";
+      await loadEditDestinations(broadcastId);
+    } else {
+      showNotification(data.message || "Failed to add destination", "error");
+    }
+  } catch (error) {
+    console.error("Error adding destination:", error);
+    showNotification("Failed to add destination", "error");
+  }
+}
+
+// Remove destination from the edit modal (disconnects only that destination)
+async function removeEditDestination(destinationId) {
+  if (!confirm("Remove this destination?")) return;
+
+  const broadcastId = document.getElementById("editBroadcastId").value;
+
+  try {
+    const response = await fetch(
+      `/api/broadcast/${broadcastId}/destinations/${destinationId}`,
+      { method: "DELETE" }
+    );
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification("Destination removed", "success");
+      await loadEditDestinations(broadcastId);
+    } else {
+      showNotification(data.message || "Failed to remove destination", "error");
+    }
+  } catch (error) {
+    console.error("Error removing destination:", error);
+    showNotification("Failed to remove destination", "error");
+  }
+}
+
+// Set or clear the backup ingest of a destination (live relays keep running)
+async function editDestinationBackup(destinationId) {
+  const destination = editDestinations.find(
+    (d) => d.destination_id === destinationId
+  );
+  const backupUrl = prompt(
+    "Backup ingest URL (same stream key, leave empty to remove):",
+    destination && destination.backup_url ? destination.backup_url : ""
+  );
+  if (backupUrl === null) return;
+
+  const broadcastId = document.getElementById("editBroadcastId").value;
+
+  try {
+    const response = await fetch(
+      `/api/broadcast/${broadcastId}/destinations/${destinationId}`,
+      {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ backupUrl: backupUrl.trim() }),
+      }
+    );
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message || "Backup ingest saved", "success");
+      await loadEditDestinations(broadcastId);
+    } else {
+      showNotification(data.message || "Failed to save backup ingest", "error");
+    }
+  } catch (error) {
+    console.error("Error saving backup ingest:", error);
+    showNotification("Failed to save backup ingest", "error");
+  }
+}
+
+// ============================================
+// OVERLAYS (watermark, text, lower thirds)
+// ============================================
+
+const OVERLAY_POSITIONS = [
+  "top-left",
+  "top-center",
+  "top-right",
+  "center",
+  "bottom-left",
+  "bottom-center",
+  "bottom-right",
+];
+
+function addLowerThirdRow(lowerThird = {}) {
+  const container = document.getElementById("overlayLowerThirds");
+  if (!container) return;
+
+  const row = document.createElement("div");
+  row.className = "lower-third-row grid grid-cols-12 gap-2 items-center";
+  row.innerHTML = `
+    <input type="text" data-field="title" placeholder="Title" maxlength="120"
+      value="${escapeHtml(lowerThird.title || "")}"
+      class="col-span-3 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-sm" />
+    <input type="text" data-field="subtitle" placeholder="Subtitle" maxlength="120"
+      value="${escapeHtml(lowerThird.subtitle || "")}"
+      class="col-span-3 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-sm" />
+    <input type="number" data-field="start_seconds" min="0" title="Start (s)"
+      value="${lowerThird.start_seconds ?? 10}"
+      class="col-span-2 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-sm" />
+    <input type="number" data-field="duration_seconds" min="1" title="Duration (s)"
+      value="${lowerThird.duration_seconds ?? 10}"
+      class="col-span-2 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-sm" />
+    <input type="number" data-field="repeat_seconds" min="0" title="Repeat every (s)"
+      value="${lowerThird.repeat_seconds ?? 0}"
+      class="col-span-1 bg-gray-700 border border-gray-600 text-white px-2 py-1 rounded text-sm" />
+    <button type="button" onclick="this.parentElement.remove()"
+      class="col-span-1 text-red-400 hover:text-red-300" title="Remove">
+      <i class="ti ti-trash"></i>
+    </button>`;
+  container.appendChild(row);
+}
+
+function renderOverlayForm(overlays) {
+  document.querySelectorAll(".overlay-position").forEach((select) => {
+    select.innerHTML = OVERLAY_POSITIONS.map(
+      (position) => `<option value="${position}">${position}</option>`
+    ).join("");
+  });
+
+  const { watermark, text, lower_thirds: lowerThirds } = overlays;
+
+  document.getElementById("overlayWatermarkEnabled").checked =
+    watermark.enabled;
+  setOverlayWatermarkImage(watermark.image);
+  document.getElementById("overlayWatermarkPosition").value =
+    watermark.position;
+  document.getElementById("overlayWatermarkOpacity").value = watermark.opacity;
+  document.getElementById("overlayWatermarkSize").value = watermark.size;
+
+  document.getElementById("overlayTextEnabled").checked = text.enabled;
+  document.getElementById("overlayTextTemplate").value = text.template;
+  document.getElementById("overlayTextPosition").value = text.position;
+  document.getElementById("overlayTextFontSize").value = text.font_size;
+  // Color picker only understands hex values
+  document.getElementById("overlayTextColor").value = /^#[0-9a-fA-F]{6}$/.test(
+    text.color
+  )
+    ? text.color
+    : "#ffffff";
+
+  document.getElementById("overlayLowerThirds").innerHTML = "";
+  lowerThirds.forEach((lowerThird) => addLowerThirdRow(lowerThird));
+
+  const preview = document.getElementById("overlayPreviewImage");
+  preview.classList.add("hidden");
+  preview.removeAttribute("src");
+}
+
+function setOverlayWatermarkImage(image) {
+  document.getElementById("overlayWatermarkImage").value = image || "";
+  const thumb = document.getElementById("overlayWatermarkThumb");
+  if (image) {
+    thumb.src = `/storage/uploads/overlays/${encodeURIComponent(image)}`;
+    thumb.classList.remove("hidden");
+  } else {
+    thumb.classList.add("hidden");
+    thumb.removeAttribute("src");
+  }
+}
+
+function collectOverlays() {
+  const lowerThirds = Array.from(
+    document.querySelectorAll("#overlayLowerThirds .lower-third-row")
+  )
+    .map((row) => {
+      const value = (field) =>
+        row.querySelector(`[data-field="${field}"]`).value.trim();
+      return {
+        title: value("title"),
+        subtitle: value("subtitle"),
+        start_seconds: parseInt(value("start_seconds")) || 0,
+        duration_seconds: parseInt(value("duration_seconds")) || 10,
+        repeat_seconds: parseInt(value("repeat_seconds")) || 0,
+      };
+    })
+    .filter((lowerThird) => lowerThird.title || lowerThird.subtitle);
+
+  return {
+    watermark: {
+      enabled: document.getElementById("overlayWatermarkEnabled").checked,
+      image: document.getElementById("overlayWatermarkImage").value || null,
+      position: document.getElementById("overlayWatermarkPosition").value,
+      opacity: parseFloat(
+        document.getElementById("overlayWatermarkOpacity").value
+      ),
+      size: parseInt(document.getElementById("overlayWatermarkSize").value),
+    },
+    text: {
+      enabled: document.getElementById("overlayTextEnabled").checked,
+      template: document.getElementById("overlayTextTemplate").value,
+      position: document.getElementById("overlayTextPosition").value,
+      font_size: parseInt(document.getElementById("overlayTextFontSize").value),
+      color: document.getElementById("overlayTextColor").value,
+    },
+    lower_thirds: lowerThirds,
+  };
+}
+
+async function loadEditOverlays(broadcastId) {
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/overlays`);
+    const data = await response.json();
+
+    if (data.success) {
+      renderOverlayForm(data.overlays);
     }
+  } catch (error) {
+    console.error("Error loading overlays:", error);
+  }
+}
 
-    // Update video info
-    if (videoInfo) {
-      document.getElementById("streamVideoTitle").textContent = title;
-      document.getElementById("streamVideoResolution").textContent =
-        resolution || "N/A";
+async function uploadOverlayImage(input) {
+  const file = input.files[0];
+  if (!file) return;
 
-      const minutes = Math.floor(duration / 60);
-      const seconds = Math.floor(duration % 60);
-      document.getElementById(
-        "streamVideoDuration"
-      ).textContent = `${minutes}:${String(seconds).padStart(2, "0")}`;
+  const formData = new FormData();
+  formData.append("overlayImage", file);
 
-      videoInfo.classList.remove("hidden");
+  try {
+    const response = await fetch("/api/broadcast/overlays/images", {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      setOverlayWatermarkImage(data.image);
+      document.getElementById("overlayWatermarkEnabled").checked = true;
+      showNotification("Watermark uploaded, save overlays to apply", "success");
+    } else {
+      showNotification(data.message || "Failed to upload image", "error");
     }
+  } catch (error) {
+    console.error("Error uploading overlay image:", error);
+    showNotification("Failed to upload image", "error");
+  } finally {
+    input.value = "";
   }
 }
 
-// Platform selection
-function selectPlatform(button) {
-  const platform = button.getAttribute("data-platform");
-  const url = button.getAttribute("data-url");
+// Render a still frame with the current (unsaved) overlay settings
+async function previewOverlays() {
+  const broadcastId = document.getElementById("editBroadcastId").value;
 
-  // Update hidden input
-  document.getElementById("platformNameInput").value = platform;
+  try {
+    const response = await fetch(
+      `/api/broadcast/${broadcastId}/overlays/preview`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ overlays: collectOverlays() }),
+      }
+    );
 
-  // Update RTMP URL input (only if custom platform, allow manual input)
-  const urlInput = document.getElementById("destinationUrlInput");
-  if (platform !== "custom") {
-    urlInput.value = url;
-    urlInput.placeholder = url + "[your-stream-key]";
-  } else {
-    urlInput.value = "";
-    urlInput.placeholder = "Enter custom RTMP URL";
-  }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      showNotification(data.message || "Failed to render preview", "error");
+      return;
+    }
 
-  // Update button styles
-  document.querySelectorAll(".platform-btn").forEach((btn) => {
-    btn.classList.remove("border-blue-500");
-    btn.classList.add("border-gray-600");
-  });
-  button.classList.remove("border-gray-600");
-  button.classList.add("border-blue-500");
+    const preview = document.getElementById("overlayPreviewImage");
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    preview.src = URL.createObjectURL(await response.blob());
+    preview.classList.remove("hidden");
+  } catch (error) {
+    console.error("Error rendering overlay preview:", error);
+    showNotification("Failed to render preview", "error");
+  }
 }
 
-// Orientation selection
-function selectOrientation(orientation, button) {
-  // Update hidden input
-  document.querySelector('input[name="orientation"]').value = orientation;
+// Save overlays (applied on air right away when the broadcast is live)
+async function saveOverlays() {
+  const broadcastId = document.getElementById("editBroadcastId").value;
 
-  // Update button styles
-  const buttons = button.parentElement.querySelectorAll("button");
-  buttons.forEach((btn) => {
-    if (btn === button) {
-      btn.classList.remove("bg-gray-700", "hover:bg-gray-600");
-      btn.classList.add("bg-blue-600");
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/overlays`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ overlays: collectOverlays() }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      renderOverlayForm(data.overlays);
+      showNotification(data.message || "Overlays saved", "success");
     } else {
-      btn.classList.remove("bg-blue-600");
-      btn.classList.add("bg-gray-700", "hover:bg-gray-600");
+      showNotification(data.message || "Failed to save overlays", "error");
     }
-  });
+  } catch (error) {
+    console.error("Error saving overlays:", error);
+    showNotification("Failed to save overlays", "error");
+  }
 }
 
-// Toggle stream key visibility
-function toggleStreamKeyVisibility() {
-  const input = document.getElementById("streamKeyInput");
-  const icon = document.getElementById("toggleKeyIcon");
+function renderAudioForm(musicBed, music) {
+  document.getElementById("audioPlaylist").value = musicBed.playlist_id || "";
+  document.getElementById("audioMode").value = musicBed.mode;
+  document.getElementById("audioGain").value = musicBed.gain_db;
+  document.getElementById("audioCrossfade").value = musicBed.crossfade_seconds;
+
+  const nowPlaying = document.getElementById("audioNowPlaying");
+  const track = music && music.now_playing;
+  nowPlaying.classList.toggle("hidden", !track);
+  nowPlaying.querySelector("span").textContent = track
+    ? `On air: ${track.title}`
+    : "";
+}
 
-  if (input.type === "password") {
-    input.type = "text";
-    icon.classList.remove("ti-eye");
-    icon.classList.add("ti-eye-off");
-  } else {
-    input.type = "password";
-    icon.classList.remove("ti-eye-off");
-    icon.classList.add("ti-eye");
+async function loadEditAudio(broadcastId) {
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/audio`);
+    const data = await response.json();
+
+    if (data.success) {
+      renderAudioForm(data.musicBed, data.music);
+    }
+  } catch (error) {
+    console.error("Error loading audio settings:", error);
   }
 }
 
-// Update platform hints
-function updatePlatformHints(platform) {
-  const hint = document.getElementById("platform-hint");
-  const hints = {
-    YouTube: "Example: rtmp://a.rtmp.youtube.com/live2",
-    Facebook: "Example: rtmps://live-api-s.facebook.com:443/rtmp/",
-    Twitch: "Example: rtmp://live.twitch.tv/app/",
-    TikTok: "Example: rtmp://push.tiktok.com/rtmp/",
-    Instagram: "Example: rtmps://live-upload.instagram.com:443/rtmp/",
-    Custom: "Enter your custom RTMP server URL",
-  };
+// Save the music bed (a new playlist starts on air right away)
+async function saveAudio() {
+  const broadcastId = document.getElementById("editBroadcastId").value;
 
-  hint.textContent = hints[platform] || "Enter your RTMP server URL";
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/audio`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        musicBed: {
+          playlist_id: document.getElementById("audioPlaylist").value || null,
+          mode: document.getElementById("audioMode").value,
+          gain_db: document.getElementById("audioGain").value,
+          crossfade_seconds: document.getElementById("audioCrossfade").value,
+        },
+      }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      renderAudioForm(data.musicBed, null);
+      showNotification(data.message || "Audio saved", "success");
+    } else {
+      showNotification(data.message || "Failed to save audio", "error");
+    }
+  } catch (error) {
+    console.error("Error saving audio settings:", error);
+    showNotification("Failed to save audio", "error");
+  }
 }
 
 // Handle new stream form submission
@@ -840,20 +2019,43 @@ document
     // Check if Advanced Settings is enabled
     const useAdvancedSettings = data.useAdvancedSettings === "true";
 
-    // ALWAYS include Advanced Settings fields with defaults or user values
-    if (!data.bitrate) data.bitrate = "2500k";
-    if (!data.framerate) data.framerate = "60";
-    if (!data.resolution) data.resolution = "480p";
-    if (!data.orientation) data.orientation = "landscape";
-
     // Keep the tracking field for backend to know if user explicitly enabled Advanced Settings
     data.useAdvancedSettingsEnabled = useAdvancedSettings;
 
+    // Primary destination + additional destinations
+    data.destinations = collectDestinations(data);
+
+    // Reconnect policy fields are only sent with Advanced Settings open
+    if (data.retryMaxAttempts !== undefined) {
+      data.retryPolicy = {
+        maxAttempts: data.retryMaxAttempts,
+        baseDelaySeconds: data.retryBaseDelaySeconds,
+        maxDelaySeconds: data.retryMaxDelaySeconds,
+        jitterPercent: data.retryJitterPercent,
+        resetAfterStableMinutes: data.retryResetAfterStableMinutes,
+      };
+    }
+    RETRY_POLICY_FIELDS.forEach((field) => {
+      delete data[`retry${field}`];
+    });
+
+    // Watch page: empty access means no HLS rendition
+    data.hlsEnabled = !!data.hlsAccess;
+    if (!data.hlsEnabled) delete data.hlsAccess;
+
+    // Source URL only belongs to live sources
+    if (data.contentId !== "live") delete data.sourceUrl;
+    // Live switch only belongs to playlists
+    if (!String(data.contentId).startsWith("playlist-")) {
+      delete data.liveSwitch;
+      delete data.liveSwitchUrl;
+    }
+
     // Debug: Check what data is being sent
     console.log("[DEBUG] Form submission:", {
       useAdvancedSettings: useAdvancedSettings,
       dataToSend: data,
-      hasAdvancedFields: data.bitrate !== undefined,
+      encoderProfileId: data.encoderProfileId,
     });
 
     try {
@@ -986,6 +2188,15 @@ function formatSpeed(bytesPerSecond) {
 }
 
 // Update live timers
+// Reconnect policy inputs: retry<Field> (new stream), editRetry<Field> (edit)
+const RETRY_POLICY_FIELDS = [
+  "MaxAttempts",
+  "BaseDelaySeconds",
+  "MaxDelaySeconds",
+  "JitterPercent",
+  "ResetAfterStableMinutes",
+];
+
 function updateLiveTimers() {
   document.querySelectorAll(".timer").forEach((timer) => {
     const startTime = new Date(timer.dataset.start);
@@ -1000,6 +2211,17 @@ function updateLiveTimers() {
       minutes
     ).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
   });
+
+  // Countdown to the next reconnect attempt (next_retry_at is ISO UTC)
+  // of the encoder, or of a destination relay (data-label)
+  document.querySelectorAll(".retry-countdown").forEach((countdown) => {
+    const remaining = Math.ceil(
+      (new Date(countdown.dataset.retryAt) - Date.now()) / 1000
+    );
+    const label = countdown.dataset.label || "Next attempt";
+    countdown.textContent =
+      remaining > 0 ? `${label} in ${remaining}s` : "Reconnecting...";
+  });
 }
 
 // Update system stats
@@ -1149,6 +2371,16 @@ document.getElementById("newStreamModal")?.addEventListener("click", (e) => {
 });
 
 // Stream Info Modal Functions
+async function copyWatchUrl() {
+  const url = document.getElementById("infoWatchUrl").textContent;
+  try {
+    await navigator.clipboard.writeText(url);
+    showNotification("Watch link copied", "success");
+  } catch (error) {
+    showNotification("Could not copy the watch link", "error");
+  }
+}
+
 async function openStreamInfoModal(broadcastId) {
   try {
     const response = await fetch(`/api/broadcast/${broadcastId}`);
@@ -1181,8 +2413,48 @@ async function openStreamInfoModal(broadcastId) {
       document.getElementById("infoStreamKey").textContent =
         broadcast.stream_key || "N/A";
 
+      // Rung of the bitrate ladder the engine runs the broadcast at
+      document.getElementById("infoAdaptiveBitrate").textContent =
+        broadcast.adaptive_bitrate === "off"
+          ? "Off (fixed bitrate)"
+          : broadcast.abr_status || "Full quality";
+
+      // HLS watch page (path from the server, token included when private)
+      const watchPage = document.getElementById("infoWatchPage");
+      const watchLink = document.getElementById("infoWatchUrl");
+      if (data.watchUrl) {
+        watchLink.href = data.watchUrl;
+        watchLink.textContent = `${window.location.origin}${data.watchUrl}`;
+        watchPage.classList.remove("hidden");
+      } else {
+        watchPage.classList.add("hidden");
+      }
+
+      renderDestinationList(
+        document.getElementById("infoDestinationsList"),
+        data.destinations
+      );
+
+      renderNowPlaying(
+        document.getElementById("infoNowPlaying"),
+        data.nowPlaying
+      );
+
+      // Music bed track on air
+      const track = data.music && data.music.now_playing;
+      document.getElementById("infoMusic").classList.toggle("hidden", !track);
+      document.getElementById("infoMusicTitle").textContent = track
+        ? `${track.title || "Untitled"}${
+            data.music.mode === "replace" ? " (replaces the audio)" : ""
+          }`
+        : "";
+
       // Show modal
       document.getElementById("streamInfoModal").classList.remove("hidden");
+
+      infoMetricsBroadcastId = broadcastId;
+      loadStreamMetrics();
+      loadStreamEvents(broadcastId);
     } else {
       showNotification(data.error || "Failed to load stream info", "error");
     }
@@ -1194,6 +2466,181 @@ async function openStreamInfoModal(broadcastId) {
 
 function closeStreamInfoModal() {
   document.getElementById("streamInfoModal").classList.add("hidden");
+  infoMetricsBroadcastId = null;
+  destroyMetricsCharts();
+}
+
+// Changes the engine made on its own (bitrate steps, ...)
+async function loadStreamEvents(broadcastId) {
+  const container = document.getElementById("infoEventsList");
+  if (!container) return;
+
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/events?limit=20`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message);
+
+    if (data.events.length === 0) {
+      container.innerHTML = `<p class="text-sm text-gray-500">No events</p>`;
+      return;
+    }
+
+    container.innerHTML = data.events
+      .map(
+        (event) => `
+        <div class="bg-gray-900 rounded p-2">
+          <p class="text-xs text-gray-500">${escapeHtml(event.created_at)}</p>
+          <p class="text-sm text-white">${escapeHtml(event.message)}</p>
+        </div>
+      `
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading stream events:", error);
+    container.innerHTML = `<p class="text-sm text-gray-500">Events unavailable</p>`;
+  }
+}
+
+// Telemetry charts of the stream info modal
+let infoMetricsBroadcastId = null;
+const infoMetricsCharts = {};
+
+function destroyMetricsCharts() {
+  for (const key of Object.keys(infoMetricsCharts)) {
+    infoMetricsCharts[key].destroy();
+    delete infoMetricsCharts[key];
+  }
+}
+
+function renderMetricsChart(key, canvasId, labels, datasets) {
+  if (infoMetricsCharts[key]) {
+    infoMetricsCharts[key].destroy();
+  }
+
+  const scales = {
+    x: { ticks: { color: "#6b7280", maxTicksLimit: 6 }, grid: { display: false } },
+    y: { ticks: { color: "#6b7280" }, grid: { color: "#374151" }, beginAtZero: true },
+  };
+  // Datasets on another scale get a right-hand axis
+  if (datasets.some((dataset) => dataset.yAxisID === "y1")) {
+    scales.y1 = {
+      position: "right",
+      ticks: { color: "#6b7280" },
+      grid: { display: false },
+      beginAtZero: true,
+    };
+  }
+
+  infoMetricsCharts[key] = new Chart(document.getElementById(canvasId), {
+    type: "line",
+    data: { labels, datasets },
+    options: {
+      animation: false,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      elements: { point: { radius: 0 }, line: { borderWidth: 1.5 } },
+      plugins: {
+        legend: {
+          display: datasets.length > 1,
+          labels: { color: "#9ca3af", boxWidth: 10 },
+        },
+      },
+      scales,
+    },
+  });
+}
+
+async function loadStreamMetrics() {
+  const broadcastId = infoMetricsBroadcastId;
+  const summary = document.getElementById("infoMetricsSummary");
+  if (!broadcastId || !summary) return;
+
+  if (typeof Chart === "undefined") {
+    summary.textContent = "Charts unavailable (Chart.js could not be loaded)";
+    return;
+  }
+
+  const hours = parseInt(document.getElementById("infoMetricsRange").value);
+  const to = new Date();
+  const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+  try {
+    const response = await fetch(
+      `/api/broadcast/${broadcastId}/metrics?from=${encodeURIComponent(
+        from.toISOString()
+      )}&to=${encodeURIComponent(to.toISOString())}`
+    );
+    const data = await response.json();
+
+    // Closed or switched to another broadcast meanwhile
+    if (broadcastId !== infoMetricsBroadcastId) return;
+
+    if (!data.success) {
+      summary.textContent = data.message || "Failed to load telemetry";
+      return;
+    }
+
+    const samples = data.samples;
+    if (samples.length === 0) {
+      destroyMetricsCharts();
+      summary.textContent = "No telemetry recorded in this period";
+      return;
+    }
+
+    const labels = samples.map((sample) =>
+      hours > 24 ? sample.sampled_at.slice(5, 16) : sample.sampled_at.slice(11, 16)
+    );
+    const total = (field) =>
+      samples.reduce((sum, sample) => sum + (sample[field] || 0), 0);
+    const bitrates = samples
+      .map((sample) => sample.bitrate_kbps)
+      .filter((value) => value !== null);
+    const averageBitrate = bitrates.length
+      ? Math.round(bitrates.reduce((sum, value) => sum + value, 0) / bitrates.length)
+      : 0;
+
+    summary.textContent = `Average ${averageBitrate} kbps, ${total(
+      "dropped_frames"
+    )} dropped and ${total("duplicated_frames")} duplicated frames${
+      data.bucketSeconds > 1 ? ` (${data.bucketSeconds}s averages)` : ""
+    }`;
+
+    renderMetricsChart("bitrate", "infoMetricsBitrate", labels, [
+      {
+        label: "kbps",
+        data: samples.map((sample) => sample.bitrate_kbps),
+        borderColor: "#3b82f6",
+      },
+    ]);
+    renderMetricsChart("fps", "infoMetricsFps", labels, [
+      {
+        label: "FPS",
+        data: samples.map((sample) => sample.fps),
+        borderColor: "#10b981",
+      },
+      {
+        label: "Speed (x)",
+        data: samples.map((sample) => sample.speed),
+        borderColor: "#f59e0b",
+        yAxisID: "y1",
+      },
+    ]);
+    renderMetricsChart("frames", "infoMetricsFrames", labels, [
+      {
+        label: "Dropped",
+        data: samples.map((sample) => sample.dropped_frames),
+        borderColor: "#ef4444",
+      },
+      {
+        label: "Duplicated",
+        data: samples.map((sample) => sample.duplicated_frames),
+        borderColor: "#a855f7",
+      },
+    ]);
+  } catch (error) {
+    console.error("Error loading stream telemetry:", error);
+    summary.textContent = "Failed to load telemetry";
+  }
 }
 
 // Edit Stream Modal Functions
@@ -1214,17 +2661,129 @@ async function openEditStreamModal(broadcastId) {
       document.getElementById("editStreamKey").value =
         broadcast.stream_key || "";
 
+      // Current content ("playlist-123", "content-456", "ingest-789" or "live")
+      const contentSelect = document.getElementById("editContentId");
+      if (contentSelect) {
+        const currentContent =
+          broadcast.content_type === "live"
+            ? "live"
+            : `${
+                ["playlist", "ingest"].includes(broadcast.content_type)
+                  ? broadcast.content_type
+                  : "content"
+              }-${broadcast.content_id}`;
+        contentSelect.value = currentContent;
+        // Dashboard only lists recent videos, keep older content selectable
+        if (contentSelect.value !== currentContent) {
+          contentSelect.add(new Option("Current content", currentContent), 0);
+          contentSelect.value = currentContent;
+        }
+        contentSelect.dataset.original = currentContent;
+      }
+      const sourceUrlInput = document.getElementById("editSourceUrl");
+      if (sourceUrlInput) {
+        sourceUrlInput.value = broadcast.source_url || "";
+        sourceUrlInput.dataset.original = broadcast.source_url || "";
+      }
+
+      // Live switch of a playlist ("ingest-123", "live" or off)
+      const liveSwitchSelect = document.getElementById("editLiveSwitch");
+      const liveSwitchUrlInput = document.getElementById("editLiveSwitchUrl");
+      if (liveSwitchSelect && liveSwitchUrlInput) {
+        const currentSwitch = broadcast.switch_ingest_key_id
+          ? `ingest-${broadcast.switch_ingest_key_id}`
+          : broadcast.switch_source_url
+          ? "live"
+          : "";
+        liveSwitchSelect.value = currentSwitch;
+        // A revoked key is no longer listed
+        if (liveSwitchSelect.value !== currentSwitch) {
+          liveSwitchSelect.value = "";
+        }
+        liveSwitchSelect.dataset.original = currentSwitch;
+        toggleLiveSwitchUrl("editLiveSwitch", "editLiveSwitchUrl");
+        liveSwitchUrlInput.value = broadcast.switch_source_url || "";
+        liveSwitchUrlInput.dataset.original = broadcast.switch_source_url || "";
+      }
+      toggleEditSourceUrl();
+
       // Detect and highlight current platform
       const destinationUrl = broadcast.destination_url || "";
       detectEditPlatform(destinationUrl);
 
+      // Destination list + add destination form
+      renderDestinationList(
+        document.getElementById("editDestinationsList"),
+        data.destinations,
+        true
+      );
+      const newDestinationPlatform = document.getElementById(
+        "editNewDestinationPlatform"
+      );
+      if (newDestinationPlatform) {
+        newDestinationPlatform.innerHTML = buildPlatformOptions();
+      }
+
+      // Encoder profile (broadcasts created before profiles have none)
+      const profileSelect = document.getElementById("editEncoderProfile");
+      if (profileSelect) {
+        loadEncoderProfiles().then(() => {
+          renderEncoderProfileOptions(profileSelect, broadcast.encoder_profile_id);
+          if (!broadcast.encoder_profile_id) {
+            profileSelect.add(new Option("Legacy settings", ""), 0);
+            profileSelect.value = "";
+          }
+          profileSelect.dataset.original = profileSelect.value;
+        });
+      }
+
+      const autoResumeToggle = document.getElementById("editAutoResume");
+      if (autoResumeToggle) {
+        autoResumeToggle.checked = !!broadcast.auto_resume;
+      }
+
+      const adaptiveSelect = document.getElementById("editAdaptiveBitrate");
+      if (adaptiveSelect) {
+        adaptiveSelect.value = broadcast.adaptive_bitrate || "bitrate";
+      }
+
+      // Reconnect policy (defaults filled in by the server)
+      if (data.retryPolicy) {
+        RETRY_POLICY_FIELDS.forEach((field) => {
+          const input = document.getElementById(`editRetry${field}`);
+          const key = field.charAt(0).toLowerCase() + field.slice(1);
+          if (input) input.value = data.retryPolicy[key];
+        });
+      }
+
+      const hlsSelect = document.getElementById("editHlsAccess");
+      if (hlsSelect) {
+        hlsSelect.value = broadcast.hls_enabled
+          ? broadcast.hls_access || "public"
+          : "";
+        document.getElementById("editHlsRenewToken").checked = false;
+      }
+
+      // Overlays are stored separately and can be edited while live
+      if (document.getElementById("editOverlaysSection")) {
+        loadEditOverlays(broadcast.broadcast_id);
+      }
+      if (document.getElementById("editAudioSection")) {
+        loadEditAudio(broadcast.broadcast_id);
+      }
+
       // Populate preview info
       document.getElementById("editBroadcastIdDisplay").textContent =
         broadcast.broadcast_id;
 
       // Content type
+      const contentTypeLabels = {
+        playlist: "Playlist",
+        live: "Live Source",
+        ingest: "RTMP Ingest",
+      };
       const contentType =
-        broadcast.content_type === "playlist" ? "Playlist" : "Single Video";
+        contentTypeLabels[broadcast.content_type] || "Single Video";
       document.getElementById("editContentType").textContent = contentType;
 
       // Status with color
@@ -1325,55 +2884,37 @@ async function openEditStreamModal(broadcastId) {
       const advancedSettingsPreview = document.getElementById(
         "editAdvancedSettingsPreview"
       );
-      if (advancedSettingsPreview) {
-        // Check if there's any advanced settings
-        const hasAdvancedSettings = broadcast.advanced_settings;
-
-        if (hasAdvancedSettings) {
-          advancedSettingsPreview.style.display = "block";
-          document.getElementById("editPreviewBitrate").textContent =
-            broadcast.bitrate || "Default (2500k)";
-          document.getElementById("editPreviewFrameRate").textContent =
-            broadcast.frame_rate
-              ? `${broadcast.frame_rate} FPS`
-              : "Default (30 FPS)";
-          document.getElementById("editPreviewResolution").textContent =
-            broadcast.resolution || "Auto-detect";
-          document.getElementById("editPreviewOrientation").textContent =
-            broadcast.orientation
-              ? broadcast.orientation.charAt(0).toUpperCase() +
-                broadcast.orientation.slice(1)
-              : "Landscape";
-          // Update title to "Advanced Settings"
-          const settingsTitle = document.getElementById(
-            "editAdvancedSettingsTitle"
-          );
-          if (settingsTitle)
-            settingsTitle.textContent = "Advanced Settings (Read-only)";
-        } else {
-          advancedSettingsPreview.style.display = "block"; // Show but with different content
-          // Update title to indicate original settings
-          const settingsTitle = document.getElementById(
-            "editAdvancedSettingsTitle"
-          );
-          if (settingsTitle)
-            settingsTitle.textContent = "Original Video Resolution (Read-only)";
-          document.getElementById("editPreviewBitrate").textContent =
-            broadcast.bitrate || "Default (2500k)";
-          document.getElementById("editPreviewFrameRate").textContent =
-            broadcast.frame_rate
-              ? `${broadcast.frame_rate} FPS`
-              : "Default (30 FPS)";
-          document.getElementById("editPreviewResolution").textContent =
-            broadcast.resolution || "Auto-detect";
-          document.getElementById("editPreviewOrientation").textContent =
-            broadcast.orientation
-              ? broadcast.orientation.charAt(0).toUpperCase() +
-                broadcast.orientation.slice(1)
-              : "Landscape";
-          document.getElementById("editPreviewOrientation").textContent =
-            "Landscape";
-        }
+      if (advancedSettingsPreview && data.encoder) {
+        // Encoder settings the broadcast starts with
+        const encoder = data.encoder;
+        advancedSettingsPreview.style.display = "block";
+        document.getElementById("editPreviewProfile").textContent =
+          encoder.profile_name;
+        document.getElementById("editPreviewBitrate").textContent = `${
+          encoder.video_bitrate
+        } ${encoder.rate_control.toUpperCase()}`;
+        document.getElementById("editPreviewFrameRate").textContent =
+          `${encoder.frame_rate} FPS`;
+        document.getElementById("editPreviewResolution").textContent =
+          encoder.resolution === "auto" ? "Auto-detect" : encoder.resolution;
+        document.getElementById("editPreviewOrientation").textContent =
+          encoder.orientation.charAt(0).toUpperCase() +
+          encoder.orientation.slice(1);
+        // Passthrough or transcode, decided by the engine at the last start
+        const encodeModeLabels = {
+          passthrough: "Passthrough (stream copy)",
+          transcode: "Transcode",
+        };
+        document.getElementById("editPreviewEncodeMode").textContent =
+          encodeModeLabels[broadcast.encode_mode] ||
+          "Decided when the broadcast starts";
+        document.getElementById("editPreviewEncodeReason").textContent =
+          broadcast.encode_mode_reason || "";
+        const settingsTitle = document.getElementById(
+          "editAdvancedSettingsTitle"
+        );
+        if (settingsTitle)
+          settingsTitle.textContent = "Encoder Settings (Read-only)";
       }
 
       // Video info and preview
@@ -1515,6 +3056,25 @@ function toggleEditStreamKeyVisibility() {
   }
 }
 
+/**
+ * Show the source URL input while "Live source" is picked as content, and
+ * the live switch while a playlist is
+ */
+function toggleEditSourceUrl() {
+  const contentSelect = document.getElementById("editContentId");
+  const field = document.getElementById("editSourceUrlField");
+  if (!contentSelect || !field) return;
+  field.classList.toggle("hidden", contentSelect.value !== "live");
+
+  const liveSwitchField = document.getElementById("editLiveSwitchField");
+  if (liveSwitchField) {
+    liveSwitchField.classList.toggle(
+      "hidden",
+      !contentSelect.value.startsWith("playlist-")
+    );
+  }
+}
+
 // Update Stream Function
 async function updateStream(event) {
   event.preventDefault();
@@ -1526,6 +3086,83 @@ async function updateStream(event) {
     stream_key: document.getElementById("editStreamKey").value,
   };
 
+  // Only send content when it changed (a live broadcast switches to it)
+  const contentSelect = document.getElementById("editContentId");
+  const sourceUrlInput = document.getElementById("editSourceUrl");
+  if (contentSelect && contentSelect.value === "live") {
+    // A new source URL switches the live source too
+    if (
+      contentSelect.value !== contentSelect.dataset.original ||
+      sourceUrlInput.value.trim() !== sourceUrlInput.dataset.original
+    ) {
+      formData.content_id = "live";
+      formData.source_url = sourceUrlInput.value.trim();
+    }
+  } else if (
+    contentSelect &&
+    contentSelect.value &&
+    contentSelect.value !== contentSelect.dataset.original
+  ) {
+    formData.content_id = contentSelect.value;
+  }
+
+  // Live switch only when it changed (turned off when the content is no
+  // longer a playlist)
+  const liveSwitchSelect = document.getElementById("editLiveSwitch");
+  const liveSwitchUrlInput = document.getElementById("editLiveSwitchUrl");
+  if (liveSwitchSelect && liveSwitchUrlInput && contentSelect) {
+    const liveSwitch = contentSelect.value.startsWith("playlist-")
+      ? liveSwitchSelect.value
+      : "";
+    const liveSwitchUrl =
+      liveSwitch === "live" ? liveSwitchUrlInput.value.trim() : "";
+    if (
+      liveSwitch !== liveSwitchSelect.dataset.original ||
+      (liveSwitch === "live" &&
+        liveSwitchUrl !== liveSwitchUrlInput.dataset.original)
+    ) {
+      formData.live_switch = liveSwitch;
+      formData.live_switch_url = liveSwitchUrl;
+    }
+  }
+
+  const profileSelect = document.getElementById("editEncoderProfile");
+  if (
+    profileSelect &&
+    profileSelect.value &&
+    profileSelect.value !== profileSelect.dataset.original
+  ) {
+    formData.encoder_profile_id = profileSelect.value;
+  }
+
+  const autoResumeToggle = document.getElementById("editAutoResume");
+  if (autoResumeToggle) {
+    formData.auto_resume = autoResumeToggle.checked;
+  }
+
+  const adaptiveSelect = document.getElementById("editAdaptiveBitrate");
+  if (adaptiveSelect) {
+    formData.adaptive_bitrate = adaptiveSelect.value;
+  }
+
+  if (document.getElementById("editRetryMaxAttempts")) {
+    formData.retry_policy = {};
+    RETRY_POLICY_FIELDS.forEach((field) => {
+      const key = field.charAt(0).toLowerCase() + field.slice(1);
+      formData.retry_policy[key] = document.getElementById(
+        `editRetry${field}`
+      ).value;
+    });
+  }
+
+  const hlsSelect = document.getElementById("editHlsAccess");
+  if (hlsSelect) {
+    formData.hls_enabled = !!hlsSelect.value;
+    formData.hls_access = hlsSelect.value || "public";
+    formData.hls_renew_token =
+      document.getElementById("editHlsRenewToken").checked;
+  }
+
   console.log("Updating stream:", broadcastId, formData);
 
   try {
@@ -1542,7 +3179,7 @@ async function updateStream(event) {
     console.log("Response data:", data);
 
     if (data.success) {
-      showNotification("Stream updated successfully", "success");
+      showNotification(data.message || "Stream updated successfully", "success");
       closeEditStreamModal();
       setTimeout(() => {
         window.location.reload();
@@ -132,6 +132,19 @@ async function viewBroadcastDetails(broadcastId) {
                 <p class="text-red-300 bg-red-900 bg-opacity-20 p-2 rounded">${broadcast.error_message}</p>
               </div>
             ` : ''}
+
+            ${broadcast.content_type === 'playlist' ? `
+              <div>
+                <div class="flex justify-between items-center mb-2">
+                  <label class="text-sm text-gray-400">As-Run Log</label>
+                  <a href="/api/broadcast/asrun/export?broadcastId=${broadcast.broadcast_id}"
+                    class="text-sm text-blue-400 hover:text-blue-300 flex items-center gap-1">
+                    <i class="ti ti-download"></i> CSV
+                  </a>
+                </div>
+                <div id="asRunLog" class="text-sm text-gray-400">Loading...</div>
+              </div>
+            ` : ''}
           </div>
 
           <div class="flex justify-end gap-3 mt-6">
@@ -144,6 +157,10 @@ async function viewBroadcastDetails(broadcastId) {
       `;
 
       document.body.appendChild(modal);
+
+      if (broadcast.content_type === 'playlist') {
+        loadAsRunLog(broadcast.broadcast_id, modal.querySelector('#asRunLog'));
+      }
     } else {
       showNotification(data.message || 'Failed to load broadcast details', 'error');
     }
@@ -153,6 +170,67 @@ async function viewBroadcastDetails(broadcastId) {
   }
 }
 
+// Load as-run log (items actually aired) into the details modal
+async function loadAsRunLog(broadcastId, container) {
+  try {
+    const response = await fetch(`/api/broadcast/${broadcastId}/asrun`);
+    const data = await response.json();
+
+    if (!data.success) {
+      container.textContent = data.message || 'Failed to load as-run log';
+      return;
+    }
+
+    if (data.entries.length === 0) {
+      container.textContent = 'No items aired yet';
+      return;
+    }
+
+    const escapeHtml = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text === null || text === undefined ? '' : String(text);
+      return div.innerHTML;
+    };
+
+    container.innerHTML = `
+      <div class="max-h-64 overflow-y-auto bg-gray-900 rounded">
+        <table class="w-full text-xs">
+          <thead class="text-gray-400 border-b border-gray-700">
+            <tr>
+              <th class="px-2 py-2 text-left">#</th>
+              <th class="px-2 py-2 text-left">Title</th>
+              <th class="px-2 py-2 text-left">Start</th>
+              <th class="px-2 py-2 text-left">End</th>
+              <th class="px-2 py-2 text-left">Status</th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-800 text-gray-300">
+            ${data.entries.map(entry => `
+              <tr>
+                <td class="px-2 py-1">${entry.position || '-'}</td>
+                <td class="px-2 py-1 text-white">${escapeHtml(entry.content_title || 'Untitled')}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(entry.started_at)}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(entry.ended_at || '-')}</td>
+                <td class="px-2 py-1 capitalize">${escapeHtml(entry.end_status.replace('_', ' '))}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error fetching as-run log:', error);
+    container.textContent = 'Failed to load as-run log';
+  }
+}
+
+// Export as-run log of all broadcasts to CSV (respects the date filter)
+function exportAsRunLog() {
+  const dateFilter = document.getElementById('filterDate').value;
+  const query = dateFilter ? `?from=${dateFilter}&to=${dateFilter}` : '';
+  window.location.href = `/api/broadcast/asrun/export${query}`;
+}
+
 // Delete broadcast
 async function deleteBroadcast(broadcastId) {
   if (!confirm('Are you sure you want to delete this broadcast from history?')) {
@@ -1,21 +1,275 @@
 const express = require("express");
 const path = require("path");
+const fs = require("fs-extra");
 const router = express.Router();
 
 const Broadcast = require("../../models/Broadcast");
 const Content = require("../../models/Content");
 const Playlist = require("../../models/Playlist");
+const BroadcastDestination = require("../../models/BroadcastDestination");
+const BroadcastAsRun = require("../../models/BroadcastAsRun");
+const BroadcastMetric = require("../../models/BroadcastMetric");
+const BroadcastEvent = require("../../models/BroadcastEvent");
+const EncoderProfile = require("../../models/EncoderProfile");
+const IngestKey = require("../../models/IngestKey");
 const { requireAuth } = require("../../middleware/authGuard");
 const {
   startLiveBroadcast,
-  startPlaylistBroadcast,
+  getBroadcastNowPlaying,
+  skipToNextItem,
+  skipToPreviousItem,
+  jumpToItem,
+  holdOnSlate,
+  resumeFromSlate,
   stopLiveBroadcast,
-} = require("../../services/broadcastEngine");
+  isBroadcastActive,
+  isBroadcastRunning,
+  addBroadcastDestination,
+  removeBroadcastDestination,
+  updateDestinationBackup,
+  requestOutputPreview,
+  swapBroadcastSource,
+  updateBroadcastOverlays,
+  updateBroadcastMusicBed,
+  getBroadcastMusic,
+  getBroadcastOutputSize,
+} = require("../../services/broadcastControl");
+const {
+  PLAYLIST_NAME: PREVIEW_PLAYLIST_NAME,
+  THUMBNAIL_NAME,
+  getPreviewDirectory,
+} = require("../../services/outputPreview");
+const { resolveIngestSourceUrl } = require("../../services/ingestServer");
+const {
+  normalizeOverlays,
+  renderOverlayPreview,
+} = require("../../services/overlayCompositor");
+const { normalizeMusicBed } = require("../../services/musicBed");
+const {
+  overlayImageUploader,
+  handleUploadError,
+} = require("../../middleware/fileUpload");
 const {
   broadcastWithAutoReconnect,
-} = require("../../services/broadcastEngine");
-const { logInfo, logError } = require("../../services/activityLogger");
+} = require("../../services/broadcastControl");
+const {
+  logInfo,
+  logWarning,
+  logError,
+} = require("../../services/activityLogger");
+const {
+  checkProfileFits,
+  admitBroadcast,
+  releaseBroadcast,
+} = require("../../services/admissionController");
 const { executeQuery } = require("../../core/database");
+const {
+  FIT_MODES,
+  resolveFitMode,
+  getPresetSize,
+  buildFitFilter,
+} = require("../../utils/outputGeometry");
+const { resolveContentVideoPath } = require("../../utils/contentPath");
+const { parseTimestampToDate, formatForDb } = require("../../utils/datetime");
+const { ADAPTIVE_MODES } = require("../../services/adaptiveBitrate");
+const {
+  validateRetryPolicy,
+  validateFailoverPolicy,
+  normalizeRetryPolicy,
+} = require("../../utils/retryPolicy");
+const {
+  validateDestinationUrl,
+  validateSourceUrl,
+} = require("../../utils/streamUrl");
+
+/**
+ * Read destination list from request body
+ * Accepts a "destinations" array or the legacy single destination fields
+ */
+function parseDestinations(body) {
+  let destinations = body.destinations;
+
+  if (typeof destinations === "string") {
+    try {
+      destinations = JSON.parse(destinations);
+    } catch (error) {
+      destinations = null;
+    }
+  }
+
+  if (!Array.isArray(destinations) || destinations.length === 0) {
+    destinations = body.destinationUrl
+      ? [
+          {
+            platformName: body.platformName,
+            destinationUrl: body.destinationUrl,
+            streamKey: body.streamKey,
+            backupUrl: body.backupUrl,
+          },
+        ]
+      : [];
+  }
+
+  return destinations
+    .map((destination) => ({
+      platformName: destination.platformName || "custom",
+      destinationUrl: (destination.destinationUrl || "").trim(),
+      streamKey: destination.streamKey
+        ? String(destination.streamKey).trim()
+        : null,
+      // Backup ingest of the same platform, used with the same stream key
+      backupUrl: destination.backupUrl
+        ? String(destination.backupUrl).trim() || null
+        : null,
+    }))
+    .filter((destination) => destination.destinationUrl !== "");
+}
+
+/**
+ * Check the URLs of parsed destinations (RTMP, RTMPS or SRT)
+ * @returns {string|null} - Error message of the first bad URL
+ */
+function validateDestinations(destinations) {
+  for (const destination of destinations) {
+    const error =
+      validateDestinationUrl(destination.destinationUrl) ||
+      (destination.backupUrl &&
+        validateDestinationUrl(destination.backupUrl, "Backup URL"));
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Live switch of a playlist broadcast from its form value
+ * @param {string} value - "ingest-123", "live" (with sourceUrl) or empty for none
+ * @param {string} sourceUrl - URL pulled when value is "live"
+ * @param {object} session - Request session (ingest key ownership)
+ * @returns {Promise<{liveSwitch: object|null, error: string|null}>}
+ */
+async function parseLiveSwitch(value, sourceUrl, session) {
+  if (!value) {
+    return { liveSwitch: null, error: null };
+  }
+
+  if (value === "live") {
+    const error = validateSourceUrl(sourceUrl);
+    return error
+      ? { liveSwitch: null, error }
+      : { liveSwitch: { sourceUrl: sourceUrl.trim() }, error: null };
+  }
+
+  if (String(value).startsWith("ingest-")) {
+    const ingestKey = await IngestKey.findById(
+      parseInt(String(value).replace("ingest-", ""))
+    );
+    if (
+      !IngestKey.canUse(ingestKey, session.accountId, session.accountRole) ||
+      ingestKey.revoked_at
+    ) {
+      return { liveSwitch: null, error: "Ingest key not found" };
+    }
+    return {
+      liveSwitch: { ingestKeyId: ingestKey.ingest_key_id },
+      error: null,
+    };
+  }
+
+  return { liveSwitch: null, error: "Unknown live switch source" };
+}
+
+/**
+ * Path of the public watch page of a broadcast (with its token when needed)
+ * @returns {string|null} - null when the broadcast doesn't publish HLS
+ */
+function getWatchPath(broadcast) {
+  if (!broadcast.hls_enabled) return null;
+
+  const watchPath = `/watch/${broadcast.broadcast_uuid}`;
+  return broadcast.hls_access === "token" && broadcast.hls_token
+    ? `${watchPath}?token=${broadcast.hls_token}`
+    : watchPath;
+}
+
+/**
+ * First video of a broadcast's content (used for still previews)
+ * @returns {Promise<{videoPath: string, durationSeconds: number}|null>}
+ */
+async function resolvePreviewVideo(broadcast) {
+  // Live sources and ingests have no file to grab a frame from
+  if (broadcast.content_type === "live" || broadcast.content_type === "ingest") {
+    return null;
+  }
+
+  let content;
+  if (broadcast.content_type === "playlist") {
+    const videos = await Playlist.getProgramItems(broadcast.content_id);
+    content = videos && videos[0];
+  } else {
+    content = await Content.findById(broadcast.content_id);
+  }
+
+  if (!content || !content.filepath) return null;
+  return {
+    videoPath: resolveContentVideoPath(content),
+    durationSeconds: content.duration_seconds || 0,
+  };
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Run a playout control on a live playlist broadcast owned by the user
+ * Engine errors (not live, not a playlist, bad position) answer 400
+ */
+async function runPlayoutControl(req, res, actionName, action) {
+  try {
+    const broadcastId = parseInt(req.params.broadcastId);
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    let result;
+    try {
+      result = await action(broadcastId);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await logInfo(`Playout control: ${actionName}`, {
+      broadcastId,
+      username: req.session.username,
+    });
+
+    res.json({ ...result, success: true });
+  } catch (error) {
+    console.error("Playout control error:", error);
+    await logError("Failed to run playout control", {
+      action: actionName,
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
 
 // ============================================
 // CREATE BROADCAST
@@ -25,9 +279,6 @@ router.post("/start", requireAuth, async (req, res) => {
   try {
     const {
       contentId,
-      platformName,
-      destinationUrl,
-      streamKey,
       scheduledTime,
       broadcastName,
       loopVideo,
@@ -36,37 +287,106 @@ router.post("/start", requireAuth, async (req, res) => {
       framerate,
       resolution,
       orientation,
+      fitMode,
+      encoderProfileId,
+      autoResume,
+      adaptiveBitrate,
+      retryPolicy,
+      hlsEnabled,
+      hlsAccess,
+      sourceUrl,
+      liveSwitch: liveSwitchValue,
+      liveSwitchUrl,
     } = req.body;
 
+    const destinations = parseDestinations(req.body);
+
     // Debug log - check what's received
     console.log("Broadcast start request:", {
       contentId,
-      platformName,
-      destinationUrl,
+      destinations: destinations.map((d) => d.platformName),
       broadcastName,
       scheduledTime,
       loopVideo,
       duration,
     });
 
-    // Validate required fields - only contentId and destinationUrl are truly required now
-    if (!contentId || !destinationUrl) {
-      console.error("Validation failed:", { contentId, destinationUrl });
+    // Validate required fields - contentId and at least one destination
+    if (!contentId || destinations.length === 0) {
+      console.error("Validation failed:", {
+        contentId,
+        destinations: destinations.length,
+      });
       return res.status(400).json({
         success: false,
         message:
-          "Missing required fields (contentId and destinationUrl are required)",
+          "Missing required fields (contentId and at least one destination URL are required)",
       });
     }
 
-    // Check if contentId is a playlist or content
-    // contentId format: "playlist-123" or "content-456"
+    // Bad URLs fail here instead of after every reconnect attempt
+    const destinationError = validateDestinations(destinations);
+    if (destinationError) {
+      return res
+        .status(400)
+        .json({ success: false, message: destinationError });
+    }
+
+    if (retryPolicy) {
+      const policyError = validateRetryPolicy(retryPolicy);
+      if (policyError) {
+        return res.status(400).json({ success: false, message: policyError });
+      }
+    }
+    if (destinations.some((destination) => destination.backupUrl)) {
+      const failoverError = validateFailoverPolicy(retryPolicy);
+      if (failoverError) {
+        return res
+          .status(400)
+          .json({ success: false, message: failoverError });
+      }
+    }
+
+    // First destination is the primary one (kept on the broadcast row)
+    const primaryDestination = destinations[0];
+
+    // Check if contentId is a playlist, content, an ingest or a live source
+    // contentId format: "playlist-123", "content-456", "ingest-789" or "live"
+    // (with sourceUrl)
     let content = null;
     let playlist = null;
+    let ingestKey = null;
     let contentType = "content";
     let contentName = "Untitled Broadcast";
 
-    if (contentId.startsWith("playlist-")) {
+    if (contentId === "live") {
+      // Live source pulled from a URL
+      const sourceError = validateSourceUrl(sourceUrl);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
+      contentType = "live";
+      contentName = "Live source";
+    } else if (contentId.startsWith("ingest-")) {
+      // Stream pushed to the built-in RTMP ingest
+      ingestKey = await IngestKey.findById(
+        parseInt(contentId.replace("ingest-", ""))
+      );
+      if (
+        !IngestKey.canUse(
+          ingestKey,
+          req.session.accountId,
+          req.session.accountRole
+        ) ||
+        ingestKey.revoked_at
+      ) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Ingest key not found" });
+      }
+      contentType = "ingest";
+      contentName = ingestKey.key_name;
+    } else if (contentId.startsWith("playlist-")) {
       // It's a playlist
       const playlistId = parseInt(contentId.replace("playlist-", ""));
       playlist = await Playlist.findById(playlistId);
@@ -86,6 +406,12 @@ router.post("/start", requireAuth, async (req, res) => {
           .status(404)
           .json({ success: false, message: "Content not found" });
       }
+      if (Content.isAudio(content)) {
+        return res.status(400).json({
+          success: false,
+          message: "Audio files can only be used as the music of a stream",
+        });
+      }
       contentName = content.title;
     } else {
       // Legacy format - assume it's content ID
@@ -95,19 +421,83 @@ router.post("/start", requireAuth, async (req, res) => {
           .status(404)
           .json({ success: false, message: "Content not found" });
       }
+      if (Content.isAudio(content)) {
+        return res.status(400).json({
+          success: false,
+          message: "Audio files can only be used as the music of a stream",
+        });
+      }
       contentName = content.title;
     }
 
+    // Playlists can fall back from a live source they switch to
+    const { liveSwitch, error: liveSwitchError } = await parseLiveSwitch(
+      liveSwitchValue,
+      liveSwitchUrl,
+      req.session
+    );
+    if (liveSwitchError) {
+      return res
+        .status(400)
+        .json({ success: false, message: liveSwitchError });
+    }
+    if (liveSwitch && contentType !== "playlist") {
+      return res.status(400).json({
+        success: false,
+        message: "Only playlist broadcasts can switch to a live source",
+      });
+    }
+
     // Create broadcast record with correct content_id and content_type
-    const actualContentId = playlist
-      ? playlist.playlist_id
-      : content.content_id;
+    // Live sources have no content row
+    let actualContentId = null;
+    if (playlist) {
+      actualContentId = playlist.playlist_id;
+    } else if (ingestKey) {
+      actualContentId = ingestKey.ingest_key_id;
+    } else if (content) {
+      actualContentId = content.content_id;
+    }
 
     // Build advanced settings object ONLY if user explicitly enabled Advanced Settings
     const useAdvancedSettingsEnabled =
       req.body.useAdvancedSettingsEnabled === true ||
       req.body.useAdvancedSettingsEnabled === "true";
 
+    // Encoder profile - the picked one, or the built-in profile of the primary
+    // platform (clients still sending loose bitrate/framerate/resolution/
+    // orientation in Advanced Settings keep using those)
+    let encoderProfile = null;
+    if (encoderProfileId) {
+      encoderProfile = await EncoderProfile.findById(
+        parseInt(encoderProfileId)
+      );
+      if (!EncoderProfile.canUse(encoderProfile, req.session.accountId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Encoder profile not found" });
+      }
+    } else if (!useAdvancedSettingsEnabled || !bitrate) {
+      encoderProfile =
+        (await EncoderProfile.findBuiltin(primaryDestination.platformName)) ||
+        (await EncoderProfile.findBuiltin("default"));
+    }
+
+    // A profile heavier than the whole host could never go on air
+    const fits = checkProfileFits(
+      encoderProfile ||
+        EncoderProfile.fromLegacySettings({
+          bitrate,
+          frame_rate: framerate,
+          resolution,
+          orientation,
+        }),
+      destinations.length
+    );
+    if (!fits.admitted) {
+      return res.status(503).json({ success: false, message: fits.message });
+    }
+
     let advancedSettings = null;
     if (useAdvancedSettingsEnabled) {
       // User opened Advanced Settings collapse - save settings with flag
@@ -116,6 +506,7 @@ router.post("/start", requireAuth, async (req, res) => {
         frameRate: framerate || "60",
         resolution: resolution || "480p",
         orientation: orientation || "landscape",
+        fitMode: FIT_MODES.includes(fitMode) ? fitMode : null,
       };
     }
     // If not enabled, advancedSettings stays null - means user didn't explicitly use Advanced Settings
@@ -123,9 +514,9 @@ router.post("/start", requireAuth, async (req, res) => {
     const broadcastData = {
       contentId: actualContentId,
       contentType: contentType,
-      platformName: platformName || "custom", // Default to 'custom' if not specified
-      destinationUrl,
-      streamKey: streamKey || null,
+      platformName: primaryDestination.platformName,
+      destinationUrl: primaryDestination.destinationUrl,
+      streamKey: primaryDestination.streamKey,
       scheduledTime: scheduledTime || null,
       broadcastName:
         broadcastName && broadcastName.trim() !== ""
@@ -135,6 +526,16 @@ router.post("/start", requireAuth, async (req, res) => {
       frameRate: framerate || null,
       resolution: resolution || null,
       orientation: orientation || null,
+      encoderProfileId: encoderProfile ? encoderProfile.profile_id : null,
+      autoResume: autoResume === "on" || autoResume === true,
+      adaptiveBitrate: ADAPTIVE_MODES.includes(adaptiveBitrate)
+        ? adaptiveBitrate
+        : "bitrate",
+      retryPolicy: retryPolicy || null,
+      hlsEnabled: hlsEnabled === true || hlsEnabled === "true" || hlsEnabled === "on",
+      hlsAccess,
+      sourceUrl: contentType === "live" ? sourceUrl.trim() : null,
+      liveSwitch,
       loopvideo: loopVideo === "on" || loopVideo === true || loopVideo === 1,
       durationTimeout: duration ? parseInt(duration) * 60 : null, // Convert minutes to seconds
       advancedSettings: advancedSettings,
@@ -147,12 +548,16 @@ router.post("/start", requireAuth, async (req, res) => {
       broadcastData
     );
 
+    for (const destination of destinations) {
+      await BroadcastDestination.createNew(result.broadcastId, destination);
+    }
+
     // Don't auto-start, let user manually start the stream
     // Broadcast will be created with status 'offline' (default)
 
     await logInfo("Broadcast created", {
       broadcastId: result.broadcastId,
-      platform: platformName,
+      platforms: destinations.map((d) => d.platformName),
       username: req.session.username,
       status: scheduledTime ? "scheduled" : "offline",
     });
@@ -195,18 +600,113 @@ router.post("/start/:broadcastId", requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    // Check if broadcast is already active
-    if (broadcast.broadcast_status === "active") {
+    // Check if broadcast is already active (or waiting for a reconnect attempt)
+    if (
+      broadcast.broadcast_status === "active" ||
+      isBroadcastRunning(parseInt(broadcastId))
+    ) {
       return res
         .status(400)
         .json({ success: false, message: "Broadcast is already active" });
     }
 
-    // Check if this is a playlist or regular content
-    if (broadcast.content_type === "playlist") {
+    const destinations = await BroadcastDestination.getEnabledByBroadcast(
+      broadcastId
+    );
+    if (destinations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Broadcast has no enabled destinations",
+      });
+    }
+
+    const destinationError = validateDestinations(
+      destinations.map((destination) => ({
+        destinationUrl: destination.destination_url,
+        backupUrl: destination.backup_url,
+      }))
+    );
+    if (destinationError) {
+      return res
+        .status(400)
+        .json({ success: false, message: destinationError });
+    }
+
+    // Refuse when the host can't take another broadcast right now
+    const engineSettings = await Broadcast.getEngineSettings(broadcast);
+    const admission = await admitBroadcast({
+      broadcastId: parseInt(broadcastId),
+      accountId: broadcast.account_id,
+      encoder: engineSettings.encoder,
+      destinationCount: destinations.length,
+    });
+    if (!admission.admitted) {
+      await logWarning("Broadcast start refused by admission control", {
+        broadcastId,
+        reason: admission.message,
+        username: req.session.username,
+      });
+      return res
+        .status(503)
+        .json({ success: false, message: admission.message });
+    }
+
+    // Check if this is a live source, an ingest, a playlist or regular content
+    if (broadcast.content_type === "live" || broadcast.content_type === "ingest") {
+      // Handle live source broadcast, an ingest is pulled like one
+      let sourceUrl = broadcast.source_url;
+      if (broadcast.content_type === "ingest") {
+        try {
+          sourceUrl = await resolveIngestSourceUrl(broadcast.content_id);
+        } catch (error) {
+          releaseBroadcast(parseInt(broadcastId));
+          return res
+            .status(400)
+            .json({ success: false, message: error.message });
+        }
+      } else {
+        const sourceError = validateSourceUrl(sourceUrl);
+        if (sourceError) {
+          releaseBroadcast(parseInt(broadcastId));
+          return res.status(400).json({ success: false, message: sourceError });
+        }
+      }
+
+      await logInfo("Live source broadcast started manually", {
+        broadcastId,
+        contentType: broadcast.content_type,
+        username: req.session.username,
+      });
+
+      // Source losses are reconnected by the engine, crashes by the wrapper
+      // Run in background - probing the source can take a while
+      broadcastWithAutoReconnect(
+        parseInt(broadcastId),
+        null,
+        destinations,
+        null,
+        engineSettings,
+        false,
+        null,
+        { sourceUrl }
+      ).catch((error) => {
+        console.error(
+          `Background broadcast error for ${broadcastId}:`,
+          error.message
+        );
+      });
+
+      res.json({
+        success: true,
+        message: `${
+          broadcast.content_type === "ingest" ? "Ingest" : "Live source"
+        } broadcast started to ${destinations.length} destination(s)`,
+      });
+    } else if (broadcast.content_type === "playlist") {
       // Handle playlist broadcast
       const playlist = await Playlist.findByIdWithVideos(broadcast.content_id);
       if (!playlist || !playlist.videos || playlist.videos.length === 0) {
+        releaseBroadcast(parseInt(broadcastId));
         return res
           .status(404)
           .json({ success: false, message: "Playlist is empty or not found" });
@@ -223,71 +723,42 @@ router.post("/start/:broadcastId", requireAuth, async (req, res) => {
         username: req.session.username,
       });
 
-      await startPlaylistBroadcast(
+      // Items are read live from the playlist, edits apply while on air
+      // Run in background, crashes are restarted by the wrapper
+      broadcastWithAutoReconnect(
         parseInt(broadcastId),
-        playlist.videos,
-        broadcast.destination_url,
-        broadcast.stream_key,
-        isShuffleMode, // shuffle based on playlist playback_mode
-        true, // loop - always true for continuous streaming
-        {
-          bitrate: broadcast.bitrate,
-          frame_rate: broadcast.frame_rate,
-          resolution: broadcast.resolution,
-          orientation: broadcast.orientation,
-        }
-      );
+        null,
+        destinations,
+        null,
+        engineSettings,
+        true,
+        { playlistId: playlist.playlist_id, loop: true } // loop - always true for continuous streaming
+      ).catch((error) => {
+        console.error(
+          `Background broadcast error for ${broadcastId}:`,
+          error.message
+        );
+      });
 
       res.json({
         success: true,
         message: `Playlist broadcast started with ${
           playlist.videos.length
-        } videos (${isShuffleMode ? "Shuffle" : "Sequential"} mode)`,
+        } videos (${isShuffleMode ? "Shuffle" : "Sequential"} mode) to ${
+          destinations.length
+        } destination(s)`,
       });
     } else {
       // Handle regular single content broadcast
       const content = await Content.findById(broadcast.content_id);
       if (!content) {
+        releaseBroadcast(parseInt(broadcastId));
         return res
           .status(404)
           .json({ success: false, message: "Content not found" });
       }
 
-      // Handle filepath - prefer converted 'stream_<filename>' if it exists
-      const fs = require("fs");
-      const originalFilename = content.filepath;
-      const convertedFilename = `stream_${originalFilename}`;
-
-      // Candidate paths
-      const candidateConverted = path.join(
-        __dirname,
-        "../../storage/uploads",
-        convertedFilename
-      );
-      const candidateOriginal = path.join(
-        __dirname,
-        "../../storage/uploads",
-        originalFilename
-      );
-
-      let videoPath;
-      if (fs.existsSync(candidateConverted)) {
-        videoPath = candidateConverted;
-        console.log(
-          `Using converted streaming file for broadcast: ${convertedFilename}`
-        );
-      } else if (fs.existsSync(candidateOriginal)) {
-        videoPath = candidateOriginal;
-      } else if (
-        originalFilename.startsWith("storage/uploads/") ||
-        originalFilename.startsWith("storage\\uploads\\")
-      ) {
-        // Already has prefix stored in DB
-        videoPath = path.join(__dirname, "../../", originalFilename);
-      } else {
-        // Fallback: assume uploads dir
-        videoPath = candidateOriginal;
-      }
+      const videoPath = resolveContentVideoPath(content);
 
       await logInfo("Broadcast started manually", {
         broadcastId,
@@ -299,15 +770,9 @@ router.post("/start/:broadcastId", requireAuth, async (req, res) => {
       broadcastWithAutoReconnect(
         parseInt(broadcastId),
         videoPath,
-        broadcast.destination_url,
-        broadcast.stream_key,
+        destinations,
         broadcast.duration_timeout,
-        {
-          bitrate: broadcast.bitrate,
-          frame_rate: broadcast.frame_rate,
-          resolution: broadcast.resolution,
-          orientation: broadcast.orientation,
-        },
+        engineSettings,
         false // not a playlist
       ).catch((error) => {
         console.error(
@@ -323,6 +788,7 @@ router.post("/start/:broadcastId", requireAuth, async (req, res) => {
     }
   } catch (error) {
     console.error("Broadcast manual start error:", error);
+    releaseBroadcast(parseInt(req.params.broadcastId));
     await logError("Failed to start broadcast manually", {
       error: error.message,
     });
@@ -353,6 +819,19 @@ router.post("/stop/:broadcastId", requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
+    // Still waiting for auto-resume after a server restart - cancel it
+    if (
+      broadcast.broadcast_status === "reconnecting" &&
+      !isBroadcastRunning(parseInt(broadcastId))
+    ) {
+      await Broadcast.updateStatus(broadcastId, "stopped");
+      await logInfo("Broadcast resume cancelled", {
+        broadcastId,
+        username: req.session.username,
+      });
+      return res.json({ success: true, message: "Broadcast stopped" });
+    }
+
     await stopLiveBroadcast(parseInt(broadcastId));
 
     await logInfo("Broadcast stopped", {
@@ -368,6 +847,116 @@ router.post("/stop/:broadcastId", requireAuth, async (req, res) => {
   }
 });
 
+// ============================================
+// AS-RUN LOG EXPORT (CSV)
+// ============================================
+
+router.get("/asrun/export", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId, from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "Dates must use the YYYY-MM-DD format",
+      });
+    }
+
+    // Admins may export the log of any single broadcast
+    const accountId =
+      broadcastId && req.session.accountRole === "admin"
+        ? null
+        : req.session.accountId;
+
+    const entries = await BroadcastAsRun.getByAccount(accountId, {
+      broadcastId: broadcastId ? parseInt(broadcastId) : null,
+      from,
+      to,
+    });
+
+    const header = [
+      "Broadcast ID",
+      "Broadcast Name",
+      "Position",
+      "Content ID",
+      "Title",
+      "Started At",
+      "Ended At",
+      "Planned Duration (s)",
+      "Aired Duration (s)",
+      "Status",
+      "Error",
+    ];
+    const rows = entries.map((entry) =>
+      [
+        entry.broadcast_id,
+        entry.broadcast_name,
+        entry.position,
+        entry.content_id,
+        entry.content_title,
+        entry.started_at,
+        entry.ended_at,
+        entry.planned_duration_seconds,
+        entry.aired_seconds,
+        entry.end_status,
+        entry.error_message,
+      ]
+        .map(toCsvValue)
+        .join(",")
+    );
+
+    const filename = broadcastId
+      ? `asrun-broadcast-${parseInt(broadcastId)}.csv`
+      : `asrun-${from || "all"}${to ? `-to-${to}` : ""}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send([header.join(","), ...rows].join("\n"));
+  } catch (error) {
+    console.error("As-run export error:", error);
+    await logError("Failed to export as-run log", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// OVERLAYS
+// ============================================
+
+router.post(
+  "/overlays/images",
+  requireAuth,
+  overlayImageUploader,
+  handleUploadError,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ success: false, message: "No image uploaded" });
+      }
+
+      await logInfo("Overlay image uploaded", {
+        filename: req.file.filename,
+        username: req.session.username,
+      });
+
+      res.json({
+        success: true,
+        image: req.file.filename,
+        url: `/storage/uploads/overlays/${req.file.filename}`,
+      });
+    } catch (error) {
+      console.error("Overlay image upload error:", error);
+      await logError("Failed to upload overlay image", {
+        error: error.message,
+      });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
 // ============================================
 // GET BROADCAST DETAILS
 // ============================================
@@ -391,7 +980,28 @@ router.get("/:broadcastId", requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    res.json({ success: true, broadcast });
+    const destinations = await BroadcastDestination.getByBroadcast(
+      broadcastId
+    );
+
+    // Playlist broadcasts on air report the current item
+    const nowPlaying = await getBroadcastNowPlaying(parseInt(broadcastId));
+    // Music bed track on air
+    const music = await getBroadcastMusic(parseInt(broadcastId));
+
+    // Encoder settings the broadcast runs with (profile or legacy fields)
+    const { encoder } = await Broadcast.getEngineSettings(broadcast);
+
+    res.json({
+      success: true,
+      broadcast,
+      destinations,
+      nowPlaying,
+      music,
+      encoder,
+      retryPolicy: normalizeRetryPolicy(broadcast.retry_policy),
+      watchUrl: getWatchPath(broadcast),
+    });
   } catch (error) {
     console.error("Broadcast fetch error:", error);
     await logError("Failed to fetch broadcast", { error: error.message });
@@ -400,26 +1010,59 @@ router.get("/:broadcastId", requireAuth, async (req, res) => {
 });
 
 // ============================================
-// UPDATE BROADCAST
+// PLAYOUT CONTROLS (LIVE PLAYLISTS)
 // ============================================
 
-router.put("/:broadcastId", requireAuth, async (req, res) => {
+router.post("/:broadcastId/next", requireAuth, (req, res) =>
+  runPlayoutControl(req, res, "next", (broadcastId) =>
+    skipToNextItem(broadcastId)
+  )
+);
+
+router.post("/:broadcastId/previous", requireAuth, (req, res) =>
+  runPlayoutControl(req, res, "previous", (broadcastId) =>
+    skipToPreviousItem(broadcastId)
+  )
+);
+
+router.post("/:broadcastId/jump", requireAuth, (req, res) => {
+  const position = parseInt(req.body.position);
+  if (!Number.isInteger(position) || position < 1) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Position must be 1 or greater" });
+  }
+
+  return runPlayoutControl(req, res, "jump", (broadcastId) =>
+    jumpToItem(broadcastId, position)
+  );
+});
+
+router.post("/:broadcastId/slate", requireAuth, (req, res) =>
+  runPlayoutControl(req, res, "slate", (broadcastId) =>
+    holdOnSlate(broadcastId)
+  )
+);
+
+router.post("/:broadcastId/resume", requireAuth, (req, res) =>
+  runPlayoutControl(req, res, "resume", (broadcastId) =>
+    resumeFromSlate(broadcastId)
+  )
+);
+
+// ============================================
+// GET BROADCAST AS-RUN LOG
+// ============================================
+
+router.get("/:broadcastId/asrun", requireAuth, async (req, res) => {
   try {
     const { broadcastId } = req.params;
-    const { broadcast_name, destination_url, stream_key } = req.body;
-
-    console.log("Update broadcast request:", {
-      broadcastId,
-      broadcast_name,
-      destination_url,
-      stream_key,
-    });
 
     const broadcast = await Broadcast.findById(broadcastId);
     if (!broadcast) {
       return res
         .status(404)
-        .json({ success: false, error: "Broadcast not found" });
+        .json({ success: false, message: "Broadcast not found" });
     }
 
     // Check ownership
@@ -427,33 +1070,539 @@ router.put("/:broadcastId", requireAuth, async (req, res) => {
       broadcast.account_id !== req.session.accountId &&
       req.session.accountRole !== "admin"
     ) {
-      return res.status(403).json({ success: false, error: "Access denied" });
+      return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    // Validate required fields
-    if (!broadcast_name || !destination_url) {
-      return res
-        .status(400)
-        .json({
-          success: false,
-          error: "Broadcast name and destination URL are required",
-        });
-    }
+    const entries = await BroadcastAsRun.getByBroadcast(broadcastId);
 
-    // Update broadcast
-    await executeQuery(
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error("As-run fetch error:", error);
+    await logError("Failed to fetch as-run log", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// GET BROADCAST METRICS
+// ============================================
+
+// Long ranges are averaged down to about this many points
+const MAX_METRIC_POINTS = 720;
+
+router.get("/:broadcastId/metrics", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    // Last hour by default
+    const to = req.query.to ? parseTimestampToDate(req.query.to) : new Date();
+    const from = req.query.from
+      ? parseTimestampToDate(req.query.from)
+      : new Date(to.getTime() - 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid timestamps with from before to",
+      });
+    }
+
+    const bucketSeconds = Math.ceil(
+      (to.getTime() - from.getTime()) / 1000 / MAX_METRIC_POINTS
+    );
+    const samples = await BroadcastMetric.getByBroadcast(
+      parseInt(broadcastId),
+      formatForDb(from),
+      formatForDb(to),
+      bucketSeconds
+    );
+
+    res.json({
+      success: true,
+      from: formatForDb(from),
+      to: formatForDb(to),
+      bucketSeconds: Math.max(1, bucketSeconds),
+      samples,
+    });
+  } catch (error) {
+    console.error("Metrics fetch error:", error);
+    await logError("Failed to fetch broadcast metrics", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// GET BROADCAST EVENTS
+// ============================================
+
+router.get("/:broadcastId/events", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const events = await BroadcastEvent.getByBroadcast(
+      parseInt(broadcastId),
+      limit
+    );
+
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error("Events fetch error:", error);
+    await logError("Failed to fetch broadcast events", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Playlist and segment names written by the output preview
+const PREVIEW_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
+// How long a playlist request waits for a preview that is just starting
+const PREVIEW_START_TIMEOUT_MS = 10000;
+
+// GET - Latest frame of what a live broadcast sends out
+router.get("/:broadcastId/thumbnail", requireAuth, async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.broadcastId);
+    if (!broadcast) {
+      return res.status(404).end();
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).end();
+    }
+
+    const filePath = path.join(
+      getPreviewDirectory(broadcast.broadcast_id),
+      THUMBNAIL_NAME
+    );
+    if (!(await fs.pathExists(filePath))) {
+      return res.status(404).end();
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.type("image/jpeg").sendFile(filePath);
+  } catch (error) {
+    console.error("Output thumbnail error:", error);
+    res.status(500).end();
+  }
+});
+
+// GET - Low-bitrate HLS preview of a live broadcast's output
+router.get("/:broadcastId/preview/:file", requireAuth, async (req, res) => {
+  try {
+    const { file } = req.params;
+    if (!PREVIEW_FILE_PATTERN.test(file)) {
+      return res.status(404).end();
+    }
+
+    const broadcast = await Broadcast.findById(req.params.broadcastId);
+    if (!broadcast) {
+      return res.status(404).end();
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).end();
+    }
+
+    const filePath = path.join(
+      getPreviewDirectory(broadcast.broadcast_id),
+      file
+    );
+
+    if (file === PREVIEW_PLAYLIST_NAME) {
+      // Every playlist request keeps the preview encoder running
+      const isLive = await requestOutputPreview(broadcast.broadcast_id);
+      if (!isLive) {
+        return res.status(404).end();
+      }
+
+      // The first segments take a few seconds after the encoder starts
+      const deadline = Date.now() + PREVIEW_START_TIMEOUT_MS;
+      while (!(await fs.pathExists(filePath)) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+      res.set("Cache-Control", "no-cache");
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      return res.status(404).end();
+    }
+
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error("Output preview error:", error);
+    res.status(500).end();
+  }
+});
+
+// ============================================
+// UPDATE BROADCAST
+// ============================================
+
+router.put("/:broadcastId", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+    const {
+      broadcast_name,
+      destination_url,
+      stream_key,
+      content_id,
+      encoder_profile_id,
+      auto_resume,
+      adaptive_bitrate,
+      retry_policy,
+      hls_enabled,
+      hls_access,
+      hls_renew_token,
+      source_url,
+      live_switch,
+      live_switch_url,
+    } = req.body;
+
+    console.log("Update broadcast request:", {
+      broadcastId,
+      broadcast_name,
+      destination_url,
+      stream_key,
+      content_id,
+      encoder_profile_id,
+      auto_resume,
+      adaptive_bitrate,
+      retry_policy,
+    });
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    // Validate required fields
+    if (!broadcast_name || !destination_url) {
+      return res
+        .status(400)
+        .json({
+          success: false,
+          error: "Broadcast name and destination URL are required",
+        });
+    }
+
+    const destinationUrlError = validateDestinationUrl(destination_url);
+    if (destinationUrlError) {
+      return res
+        .status(400)
+        .json({ success: false, error: destinationUrlError });
+    }
+
+    // Content change - content_id format: "playlist-123", "content-456",
+    // "ingest-789" or "live" (with source_url)
+    let contentChange = null;
+    if (content_id) {
+      if (content_id === "live") {
+        const sourceError = validateSourceUrl(source_url);
+        if (sourceError) {
+          return res.status(400).json({ success: false, error: sourceError });
+        }
+        contentChange = {
+          contentId: null,
+          contentType: "live",
+          sourceUrl: source_url.trim(),
+          source: { isLiveSource: true, sourceUrl: source_url.trim() },
+        };
+      } else if (String(content_id).startsWith("ingest-")) {
+        const ingestKey = await IngestKey.findById(
+          parseInt(String(content_id).replace("ingest-", ""))
+        );
+        if (
+          !IngestKey.canUse(
+            ingestKey,
+            req.session.accountId,
+            req.session.accountRole
+          ) ||
+          ingestKey.revoked_at
+        ) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Ingest key not found" });
+        }
+        let sourceUrl;
+        try {
+          sourceUrl = await resolveIngestSourceUrl(ingestKey.ingest_key_id);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        contentChange = {
+          contentId: ingestKey.ingest_key_id,
+          contentType: "ingest",
+          source: { isLiveSource: true, sourceUrl },
+        };
+      } else if (String(content_id).startsWith("playlist-")) {
+        const playlist = await Playlist.findByIdWithVideos(
+          parseInt(String(content_id).replace("playlist-", ""))
+        );
+        if (!playlist) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Playlist not found" });
+        }
+        if (!playlist.videos || playlist.videos.length === 0) {
+          return res
+            .status(400)
+            .json({ success: false, error: "Playlist is empty" });
+        }
+        contentChange = {
+          contentId: playlist.playlist_id,
+          contentType: "playlist",
+          source: {
+            isPlaylist: true,
+            playlistId: playlist.playlist_id,
+            loop: true,
+          },
+        };
+      } else {
+        const content = await Content.findById(
+          parseInt(String(content_id).replace("content-", ""))
+        );
+        if (!content) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Content not found" });
+        }
+        if (Content.isAudio(content)) {
+          return res.status(400).json({
+            success: false,
+            error: "Audio files can only be used as the music of a stream",
+          });
+        }
+        contentChange = {
+          contentId: content.content_id,
+          contentType: "content",
+          source: {
+            isPlaylist: false,
+            videoFilePath: resolveContentVideoPath(content),
+            maxDurationSeconds: broadcast.duration_timeout,
+          },
+        };
+      }
+
+      // Same content (or live source URL) selected again
+      if (
+        contentChange.contentId === broadcast.content_id &&
+        contentChange.contentType === (broadcast.content_type || "content") &&
+        (contentChange.sourceUrl || null) === (broadcast.source_url || null)
+      ) {
+        contentChange = null;
+      }
+    }
+
+    // Encoder profile change - used from the next start, a live program
+    // keeps the profile it started with
+    if (encoder_profile_id) {
+      const encoderProfile = await EncoderProfile.findById(
+        parseInt(encoder_profile_id)
+      );
+      if (!EncoderProfile.canUse(encoderProfile, broadcast.account_id)) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Encoder profile not found" });
+      }
+    }
+
+    if (
+      adaptive_bitrate !== undefined &&
+      !ADAPTIVE_MODES.includes(adaptive_bitrate)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Adaptive bitrate must be one of: ${ADAPTIVE_MODES.join(", ")}`,
+      });
+    }
+
+    if (retry_policy !== undefined) {
+      const policyError = validateRetryPolicy(retry_policy);
+      if (policyError) {
+        return res.status(400).json({ success: false, error: policyError });
+      }
+
+      const destinations = await BroadcastDestination.getByBroadcast(
+        broadcast.broadcast_id
+      );
+      if (destinations.some((destination) => destination.backup_url)) {
+        const failoverError = validateFailoverPolicy(retry_policy);
+        if (failoverError) {
+          return res.status(400).json({ success: false, error: failoverError });
+        }
+      }
+    }
+
+    // Live switch of a playlist ("" turns it off)
+    let liveSwitchChange;
+    if (live_switch !== undefined) {
+      const { liveSwitch, error: liveSwitchError } = await parseLiveSwitch(
+        live_switch,
+        live_switch_url,
+        req.session
+      );
+      if (liveSwitchError) {
+        return res.status(400).json({ success: false, error: liveSwitchError });
+      }
+      const contentType = contentChange
+        ? contentChange.contentType
+        : broadcast.content_type;
+      if (liveSwitch && contentType !== "playlist") {
+        return res.status(400).json({
+          success: false,
+          error: "Only playlist broadcasts can switch to a live source",
+        });
+      }
+      liveSwitchChange = liveSwitch;
+    }
+
+    // Update broadcast
+    await executeQuery(
       `UPDATE broadcasts 
        SET broadcast_name = ?, destination_url = ?, stream_key = ?
        WHERE broadcast_id = ?`,
       [broadcast_name, destination_url, stream_key || null, broadcastId]
     );
 
+    if (encoder_profile_id) {
+      await Broadcast.updateEncoderProfile(
+        broadcastId,
+        parseInt(encoder_profile_id)
+      );
+    }
+
+    if (auto_resume !== undefined) {
+      await Broadcast.updateAutoResume(broadcastId, !!auto_resume);
+    }
+
+    // Used from the next start
+    if (adaptive_bitrate !== undefined) {
+      await Broadcast.updateAdaptiveBitrate(broadcastId, adaptive_bitrate);
+    }
+
+    // Used from the next start, a running reconnect loop keeps its policy
+    if (retry_policy !== undefined) {
+      await Broadcast.updateRetryPolicy(broadcastId, retry_policy);
+    }
+
+    // Used from the next start (or the next switch to a playlist)
+    if (liveSwitchChange !== undefined) {
+      await Broadcast.updateLiveSwitch(broadcastId, liveSwitchChange);
+    }
+
+    // Used from the next start
+    if (hls_enabled !== undefined) {
+      await Broadcast.updateHlsSettings(
+        broadcastId,
+        !!hls_enabled,
+        hls_access,
+        !!hls_renew_token
+      );
+    }
+
+    if (contentChange) {
+      await executeQuery(
+        `UPDATE broadcasts SET content_id = ?, content_type = ?, source_url = ? WHERE broadcast_id = ?`,
+        [
+          contentChange.contentId,
+          contentChange.contentType,
+          contentChange.sourceUrl || null,
+          broadcastId,
+        ]
+      );
+    }
+
+    // Keep the primary destination in sync
+    await BroadcastDestination.updatePrimary(
+      broadcastId,
+      destination_url,
+      stream_key
+    );
+
     await logInfo("Broadcast updated", {
       broadcastId,
       broadcast_name,
       username: req.session.username,
     });
 
+    // Live broadcast: switch content without dropping the destinations
+    if (contentChange && isBroadcastActive(parseInt(broadcastId))) {
+      try {
+        const engineSettings = await Broadcast.getEngineSettings(broadcast);
+        // A playlist switched to takes the live switch saved with it
+        engineSettings.live_switch = Broadcast.getLiveSwitch(
+          await Broadcast.findById(broadcastId)
+        );
+        await swapBroadcastSource(
+          parseInt(broadcastId),
+          contentChange.source,
+          engineSettings
+        );
+      } catch (error) {
+        return res.status(500).json({
+          success: false,
+          error: `Broadcast updated, but switching content failed: ${error.message}`,
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: "Broadcast updated, content switched live",
+      });
+    }
+
     res.json({ success: true, message: "Broadcast updated successfully" });
   } catch (error) {
     console.error("Broadcast update error:", error);
@@ -462,6 +1611,523 @@ router.put("/:broadcastId", requireAuth, async (req, res) => {
   }
 });
 
+router.get("/:broadcastId/overlays", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const overlays = normalizeOverlays(
+      Broadcast.parseAdvancedSettings(broadcast).overlays
+    );
+
+    res.json({ success: true, overlays });
+  } catch (error) {
+    console.error("Overlay fetch error:", error);
+    await logError("Failed to fetch overlays", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/:broadcastId/overlays", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const overlays = normalizeOverlays(req.body.overlays);
+    const advancedSettings = Broadcast.parseAdvancedSettings(broadcast);
+    advancedSettings.overlays = overlays;
+    await Broadcast.updateAdvancedSettings(broadcastId, advancedSettings);
+
+    await logInfo("Broadcast overlays updated", {
+      broadcastId,
+      username: req.session.username,
+    });
+
+    let message = "Overlays saved";
+    if (isBroadcastActive(parseInt(broadcastId))) {
+      const result = await updateBroadcastOverlays(
+        parseInt(broadcastId),
+        overlays
+      );
+      message = result.live
+        ? "Overlays updated on air"
+        : "Overlays saved, they go on air when the next item starts";
+    }
+
+    res.json({ success: true, message, overlays });
+  } catch (error) {
+    console.error("Overlay update error:", error);
+    await logError("Failed to update overlays", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get("/:broadcastId/audio", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const musicBed = normalizeMusicBed(
+      Broadcast.parseAdvancedSettings(broadcast).music_bed
+    );
+    const music = await getBroadcastMusic(parseInt(broadcastId));
+
+    res.json({ success: true, musicBed, music });
+  } catch (error) {
+    console.error("Music bed fetch error:", error);
+    await logError("Failed to fetch music bed", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/:broadcastId/audio", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const musicBed = normalizeMusicBed(req.body.musicBed);
+
+    // Live sources keep their own audio, the bed would never go on air
+    if (
+      musicBed.playlist_id &&
+      ["live", "ingest"].includes(broadcast.content_type)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Music can't be added to live source or ingest broadcasts",
+      });
+    }
+
+    // The audio playlist must belong to the owner of the broadcast
+    if (musicBed.playlist_id) {
+      const playlist = await Playlist.findById(musicBed.playlist_id);
+      if (!playlist || playlist.account_id !== broadcast.account_id) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Audio playlist not found" });
+      }
+    }
+
+    const advancedSettings = Broadcast.parseAdvancedSettings(broadcast);
+    advancedSettings.music_bed = musicBed.playlist_id ? musicBed : null;
+    await Broadcast.updateAdvancedSettings(broadcastId, advancedSettings);
+
+    await logInfo("Broadcast music bed updated", {
+      broadcastId,
+      playlistId: musicBed.playlist_id,
+      mode: musicBed.mode,
+      username: req.session.username,
+    });
+
+    let message = musicBed.playlist_id ? "Audio saved" : "Music bed removed";
+    if (isBroadcastActive(parseInt(broadcastId))) {
+      const result = await updateBroadcastMusicBed(
+        parseInt(broadcastId),
+        musicBed
+      );
+      if (!musicBed.playlist_id) {
+        message =
+          "Music bed removed, the source audio comes back with the next item";
+      } else if (!result.live) {
+        message = "Audio saved, it goes on air with the next item or a restart";
+      } else {
+        message = "Audio updated on air, mode and gain apply from the next item";
+      }
+    }
+
+    res.json({ success: true, message, musicBed });
+  } catch (error) {
+    console.error("Music bed update error:", error);
+    await logError("Failed to update music bed", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/:broadcastId/overlays/preview", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    // Preview the settings being edited, or the saved ones
+    const overlays =
+      req.body.overlays || Broadcast.parseAdvancedSettings(broadcast).overlays;
+
+    const video = await resolvePreviewVideo(broadcast);
+    const settings = await Broadcast.getEngineSettings(broadcast);
+    // Live broadcasts keep their output size, otherwise preview the preset
+    // resolution (720p when auto-detected)
+    const size = getBroadcastOutputSize(parseInt(broadcastId)) ||
+      getPresetSize(settings.resolution, settings.orientation) ||
+      getPresetSize("720p", settings.orientation);
+
+    const image = await renderOverlayPreview(overlays, {
+      sourcePath: video ? video.videoPath : null,
+      seekSeconds: video ? Math.min(5, video.durationSeconds / 2) : 0,
+      width: size.width,
+      height: size.height,
+      fitFilter: buildFitFilter(
+        size.width,
+        size.height,
+        resolveFitMode(settings.fit_mode, settings.orientation)
+      ),
+      context: {
+        broadcast_name: broadcast.broadcast_name,
+        title: broadcast.content_title || broadcast.broadcast_name,
+      },
+    });
+
+    res.set("Content-Type", "image/jpeg");
+    res.set("Cache-Control", "no-store");
+    res.send(image);
+  } catch (error) {
+    console.error("Overlay preview error:", error);
+    await logError("Failed to render overlay preview", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// BROADCAST DESTINATIONS
+// ============================================
+
+router.get("/:broadcastId/destinations", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const destinations = await BroadcastDestination.getByBroadcast(
+      broadcastId
+    );
+
+    res.json({ success: true, destinations });
+  } catch (error) {
+    console.error("Destination fetch error:", error);
+    await logError("Failed to fetch destinations", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/:broadcastId/destinations", requireAuth, async (req, res) => {
+  try {
+    const { broadcastId } = req.params;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (!broadcast) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Broadcast not found" });
+    }
+
+    // Check ownership
+    if (
+      broadcast.account_id !== req.session.accountId &&
+      req.session.accountRole !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const [destinationData] = parseDestinations({
+      destinations: [req.body],
+    });
+    if (!destinationData) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Destination URL is required" });
+    }
+
+    const destinationError =
+      validateDestinations([destinationData]) ||
+      (destinationData.backupUrl &&
+        validateFailoverPolicy(broadcast.retry_policy));
+    if (destinationError) {
+      return res
+        .status(400)
+        .json({ success: false, message: destinationError });
+    }
+
+    const { destinationId } = await BroadcastDestination.createNew(
+      broadcast.broadcast_id,
+      destinationData
+    );
+    const destination = await BroadcastDestination.findById(destinationId);
+
+    // Live broadcast: connect the new destination without restarting the others
+    let message = "Destination added";
+    if (isBroadcastActive(broadcast.broadcast_id)) {
+      try {
+        await addBroadcastDestination(broadcast.broadcast_id, destination);
+        message = "Destination added and connecting";
+      } catch (error) {
+        console.error("Failed to connect new destination:", error.message);
+        message = `Destination added, but could not connect: ${error.message}`;
+      }
+    }
+
+    await logInfo("Broadcast destination added", {
+      broadcastId,
+      destinationId,
+      platform: destinationData.platformName,
+      username: req.session.username,
+    });
+
+    res.json({ success: true, message, destination });
+  } catch (error) {
+    console.error("Destination add error:", error);
+    await logError("Failed to add destination", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.delete(
+  "/:broadcastId/destinations/:destinationId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { broadcastId, destinationId } = req.params;
+
+      const broadcast = await Broadcast.findById(broadcastId);
+      if (!broadcast) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Broadcast not found" });
+      }
+
+      // Check ownership
+      if (
+        broadcast.account_id !== req.session.accountId &&
+        req.session.accountRole !== "admin"
+      ) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Access denied" });
+      }
+
+      const destination = await BroadcastDestination.findById(destinationId);
+      if (!destination || destination.broadcast_id !== broadcast.broadcast_id) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Destination not found" });
+      }
+
+      const destinations = await BroadcastDestination.getByBroadcast(
+        broadcastId
+      );
+      if (destinations.length <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: "A broadcast needs at least one destination",
+        });
+      }
+
+      // Live broadcast: disconnect only this destination
+      if (isBroadcastActive(broadcast.broadcast_id)) {
+        try {
+          await removeBroadcastDestination(
+            broadcast.broadcast_id,
+            destination.destination_id
+          );
+        } catch (error) {
+          return res
+            .status(400)
+            .json({ success: false, message: error.message });
+        }
+      }
+
+      await BroadcastDestination.deleteDestination(destination.destination_id);
+
+      // Removed the primary destination: promote the next one
+      if (destinations[0].destination_id === destination.destination_id) {
+        const newPrimary = destinations[1];
+        await Broadcast.updateDestination(
+          broadcast.broadcast_id,
+          newPrimary.destination_url,
+          newPrimary.stream_key
+        );
+      }
+
+      await logInfo("Broadcast destination removed", {
+        broadcastId,
+        destinationId,
+        username: req.session.username,
+      });
+
+      res.json({ success: true, message: "Destination removed" });
+    } catch (error) {
+      console.error("Destination remove error:", error);
+      await logError("Failed to remove destination", { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+router.put(
+  "/:broadcastId/destinations/:destinationId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { broadcastId, destinationId } = req.params;
+
+      const broadcast = await Broadcast.findById(broadcastId);
+      if (!broadcast) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Broadcast not found" });
+      }
+
+      // Check ownership
+      if (
+        broadcast.account_id !== req.session.accountId &&
+        req.session.accountRole !== "admin"
+      ) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Access denied" });
+      }
+
+      const destination = await BroadcastDestination.findById(destinationId);
+      if (!destination || destination.broadcast_id !== broadcast.broadcast_id) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Destination not found" });
+      }
+
+      const backupUrl = req.body.backupUrl
+        ? String(req.body.backupUrl).trim() || null
+        : null;
+      const backupUrlError =
+        backupUrl && validateDestinationUrl(backupUrl, "Backup URL");
+      if (backupUrlError) {
+        return res
+          .status(400)
+          .json({ success: false, message: backupUrlError });
+      }
+      const failoverError =
+        backupUrl && validateFailoverPolicy(broadcast.retry_policy);
+      if (failoverError) {
+        return res
+          .status(400)
+          .json({ success: false, message: failoverError });
+      }
+      await BroadcastDestination.updateBackupUrl(
+        destination.destination_id,
+        backupUrl
+      );
+
+      // Live broadcast: the relay uses the new backup from its next failover
+      if (isBroadcastActive(broadcast.broadcast_id)) {
+        await updateDestinationBackup(
+          broadcast.broadcast_id,
+          destination.destination_id,
+          backupUrl
+        );
+      }
+
+      await logInfo("Broadcast destination backup updated", {
+        broadcastId,
+        destinationId,
+        hasBackup: !!backupUrl,
+        username: req.session.username,
+      });
+
+      res.json({
+        success: true,
+        message: backupUrl ? "Backup ingest saved" : "Backup ingest removed",
+        destination: await BroadcastDestination.findById(destinationId),
+      });
+    } catch (error) {
+      console.error("Destination update error:", error);
+      await logError("Failed to update destination", { error: error.message });
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
 // ============================================
 // DELETE BROADCAST
 // ============================================
@@ -485,8 +2151,9 @@ router.delete("/:broadcastId", requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    // Stop if active
-    if (broadcast.broadcast_status === "active") {
+    // Stop if on air or waiting for a reconnect attempt, the loop would
+    // otherwise keep retrying a deleted broadcast
+    if (isBroadcastRunning(parseInt(broadcastId))) {
       await stopLiveBroadcast(parseInt(broadcastId));
     }
 
@@ -11,6 +11,7 @@ const { requireAuth } = require("../../middleware/authGuard");
 const {
   videoUploader,
   handleUploadError,
+  getAudioMimetype,
 } = require("../../middleware/fileUpload");
 const {
   extractMediaInfo,
@@ -81,16 +82,18 @@ router.post(
         try {
           // Extract media information
           const mediaInfo = await extractMediaInfo(file.path);
-
-          // Generate thumbnail
-          const thumbnailFilename = `thumb_${
-            path.parse(file.filename).name
-          }.jpg`;
-          const thumbnailPath = path.join(
-            process.env.THUMBNAIL_DIR || "./storage/thumbnails",
-            thumbnailFilename
-          );
-          await createThumbnail(file.path, thumbnailPath);
+          const audioMimetype = getAudioMimetype(file.originalname);
+
+          // Generate thumbnail (audio files have no frame to grab)
+          let thumbnailFilename = null;
+          if (!audioMimetype) {
+            thumbnailFilename = `thumb_${path.parse(file.filename).name}.jpg`;
+            const thumbnailPath = path.join(
+              process.env.THUMBNAIL_DIR || "./storage/thumbnails",
+              thumbnailFilename
+            );
+            await createThumbnail(file.path, thumbnailPath);
+          }
 
           // Calculate resolution
           const resolution =
@@ -105,7 +108,7 @@ router.post(
             filename: file.filename,
             filepath: file.filename, // Store only filename, not full path
             filesize: file.size,
-            mimetype: file.mimetype,
+            mimetype: audioMimetype || file.mimetype,
             durationSeconds: mediaInfo.durationSeconds,
             thumbnailPath: thumbnailFilename, // Store only filename (e.g., thumb_xxx.jpg)
             resolution: resolution,
@@ -339,8 +342,11 @@ router.get("/selector/all", requireAuth, async (req, res) => {
     // Get all content
     const contentList = await Content.getByAccount(req.session.accountId, 1000);
 
+    // Audio files only serve as music beds, not as stream content
+    const videoList = contentList.filter((content) => !Content.isAudio(content));
+
     // Format content
-    const formattedContent = contentList.map((content) => {
+    const formattedContent = videoList.map((content) => {
       const duration = content.duration_seconds
         ? Math.floor(content.duration_seconds)
         : 0;
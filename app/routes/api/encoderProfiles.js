@@ -0,0 +1,193 @@
+const express = require("express");
+const router = express.Router();
+
+const EncoderProfile = require("../../models/EncoderProfile");
+const { requireAuth } = require("../../middleware/authGuard");
+const { logInfo, logError } = require("../../services/activityLogger");
+
+/**
+ * Load a custom profile owned by the current account
+ * Built-in profiles are read-only
+ */
+async function findOwnProfile(req, res) {
+  const profile = await EncoderProfile.findById(parseInt(req.params.id));
+  if (!EncoderProfile.canUse(profile, req.session.accountId)) {
+    res
+      .status(404)
+      .json({ success: false, message: "Encoder profile not found" });
+    return null;
+  }
+
+  if (profile.is_builtin) {
+    res.status(403).json({
+      success: false,
+      message: "Built-in profiles can't be changed, create a copy instead",
+    });
+    return null;
+  }
+
+  return profile;
+}
+
+// ============================================
+// LIST PROFILES
+// ============================================
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const profiles = await EncoderProfile.getAvailable(req.session.accountId);
+    res.json({ success: true, profiles, options: EncoderProfile.getOptions() });
+  } catch (error) {
+    console.error("Encoder profiles fetch error:", error);
+    await logError("Failed to fetch encoder profiles", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// GET PROFILE
+// ============================================
+
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const profile = await EncoderProfile.findById(parseInt(req.params.id));
+    if (!EncoderProfile.canUse(profile, req.session.accountId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Encoder profile not found" });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error("Encoder profile fetch error:", error);
+    await logError("Failed to fetch encoder profile", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// CREATE PROFILE
+// ============================================
+
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    // Copy of another profile: missing fields come from it
+    let base = null;
+    if (req.body.copy_from) {
+      base = await EncoderProfile.findById(parseInt(req.body.copy_from));
+      if (!EncoderProfile.canUse(base, req.session.accountId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Encoder profile not found" });
+      }
+      base = { ...base, profile_name: "" };
+    }
+
+    const { profile, errors } = EncoderProfile.validate(req.body, base);
+    if (!profile) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.join(", "), errors });
+    }
+
+    const profileId = await EncoderProfile.createNew(
+      req.session.accountId,
+      profile
+    );
+
+    await logInfo("Encoder profile created", {
+      profileId,
+      name: profile.profile_name,
+      username: req.session.username,
+    });
+
+    res.json({
+      success: true,
+      profileId,
+      message: "Encoder profile created successfully",
+    });
+  } catch (error) {
+    console.error("Encoder profile create error:", error);
+    await logError("Failed to create encoder profile", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// UPDATE PROFILE
+// ============================================
+
+router.put("/:id", requireAuth, async (req, res) => {
+  try {
+    const existing = await findOwnProfile(req, res);
+    if (!existing) return;
+
+    const { profile, errors } = EncoderProfile.validate(req.body, existing);
+    if (!profile) {
+      return res
+        .status(400)
+        .json({ success: false, message: errors.join(", "), errors });
+    }
+
+    await EncoderProfile.updateProfile(existing.profile_id, profile);
+
+    await logInfo("Encoder profile updated", {
+      profileId: existing.profile_id,
+      name: profile.profile_name,
+      username: req.session.username,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Encoder profile updated, live broadcasts use it from their next start",
+    });
+  } catch (error) {
+    console.error("Encoder profile update error:", error);
+    await logError("Failed to update encoder profile", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// DELETE PROFILE
+// ============================================
+
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const existing = await findOwnProfile(req, res);
+    if (!existing) return;
+
+    // Broadcasts using it fall back to the default profile
+    const broadcastCount = await EncoderProfile.countBroadcasts(
+      existing.profile_id
+    );
+    await EncoderProfile.remove(existing.profile_id);
+
+    await logInfo("Encoder profile deleted", {
+      profileId: existing.profile_id,
+      name: existing.profile_name,
+      broadcastCount,
+      username: req.session.username,
+    });
+
+    res.json({
+      success: true,
+      message: "Encoder profile deleted successfully",
+    });
+  } catch (error) {
+    console.error("Encoder profile delete error:", error);
+    await logError("Failed to delete encoder profile", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
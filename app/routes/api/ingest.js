@@ -0,0 +1,126 @@
+const express = require("express");
+const router = express.Router();
+
+const IngestKey = require("../../models/IngestKey");
+const { requireAuth } = require("../../middleware/authGuard");
+const { logInfo, logError } = require("../../services/activityLogger");
+const {
+  isIngestEnabled,
+  getIngestPushUrl,
+} = require("../../services/ingestServer");
+
+// Longest name of an ingest key
+const MAX_KEY_NAME_LENGTH = 60;
+
+/**
+ * Load an ingest key owned by the current account (or any key for admins)
+ */
+async function findOwnKey(req, res) {
+  const ingestKey = await IngestKey.findById(parseInt(req.params.id));
+  if (
+    !IngestKey.canUse(ingestKey, req.session.accountId, req.session.accountRole)
+  ) {
+    res.status(404).json({ success: false, message: "Ingest key not found" });
+    return null;
+  }
+  return ingestKey;
+}
+
+// ============================================
+// LIST KEYS (with ingest status)
+// ============================================
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const keys = await IngestKey.getByAccount(req.session.accountId);
+    res.json({
+      success: true,
+      enabled: isIngestEnabled(),
+      pushUrl: getIngestPushUrl(req.hostname),
+      keys,
+    });
+  } catch (error) {
+    console.error("Ingest keys fetch error:", error);
+    await logError("Failed to fetch ingest keys", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// CREATE KEY
+// ============================================
+
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const keyName = String(req.body.key_name || "").trim();
+    if (!keyName) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Ingest key name is required" });
+    }
+    if (keyName.length > MAX_KEY_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Ingest key name must be at most ${MAX_KEY_NAME_LENGTH} characters`,
+      });
+    }
+
+    const ingestKeyId = await IngestKey.createNew(
+      req.session.accountId,
+      keyName
+    );
+
+    await logInfo("Ingest key created", {
+      ingestKeyId,
+      name: keyName,
+      username: req.session.username,
+    });
+
+    res.json({
+      success: true,
+      ingestKey: await IngestKey.findById(ingestKeyId),
+      message: "Ingest key created successfully",
+    });
+  } catch (error) {
+    console.error("Ingest key create error:", error);
+    await logError("Failed to create ingest key", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// REVOKE KEY
+// ============================================
+
+router.post("/:id/revoke", requireAuth, async (req, res) => {
+  try {
+    const ingestKey = await findOwnKey(req, res);
+    if (!ingestKey) return;
+
+    if (ingestKey.revoked_at) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Ingest key is already revoked" });
+    }
+
+    // A stream pushed with it is dropped at the next status update
+    await IngestKey.revoke(ingestKey.ingest_key_id);
+
+    await logInfo("Ingest key revoked", {
+      ingestKeyId: ingestKey.ingest_key_id,
+      name: ingestKey.key_name,
+      username: req.session.username,
+    });
+
+    res.json({
+      success: true,
+      message: "Ingest key revoked, encoders can no longer push with it",
+    });
+  } catch (error) {
+    console.error("Ingest key revoke error:", error);
+    await logError("Failed to revoke ingest key", { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
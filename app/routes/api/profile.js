@@ -2,10 +2,21 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 
+const path = require('path');
 const Account = require('../../models/Account');
 const { requireAuth } = require('../../middleware/authGuard');
+const {
+  slateUploader,
+  getSlateFileKind,
+  handleUploadError
+} = require('../../middleware/fileUpload');
+const { validateMediaFile } = require('../../utilities/mediaProcessor');
+const { getSlateDir, removeFile } = require('../../utilities/fileManager');
 const { logInfo, logError } = require('../../services/activityLogger');
 
+// Longest emergency slate clip (it loops while on air)
+const MAX_SLATE_CLIP_SECONDS = 60;
+
 // ============================================
 // UPDATE OWN PROFILE
 // ============================================
@@ -116,4 +127,161 @@ router.put('/change-password', requireAuth, [
   }
 });
 
+// ============================================
+// EMERGENCY SLATE
+// ============================================
+
+/**
+ * Remove a replaced or cleared slate file
+ */
+async function removeSlateFile(filename) {
+  if (filename) {
+    await removeFile(path.join(getSlateDir(), path.basename(filename)));
+  }
+}
+
+// Slate picture: an image or a short clip
+router.post('/slate', requireAuth, slateUploader, handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const kind = getSlateFileKind(req.file.originalname);
+    if (kind === 'audio') {
+      await removeFile(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: 'The slate must be an image or a video clip, upload audio as the slate audio'
+      });
+    }
+
+    if (kind === 'video') {
+      const validation = await validateMediaFile(req.file.path);
+      if (!validation.valid) {
+        await removeFile(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: `Slate clip can't be played: ${validation.reason}`
+        });
+      }
+      if (validation.info.durationSeconds > MAX_SLATE_CLIP_SECONDS) {
+        await removeFile(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: `Slate clip must be at most ${MAX_SLATE_CLIP_SECONDS} seconds long`
+        });
+      }
+    }
+
+    const previous = await Account.getSlate(req.session.accountId);
+    await Account.updateSlate(req.session.accountId, {
+      slate_path: req.file.filename,
+      slate_type: kind
+    });
+    await removeSlateFile(previous && previous.slate_path);
+
+    await logInfo('Emergency slate uploaded', {
+      accountId: req.session.accountId,
+      username: req.session.username,
+      type: kind
+    });
+
+    res.json({
+      success: true,
+      slate: {
+        type: kind,
+        url: `/storage/uploads/slates/${req.file.filename}`
+      },
+      message: 'Emergency slate updated'
+    });
+  } catch (error) {
+    console.error('Slate upload error:', error);
+    await logError('Failed to upload emergency slate', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Slate audio, replaces the clip sound (or the silence under an image)
+router.post('/slate/audio', requireAuth, slateUploader, handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    if (getSlateFileKind(req.file.originalname) !== 'audio') {
+      await removeFile(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: 'Slate audio must be an MP3, AAC, M4A or WAV file'
+      });
+    }
+
+    const previous = await Account.getSlate(req.session.accountId);
+    await Account.updateSlate(req.session.accountId, {
+      slate_audio_path: req.file.filename
+    });
+    await removeSlateFile(previous && previous.slate_audio_path);
+
+    await logInfo('Emergency slate audio uploaded', {
+      accountId: req.session.accountId,
+      username: req.session.username
+    });
+
+    res.json({
+      success: true,
+      audio: { url: `/storage/uploads/slates/${req.file.filename}` },
+      message: 'Slate audio updated'
+    });
+  } catch (error) {
+    console.error('Slate audio upload error:', error);
+    await logError('Failed to upload slate audio', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Back to the server default slate
+router.delete('/slate', requireAuth, async (req, res) => {
+  try {
+    const previous = await Account.getSlate(req.session.accountId);
+    await Account.updateSlate(req.session.accountId, {
+      slate_path: null,
+      slate_type: null
+    });
+    await removeSlateFile(previous && previous.slate_path);
+
+    await logInfo('Emergency slate removed', {
+      accountId: req.session.accountId,
+      username: req.session.username
+    });
+
+    res.json({ success: true, message: 'Emergency slate removed' });
+  } catch (error) {
+    console.error('Slate remove error:', error);
+    await logError('Failed to remove emergency slate', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.delete('/slate/audio', requireAuth, async (req, res) => {
+  try {
+    const previous = await Account.getSlate(req.session.accountId);
+    await Account.updateSlate(req.session.accountId, {
+      slate_audio_path: null
+    });
+    await removeSlateFile(previous && previous.slate_audio_path);
+
+    await logInfo('Emergency slate audio removed', {
+      accountId: req.session.accountId,
+      username: req.session.username
+    });
+
+    res.json({ success: true, message: 'Slate audio removed' });
+  } catch (error) {
+    console.error('Slate audio remove error:', error);
+    await logError('Failed to remove slate audio', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 
 const { requireAuth } = require('../../middleware/authGuard');
 const { getCurrentMetrics } = require('../../services/performanceMonitor');
-const { getActiveBroadcastCount } = require('../../services/broadcastEngine');
+const { getActiveBroadcastCount, getWorkerStatus } = require('../../services/broadcastControl');
+const { getAdmissionStatus } = require('../../services/admissionController');
 const { logError } = require('../../services/activityLogger');
 
 // ============================================
@@ -21,7 +22,9 @@ router.get('/', requireAuth, async (req, res) => {
       cpu: stats?.cpu || 0,
       memory: stats?.memory || { used: 0, total: 0, percentage: 0, free: 0 },
       disk: stats?.disk || { used: 0, total: 0, percentage: 0 },
-      uptime: stats?.uptime || 0
+      uptime: stats?.uptime || 0,
+      admission: getAdmissionStatus(),
+      worker: getWorkerStatus()
     };
 
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
@@ -59,7 +62,9 @@ router.get('/stats', requireAuth, async (req, res) => {
       cpu: stats?.cpu || 0,
       memory: stats?.memory || { used: 0, total: 0, percentage: 0, free: 0 },
       disk: stats?.disk || { used: 0, total: 0, percentage: 0 },
-      uptime: stats?.uptime || 0
+      uptime: stats?.uptime || 0,
+      admission: getAdmissionStatus(),
+      worker: getWorkerStatus()
     };
 
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
@@ -3,6 +3,7 @@ const router = express.Router();
 
 // Import route modules
 const publicAuthRoutes = require('./public/auth');
+const publicWatchRoutes = require('./public/watch');
 const protectedPagesRoutes = require('./protected/pages');
 const apiContentRoutes = require('./api/content');
 const apiBroadcastRoutes = require('./api/broadcast');
@@ -10,12 +11,17 @@ const apiPlaylistRoutes = require('./api/playlist');
 const apiUsersRoutes = require('./api/users');
 const apiProfileRoutes = require('./api/profile');
 const apiSystemRoutes = require('./api/system');
+const apiEncoderProfileRoutes = require('./api/encoderProfiles');
+const apiIngestRoutes = require('./api/ingest');
 
 // ============================================
 // PUBLIC ROUTES
 // ============================================
 router.use('/', publicAuthRoutes);
 
+// Watch pages and HLS renditions of broadcasts
+router.use('/', publicWatchRoutes);
+
 // ============================================
 // PROTECTED PAGE ROUTES
 // ============================================
@@ -43,4 +49,10 @@ router.use('/api/profile', apiProfileRoutes);
 // System API
 router.use('/api/system', apiSystemRoutes);
 
+// Encoder Profiles API
+router.use('/api/encoder-profiles', apiEncoderProfileRoutes);
+
+// Ingest Keys API (built-in RTMP ingest)
+router.use('/api/ingest', apiIngestRoutes);
+
 module.exports = router;
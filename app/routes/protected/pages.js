@@ -6,8 +6,9 @@ const Account = require("../../models/Account");
 const Content = require("../../models/Content");
 const Broadcast = require("../../models/Broadcast");
 const Playlist = require("../../models/Playlist");
+const IngestKey = require("../../models/IngestKey");
 const { requireAuth, requireAdmin } = require("../../middleware/authGuard");
-const { getActiveBroadcastCount } = require("../../services/broadcastEngine");
+const { getActiveBroadcastCount } = require("../../services/broadcastControl");
 
 const tokens = new csrf();
 
@@ -17,8 +18,15 @@ const tokens = new csrf();
 
 router.get("/dashboard", requireAuth, async (req, res) => {
   try {
-    const contentList = await Content.getByAccount(req.session.accountId, 10);
+    // Audio files only serve as music beds, not as stream content
+    const contentList = (
+      await Content.getByAccount(req.session.accountId, 10)
+    ).filter((content) => !Content.isAudio(content));
     const playlists = await Playlist.getByAccount(req.session.accountId);
+    const ingestKeys = await IngestKey.getByAccount(
+      req.session.accountId,
+      false
+    );
     const broadcasts = await Broadcast.getByAccount(req.session.accountId, 50);
     const activeBroadcasts = broadcasts.filter(
       (b) => b.broadcast_status === "active"
@@ -29,6 +37,7 @@ router.get("/dashboard", requireAuth, async (req, res) => {
       session: req.session,
       contentList,
       playlists: playlists || [],
+      ingestKeys,
       broadcasts,
       activeBroadcasts,
       activeBroadcastCount: getActiveBroadcastCount(),
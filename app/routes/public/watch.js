@@ -0,0 +1,118 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs-extra");
+const crypto = require("crypto");
+const router = express.Router();
+
+const Broadcast = require("../../models/Broadcast");
+const {
+  PLAYLIST_NAME,
+  getHlsDirectory,
+} = require("../../services/hlsPublisher");
+
+// Playlist and segment names written by the HLS publisher
+const HLS_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
+
+/**
+ * Check the watch token of a token-protected broadcast
+ * Public broadcasts need none
+ */
+function hasWatchAccess(broadcast, token) {
+  if (broadcast.hls_access !== "token") return true;
+  if (!broadcast.hls_token || typeof token !== "string") return false;
+
+  const expected = Buffer.from(broadcast.hls_token);
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * Broadcast publishing HLS with this UUID, null when there is none
+ */
+async function findWatchableBroadcast(broadcastUuid) {
+  const broadcast = await Broadcast.findByUuid(broadcastUuid);
+  return broadcast && broadcast.hls_enabled ? broadcast : null;
+}
+
+// GET - Public watch page of a broadcast
+router.get("/watch/:broadcastUuid", async (req, res) => {
+  try {
+    const broadcast = await findWatchableBroadcast(req.params.broadcastUuid);
+    if (!broadcast) {
+      return res.status(404).send("Broadcast not found");
+    }
+    if (!hasWatchAccess(broadcast, req.query.token)) {
+      return res.status(403).send("This broadcast needs a valid watch link");
+    }
+
+    const tokenQuery =
+      broadcast.hls_access === "token"
+        ? `?token=${encodeURIComponent(req.query.token)}`
+        : "";
+
+    res.render("dashboard/watch/player", {
+      title: broadcast.broadcast_name || "Live",
+      broadcastName: broadcast.broadcast_name || "Live",
+      isLive: ["active", "reconnecting"].includes(broadcast.broadcast_status),
+      playlistUrl: `/hls/${broadcast.broadcast_uuid}/${PLAYLIST_NAME}${tokenQuery}`,
+    });
+  } catch (error) {
+    console.error("Watch page error:", error);
+    res.status(500).send("Failed to load broadcast");
+  }
+});
+
+// GET - HLS playlist and segments of a broadcast
+router.get("/hls/:broadcastUuid/:file", async (req, res) => {
+  try {
+    const { broadcastUuid, file } = req.params;
+    if (!HLS_FILE_PATTERN.test(file)) {
+      return res.status(404).end();
+    }
+
+    const broadcast = await findWatchableBroadcast(broadcastUuid);
+    if (!broadcast) {
+      return res.status(404).end();
+    }
+    if (!hasWatchAccess(broadcast, req.query.token)) {
+      return res.status(403).end();
+    }
+
+    const filePath = path.join(getHlsDirectory(broadcast.broadcast_uuid), file);
+    if (!(await fs.pathExists(filePath))) {
+      return res.status(404).end();
+    }
+
+    // Public renditions may be played from other sites
+    if (broadcast.hls_access !== "token") {
+      res.set("Access-Control-Allow-Origin", "*");
+    }
+
+    if (file !== PLAYLIST_NAME) {
+      res.set("Cache-Control", "public, max-age=60");
+      return res.type("video/mp2t").sendFile(filePath);
+    }
+
+    // Segments of token-protected renditions need the token too
+    let playlist = await fs.readFile(filePath, "utf8");
+    if (broadcast.hls_access === "token") {
+      const token = encodeURIComponent(req.query.token);
+      playlist = playlist
+        .split("\n")
+        .map((line) =>
+          line && !line.startsWith("#") ? `${line}?token=${token}` : line
+        )
+        .join("\n");
+    }
+
+    res.set("Cache-Control", "no-cache");
+    res.type("application/vnd.apple.mpegurl").send(playlist);
+  } catch (error) {
+    console.error("HLS file error:", error);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,9 @@ const { createRequiredDirectories } = require('./utilities/fileManager');
 const { initializeDriveClient } = require('./utilities/cloudStorage');
 const { startMonitoring } = require('./services/performanceMonitor');
 const { startScheduler } = require('./services/taskScheduler');
+const { scheduleAutoResume } = require('./services/autoResume');
+const { startIngestServer } = require('./services/ingestServer');
+const { ownsBroadcastEngine, startWorkerSync } = require('./services/broadcastControl');
 const { logInfo, logError } = require('./services/activityLogger');
 const rateLimit = require('express-rate-limit');
 
@@ -68,7 +71,13 @@ app.set('trust proxy', 1);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
+// HLS renditions are served through /hls, which checks watch tokens
+app.use('/storage/hls', (req, res) => res.status(404).end());
+// Output previews are served through the broadcast API, which checks ownership
+app.use('/storage/previews', (req, res) => res.status(404).end());
 app.use('/storage', express.static(path.join(__dirname, 'storage')));
+// Player of the public watch pages
+app.use('/vendor/video.js', express.static(path.join(__dirname, 'node_modules', 'video.js', 'dist')));
 
 // Timeout middleware for upload routes
 app.use('/api/content/upload', (req, res, next) => {
@@ -198,6 +207,17 @@ app.listen(port, () => {
   // Start monitoring and scheduler
   startMonitoring(5);
   startScheduler(30);
+
+  if (ownsBroadcastEngine()) {
+    // Pushed streams are pulled by the engine, the ingest runs next to it
+    startIngestServer();
+
+    // Restart auto-resume broadcasts that were on air before the restart
+    scheduleAutoResume();
+  } else {
+    // Broadcasts run in the broadcast worker, pick up what is on air there
+    startWorkerSync(5);
+  }
   
   logInfo('Application started', { 
     port, 
@@ -0,0 +1,290 @@
+/**
+ * Adaptive Bitrate
+ * Steps the video bitrate of a broadcast (and optionally its resolution) down
+ * a ladder when the encoder can't keep up (speed below 1.0x) or destinations
+ * keep losing their connection, and back up once it has been stable
+ */
+
+const Broadcast = require("../models/Broadcast");
+const BroadcastEvent = require("../models/BroadcastEvent");
+const { logInfo, logWarning } = require("./activityLogger");
+
+// off - fixed bitrate, bitrate - bitrate only, resolution - bitrate and resolution
+const ADAPTIVE_MODES = ["off", "bitrate", "resolution"];
+
+// Share of the profile bitrate per rung, the first rung is the profile itself
+const LADDER_STEPS = [1, 0.75, 0.55, 0.4];
+const MIN_VIDEO_KBPS = 500;
+
+// Resolution rungs, from the third rung on one preset lower per rung
+const RESOLUTION_LADDER = ["2160p", "1440p", "1080p", "720p"];
+
+// Encoder slower than real time for this long
+const SLOW_SPEED = 0.97;
+const SLOW_SECONDS = 30;
+
+// Destination reconnects within the window
+const CONNECTION_ERROR_LIMIT = 3;
+const CONNECTION_ERROR_WINDOW_MS = 5 * 60 * 1000;
+
+// Encoders are slow while they start, their speed isn't judged yet
+const WARMUP_MS = 20000;
+
+function getStableMs() {
+  const minutes = parseInt(process.env.ADAPTIVE_BITRATE_STABLE_MINUTES);
+  return (isNaN(minutes) ? 10 : minutes) * 60000;
+}
+
+function resolveAdaptiveMode(mode) {
+  return ADAPTIVE_MODES.includes(mode) ? mode : "bitrate";
+}
+
+/**
+ * Rungs of an encoder profile, from full quality down
+ * @param {object} encoder - Encoder profile
+ * @param {string} mode - off | bitrate | resolution
+ * @returns {Array<{videoKbps: number, maxKbps: number, resolution: string}>}
+ */
+function buildBitrateLadder(encoder, mode) {
+  const videoKbps = parseInt(encoder.video_bitrate);
+  const maxKbps = parseInt(encoder.max_bitrate) || videoKbps;
+  const ladder = [{ videoKbps, maxKbps, resolution: encoder.resolution }];
+
+  if (mode === "off" || !videoKbps) return ladder;
+
+  const resolutionIndex = RESOLUTION_LADDER.indexOf(encoder.resolution);
+  for (let step = 1; step < LADDER_STEPS.length; step++) {
+    const rungKbps = Math.max(
+      MIN_VIDEO_KBPS,
+      Math.round((videoKbps * LADDER_STEPS[step]) / 50) * 50
+    );
+    if (rungKbps >= ladder[ladder.length - 1].videoKbps) break;
+
+    // "auto" resolution follows the source, only presets step down
+    let resolution = encoder.resolution;
+    if (mode === "resolution" && resolutionIndex >= 0 && step >= 2) {
+      resolution =
+        RESOLUTION_LADDER[
+          Math.min(resolutionIndex + step - 1, RESOLUTION_LADDER.length - 1)
+        ];
+    }
+
+    ladder.push({
+      videoKbps: rungKbps,
+      maxKbps: Math.round((rungKbps * maxKbps) / videoKbps),
+      resolution,
+    });
+  }
+
+  return ladder;
+}
+
+class AdaptiveBitrateController {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} encoder - Encoder profile of the broadcast (full quality)
+   * @param {string} mode - off | bitrate | resolution
+   */
+  constructor(broadcastId, encoder, mode) {
+    this.broadcastId = broadcastId;
+    this.encoder = encoder;
+    this.mode = resolveAdaptiveMode(mode);
+    this.ladder = encoder ? buildBitrateLadder(encoder, this.mode) : [];
+    this.level = 0;
+
+    this.lastChangeAt = Date.now();
+    this.lastProblemAt = 0;
+    this.warmupUntil = 0;
+    this.slowSince = null;
+    this.lastSpeed = null;
+    this.connectionErrors = [];
+    this.isChanging = false;
+  }
+
+  get enabled() {
+    return this.ladder.length > 1;
+  }
+
+  /**
+   * Encoder profile of the current rung
+   */
+  getEncoder() {
+    if (this.level === 0) return this.encoder;
+
+    const rung = this.ladder[this.level];
+    return {
+      ...this.encoder,
+      video_bitrate: `${rung.videoKbps}k`,
+      max_bitrate: `${rung.maxKbps}k`,
+      resolution: rung.resolution,
+    };
+  }
+
+  /**
+   * An encoder profile with the bitrate of the current rung
+   * For programs whose size can't change (playlists)
+   */
+  applyBitrate(encoder) {
+    if (this.level === 0) return encoder;
+
+    const rung = this.ladder[this.level];
+    return {
+      ...encoder,
+      video_bitrate: `${rung.videoKbps}k`,
+      max_bitrate: `${rung.maxKbps}k`,
+    };
+  }
+
+  describeRung(level = this.level) {
+    const rung = this.ladder[level];
+    const resolution =
+      rung.resolution && rung.resolution !== "auto" ? ` at ${rung.resolution}` : "";
+    return `${rung.videoKbps}k${resolution}`;
+  }
+
+  /**
+   * A new encoder process started (restart, next playlist item)
+   */
+  onEncoderStart() {
+    this.warmupUntil = Date.now() + WARMUP_MS;
+    this.slowSince = null;
+  }
+
+  recordSpeed(speed) {
+    if (speed === null || speed === undefined) return;
+
+    const now = Date.now();
+    if (now < this.warmupUntil) return;
+
+    this.lastSpeed = speed;
+    if (speed < SLOW_SPEED) {
+      this.slowSince = this.slowSince || now;
+      this.lastProblemAt = now;
+    } else {
+      this.slowSince = null;
+    }
+  }
+
+  recordConnectionError() {
+    const now = Date.now();
+    this.connectionErrors = this.connectionErrors.filter(
+      (time) => now - time < CONNECTION_ERROR_WINDOW_MS
+    );
+    this.connectionErrors.push(now);
+    this.lastProblemAt = now;
+  }
+
+  /**
+   * Rung change the signals call for
+   * @returns {{direction: string, reason: string}|null}
+   */
+  checkForChange() {
+    if (!this.enabled || this.isChanging) return null;
+
+    const now = Date.now();
+
+    if (this.level < this.ladder.length - 1) {
+      if (this.slowSince && now - this.slowSince >= SLOW_SECONDS * 1000) {
+        return {
+          direction: "down",
+          reason: `Encoder running at ${this.lastSpeed}x of real time`,
+        };
+      }
+
+      const recentErrors = this.connectionErrors.filter(
+        (time) => now - time < CONNECTION_ERROR_WINDOW_MS
+      );
+      if (recentErrors.length >= CONNECTION_ERROR_LIMIT) {
+        return {
+          direction: "down",
+          reason: `${recentErrors.length} destination reconnects within ${
+            CONNECTION_ERROR_WINDOW_MS / 60000
+          } minutes`,
+        };
+      }
+    }
+
+    const stableMs = getStableMs();
+    if (
+      this.level > 0 &&
+      !this.slowSince &&
+      now - Math.max(this.lastChangeAt, this.lastProblemAt) >= stableMs
+    ) {
+      return {
+        direction: "up",
+        reason: `Stable for ${Math.round(stableMs / 60000)} minutes`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Move one rung, record the change in the broadcast log
+   * @param {object} change - From checkForChange()
+   */
+  async applyChange(change) {
+    this.isChanging = true;
+
+    try {
+      const previous = this.describeRung();
+      this.level += change.direction === "down" ? 1 : -1;
+      this.lastChangeAt = Date.now();
+      this.slowSince = null;
+      this.connectionErrors = [];
+
+      const message =
+        change.direction === "down"
+          ? `Quality lowered from ${previous} to ${this.describeRung()}: ${change.reason}`
+          : `Quality raised from ${previous} to ${this.describeRung()}: ${change.reason}`;
+
+      console.log(
+        `${change.direction === "down" ? "📉" : "📈"} [Broadcast ${
+          this.broadcastId
+        }] ${message}`
+      );
+
+      const log = change.direction === "down" ? logWarning : logInfo;
+      await log("Adaptive bitrate changed", {
+        broadcastId: this.broadcastId,
+        level: this.level,
+        bitrate: this.ladder[this.level].videoKbps,
+        resolution: this.ladder[this.level].resolution,
+        reason: change.reason,
+      });
+
+      await BroadcastEvent.record(this.broadcastId, "adaptive_bitrate", message, {
+        direction: change.direction,
+        level: this.level,
+        videoBitrate: `${this.ladder[this.level].videoKbps}k`,
+        resolution: this.ladder[this.level].resolution,
+      });
+      await this.saveState();
+    } catch (error) {
+      console.error(
+        `[Broadcast ${this.broadcastId}] Failed to record bitrate change:`,
+        error.message
+      );
+    } finally {
+      this.isChanging = false;
+    }
+  }
+
+  /**
+   * Store the current rung, shown in the broadcast details
+   */
+  async saveState() {
+    const status =
+      this.level === 0
+        ? null
+        : `Step ${this.level} of ${this.ladder.length - 1}: ${this.describeRung()} (profile ${this.describeRung(0)})`;
+    await Broadcast.updateAdaptiveState(this.broadcastId, this.level, status);
+  }
+}
+
+module.exports = {
+  ADAPTIVE_MODES,
+  resolveAdaptiveMode,
+  buildBitrateLadder,
+  AdaptiveBitrateController,
+};
@@ -0,0 +1,292 @@
+const os = require("os");
+const { getCurrentMetrics } = require("./performanceMonitor");
+const {
+  isBroadcastRunning,
+  getActiveBroadcastIds,
+} = require("./broadcastControl");
+const { getPresetSize } = require("../utils/outputGeometry");
+const Broadcast = require("../models/Broadcast");
+
+/**
+ * Admission Controller
+ * Decides whether the host can take another broadcast before it is started:
+ * concurrency limits (global and per account), the estimated encode cost of
+ * its encoder profile and the CPU/memory headroom left on the host
+ */
+
+// A just-started encoder doesn't show in the CPU/memory metrics yet
+const STARTUP_GRACE_MS = 60000;
+
+// x264 cost of one 1080p30 encode per preset, in CPU cores
+const X264_PRESET_CORES = {
+  ultrafast: 0.6,
+  superfast: 0.8,
+  veryfast: 1.1,
+  faster: 1.5,
+  fast: 2.0,
+  medium: 2.5,
+  slow: 4.0,
+};
+
+// Decoding, scaling and overlays still run on the CPU with NVENC
+const NVENC_CORES = 0.3;
+
+// Every destination is a stream-copy relay process
+const RELAY_CORES = 0.02;
+const RELAY_MEMORY_MB = 25;
+
+const PIXEL_RATE_1080P30 = 1920 * 1080 * 30;
+
+// broadcastId -> { accountId, cpuCores, memoryMb, admittedAt }
+const reservations = new Map();
+
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Limits from the environment (0 = no limit)
+ */
+function getLimits() {
+  return {
+    maxBroadcasts: readLimit("MAX_CONCURRENT_BROADCASTS", 5),
+    maxPerAccount: readLimit("MAX_BROADCASTS_PER_ACCOUNT", 0),
+    maxCpuPercent: readLimit("ADMISSION_MAX_CPU", 85),
+    maxMemoryPercent: readLimit("ADMISSION_MAX_MEMORY", 90),
+  };
+}
+
+/**
+ * Estimated host cost of encoding with an encoder profile
+ * "auto" resolution is estimated as 1080p, the source size isn't known yet
+ * @param {object} encoder - Encoder profile
+ * @param {number} destinationCount - Destinations the program is relayed to
+ * @returns {{cpuCores: number, memoryMb: number}}
+ */
+function estimateEncodeCost(encoder, destinationCount = 1) {
+  const size = getPresetSize(encoder.resolution, encoder.orientation) || {
+    width: 1920,
+    height: 1080,
+  };
+  const scale =
+    (size.width * size.height * encoder.frame_rate) / PIXEL_RATE_1080P30;
+
+  const encodeCores =
+    encoder.video_codec === "h264_nvenc"
+      ? NVENC_CORES * scale
+      : (X264_PRESET_CORES[encoder.preset] || X264_PRESET_CORES.veryfast) *
+        scale;
+  const encodeMemoryMb = 120 + 100 * scale;
+  const cpuCores = encodeCores + RELAY_CORES * destinationCount;
+
+  return {
+    cpuCores: Math.round(cpuCores * 100) / 100,
+    memoryMb: Math.round(encodeMemoryMb + RELAY_MEMORY_MB * destinationCount),
+  };
+}
+
+/**
+ * Drop reservations of broadcasts that ended
+ */
+function pruneReservations() {
+  const now = Date.now();
+  for (const [broadcastId, reservation] of reservations) {
+    if (
+      !isBroadcastRunning(broadcastId) &&
+      now - reservation.admittedAt > STARTUP_GRACE_MS
+    ) {
+      reservations.delete(broadcastId);
+    }
+  }
+}
+
+/**
+ * Broadcasts the host is committed to (running or just admitted)
+ */
+function getCommittedLoad() {
+  pruneReservations();
+
+  const now = Date.now();
+  const broadcastIds = new Set([
+    ...reservations.keys(),
+    ...getActiveBroadcastIds(),
+  ]);
+  const load = { count: broadcastIds.size, cpuCores: 0, pendingMemoryMb: 0 };
+
+  for (const reservation of reservations.values()) {
+    load.cpuCores += reservation.cpuCores;
+    if (now - reservation.admittedAt <= STARTUP_GRACE_MS) {
+      load.pendingMemoryMb += reservation.memoryMb;
+    }
+  }
+
+  return load;
+}
+
+/**
+ * Other broadcasts of an account that are on air, reconnecting or admitted
+ * Broadcasts started without a reservation here (by a previous web process,
+ * or resumed by the worker) only show in their status
+ */
+async function countAccountBroadcasts(accountId, exceptBroadcastId) {
+  const broadcastIds = new Set(await Broadcast.getOnAirIdsByAccount(accountId));
+  for (const [broadcastId, reservation] of reservations) {
+    if (reservation.accountId === accountId) broadcastIds.add(broadcastId);
+  }
+  broadcastIds.delete(exceptBroadcastId);
+  return broadcastIds.size;
+}
+
+/**
+ * Check whether an encoder profile can run on this host at all, even with
+ * nothing else on air
+ * Used when a broadcast is created
+ * @returns {{admitted: boolean, message: string|null, estimate: object}}
+ */
+function checkProfileFits(encoder, destinationCount = 1) {
+  const estimate = estimateEncodeCost(encoder, destinationCount);
+  const cores = os.cpus().length || 1;
+
+  // Estimates are rough (a compliant source is even stream copied), only
+  // refuse profiles far beyond the host
+  if (estimate.cpuCores > cores * 2) {
+    return {
+      admitted: false,
+      message: `Encoder profile "${encoder.profile_name}" needs about ${estimate.cpuCores} CPU cores, this host has ${cores}. Pick a lighter profile (lower resolution, frame rate or a faster preset).`,
+      estimate,
+    };
+  }
+
+  return { admitted: true, message: null, estimate };
+}
+
+/**
+ * Check whether a broadcast may start now
+ * @param {object} request - { broadcastId, accountId, encoder, destinationCount }
+ * @returns {Promise<{admitted: boolean, message: string|null, estimate: object}>}
+ */
+async function checkAdmission(request) {
+  const { broadcastId, accountId, encoder } = request;
+  const estimate = estimateEncodeCost(encoder, request.destinationCount || 1);
+  const refuse = (message) => ({ admitted: false, message, estimate });
+
+  // Restarting an admitted broadcast doesn't add load
+  if (reservations.has(broadcastId) || isBroadcastRunning(broadcastId)) {
+    return { admitted: true, message: null, estimate };
+  }
+
+  const limits = getLimits();
+  const accountCount =
+    limits.maxPerAccount > 0
+      ? await countAccountBroadcasts(accountId, broadcastId)
+      : 0;
+  const load = getCommittedLoad();
+
+  if (limits.maxBroadcasts > 0 && load.count >= limits.maxBroadcasts) {
+    return refuse(
+      `Host is at its limit of ${limits.maxBroadcasts} concurrent broadcasts. Stop a broadcast or try again later.`
+    );
+  }
+
+  if (
+    limits.maxPerAccount > 0 &&
+    accountCount >= limits.maxPerAccount
+  ) {
+    return refuse(
+      `Your account is at its limit of ${limits.maxPerAccount} concurrent broadcasts. Stop one of them first.`
+    );
+  }
+
+  const fits = checkProfileFits(encoder, request.destinationCount || 1);
+  if (!fits.admitted) {
+    return refuse(fits.message);
+  }
+
+  const metrics = getCurrentMetrics();
+  const cores = os.cpus().length || 1;
+
+  if (limits.maxCpuPercent > 0) {
+    // Measured usage lags behind encoders that are still starting
+    const usedPercent = Math.max(
+      metrics.cpu || 0,
+      (load.cpuCores / cores) * 100
+    );
+    // A broadcast alone on the host can't starve others, it only needs an
+    // idle enough host
+    const neededPercent =
+      load.count > 0 ? (estimate.cpuCores / cores) * 100 : 0;
+    if (usedPercent + neededPercent > limits.maxCpuPercent) {
+      const needed = neededPercent
+        ? `, this broadcast needs about ${Math.round(neededPercent)}% more`
+        : "";
+      return refuse(
+        `Not enough CPU headroom: ${Math.round(usedPercent)}% in use${needed} (limit ${limits.maxCpuPercent}%). Try again when the host is less busy.`
+      );
+    }
+  }
+
+  if (limits.maxMemoryPercent > 0 && metrics.memory && metrics.memory.total) {
+    const usedMb = metrics.memory.used / (1024 * 1024) + load.pendingMemoryMb;
+    const totalMb = metrics.memory.total / (1024 * 1024);
+    const projectedPercent = ((usedMb + estimate.memoryMb) / totalMb) * 100;
+    if (projectedPercent > limits.maxMemoryPercent) {
+      return refuse(
+        `Not enough memory: ${Math.round((usedMb / totalMb) * 100)}% in use, this broadcast needs about ${estimate.memoryMb} MB (limit ${limits.maxMemoryPercent}%). Try again when another broadcast has ended.`
+      );
+    }
+  }
+
+  return { admitted: true, message: null, estimate };
+}
+
+/**
+ * Check admission and reserve the capacity of the broadcast
+ * The reservation is released once the broadcast stops running
+ * @returns {Promise<{admitted: boolean, message: string|null, estimate: object}>}
+ */
+async function admitBroadcast(request) {
+  const result = await checkAdmission(request);
+
+  if (result.admitted && !reservations.has(request.broadcastId)) {
+    reservations.set(request.broadcastId, {
+      accountId: request.accountId,
+      cpuCores: result.estimate.cpuCores,
+      memoryMb: result.estimate.memoryMb,
+      admittedAt: Date.now(),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Release a reservation right away (broadcast failed to start)
+ */
+function releaseBroadcast(broadcastId) {
+  reservations.delete(broadcastId);
+}
+
+/**
+ * Current limits and committed load, for the system stats
+ */
+function getAdmissionStatus() {
+  const limits = getLimits();
+  const load = getCommittedLoad();
+  const cores = os.cpus().length || 1;
+
+  return {
+    ...limits,
+    broadcasts: load.count,
+    reservedCpuPercent: Math.round((load.cpuCores / cores) * 100),
+  };
+}
+
+module.exports = {
+  estimateEncodeCost,
+  checkProfileFits,
+  checkAdmission,
+  admitBroadcast,
+  releaseBroadcast,
+  getAdmissionStatus,
+};
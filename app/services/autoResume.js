@@ -0,0 +1,249 @@
+const Broadcast = require("../models/Broadcast");
+const BroadcastDestination = require("../models/BroadcastDestination");
+const BroadcastAsRun = require("../models/BroadcastAsRun");
+const Content = require("../models/Content");
+const Playlist = require("../models/Playlist");
+const { logInfo, logError } = require("./activityLogger");
+const { broadcastWithAutoReconnect } = require("./broadcastControl");
+const { admitBroadcast, releaseBroadcast } = require("./admissionController");
+const { resolveIngestSourceUrl } = require("./ingestServer");
+const { resolveContentVideoPath } = require("../utils/contentPath");
+const { parseTimestampToDate } = require("../utils/datetime");
+
+/**
+ * Auto-Resume Service
+ * Restarts broadcasts flagged with auto_resume that were on air when the
+ * server went down, one after the other so the encoders don't all start at
+ * the same moment
+ */
+
+// Let the server (and the network) settle after boot
+const RESUME_START_DELAY_MS = 10000;
+
+function getStaggerMs() {
+  const seconds = parseInt(process.env.AUTO_RESUME_STAGGER_SECONDS);
+  return (isNaN(seconds) ? 15 : seconds) * 1000;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Restart one broadcast with its stored settings
+ * Playlists continue at the item that was on air, a duration limit keeps
+ * counting from the original start
+ */
+async function resumeBroadcast(broadcast) {
+  const broadcastId = broadcast.broadcast_id;
+
+  const destinations = await BroadcastDestination.getEnabledByBroadcast(
+    broadcastId
+  );
+  if (destinations.length === 0) {
+    throw new Error("Broadcast has no enabled destinations");
+  }
+
+  const engineSettings = await Broadcast.getEngineSettings(broadcast);
+  const admission = await admitBroadcast({
+    broadcastId,
+    accountId: broadcast.account_id,
+    encoder: engineSettings.encoder,
+    destinationCount: destinations.length,
+  });
+  if (!admission.admitted) {
+    throw new Error(admission.message);
+  }
+
+  try {
+    if (broadcast.content_type === "live" || broadcast.content_type === "ingest") {
+      // Pushed streams are pulled from the ingest like any live source
+      const sourceUrl =
+        broadcast.content_type === "ingest"
+          ? await resolveIngestSourceUrl(broadcast.content_id)
+          : broadcast.source_url;
+
+      // Runs in the background, like a manual start
+      broadcastWithAutoReconnect(
+        broadcastId,
+        null,
+        destinations,
+        null,
+        engineSettings,
+        false,
+        null,
+        { sourceUrl }
+      ).catch((error) => {
+        console.error(
+          `Background broadcast error for ${broadcastId}:`,
+          error.message
+        );
+      });
+
+      await logInfo("Broadcast resumed after server restart", {
+        broadcastId,
+        contentType: broadcast.content_type,
+      });
+      return;
+    }
+
+    if (broadcast.content_type === "playlist") {
+      const playlist = await Playlist.findById(broadcast.content_id);
+      if (!playlist) {
+        throw new Error("Playlist not found");
+      }
+
+      const lastEntry = await BroadcastAsRun.getLatestByBroadcast(broadcastId);
+      const resumeEntry =
+        lastEntry && lastEntry.playlist_id === playlist.playlist_id
+          ? lastEntry
+          : null;
+
+      // Runs in the background, like a manual start
+      broadcastWithAutoReconnect(
+        broadcastId,
+        null,
+        destinations,
+        null,
+        engineSettings,
+        true,
+        {
+          playlistId: playlist.playlist_id,
+          loop: true, // loop - always true for continuous streaming
+          startItemId: resumeEntry ? resumeEntry.item_id : null,
+        }
+      ).catch((error) => {
+        console.error(
+          `Background broadcast error for ${broadcastId}:`,
+          error.message
+        );
+      });
+
+      await logInfo("Broadcast resumed after server restart", {
+        broadcastId,
+        playlistId: playlist.playlist_id,
+        resumedAt: resumeEntry
+          ? `#${resumeEntry.position} ${resumeEntry.content_title}`
+          : "first item",
+      });
+      return;
+    }
+
+    const content = await Content.findById(broadcast.content_id);
+    if (!content) {
+      throw new Error("Content not found");
+    }
+
+    let maxDurationSeconds = broadcast.duration_timeout || null;
+    if (maxDurationSeconds && broadcast.started_at) {
+      const elapsedSeconds =
+        (Date.now() - parseTimestampToDate(broadcast.started_at).getTime()) /
+        1000;
+      if (elapsedSeconds >= maxDurationSeconds) {
+        // Would have ended during the downtime
+        releaseBroadcast(broadcastId);
+        await Broadcast.updateStatus(broadcastId, "completed");
+        await logInfo("Broadcast not resumed, duration ended during restart", {
+          broadcastId,
+        });
+        return;
+      }
+      maxDurationSeconds = Math.round(maxDurationSeconds - elapsedSeconds);
+    }
+
+    // Runs in the background, like a manual start
+    broadcastWithAutoReconnect(
+      broadcastId,
+      resolveContentVideoPath(content),
+      destinations,
+      maxDurationSeconds,
+      engineSettings,
+      false // not a playlist
+    ).catch((error) => {
+      console.error(
+        `Background broadcast error for ${broadcastId}:`,
+        error.message
+      );
+    });
+
+    await logInfo("Broadcast resumed after server restart", {
+      broadcastId,
+      contentId: content.content_id,
+      remainingDuration: maxDurationSeconds
+        ? `${maxDurationSeconds}s`
+        : "unlimited",
+    });
+  } catch (error) {
+    releaseBroadcast(broadcastId);
+    throw error;
+  }
+}
+
+/**
+ * Resume every broadcast left waiting by Broadcast.cleanupOrphanedBroadcasts()
+ */
+async function resumeInterruptedBroadcasts() {
+  let broadcasts;
+  try {
+    broadcasts = await Broadcast.getPendingResumes();
+  } catch (error) {
+    console.error("Error loading broadcasts to resume:", error.message);
+    return;
+  }
+
+  if (broadcasts.length === 0) return;
+
+  const staggerMs = getStaggerMs();
+  console.log(
+    `🔁 Resuming ${broadcasts.length} broadcast(s) after server restart (${
+      staggerMs / 1000
+    }s apart)`
+  );
+
+  for (const [index, pending] of broadcasts.entries()) {
+    if (index > 0) {
+      await delay(staggerMs);
+    }
+
+    // Stopped or edited by a user while waiting for its turn
+    const broadcast = await Broadcast.findById(pending.broadcast_id);
+    if (!broadcast || broadcast.broadcast_status !== "reconnecting") {
+      continue;
+    }
+
+    try {
+      console.log(`🔁 [Broadcast ${broadcast.broadcast_id}] Resuming...`);
+      await resumeBroadcast(broadcast);
+    } catch (error) {
+      console.error(
+        `❌ [Broadcast ${broadcast.broadcast_id}] Resume failed:`,
+        error.message
+      );
+      await logError("Broadcast resume after server restart failed", {
+        broadcastId: broadcast.broadcast_id,
+        error: error.message,
+      });
+      await Broadcast.updateStatus(
+        broadcast.broadcast_id,
+        "failed",
+        `Could not resume after server restart: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Resume interrupted broadcasts shortly after the server has started
+ */
+function scheduleAutoResume() {
+  setTimeout(() => {
+    resumeInterruptedBroadcasts().catch((error) => {
+      console.error("Auto-resume error:", error.message);
+    });
+  }, RESUME_START_DELAY_MS);
+}
+
+module.exports = {
+  resumeInterruptedBroadcasts,
+  scheduleAutoResume,
+};
@@ -0,0 +1,281 @@
+const { logWarning } = require("./activityLogger");
+
+/**
+ * Broadcast Control
+ * Entry point of the web app to the broadcast engine. The engine runs in this
+ * process by default; with BROADCAST_WORKER_URL set it runs in the broadcast
+ * worker (worker.js) and every call is forwarded there, so restarting the web
+ * server leaves the FFmpeg processes on air
+ */
+
+// Engine functions the worker runs on request (all async)
+const WORKER_METHODS = [
+  "startLiveBroadcast",
+  "startPlaylistBroadcast",
+  "startLiveSourceBroadcast",
+  "broadcastWithAutoReconnect",
+  "stopLiveBroadcast",
+  "stopAllBroadcasts",
+  "swapBroadcastSource",
+  "getBroadcastNowPlaying",
+  "skipToNextItem",
+  "skipToPreviousItem",
+  "jumpToItem",
+  "holdOnSlate",
+  "resumeFromSlate",
+  "addBroadcastDestination",
+  "removeBroadcastDestination",
+  "updateDestinationBackup",
+  "requestOutputPreview",
+  "updateBroadcastOverlays",
+  "updateBroadcastMusicBed",
+  "getBroadcastMusic",
+];
+
+// Calls that change which broadcasts are on air
+const STATE_CHANGING_METHODS = new Set([
+  "startLiveBroadcast",
+  "startPlaylistBroadcast",
+  "startLiveSourceBroadcast",
+  "broadcastWithAutoReconnect",
+  "stopLiveBroadcast",
+  "stopAllBroadcasts",
+]);
+
+// Starts probe the source before they return
+const RPC_TIMEOUT_MS = 60000;
+const STATE_TIMEOUT_MS = 5000;
+
+// Set in the worker process itself, it always runs the engine
+let ownsEngine = false;
+
+// Last broadcast state reported by the worker
+const workerState = {
+  reachable: false,
+  lastSeenAt: null,
+  error: null,
+  broadcasts: new Map(),
+};
+let syncInterval = null;
+
+/**
+ * Run the engine in this process even when BROADCAST_WORKER_URL is set
+ * Called by the worker at startup
+ */
+function useEmbeddedEngine() {
+  ownsEngine = true;
+}
+
+function getWorkerUrl() {
+  if (ownsEngine || !process.env.BROADCAST_WORKER_URL) return null;
+  return process.env.BROADCAST_WORKER_URL.replace(/\/+$/, "");
+}
+
+/**
+ * Shared secret between the web app and the worker
+ * @returns {string|null} - null when neither secret is configured
+ */
+function getWorkerToken() {
+  return (
+    process.env.BROADCAST_WORKER_TOKEN || process.env.SESSION_SECRET || null
+  );
+}
+
+/**
+ * Whether this process runs the FFmpeg processes (and owns their state)
+ */
+function ownsBroadcastEngine() {
+  return !getWorkerUrl();
+}
+
+function getEngine() {
+  return require("./broadcastEngine");
+}
+
+/**
+ * Send a request to the broadcast worker
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+async function requestWorker(pathname, options, timeoutMs) {
+  const workerUrl = getWorkerUrl();
+  const token = getWorkerToken();
+  if (!token) {
+    throw new Error(
+      "Broadcast worker needs BROADCAST_WORKER_TOKEN or SESSION_SECRET to be set"
+    );
+  }
+  let response;
+
+  try {
+    response = await fetch(`${workerUrl}${pathname}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Worker-Token": token,
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    throw new Error(
+      `Broadcast worker is not reachable at ${workerUrl}: ${error.message}`
+    );
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new Error(
+      body.error || `Broadcast worker responded with HTTP ${response.status}`
+    );
+  }
+  return body;
+}
+
+/**
+ * Refresh the cached broadcast state from the worker
+ */
+async function refreshWorkerState() {
+  try {
+    const body = await requestWorker(
+      "/state",
+      { method: "GET" },
+      STATE_TIMEOUT_MS
+    );
+
+    if (!workerState.reachable) {
+      console.log(`✓ Connected to broadcast worker at ${getWorkerUrl()}`);
+    }
+    workerState.reachable = true;
+    workerState.lastSeenAt = new Date().toISOString();
+    workerState.error = null;
+    workerState.broadcasts = new Map(
+      body.broadcasts.map((state) => [state.broadcastId, state])
+    );
+  } catch (error) {
+    if (workerState.reachable || !workerState.error) {
+      console.error(`⚠ Broadcast worker unavailable: ${error.message}`);
+      logWarning("Broadcast worker unavailable", { error: error.message });
+    }
+    // Keep the last known broadcasts, the worker may only be restarting
+    workerState.reachable = false;
+    workerState.error = error.message;
+  }
+}
+
+/**
+ * Keep the cached worker state up to date (web server with a worker only)
+ */
+function startWorkerSync(intervalSeconds = 5) {
+  if (ownsBroadcastEngine() || syncInterval) return;
+
+  console.log(`✓ Using broadcast worker at ${getWorkerUrl()}`);
+  refreshWorkerState();
+  syncInterval = setInterval(refreshWorkerState, intervalSeconds * 1000);
+}
+
+/**
+ * Call an engine function, in this process or in the worker
+ */
+async function callEngine(method, args) {
+  if (ownsBroadcastEngine()) {
+    return await getEngine()[method](...args);
+  }
+
+  try {
+    const body = await requestWorker(
+      `/rpc/${method}`,
+      { method: "POST", body: JSON.stringify({ args }) },
+      RPC_TIMEOUT_MS
+    );
+    return body.result;
+  } finally {
+    if (STATE_CHANGING_METHODS.has(method)) {
+      await refreshWorkerState();
+    }
+  }
+}
+
+function getBroadcastStates() {
+  if (ownsBroadcastEngine()) {
+    return getEngine().getBroadcastStates();
+  }
+  return Array.from(workerState.broadcasts.values());
+}
+
+/**
+ * Check if broadcast is active
+ */
+function isBroadcastActive(broadcastId) {
+  const state = getBroadcastStates().find((s) => s.broadcastId === broadcastId);
+  return !!(state && state.active);
+}
+
+/**
+ * Check if a broadcast is on air or waiting for an encoder restart
+ */
+function isBroadcastRunning(broadcastId) {
+  return getBroadcastStates().some((s) => s.broadcastId === broadcastId);
+}
+
+/**
+ * Get all active broadcast IDs
+ */
+function getActiveBroadcastIds() {
+  return getBroadcastStates()
+    .filter((state) => state.active)
+    .map((state) => state.broadcastId);
+}
+
+/**
+ * Get active broadcast count
+ */
+function getActiveBroadcastCount() {
+  return getActiveBroadcastIds().length;
+}
+
+/**
+ * Output size of a live broadcast
+ * @returns {{width: number, height: number}|null}
+ */
+function getBroadcastOutputSize(broadcastId) {
+  const state = getBroadcastStates().find((s) => s.broadcastId === broadcastId);
+  return state && state.outputSize ? { ...state.outputSize } : null;
+}
+
+/**
+ * Where broadcasts run, for the system stats
+ */
+function getWorkerStatus() {
+  if (ownsBroadcastEngine()) {
+    return { mode: "embedded" };
+  }
+
+  return {
+    mode: "worker",
+    url: getWorkerUrl(),
+    reachable: workerState.reachable,
+    lastSeenAt: workerState.lastSeenAt,
+    error: workerState.error,
+  };
+}
+
+const engineMethods = Object.fromEntries(
+  WORKER_METHODS.map((method) => [
+    method,
+    (...args) => callEngine(method, args),
+  ])
+);
+
+module.exports = {
+  ...engineMethods,
+  WORKER_METHODS,
+  useEmbeddedEngine,
+  getWorkerToken,
+  ownsBroadcastEngine,
+  startWorkerSync,
+  isBroadcastActive,
+  isBroadcastRunning,
+  getActiveBroadcastIds,
+  getActiveBroadcastCount,
+  getBroadcastOutputSize,
+  getWorkerStatus,
+};
@@ -1,6 +1,11 @@
+const fs = require("fs");
+const path = require("path");
 const ffmpeg = require("fluent-ffmpeg");
-const { logInfo, logError } = require("./activityLogger");
+const { logInfo, logWarning, logError } = require("./activityLogger");
 const Broadcast = require("../models/Broadcast");
+const Playlist = require("../models/Playlist");
+const BroadcastAsRun = require("../models/BroadcastAsRun");
+const BroadcastEvent = require("../models/BroadcastEvent");
 const ffmpegErrorHandler = require("./ffmpegErrorHandler");
 const {
   ConnectionHealthMonitor,
@@ -8,6 +13,35 @@ const {
   StreamErrorDetector,
   NetworkQualityMonitor,
 } = require("./connectionRecovery");
+const ProgramBus = require("./programBus");
+const DestinationRelay = require("./destinationRelay");
+const { HlsPublisher } = require("./hlsPublisher");
+const { OutputPreview } = require("./outputPreview");
+const PlayoutFeeder = require("./playoutFeeder");
+const LiveSourceFeeder = require("./liveSourceFeeder");
+const EncoderProfile = require("../models/EncoderProfile");
+const IngestKey = require("../models/IngestKey");
+const Account = require("../models/Account");
+const Content = require("../models/Content");
+const { resolveIngestSourceUrl } = require("./ingestServer");
+const { OverlayCompositor } = require("./overlayCompositor");
+const { MusicBed } = require("./musicBed");
+const {
+  analyzeSource,
+  analyzeLiveSource,
+  decidePassthrough,
+} = require("./sourceAnalyzer");
+const { getSourceKind } = require("../utils/streamUrl");
+const { getSlateDir } = require("../utilities/fileManager");
+const MetricsRecorder = require("./metricsRecorder");
+const { normalizeRetryPolicy } = require("../utils/retryPolicy");
+const { AdaptiveBitrateController } = require("./adaptiveBitrate");
+const {
+  resolveFitMode,
+  getPresetSize,
+  getAutoOutputSize,
+  buildFitFilter,
+} = require("../utils/outputGeometry");
 
 // CRITICAL FIX: Use system FFmpeg instead of @ffmpeg-installer
 // @ffmpeg-installer binaries cause SIGSEGV in Docker due to ABI incompatibility
@@ -77,17 +111,31 @@ function getVideoResolution(videoPath) {
  * Manages live streams to various platforms
  */
 
-// Active broadcast processes
-const activeBroadcastProcesses = new Map();
+// Active broadcast sessions
+// broadcastId -> { command, programBus, relays, isStopping, completion, ... }
+// Each broadcast is encoded once into its program bus, destination relays
+// then copy the encoded program to every destination
+const activeBroadcastSessions = new Map();
+
+// Broadcasts kept alive by broadcastWithAutoReconnect, including the gaps
+// between encoder restarts when they have no session
+const supervisedBroadcasts = new Set();
+
+// Retry strategies of supervised broadcasts waiting for their next attempt
+const pendingReconnects = new Map();
+
+// How long a replaced source may take to exit before it is killed
+const SOURCE_STOP_TIMEOUT_MS = 3000;
 
 /**
- * Start a live broadcast
- * @param {number} broadcastId - Broadcast ID
- * @param {string} videoFilePath - Path to video file
- * @param {string} destinationUrl - RTMP destination URL
- * @param {string} streamKey - Stream key
- * @param {number} maxDurationSeconds - Maximum duration in seconds (optional, default: no limit)
+ * Seconds a live source may stay silent before it counts as lost
+ * Also bounds how long a probe of the source may take
  */
+function getLiveSourceTimeout() {
+  const seconds = parseInt(process.env.LIVE_SOURCE_TIMEOUT_SECONDS);
+  return isNaN(seconds) ? 10 : Math.max(2, seconds);
+}
+
 /**
  * Wait for connection to be fully released
  * @param {number} ms - Milliseconds to wait
@@ -125,652 +173,1677 @@ function isYouTubeStream(url) {
 }
 
 /**
- * Add connection timeout options for FFmpeg output
- * Prevents infinite hangs on network issues
+ * Create a destination relay bound to a session
+ * @param {object} session - Broadcast session
+ * @param {object} destination - broadcast_destinations row
  */
-function getConnectionTimeoutOptions() {
-  return [
-    // Socket options
-    "-socket_timeout",
-    "10000000", // 10 second socket timeout (microseconds)
-    "-tcp_nodelay",
-    "1", // Disable Nagle's algorithm for low latency
-    "-fflags",
-    "nobuffer", // Minimize buffering
-    // Connection handling
-    "-rtmp_pageurl",
-    "http://127.0.0.1", // Add referer to avoid blocking
-    "-rtmp_swfverify",
-    "no", // Skip SWF verification
-  ];
+function createDestinationRelay(session, destination) {
+  return new DestinationRelay(
+    session.broadcastId,
+    destination,
+    session.programBus,
+    {
+      // Facebook needs time to release the previous connection
+      startDelayMs: isFacebookStream(destination.destination_url) ? 3000 : 0,
+      endpoint: session.endpoints.get(destination.destination_id),
+      retryPolicy: session.retryPolicy,
+      onStatusChange: (relay, status) => {
+        if (status === "reconnecting" && session.adaptive) {
+          session.adaptive.recordConnectionError();
+        }
+        checkDestinationsHealth(session);
+      },
+      onStall: (relay, event) =>
+        recordWatchdogRestart(
+          session,
+          `Destination ${relay.destination.platform_name || relay.destinationId} relay restarted: ${event.message}`
+        ),
+      onEndpointChange: (relay, endpoint, message) => {
+        session.endpoints.set(relay.destinationId, endpoint);
+        BroadcastEvent.record(
+          session.broadcastId,
+          "failover",
+          `Destination ${relay.destination.platform_name || relay.destinationId}: ${message}`,
+          { destinationId: relay.destinationId, endpoint }
+        ).catch((error) => {
+          console.error("Error recording ingest switch:", error.message);
+        });
+      },
+    }
+  );
 }
 
 /**
- * Wrap broadcast function with auto-reconnect logic
+ * Create a broadcast session (program bus + one relay per destination)
+ * @param {number} broadcastId - Broadcast ID
+ * @param {Array} destinations - Enabled broadcast_destinations rows
+ * @param {object} options - { managedByReconnect, adaptive, endpoints, retryPolicy }
  */
-async function broadcastWithAutoReconnect(
-  broadcastId,
-  videoFilePath,
-  destinationUrl,
-  streamKey,
-  maxDurationSeconds,
-  advancedSettings,
-  isPlaylist = false,
-  playlistData = null
-) {
-  const retryStrategy = new RetryStrategy(4); // Max 4 retries for YouTube
-  const healthMonitor = new ConnectionHealthMonitor(broadcastId);
-  const networkMonitor = new NetworkQualityMonitor(broadcastId);
+function createBroadcastSession(broadcastId, destinations, options = {}) {
+  if (!destinations || destinations.length === 0) {
+    throw new Error("Broadcast has no enabled destinations");
+  }
 
-  let lastError = null;
-  let isUserInitiatedStop = false;
+  const session = {
+    broadcastId,
+    command: null,
+    feeder: null,
+    programBus: new ProgramBus(broadcastId),
+    relays: new Map(),
+    isStopping: false,
+    isFinished: false,
+    failureMessage: null,
+    managedByReconnect: !!options.managedByReconnect,
+    // Bumped on every content switch, handlers of a replaced source ignore
+    // its exit
+    sourceGeneration: 1,
+    currentSource: null,
+    outputSize: null,
+    programStartedAt: null,
+    overlays: null,
+    // Encoder profile of the program, content switches keep it
+    encoder: null,
+    // Bitrate ladder of the broadcast (see adaptiveBitrate.js)
+    adaptive: options.adaptive || null,
+    // destinationId -> ingest in use (primary | backup)
+    endpoints: options.endpoints || new Map(),
+    // Reconnect policy of the broadcast, destination relays follow it too
+    retryPolicy: normalizeRetryPolicy(options.retryPolicy),
+    // Self-hosted HLS rendition (see hlsPublisher.js)
+    hls: null,
+    // Audio playlist mixed into the program (see musicBed.js)
+    musicBed: null,
+    // Dashboard thumbnails and preview of the output (see outputPreview.js)
+    preview: null,
+    // Set while the encoder is restarted on another rung of the ladder
+    restartReason: null,
+    // Set while a stalled encoder is killed for the auto-reconnect wrapper
+    stallMessage: null,
+    // Stuck-stream watchdog of the program encoder
+    watchdog: new ConnectionHealthMonitor(broadcastId),
+  };
+
+  session.preview = new OutputPreview(broadcastId, session.programBus);
+
+  // Encoder telemetry, stored in broadcast_metrics
+  session.metrics = new MetricsRecorder(broadcastId, {
+    onSample: (sample) => checkAdaptiveBitrate(session, sample),
+    onProgress: (progress) =>
+      session.watchdog.updateProgress({
+        timemark: progress.timemark,
+        currentKbps: progress.bitrateKbps,
+        currentFps: progress.fps,
+        speed: progress.speed,
+      }),
+  });
 
-  // Mark broadcast as recovering to prevent duplicate restarts
-  let isRecovering = false;
+  session.completion = new Promise((resolve) => {
+    session.resolveCompletion = resolve;
+  });
 
-  while (retryStrategy.canRetry() && !isUserInitiatedStop) {
-    try {
-      console.log(
-        `\n🎬 [Broadcast ${broadcastId}] Starting stream (Attempt ${
-          retryStrategy.attempts + 1
-        })`
-      );
+  for (const destination of destinations) {
+    session.relays.set(
+      destination.destination_id,
+      createDestinationRelay(session, destination)
+    );
+  }
 
-      if (isPlaylist) {
-        // Start playlist broadcast
-        await startPlaylistBroadcast(
-          broadcastId,
-          playlistData.videos,
-          destinationUrl,
-          streamKey,
-          playlistData.shuffle || false,
-          playlistData.loop || true,
-          advancedSettings
-        );
-      } else {
-        // Start single video broadcast
-        await startLiveBroadcast(
-          broadcastId,
-          videoFilePath,
-          destinationUrl,
-          streamKey,
-          maxDurationSeconds,
-          advancedSettings,
-          {
-            healthMonitor,
-            networkMonitor,
-            isYouTube: isYouTubeStream(destinationUrl),
-          }
-        );
-      }
+  return session;
+}
 
-      // If we reach here, stream ended successfully
-      console.log(`✅ [Broadcast ${broadcastId}] Stream ended successfully`);
-      await logInfo("Stream completed successfully", { broadcastId });
-      break;
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.message || error.toString();
+/**
+ * Start the encoder of a session, then connect every destination relay
+ * Playlist sessions start their feeder instead of a single encoder
+ * @param {object} session - Broadcast session
+ * @param {object} ffmpegProcess - Encoder command writing to session.programBus
+ */
+function runBroadcastSession(session, ffmpegProcess = null) {
+  activeBroadcastSessions.set(session.broadcastId, session);
+  session.programStartedAt = Date.now();
+
+  session.watchdog.resetProgress();
+  session.watchdog.startMonitoring((event) =>
+    handleEncoderStall(session, event)
+  );
+
+  attachSessionSource(session, ffmpegProcess);
+
+  for (const relay of session.relays.values()) {
+    relay.start().catch((error) => {
+      console.error(
+        `Error starting relay for destination ${relay.destinationId}:`,
+        error.message
+      );
+    });
+  }
 
-      console.error(`❌ [Broadcast ${broadcastId}] Stream error: ${errorMsg}`);
+  if (session.hls) {
+    session.hls.start().catch((error) => {
+      console.error("Error starting HLS publisher:", error.message);
+    });
+  }
 
-      // Check if this is a user-initiated stop
-      if (
-        errorMsg.includes("killed with signal SIGKILL") ||
-        errorMsg.includes("killed with signal SIGTERM")
-      ) {
-        console.log("User initiated stream stop");
-        isUserInitiatedStop = true;
-        break;
-      }
+  session.preview.start().catch((error) => {
+    console.error("Error starting output preview:", error.message);
+  });
+}
 
-      // Check if it's a fatal error (don't retry)
-      if (StreamErrorDetector.isFatalError(error)) {
-        console.error("❌ Fatal error detected - not retrying:", errorMsg);
-        await logError("Fatal broadcast error - no retry", {
-          broadcastId,
-          error: errorMsg,
-        });
-        break;
-      }
+/**
+ * Start the source feeding the program bus of a session
+ * @param {object} session - Broadcast session (feeder set for playlists)
+ * @param {object} ffmpegProcess - Encoder command (single content)
+ */
+function attachSessionSource(session, ffmpegProcess = null) {
+  if (session.feeder) {
+    const feeder = session.feeder;
+    session.command = null;
+    feeder.start(session.programStartedAt).catch(async (error) => {
+      if (session.feeder !== feeder) return; // Replaced by a content switch
+      console.error("Error starting playout feeder:", error.message);
+      await endBroadcastSession(session, "failed", error.message);
+    });
+  } else {
+    session.command = ffmpegProcess;
+    ffmpegProcess.run();
+  }
+}
 
-      // Check if it's a memory error
-      if (StreamErrorDetector.isMemoryError(error)) {
-        console.error("⚠️  Memory error detected:", errorMsg);
-        await logError("Memory error in broadcast", {
-          broadcastId,
-          error: errorMsg,
-        });
-        await Broadcast.updateStatus(
-          broadcastId,
-          "failed",
-          "Memory error - try reducing bitrate/resolution or restarting"
-        );
-        break;
-      }
+/**
+ * Stop the current source of a session and wait until it has exited
+ * Destinations stay connected, the program bus is left open
+ * @param {object} session - Broadcast session
+ */
+async function detachSessionSource(session) {
+  let exited;
+  if (session.feeder) {
+    exited = session.feeder.finished;
+  } else if (session.command) {
+    const command = session.command;
+    exited = new Promise((resolve) => {
+      command.once("end", resolve);
+      command.once("error", resolve);
+    });
+  } else {
+    exited = Promise.resolve();
+  }
 
-      // Log connection error
-      if (StreamErrorDetector.isConnectionError(error)) {
-        console.warn(
-          `⚠️  Connection error detected on attempt ${
-            retryStrategy.attempts + 1
-          }:`,
-          errorMsg
-        );
-        networkMonitor.recordReconnectAttempt();
+  const waitForExit = (ms) =>
+    Promise.race([exited.then(() => true), delay(ms).then(() => false)]);
 
-        // If too many reconnect attempts, suggest network issue
-        if (retryStrategy.attempts >= 2) {
-          await logError(
-            "Multiple connection failures - possible network issue",
-            {
-              broadcastId,
-              attempts: retryStrategy.attempts + 1,
-              lastError: errorMsg,
-              networkStatus: networkMonitor.getStatus(),
-            }
-          );
-        }
-      }
+  stopSessionEncoder(session, "SIGTERM");
+  if (!(await waitForExit(SOURCE_STOP_TIMEOUT_MS))) {
+    console.warn(
+      `⚠️  [Broadcast ${session.broadcastId}] Source did not exit, killing it`
+    );
+    stopSessionEncoder(session, "SIGKILL");
+    await waitForExit(1000);
+  }
 
-      // If we can retry, wait before attempting again
-      if (retryStrategy.canRetry()) {
-        await retryStrategy.waitBeforeRetry();
+  session.feeder = null;
+  session.command = null;
+}
 
-        // Update broadcast status to show reconnecting
-        await Broadcast.updateStatus(
-          broadcastId,
-          "reconnecting",
-          `Attempting to reconnect (${retryStrategy.attempts}/${retryStrategy.maxRetries})...`
-        );
-      } else {
-        // Max retries reached
-        console.error(
-          `❌ Max reconnection attempts (${retryStrategy.maxRetries}) reached`
-        );
-        await logError("Broadcast failed - max retries reached", {
-          broadcastId,
-          attempts: retryStrategy.attempts,
-          retryLog: retryStrategy.getLog(),
-          lastError: errorMsg,
-          networkStatus: networkMonitor.getStatus(),
-        });
+function checkDestinationsHealth(session) {
+  if (session.isStopping || session.isFinished || session.relays.size === 0) {
+    return;
+  }
 
-        // Final error message
-        let finalErrorMsg = `Stream disconnected after ${retryStrategy.attempts} reconnection attempts.`;
-        if (isYouTubeStream(destinationUrl)) {
-          finalErrorMsg +=
-            " Check: (1) YouTube stream key is valid, (2) Network connection is stable, (3) YouTube account has streaming enabled";
-        }
-        await Broadcast.updateStatus(broadcastId, "failed", finalErrorMsg);
-        break;
-      }
-    }
+  const relays = Array.from(session.relays.values());
+  if (!relays.every((relay) => relay.isFailed())) {
+    return;
   }
 
-  // Cleanup health monitor
-  healthMonitor.stopMonitoring();
+  console.error(
+    `❌ [Broadcast ${session.broadcastId}] All destinations failed, stopping encoder`
+  );
+  session.isStopping = true;
+  session.failureMessage =
+    relays.length === 1
+      ? "Destination failed after multiple reconnection attempts"
+      : `All ${relays.length} destinations failed after multiple reconnection attempts`;
 
-  if (isUserInitiatedStop) {
-    console.log(`✓ Broadcast ${broadcastId} stopped by user`);
-  }
+  stopSessionEncoder(session, "SIGTERM");
 }
 
 /**
- * Start live broadcast with playlist (multiple videos)
- * @param {number} broadcastId - Broadcast ID
- * @param {Array} videos - Array of video objects with filepath
- * @param {string} destinationUrl - RTMP destination URL
- * @param {string} streamKey - Stream key
- * @param {boolean} shuffle - Whether to shuffle videos
- * @param {boolean} loop - Whether to loop playlist
- * @param {object} advancedSettings - Advanced Settings (bitrate, frame_rate, resolution, orientation)
+ * Encoder profile of a source
+ * Content switches keep the profile the program started with, destinations
+ * can't follow a codec or frame rate change mid-stream
  */
-async function startPlaylistBroadcast(
-  broadcastId,
-  videos,
-  destinationUrl,
-  streamKey,
-  shuffle = false,
-  loop = true,
-  advancedSettings = {}
-) {
-  try {
-    const fs = require("fs");
-    const path = require("path");
-
-    // Parse Advanced Settings
-    const bitrate = advancedSettings.bitrate || "2500k";
-    const frameRate = advancedSettings.frame_rate || 30;
-    const resolution = advancedSettings.resolution || null;
-    const orientation = advancedSettings.orientation || "landscape";
+function resolveSessionEncoder(swapSession, advancedSettings) {
+  if (swapSession && swapSession.encoder) return swapSession.encoder;
+  return (
+    advancedSettings.encoder ||
+    EncoderProfile.fromLegacySettings(advancedSettings)
+  );
+}
 
-    console.log(
-      `📊 Advanced Settings (Playlist): Bitrate=${bitrate}, FPS=${frameRate}, Resolution=${resolution}, Orientation=${orientation}`
-    );
+/**
+ * H.264 profile and level of an encoder profile
+ * "auto" picks what the output size and frame rate need
+ */
+function resolveH264ProfileLevel(encoder, width, height) {
+  const shortSide = Math.min(width, height);
+  const highFrameRate = encoder.frame_rate > 30;
+
+  let profile = "baseline";
+  let level = "3.1";
+  if (shortSide >= 1440) {
+    profile = "high";
+    level = "5.1";
+  } else if (shortSide >= 1080) {
+    profile = "high";
+    level = highFrameRate ? "4.2" : "4.1";
+  } else if (shortSide >= 720) {
+    profile = "main";
+    level = highFrameRate ? "4.0" : "3.1";
+  }
 
-    // Check if broadcast is already running
-    if (activeBroadcastProcesses.has(broadcastId)) {
-      throw new Error("Broadcast is already active");
-    }
+  return {
+    profile: encoder.h264_profile === "auto" ? profile : encoder.h264_profile,
+    level: encoder.h264_level === "auto" ? level : encoder.h264_level,
+  };
+}
 
-    if (!videos || videos.length === 0) {
-      throw new Error("Playlist is empty");
-    }
+/**
+ * FFmpeg video + audio encoder options of an encoder profile
+ */
+function buildEncoderOutputOptions(encoder, width, height) {
+  const { profile, level } = resolveH264ProfileLevel(encoder, width, height);
+  const videoKbps = parseInt(encoder.video_bitrate);
+  const maxKbps =
+    encoder.rate_control === "cbr" ? videoKbps : parseInt(encoder.max_bitrate);
+  // Keyframe interval in frames, fixed so platforms get regular keyframes
+  const gop = Math.max(
+    1,
+    Math.round(encoder.keyframe_interval * encoder.frame_rate)
+  );
+
+  const options = [
+    "-c:v",
+    encoder.video_codec, // H.264 video codec
+    "-preset",
+    encoder.preset,
+  ];
 
-    // Construct full destination URL
-    const baseUrl = destinationUrl.endsWith("/")
-      ? destinationUrl.slice(0, -1)
-      : destinationUrl;
-    const fullDestinationUrl = streamKey ? `${baseUrl}/${streamKey}` : baseUrl;
+  if (encoder.tune && encoder.tune !== "none") {
+    options.push("-tune", encoder.tune);
+  }
 
-    // Special handling for Facebook
-    if (isFacebookStream(destinationUrl)) {
-      console.log(
-        "⏳ Facebook stream detected. Waiting for connection cleanup..."
+  options.push(
+    "-profile:v",
+    profile,
+    "-level",
+    level,
+    "-b:v",
+    `${videoKbps}k`, // Video bitrate
+    "-maxrate",
+    `${maxKbps}k`, // Max bitrate
+    "-bufsize",
+    `${maxKbps * 2}k` // Buffer size
+  );
+
+  // Constant bitrate: pad to the target rate (required by some platforms)
+  if (encoder.rate_control === "cbr") {
+    if (encoder.video_codec === "libx264") {
+      options.push(
+        "-minrate",
+        `${videoKbps}k`,
+        "-x264-params",
+        "nal-hrd=cbr"
       );
-      await delay(3000);
-      await logInfo("Waiting for Facebook connection cleanup", {
-        broadcastId,
-        delay: "3s",
-      });
+    } else {
+      options.push("-rc", "cbr");
     }
+  } else if (encoder.video_codec !== "libx264") {
+    options.push("-rc", "vbr");
+  }
 
-    // Get video paths
-    let videoPaths = videos.map((video) => {
-      const videoPath = video.filepath;
-
-      // Already absolute path
-      if (path.isAbsolute(videoPath)) {
-        return videoPath;
-      }
+  options.push(
+    "-pix_fmt",
+    "yuv420p", // Pixel format
+    "-g",
+    String(gop), // GOP size
+    "-keyint_min",
+    String(gop),
+    "-sc_threshold",
+    "0", // No extra keyframes on scene cuts
+    "-r",
+    String(encoder.frame_rate), // Frame rate
+    "-s",
+    `${width}x${height}`, // Output size
+    "-c:a",
+    "aac", // AAC audio codec
+    "-b:a",
+    encoder.audio_bitrate, // Audio bitrate
+    "-ar",
+    String(encoder.audio_sample_rate), // Audio sample rate
+    "-ac",
+    "2" // Stereo audio
+  );
+
+  return options;
+}
 
-      // Relative path - resolve it
-      // First check if path is already resolved from __dirname
-      const directPath = path.join(__dirname, "..", videoPath);
-      if (fs.existsSync(directPath)) {
-        return directPath;
-      }
+/**
+ * Record whether a source runs as stream copy or transcode
+ * Shown in the broadcast details
+ */
+async function recordEncodeMode(session, passthrough, reason) {
+  const mode = passthrough ? "passthrough" : "transcode";
+  session.encodeMode = { mode, reason };
+
+  console.log(
+    `${passthrough ? "⚡" : "🎞️"}  [Broadcast ${session.broadcastId}] ${
+      passthrough ? "Passthrough (stream copy)" : "Transcode"
+    }: ${reason}`
+  );
+  try {
+    await Broadcast.updateEncodeMode(session.broadcastId, mode, reason);
+  } catch (error) {
+    console.error("Error saving encode mode:", error.message);
+  }
+}
 
-      // If not found in any location, return resolved path (will fail validation later)
-      return path.resolve(videoPath);
+/**
+ * Decide whether a single video goes on air as is (stream copy)
+ * Only an H.264/AAC source that already matches the output, with sane
+ * keyframes and no overlays, skips the encoder
+ * @returns {Promise<boolean>} - true = stream copy
+ */
+async function chooseSourcePassthrough(session, videoFilePath, width, height) {
+  let decision;
+  try {
+    const source = await analyzeSource(videoFilePath);
+    decision = decidePassthrough(source, {
+      encoder: session.encoder,
+      width,
+      height,
+      hasOverlays: !!session.overlays,
+      hasMusicBed: !!getActiveMusicBed(session),
     });
+  } catch (error) {
+    decision = {
+      passthrough: false,
+      reason: `Transcoding: source could not be analyzed (${error.message})`,
+    };
+  }
 
-    // Validate video files exist BEFORE shuffling
-    console.log("Validating video files...");
-    for (let i = 0; i < videoPaths.length; i++) {
-      const videoPath = videoPaths[i];
-      console.log(`  [${i + 1}/${videoPaths.length}] Checking: ${videoPath}`);
-
-      if (!fs.existsSync(videoPath)) {
-        // Try to find file in common locations
-        const basename = path.basename(videoPath);
-        const possiblePaths = [
-          videoPath,
-          // Check storage/uploads first (current location)
-          path.join(__dirname, "..", "storage", "uploads", basename),
-          path.join(process.cwd(), "storage", "uploads", basename),
-          // Check storage/media as fallback (old location)
-          path.join(__dirname, "..", "storage", "media", basename),
-          path.join(process.cwd(), "storage", "media", basename),
-        ];
-
-        let foundPath = null;
-        for (const testPath of possiblePaths) {
-          if (fs.existsSync(testPath)) {
-            foundPath = testPath;
-            console.log(`  ✓ Found at: ${testPath}`);
-            break;
-          }
-        }
+  await recordEncodeMode(session, decision.passthrough, decision.reason);
+  return decision.passthrough;
+}
 
-        if (!foundPath) {
-          throw new Error(
-            `Video file not found: ${videoPath}\nAlso checked:\n${possiblePaths.join(
-              "\n"
-            )}`
-          );
-        }
+/**
+ * Create the overlay compositor of a session (kept across content switches)
+ * @param {object} session - Broadcast session
+ * @param {object} overlays - Overlay settings (advanced_settings.overlays)
+ * @param {object} broadcast - Broadcast row
+ */
+function setupSessionOverlays(session, overlays, broadcast) {
+  if (session.overlays || !overlays) return;
+
+  session.overlays = new OverlayCompositor(
+    `broadcast-${session.broadcastId}`,
+    overlays,
+    { broadcast_name: broadcast ? broadcast.broadcast_name : "" }
+  );
+}
 
-        videoPaths[i] = foundPath;
-      } else {
-        console.log(`  ✓ Found`);
-      }
-    }
+/**
+ * Create the HLS publisher of a session (kept across content switches)
+ * @param {object} session - Broadcast session
+ * @param {object} hls - { broadcastUuid } when the broadcast publishes HLS
+ */
+function setupSessionHls(session, hls) {
+  if (session.hls || !hls) return;
+
+  session.hls = new HlsPublisher(
+    session.broadcastId,
+    hls.broadcastUuid,
+    session.programBus
+  );
+}
 
-    // Shuffle if requested
-    if (shuffle) {
-      videoPaths = videoPaths.sort(() => Math.random() - 0.5);
-      await logInfo("Playlist shuffled", {
-        broadcastId,
-        count: videoPaths.length,
-      });
-    }
+/**
+ * Create and start the music bed of a session (kept across content switches)
+ * The title of the track on air is available to overlays as {track}
+ * @param {object} session - Broadcast session
+ * @param {object} musicBed - Music bed settings (advanced_settings.music_bed)
+ */
+function setupSessionMusicBed(session, musicBed) {
+  if (session.musicBed || !musicBed || !musicBed.playlist_id) return;
 
-    // Shuffle videos if needed
-    if (shuffle) {
-      // Fisher-Yates shuffle algorithm
-      for (let i = videoPaths.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [videoPaths[i], videoPaths[j]] = [videoPaths[j], videoPaths[i]];
+  session.musicBed = new MusicBed(session.broadcastId, musicBed, {
+    onTrackChange: (track) => {
+      if (session.overlays) {
+        session.overlays.setContext({ track: track ? track.title : "" });
       }
-    }
+    },
+  });
+  session.musicBed.start();
+}
+
+/**
+ * Music bed encoders should mix in
+ * @returns {MusicBed|null} - null = source audio only
+ */
+function getActiveMusicBed(session) {
+  return session.musicBed && session.musicBed.isEnabled()
+    ? session.musicBed
+    : null;
+}
+
+/**
+ * Get the overlay compositor ready for an encoder
+ * @returns {Promise<OverlayCompositor|null>} - null = encode without overlays
+ */
+async function prepareSessionOverlays(session, width, height) {
+  if (!session.overlays) return null;
 
-    // Create concat file for FFmpeg
-    const concatFilePath = path.join(
-      __dirname,
-      "..",
-      "storage",
-      "temp",
-      `playlist_${broadcastId}.txt`
+  await session.overlays.prepare(width, height);
+  if (!session.overlays.isReady()) {
+    console.warn(
+      `⚠️  [Broadcast ${session.broadcastId}] Overlay layer could not be rendered, encoding without overlays`
     );
+    return null;
+  }
+  return session.overlays;
+}
 
-    // Ensure temp directory exists
-    const tempDir = path.dirname(concatFilePath);
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
+/**
+ * Output options shared by every encoder feeding a continuous program
+ * (playlist items, live sources, the slate)
+ * FORCE RE-ENCODE so every source matches the program format
+ * @param {object} session - Broadcast session (encoder and outputSize set)
+ * @param {number} offsetSeconds - Position on the program timeline
+ * @param {boolean} passthrough - Copy the source streams instead
+ */
+function buildProgramOutputOptions(session, offsetSeconds, passthrough = false) {
+  const { width, height } = session.outputSize;
 
-    // Generate concat file content
-    let concatContent = "";
-    if (loop) {
-      // Repeat playlist 1000 times for continuous loop
-      for (let i = 0; i < 1000; i++) {
-        videoPaths.forEach((videoPath) => {
-          concatContent += `file '${videoPath.replace(/\\/g, "/")}'\n`;
-        });
-      }
-    } else {
-      videoPaths.forEach((videoPath) => {
-        concatContent += `file '${videoPath.replace(/\\/g, "/")}'\n`;
-      });
-    }
+  return [
+    ...(passthrough
+      ? ["-c", "copy"]
+      : buildEncoderOutputOptions(
+          session.adaptive.applyBitrate(session.encoder),
+          width,
+          height
+        )),
+    "-max_muxing_queue_size",
+    "1024", // Large muxing queue
+    "-output_ts_offset",
+    offsetSeconds.toFixed(3), // Continue the program timeline
+    "-f",
+    "mpegts", // Program feed for destination relays
+    "-mpegts_flags",
+    "+resend_headers", // Relays may join mid-stream
+  ];
+}
 
-    fs.writeFileSync(concatFilePath, concatContent);
+/**
+ * Emergency slate the broadcast owner uploaded in the settings
+ * @param {object} session - Broadcast session
+ * @returns {Promise<object|null>} - { path, type (image | video), audioPath }, null without one
+ */
+async function resolveAccountSlate(session) {
+  try {
+    const broadcast = await Broadcast.findById(session.broadcastId);
+    const slate = broadcast ? await Account.getSlate(broadcast.account_id) : null;
+    if (!slate) return null;
+
+    const resolveFile = (filename) => {
+      if (!filename) return null;
+      const filePath = path.join(getSlateDir(), path.basename(filename));
+      return fs.existsSync(filePath) ? filePath : null;
+    };
+
+    const slatePath = resolveFile(slate.slate_path);
+    const audioPath = resolveFile(slate.slate_audio_path);
+    if (!slatePath && !audioPath) return null;
+
+    return {
+      path: slatePath,
+      type: slatePath ? slate.slate_type || "image" : null,
+      audioPath,
+    };
+  } catch (error) {
+    console.error("Error loading account slate:", error.message);
+    return null;
+  }
+}
 
-    // Detect resolution from first video (or use Advanced Settings)
-    let outputWidth = 1280,
-      outputHeight = 720; // Default
+/**
+ * Build the encoder holding the program on the slate
+ * Uses the slate of the broadcast owner (image or looped clip, with its
+ * own audio), else SLATE_IMAGE, else black. Runs until killed (operator
+ * resumes, skips or stops, a live source is back, the emergency slate
+ * time is up)
+ * @param {object} session - Broadcast session
+ * @param {number} offsetSeconds - Position on the program timeline
+ */
+async function buildSlateCommand(session, offsetSeconds) {
+  const { frame_rate: frameRate, orientation } = session.encoder;
 
-    if (resolution && resolution !== "auto" && resolution !== "auto-detect") {
-      // Use Advanced Settings resolution
-      const resolutionMap = {
-        "720p": { w: 1280, h: 720 },
-        "1080p": { w: 1920, h: 1080 },
-        "1440p": { w: 2560, h: 1440 },
-        "2160p": { w: 3840, h: 2160 },
-      };
+  if (!session.outputSize) {
+    session.outputSize = getPresetSize("720p", orientation);
+  }
+  const { width: outputWidth, height: outputHeight } = session.outputSize;
+
+  const accountSlate = await resolveAccountSlate(session);
+  const defaultImage = process.env.SLATE_IMAGE
+    ? path.resolve(process.env.SLATE_IMAGE)
+    : path.join(__dirname, "..", "storage", "slates", "slate.png");
+
+  let slatePath = null;
+  let slateType = "image";
+  if (accountSlate && accountSlate.path) {
+    slatePath = accountSlate.path;
+    slateType = accountSlate.type;
+  } else if (fs.existsSync(defaultImage)) {
+    slatePath = defaultImage;
+  }
 
-      if (resolutionMap[resolution]) {
-        outputWidth = resolutionMap[resolution].w;
-        outputHeight = resolutionMap[resolution].h;
-        console.log(
-          `📐 Playlist using Advanced Settings resolution: ${outputWidth}x${outputHeight} (${resolution})`
-        );
-      } else {
-        // Fall back to detecting from video
-        try {
-          const firstVideoResolution = await getVideoResolution(videoPaths[0]);
-          outputWidth = firstVideoResolution.width;
-          outputHeight = firstVideoResolution.height;
-
-          // Ensure minimum 480p
-          if (outputHeight < 480) {
-            const scale = 480 / outputHeight;
-            outputHeight = 480;
-            outputWidth = Math.round(outputWidth * scale);
-            if (outputWidth % 2 !== 0) outputWidth++;
-          }
+  const overlays = await prepareSessionOverlays(
+    session,
+    outputWidth,
+    outputHeight
+  );
+
+  // The slate is always shown whole
+  const fitFilter = buildFitFilter(outputWidth, outputHeight, "letterbox");
+
+  let command;
+  if (slatePath && slateType === "video") {
+    // Short clip, looped for as long as the slate holds
+    command = ffmpeg(slatePath).inputOptions(["-stream_loop", "-1", "-re"]);
+  } else if (slatePath) {
+    command = ffmpeg(slatePath).inputOptions([
+      "-loop",
+      "1",
+      "-re",
+      "-framerate",
+      String(frameRate),
+    ]);
+  } else {
+    // No slate image configured - hold on black
+    command = ffmpeg(
+      `color=c=black:s=${outputWidth}x${outputHeight}:r=${frameRate}`
+    )
+      .inputFormat("lavfi")
+      .inputOptions(["-re"]);
+  }
+  if (slatePath && !overlays) {
+    command.videoFilters(fitFilter);
+  }
 
-          console.log(
-            `Playlist output resolution: ${outputWidth}x${outputHeight}`
-          );
-        } catch (err) {
-          console.warn(
-            "Could not detect playlist video resolution, using default 1280x720"
-          );
-        }
-      }
+  // Slate audio, else the sound of the clip, else silence
+  let audioMap = "1:a";
+  if (accountSlate && accountSlate.audioPath) {
+    command
+      .input(accountSlate.audioPath)
+      .inputOptions(["-stream_loop", "-1", "-re"]);
+  } else if (
+    slateType === "video" &&
+    (await hasAudioStream(slatePath).catch(() => false))
+  ) {
+    audioMap = "0:a:0";
+  } else {
+    command
+      .input("anullsrc=channel_layout=stereo:sample_rate=44100")
+      .inputFormat("lavfi");
+  }
+  const layerInput = audioMap === "0:a:0" ? 1 : 2;
+
+  // Overlays stay on screen while holding on the slate
+  if (overlays) {
+    command
+      .input(overlays.layerPath)
+      .inputOptions(overlays.getLayerInputOptions())
+      .complexFilter(
+        overlays.buildFilter("0:v:0", `${layerInput}:v`, fitFilter)
+      );
+  }
+
+  return command
+    .outputOptions(buildProgramOutputOptions(session, offsetSeconds))
+    .outputOptions(["-map", overlays ? "[vout]" : "0:v:0", "-map", audioMap])
+    .output(session.programBus, { end: false })
+    .on("start", (commandLine) => {
+      console.log("FFmpeg slate command:", commandLine);
+    });
+}
+
+/**
+ * Build the command pulling a live source into the program bus
+ * @param {object} session - Broadcast session (encoder and outputSize set)
+ * @param {string} sourceUrl - URL to pull
+ * @param {object} options
+ * @param {number} options.offsetSeconds - Position on the program timeline
+ * @param {boolean} options.passthrough - Copy the source streams
+ * @param {boolean} options.hasAudio - Source carries audio (silence is added otherwise)
+ * @param {string} options.fitMode - How the source is fitted into the program frame
+ */
+async function buildLiveSourceCommand(
+  session,
+  sourceUrl,
+  { offsetSeconds, passthrough = false, hasAudio = true, fitMode }
+) {
+  const { width: outputWidth, height: outputHeight } = session.outputSize;
+  const inputOptions = [
+    "-rw_timeout",
+    String(getLiveSourceTimeout() * 1000000), // Give up on a silent source (µs)
+    "-fflags",
+    "+genpts+discardcorrupt", // Live feeds may start mid-GOP
+  ];
+  // Playlists that aren't live would be read as fast as they download
+  if (getSourceKind(sourceUrl) === "hls") {
+    inputOptions.unshift("-re");
+  }
+
+  const outputOptions = buildProgramOutputOptions(
+    session,
+    offsetSeconds,
+    passthrough
+  );
+
+  let command;
+  if (passthrough) {
+    // Source streams go out untouched
+    command = ffmpeg(sourceUrl)
+      .inputOptions(inputOptions)
+      .outputOptions(outputOptions)
+      .outputOptions(["-map", "0:v:0", "-map", "0:a:0"]);
+  } else {
+    const overlays = await prepareSessionOverlays(
+      session,
+      outputWidth,
+      outputHeight
+    );
+    const fitFilter = buildFitFilter(outputWidth, outputHeight, fitMode);
+    const videoMap = overlays ? "[vout]" : "[vfit]";
+
+    // Same stream layout as the slate (video first, then audio)
+    command = hasAudio
+      ? ffmpeg(sourceUrl)
+          .inputOptions(inputOptions)
+          .outputOptions(outputOptions)
+          .outputOptions(["-map", videoMap, "-map", "0:a:0"])
+      : ffmpeg(sourceUrl)
+          .inputOptions(inputOptions)
+          .input("anullsrc=channel_layout=stereo:sample_rate=44100")
+          .inputFormat("lavfi")
+          .outputOptions(outputOptions)
+          .outputOptions([
+            "-map",
+            videoMap,
+            "-map",
+            "1:a", // Silent audio for sources without audio
+            "-shortest", // Stop when the source ends
+          ]);
+
+    // The source is fitted into the program frame, overlays drawn on top
+    if (overlays) {
+      command
+        .input(overlays.layerPath)
+        .inputOptions(overlays.getLayerInputOptions())
+        .complexFilter(
+          overlays.buildFilter("0:v:0", `${hasAudio ? 1 : 2}:v`, fitFilter)
+        );
     } else {
-      // Detect resolution from first video
-      try {
-        const firstVideoResolution = await getVideoResolution(videoPaths[0]);
-        outputWidth = firstVideoResolution.width;
-        outputHeight = firstVideoResolution.height;
-
-        // Ensure minimum 480p
-        if (outputHeight < 480) {
-          const scale = 480 / outputHeight;
-          outputHeight = 480;
-          outputWidth = Math.round(outputWidth * scale);
-          if (outputWidth % 2 !== 0) outputWidth++;
+      command.complexFilter(`[0:v:0]${fitFilter}[vfit]`);
+    }
+  }
+
+  return command
+    .output(session.programBus, { end: false })
+    .on("start", (commandLine) => {
+      console.log("FFmpeg live source command:", commandLine);
+    });
+}
+
+/**
+ * Live source of an auto-switch playlist broadcast, as PlayoutFeeder option
+ * The playlist airs while the source (an ingest key or a pulled URL) is
+ * down and is cut for it whenever it answers
+ * @param {object} session - Broadcast session
+ * @param {object} liveSwitch - { ingestKeyId, sourceUrl } from the engine settings
+ * @param {string} fitMode - How the source is fitted into the program frame
+ * @returns {Promise<object|null>} - null = playlist only
+ */
+async function createLiveSwitch(session, liveSwitch, fitMode) {
+  if (!liveSwitch) return null;
+  const { broadcastId } = session;
+
+  let sourceUrl = liveSwitch.sourceUrl;
+  if (liveSwitch.ingestKeyId) {
+    try {
+      sourceUrl = await resolveIngestSourceUrl(liveSwitch.ingestKeyId);
+    } catch (error) {
+      // The fallback playlist still airs
+      console.warn(
+        `⚠️  [Broadcast ${broadcastId}] Live switch disabled: ${error.message}`
+      );
+      await logWarning("Live switch disabled, playing the playlist only", {
+        broadcastId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+  if (!sourceUrl) return null;
+
+  const timeoutSeconds = getLiveSourceTimeout();
+  // Streams of the last probe, the source may change between takeovers
+  let sourceHasAudio = true;
+
+  return {
+    ingestKeyId: liveSwitch.ingestKeyId,
+    sourceUrl: liveSwitch.ingestKeyId ? null : sourceUrl,
+    probeSource: async () => {
+      // An ingest only answers while an encoder pushes to it
+      if (liveSwitch.ingestKeyId) {
+        const ingestKey = await IngestKey.findById(liveSwitch.ingestKeyId);
+        if (
+          !ingestKey ||
+          ingestKey.revoked_at ||
+          ingestKey.ingest_status !== "connected"
+        ) {
+          throw new Error("Nothing is pushed to the ingest");
         }
+      }
 
-        console.log(
-          `Playlist output resolution: ${outputWidth}x${outputHeight}`
-        );
-      } catch (err) {
-        console.warn(
-          "Could not detect playlist video resolution, using default 1280x720"
-        );
+      const probe = await analyzeLiveSource(sourceUrl, timeoutSeconds);
+      if (!probe.video) {
+        throw new Error("Source has no video stream");
       }
+      sourceHasAudio = !!probe.audio;
+    },
+    // Encoded like the playlist items, the program format never changes
+    buildCommand: ({ offsetSeconds }) =>
+      buildLiveSourceCommand(session, sourceUrl, {
+        offsetSeconds,
+        hasAudio: sourceHasAudio,
+        fitMode,
+      }),
+  };
+}
+
+/**
+ * Kill the encoder of a session (and stop its feeder, if any)
+ * @param {object} session - Broadcast session
+ * @param {string} signal - SIGTERM | SIGKILL
+ */
+function stopSessionEncoder(session, signal) {
+  if (session.feeder) {
+    session.feeder.stop(signal);
+  } else if (session.command) {
+    session.command.kill(signal);
+  }
+}
+
+/**
+ * Feed an encoder sample to the bitrate ladder of a session
+ * Playlists take a new rung with their next item, single content restarts
+ * its encoder through the auto-reconnect wrapper
+ * @param {object} session - Broadcast session
+ * @param {object} sample - Sample of the MetricsRecorder
+ */
+function checkAdaptiveBitrate(session, sample) {
+  const adaptive = session.adaptive;
+  if (!adaptive || session.isStopping || session.isFinished) return;
+  if (session.encodeMode && session.encodeMode.mode === "passthrough") return;
+
+  adaptive.recordSpeed(sample.speed);
+
+  const change = adaptive.checkForChange();
+  if (!change) return;
+
+  if (session.feeder) {
+    adaptive.applyChange(change);
+  } else if (session.managedByReconnect && !session.restartReason) {
+    requestAdaptiveRestart(session, change);
+  }
+}
+
+/**
+ * Restart the encoder of a session on another rung of its ladder
+ * The session ends as a retryable failure, the auto-reconnect wrapper
+ * starts it again right away
+ */
+async function requestAdaptiveRestart(session, change) {
+  session.restartReason = `Adaptive bitrate: ${change.reason}`;
+  await session.adaptive.applyChange(change);
+
+  if (session.isStopping || session.isFinished) return;
+  console.log(
+    `🔄 [Broadcast ${session.broadcastId}] Restarting encoder at ${session.adaptive.describeRung()}`
+  );
+  stopSessionEncoder(session, "SIGTERM");
+}
+
+/**
+ * Count a watchdog restart in the broadcast history
+ * @param {object} session - Broadcast session
+ * @param {string} message - What was restarted and why
+ */
+async function recordWatchdogRestart(session, message) {
+  console.warn(`🐕 [Broadcast ${session.broadcastId}] ${message}`);
+
+  try {
+    await logWarning("Stream watchdog restarted a stalled process", {
+      broadcastId: session.broadcastId,
+      reason: message,
+    });
+    await Broadcast.incrementWatchdogRestarts(session.broadcastId);
+    await BroadcastEvent.record(session.broadcastId, "watchdog", message);
+  } catch (error) {
+    console.error("Error recording watchdog restart:", error.message);
+  }
+}
+
+/**
+ * The program encoder stopped making progress (frozen FFmpeg, speed
+ * collapse) - kill it and run it again
+ * Playlists replay the item where it froze, single content restarts
+ * through the auto-reconnect wrapper
+ * @param {object} session - Broadcast session
+ * @param {object} event - { type: stuck | slow, message }
+ */
+function handleEncoderStall(session, event) {
+  if (
+    session.isStopping ||
+    session.isFinished ||
+    session.isSwapping ||
+    session.restartReason ||
+    session.stallMessage
+  ) {
+    return;
+  }
+
+  // Between playlist items (or waiting for items, or for a live source to
+  // come back) nothing is encoding
+  const command = session.feeder ? session.feeder.command : session.command;
+  if (!command) {
+    session.watchdog.resetProgress();
+    return;
+  }
+
+  const message = `Watchdog: ${event.message}`;
+
+  if (session.feeder) {
+    const what =
+      session.feeder instanceof LiveSourceFeeder
+        ? "reconnecting the live source"
+        : "restarting the current item";
+    recordWatchdogRestart(session, `${message}, ${what}`);
+    session.watchdog.resetProgress();
+    session.feeder.restartItem();
+  } else {
+    // Ends as a retryable failure, every start goes through the
+    // auto-reconnect wrapper which runs it again
+    recordWatchdogRestart(session, `${message}, restarting the encoder`);
+    session.stallMessage = message;
+    // A frozen encoder may ignore SIGTERM
+    stopSessionEncoder(session, "SIGKILL");
+  }
+}
+
+/**
+ * Tear down a session and record how the broadcast ended
+ * @param {object} session - Broadcast session
+ * @param {string} outcome - completed | stopped | failed
+ * @param {string} errorMessage - Failure reason
+ * @param {boolean} retryable - Whether the wrapper may restart the encoder
+ */
+async function endBroadcastSession(
+  session,
+  outcome,
+  errorMessage = null,
+  retryable = false
+) {
+  if (session.isFinished) return;
+  session.isFinished = true;
+
+  if (activeBroadcastSessions.get(session.broadcastId) === session) {
+    activeBroadcastSessions.delete(session.broadcastId);
+  }
+
+  // Completed broadcasts let relays flush, anything else cuts them off
+  for (const relay of session.relays.values()) {
+    relay.stop(outcome === "completed");
+  }
+  if (session.hls) {
+    session.hls.stop();
+  }
+  session.preview.stop();
+  session.programBus.close();
+  session.metrics.stop();
+  session.watchdog.stopMonitoring();
+
+  if (session.overlays) {
+    session.overlays.stop();
+  }
+  if (session.musicBed) {
+    session.musicBed.stop();
+  }
+
+  try {
+    if (outcome === "completed") {
+      await Broadcast.updateStatus(session.broadcastId, "completed");
+    } else if (
+      outcome === "failed" &&
+      !(retryable && session.managedByReconnect)
+    ) {
+      await Broadcast.updateStatus(session.broadcastId, "failed", errorMessage);
     }
+  } catch (error) {
+    console.error("Error updating broadcast status:", error.message);
+  }
+
+  session.resolveCompletion({
+    outcome,
+    errorMessage,
+    retryable,
+    // Ended for an adaptive bitrate change, not a crash
+    restart: outcome === "failed" && !!session.restartReason,
+    source: session.currentSource,
+  });
+}
+
+/**
+ * Wrap broadcast function with auto-reconnect logic
+ * Destinations reconnect on their own (see DestinationRelay), this loop
+ * restarts the encoder when it crashes
+ * @param {number} broadcastId - Broadcast ID
+ * @param {string} videoFilePath - Path to video file (single content)
+ * @param {Array} destinations - Enabled broadcast_destinations rows
+ * @param {number} maxDurationSeconds - Maximum duration in seconds
+ * @param {object} advancedSettings - Advanced Settings
+ * @param {boolean} isPlaylist - Whether this is a playlist broadcast
+ * @param {object} playlistData - { playlistId, loop, startItemId to resume at }
+ * @param {object} liveSource - { sourceUrl } for live source broadcasts
+ */
+async function broadcastWithAutoReconnect(
+  broadcastId,
+  videoFilePath,
+  destinations,
+  maxDurationSeconds,
+  advancedSettings,
+  isPlaylist = false,
+  playlistData = null,
+  liveSource = null
+) {
+  // One loop per broadcast - a second one would restart the encoder of the
+  // first and drop its entry when it gives up
+  if (
+    supervisedBroadcasts.has(broadcastId) ||
+    activeBroadcastSessions.has(broadcastId)
+  ) {
+    console.warn(
+      `⚠️  [Broadcast ${broadcastId}] Already running, not starting another reconnect loop`
+    );
+    return;
+  }
+  supervisedBroadcasts.add(broadcastId);
+
+  // Per-broadcast reconnect policy (maxAttempts 0 = reconnect forever)
+  const policy = normalizeRetryPolicy(advancedSettings.retry_policy);
+  const retryStrategy = new RetryStrategy(policy.maxAttempts || Infinity, {
+    baseDelayMs: policy.baseDelaySeconds * 1000,
+    maxDelayMs: policy.maxDelaySeconds * 1000,
+    jitter: policy.jitterPercent / 100,
+  });
+  const networkMonitor = new NetworkQualityMonitor(broadcastId);
+
+  // Rung of the bitrate ladder carries over restarts
+  const adaptive = new AdaptiveBitrateController(
+    broadcastId,
+    advancedSettings.encoder,
+    advancedSettings.adaptive_bitrate
+  );
+  try {
+    await adaptive.saveState();
+  } catch (error) {
+    console.error("Error resetting adaptive bitrate state:", error.message);
+  }
+
+  // Destinations moved to their backup ingest stay there across restarts
+  const endpoints = new Map();
+
+  let isUserInitiatedStop = false;
+
+  while (!isUserInitiatedStop) {
+    const attemptStartedAt = Date.now();
 
-    // Check if first video has audio (assume all videos have same audio config)
-    let playlistHasAudio = true;
     try {
-      playlistHasAudio = await hasAudioStream(videoPaths[0]);
       console.log(
-        `Playlist audio detected: ${
-          playlistHasAudio ? "Yes" : "No (will add silent audio)"
-        }`
+        `\n🎬 [Broadcast ${broadcastId}] Starting stream (Attempt ${
+          retryStrategy.attempts + 1
+        })`
       );
-    } catch (err) {
-      console.warn("Could not detect audio, assuming videos have audio");
+
+      let result;
+      if (liveSource) {
+        // Source losses are handled by its feeder, this loop only restarts
+        // a crashed session
+        result = await startLiveSourceBroadcast(
+          broadcastId,
+          liveSource.sourceUrl,
+          destinations,
+          advancedSettings,
+          { managedByReconnect: true, adaptive, endpoints }
+        );
+      } else if (isPlaylist) {
+        // Start playlist broadcast
+        result = await startPlaylistBroadcast(
+          broadcastId,
+          playlistData.playlistId,
+          destinations,
+          playlistData.loop !== false,
+          advancedSettings,
+          {
+            managedByReconnect: true,
+            adaptive,
+            endpoints,
+            startItemId: playlistData.startItemId,
+          }
+        );
+        // Only the first start resumes at that item
+        playlistData = { ...playlistData, startItemId: null };
+      } else {
+        // Start single video broadcast
+        result = await startLiveBroadcast(
+          broadcastId,
+          videoFilePath,
+          destinations,
+          maxDurationSeconds,
+          { ...advancedSettings, encoder: adaptive.getEncoder() },
+          {
+            networkMonitor,
+            managedByReconnect: true,
+            adaptive,
+            endpoints,
+          }
+        );
+      }
+
+      // Wait until the encoder exits
+      const { outcome, errorMessage, retryable, restart, source } =
+        await result.completion;
+
+      // Content may have been switched while on air, restarts use the
+      // current content
+      if (source) {
+        isPlaylist = source.isPlaylist;
+        liveSource = source.isLiveSource
+          ? { sourceUrl: source.sourceUrl }
+          : null;
+        if (source.isPlaylist) {
+          playlistData = { playlistId: source.playlistId, loop: source.loop };
+        } else if (!source.isLiveSource) {
+          videoFilePath = source.videoFilePath;
+        }
+      }
+
+      if (outcome === "stopped") {
+        isUserInitiatedStop = true;
+        break;
+      }
+
+      // New rung of the bitrate ladder, not a failure
+      if (restart) {
+        continue;
+      }
+
+      if (outcome === "failed") {
+        if (!retryable) {
+          // Failure was final and already recorded by the session
+          break;
+        }
+        throw new Error(errorMessage || "Encoder exited unexpectedly");
+      }
+
+      // If we reach here, stream ended successfully
+      console.log(`✅ [Broadcast ${broadcastId}] Stream ended successfully`);
+      await logInfo("Stream completed successfully", { broadcastId });
+      break;
+    } catch (error) {
+      const errorMsg = error.message || error.toString();
+
+      console.error(`❌ [Broadcast ${broadcastId}] Stream error: ${errorMsg}`);
+
+      // Another session took over meanwhile - leave it alone (the entry
+      // removed below is this loop's own, see the check on entry)
+      if (errorMsg === "Broadcast is already active") {
+        break;
+      }
+
+      // Check if it's a fatal error (don't retry)
+      if (StreamErrorDetector.isFatalError(error)) {
+        console.error("❌ Fatal error detected - not retrying:", errorMsg);
+        await logError("Fatal broadcast error - no retry", {
+          broadcastId,
+          error: errorMsg,
+        });
+        await Broadcast.updateStatus(broadcastId, "failed", errorMsg);
+        break;
+      }
+
+      // Check if it's a memory error
+      if (StreamErrorDetector.isMemoryError(error)) {
+        console.error("⚠️  Memory error detected:", errorMsg);
+        await logError("Memory error in broadcast", {
+          broadcastId,
+          error: errorMsg,
+        });
+        await Broadcast.updateStatus(
+          broadcastId,
+          "failed",
+          "Memory error - try reducing bitrate/resolution or restarting"
+        );
+        break;
+      }
+
+      // Restart lower when the encoder kept falling behind or destinations
+      // kept dropping before it failed
+      const change = adaptive.checkForChange();
+      if (change && change.direction === "down") {
+        await adaptive.applyChange(change);
+      }
+
+      // A long stable run before the failure starts the count over
+      if (
+        policy.resetAfterStableMinutes > 0 &&
+        Date.now() - attemptStartedAt >= policy.resetAfterStableMinutes * 60000
+      ) {
+        retryStrategy.reset();
+      }
+
+      // If we can retry, wait before attempting again
+      if (retryStrategy.canRetry()) {
+        const delay = retryStrategy.getDelay();
+        const attemptLabel =
+          retryStrategy.maxRetries === Infinity
+            ? `attempt ${retryStrategy.attempts + 1}`
+            : `${retryStrategy.attempts + 1}/${retryStrategy.maxRetries}`;
+
+        // Update broadcast status to show reconnecting
+        await Broadcast.updateStatus(
+          broadcastId,
+          "reconnecting",
+          `Restarting encoder (${attemptLabel})...`
+        );
+        // ISO time, the dashboard counts down to it in the browser
+        await Broadcast.updateNextRetry(
+          broadcastId,
+          new Date(Date.now() + delay).toISOString()
+        );
+
+        pendingReconnects.set(broadcastId, retryStrategy);
+        await retryStrategy.waitBeforeRetry(delay);
+        pendingReconnects.delete(broadcastId);
+        await Broadcast.updateNextRetry(broadcastId, null);
+
+        // Stopped while waiting (see stopLiveBroadcast)
+        if (retryStrategy.isCancelled) {
+          isUserInitiatedStop = true;
+          break;
+        }
+      } else {
+        // Max retries reached
+        console.error(
+          `❌ Max restart attempts (${retryStrategy.maxRetries}) reached`
+        );
+        await logError("Broadcast failed - max retries reached", {
+          broadcastId,
+          attempts: retryStrategy.attempts,
+          retryLog: retryStrategy.getLog(),
+          lastError: errorMsg,
+          networkStatus: networkMonitor.getStatus(),
+        });
+
+        await Broadcast.updateStatus(
+          broadcastId,
+          "failed",
+          `Encoder failed after ${retryStrategy.attempts} restart attempts: ${errorMsg}`
+        );
+        break;
+      }
     }
+  }
 
-    await logInfo("Starting playlist broadcast", {
-      broadcastId,
-      destination: destinationUrl,
-      videoCount: videos.length,
-      shuffle,
-      loop,
-      resolution: `${outputWidth}x${outputHeight}`,
-      hasAudio: playlistHasAudio,
-    });
+  supervisedBroadcasts.delete(broadcastId);
 
-    // Input options for concat - SAFER settings with verbose logging
-    const inputOptions = [
-      "-re", // Read input at native frame rate
-      "-loglevel",
-      "verbose", // VERBOSE logging to debug SIGSEGV
-      "-fflags",
-      "+genpts+igndts", // Generate PTS + ignore DTS
-      "-avoid_negative_ts",
-      "make_zero", // Fix timestamp issues
-      "-analyzeduration",
-      "2147483647", // Max analyze duration
-      "-probesize",
-      "2147483647", // Max probe size
-      "-f",
-      "concat", // Concat demuxer
-      "-safe",
-      "0", // Allow absolute paths
-    ];
+  if (isUserInitiatedStop) {
+    console.log(`✓ Broadcast ${broadcastId} stopped by user`);
+  }
+}
 
-    // Calculate bitrate values from Advanced Settings
-    const baseVideoBitrate = bitrate;
-    const maxBitrate = bitrate.replace("k", "") * 1.5 + "k";
-    const bufferSize = bitrate.replace("k", "") * 2 + "k";
+/**
+ * Start live broadcast with playlist (multiple videos)
+ * Items are played one by one by a PlayoutFeeder, which reads the next item
+ * from the playlist at every item boundary
+ * @param {number} broadcastId - Broadcast ID
+ * @param {number} playlistId - Playlist ID
+ * @param {Array} destinations - Enabled broadcast_destinations rows
+ * @param {boolean} loop - Whether to loop playlist
+ * @param {object} advancedSettings - Advanced Settings (encoder profile, fit_mode, overlays)
+ * @param {object} options - Internal options (managedByReconnect, session to take over on a content switch, startItemId to resume at)
+ * @returns {Promise<{success: boolean, broadcastId: number, completion: Promise}>}
+ */
+async function startPlaylistBroadcast(
+  broadcastId,
+  playlistId,
+  destinations,
+  loop = true,
+  advancedSettings = {},
+  options = {}
+) {
+  try {
+    // A content switch hands over the running session of the broadcast
+    const swapSession = options.session || null;
 
-    // Output options - FORCE RE-ENCODE for now (safer than copy codec)
-    const outputOptions = [
-      // ALWAYS re-encode with SAFE settings
-      "-c:v",
-      "libx264", // H.264 video codec
-      "-preset",
-      "ultrafast", // Fastest encoding (less CPU)
-      "-tune",
-      "zerolatency", // Low latency
-      "-profile:v",
-      "baseline", // BASELINE profile (most compatible)
-      "-level",
-      "3.0", // Level 3.0 (compatible)
-      "-b:v",
-      baseVideoBitrate, // Video bitrate
-      "-maxrate",
-      maxBitrate, // Max bitrate
-      "-bufsize",
-      bufferSize, // Buffer size
-      "-pix_fmt",
-      "yuv420p", // Pixel format
-      "-g",
-      "60", // GOP size
-      "-r",
-      String(frameRate), // Frame rate
-      "-s",
-      `${outputWidth}x${outputHeight}`, // Output size
-      "-c:a",
-      "aac", // AAC audio codec
-      "-b:a",
-      "128k", // Audio bitrate
-      "-ar",
-      "44100", // Audio sample rate
-      "-ac",
-      "2", // Stereo audio
-      "-max_muxing_queue_size",
-      "1024", // Large muxing queue
-      "-f",
-      "flv", // FLV format
-    ];
+    // Parse Advanced Settings (encoder profile)
+    const encoder = resolveSessionEncoder(swapSession, advancedSettings);
+    const bitrate = encoder.video_bitrate;
+    const frameRate = encoder.frame_rate;
+    const resolution = encoder.resolution;
+    const orientation = encoder.orientation;
+    const fitMode = resolveFitMode(advancedSettings.fit_mode, orientation);
 
-    // Create FFmpeg process for playlist
-    let ffmpegProcess;
+    console.log(
+      `📊 Advanced Settings (Playlist): Profile=${encoder.profile_name}, Bitrate=${bitrate}, FPS=${frameRate}, Resolution=${resolution}, Orientation=${orientation}, Fit=${fitMode}`
+    );
 
-    if (!playlistHasAudio) {
-      // For videos without audio, add silent audio as second input
-      ffmpegProcess = ffmpeg(concatFilePath)
-        .inputOptions(inputOptions)
-        .input("anullsrc=channel_layout=stereo:sample_rate=44100")
-        .inputFormat("lavfi")
-        .outputOptions(outputOptions)
-        .outputOptions([
-          "-map",
-          "0:v", // Map video from first input (concat)
-          "-map",
-          "1:a", // Map audio from second input (anullsrc)
-          "-shortest", // Stop when shortest input ends
-        ])
-        .output(fullDestinationUrl);
-    } else {
-      // Normal flow for videos with audio
-      ffmpegProcess = ffmpeg(concatFilePath)
-        .inputOptions(inputOptions)
-        .outputOptions(outputOptions)
-        .output(fullDestinationUrl);
+    // Check if broadcast is already running
+    if (!swapSession && activeBroadcastSessions.has(broadcastId)) {
+      throw new Error("Broadcast is already active");
     }
 
-    // Add event handlers to ffmpegProcess
-    ffmpegProcess
-      .on("start", async (commandLine) => {
-        console.log("FFmpeg playlist command:", commandLine);
-        console.log("Streaming playlist to:", fullDestinationUrl);
-        await Broadcast.updateStatus(broadcastId, "active");
-        await logInfo("Playlist broadcast started successfully", {
-          broadcastId,
+    const videos = await Playlist.getProgramItems(playlistId);
+    if (!videos || videos.length === 0) {
+      throw new Error("Playlist is empty");
+    }
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    const session =
+      swapSession ||
+      createBroadcastSession(broadcastId, destinations, {
+        ...options,
+        retryPolicy: advancedSettings.retry_policy,
+      });
+    const generation = session.sourceGeneration;
+    session.encoder = encoder;
+    setupSessionOverlays(session, advancedSettings.overlays, broadcast);
+    setupSessionHls(session, advancedSettings.hls);
+    setupSessionMusicBed(session, advancedSettings.music_bed);
+
+    // Every item is a new encoder, a new rung applies from the next item
+    if (!session.adaptive) {
+      session.adaptive = new AdaptiveBitrateController(
+        broadcastId,
+        encoder,
+        advancedSettings.adaptive_bitrate
+      );
+      await session.adaptive.saveState();
+    }
+
+    // Items differ in codec and size, one encoder joins them into the program
+    await recordEncodeMode(
+      session,
+      false,
+      "Transcoding: playlists are always encoded into one continuous program"
+    );
+
+    // Output size is fixed for the whole broadcast, relays can't follow a
+    // resolution change mid-stream
+    let outputWidth = session.outputSize ? session.outputSize.width : null,
+      outputHeight = session.outputSize ? session.outputSize.height : null;
+
+    const resolveOutputSize = async (firstVideoPath) => {
+      // Default 720p (9:16 when portrait)
+      const defaultSize = getPresetSize("720p", orientation);
+      outputWidth = defaultSize.width;
+      outputHeight = defaultSize.height;
+
+      const presetSize = getPresetSize(resolution, orientation);
+      if (presetSize) {
+        // Use Advanced Settings resolution
+        outputWidth = presetSize.width;
+        outputHeight = presetSize.height;
+        console.log(
+          `📐 Playlist using Advanced Settings resolution: ${outputWidth}x${outputHeight} (${resolution} ${orientation})`
+        );
+        return;
+      }
+
+      // Detect resolution from first video
+      try {
+        const firstVideoResolution = await getVideoResolution(firstVideoPath);
+        const autoSize = getAutoOutputSize(firstVideoResolution, orientation);
+        outputWidth = autoSize.width;
+        outputHeight = autoSize.height;
+
+        console.log(
+          `Playlist output resolution: ${outputWidth}x${outputHeight}`
+        );
+      } catch (err) {
+        console.warn(
+          `Could not detect playlist video resolution, using default ${outputWidth}x${outputHeight}`
+        );
+      }
+    };
+
+    /**
+     * Build the encoder of a single playlist item
+     * Every item writes to the same program bus, continuing its timeline
+     */
+    const buildItemCommand = async (item, { offsetSeconds, seekSeconds }) => {
+      // The slate may have fixed the size before the first item
+      if (!session.outputSize) {
+        await resolveOutputSize(item.mediaPath);
+        session.outputSize = { width: outputWidth, height: outputHeight };
+      }
+      outputWidth = session.outputSize.width;
+      outputHeight = session.outputSize.height;
+
+      let itemHasAudio = true;
+      try {
+        itemHasAudio = await hasAudioStream(item.mediaPath);
+      } catch (err) {
+        console.warn("Could not detect audio, assuming video has audio");
+      }
+
+      const inputOptions = [
+        "-re", // Read input at native frame rate
+        "-fflags",
+        "+genpts+igndts", // Generate PTS + ignore DTS
+        "-avoid_negative_ts",
+        "make_zero", // Fix timestamp issues
+      ];
+
+      // Resuming after the slate continues where the item was cut off
+      if (seekSeconds > 0) {
+        inputOptions.push("-ss", seekSeconds.toFixed(3));
+      }
+
+      const outputOptions = buildProgramOutputOptions(session, offsetSeconds);
+      const overlays = await prepareSessionOverlays(
+        session,
+        outputWidth,
+        outputHeight
+      );
+      const fitFilter = buildFitFilter(outputWidth, outputHeight, fitMode);
+      const videoMap = overlays ? "[vout]" : "[vfit]";
+      const musicBed = getActiveMusicBed(session);
+
+      // Same stream layout for every item (video first, then audio)
+      const command = ffmpeg(item.mediaPath).inputOptions(inputOptions);
+      let audioMap = "0:a:0";
+      if (musicBed) {
+        // The music bed replaces the item audio or is ducked under it
+        musicBed.addInput(command);
+        audioMap = "[aout]";
+      } else if (!itemHasAudio) {
+        command
+          .input("anullsrc=channel_layout=stereo:sample_rate=44100")
+          .inputFormat("lavfi");
+        audioMap = "1:a"; // Map audio from second input (anullsrc)
+      }
+      command
+        .outputOptions(outputOptions)
+        .outputOptions(["-map", videoMap, "-map", audioMap]);
+      if (musicBed || !itemHasAudio) {
+        command.outputOptions("-shortest"); // Stop when the item ends
+      }
+
+      // Items are fitted into the program frame, overlays drawn on top
+      const filters = [];
+      if (overlays) {
+        command
+          .input(overlays.layerPath)
+          .inputOptions(overlays.getLayerInputOptions());
+        filters.push(
+          overlays.buildFilter(
+            "0:v:0",
+            `${itemHasAudio && !musicBed ? 1 : 2}:v`,
+            fitFilter
+          )
+        );
+      } else {
+        filters.push(`[0:v:0]${fitFilter}[vfit]`);
+      }
+      if (musicBed) {
+        filters.push(musicBed.buildFilter("1:a", itemHasAudio ? "0:a:0" : null));
+      }
+      command.complexFilter(filters.join(";"));
+
+      return command
+        .output(session.programBus, { end: false })
+        .on("start", (commandLine) => {
+          console.log("FFmpeg playlist item command:", commandLine);
+        })
+        .on("progress", (progress) => {
+          if (progress.timemark) {
+            const seconds = Math.floor(
+              progress.timemark
+                .split(":")
+                .reduce((acc, time) => 60 * acc + +time)
+            );
+            if (seconds % 10 === 0) {
+              console.log(
+                `[Playlist ${broadcastId}] ${item.title} | Progress: ${
+                  progress.timemark
+                } | FPS: ${progress.currentFps || "N/A"} | Bitrate: ${
+                  progress.currentKbps || "N/A"
+                }kbps`
+              );
+            }
+          }
         });
-      })
-      .on("progress", (progress) => {
-        if (progress.timemark) {
-          const seconds = Math.floor(
-            progress.timemark.split(":").reduce((acc, time) => 60 * acc + +time)
+    };
+
+    // After a content switch the program is already on air
+    let isOnAir = !!swapSession;
+    // Open as-run entry per aired item
+    const asrunEntries = new Map();
+
+    // Auto-switch broadcasts cut to their live source whenever it answers
+    const liveSwitch = await createLiveSwitch(
+      session,
+      advancedSettings.live_switch,
+      fitMode
+    );
+    const liveSwitchDetails = liveSwitch
+      ? liveSwitch.ingestKeyId
+        ? { ingestKeyId: liveSwitch.ingestKeyId }
+        : { sourceUrl: liveSwitch.sourceUrl }
+      : null;
+
+    session.feeder = new PlayoutFeeder(broadcastId, {
+      playlistId,
+      loop,
+      liveSwitch,
+      startItemId: options.startItemId || null,
+      buildCommand: buildItemCommand,
+      buildSlateCommand: ({ offsetSeconds }) =>
+        buildSlateCommand(session, offsetSeconds),
+      onCommand: async (command) => {
+        if (generation !== session.sourceGeneration) return;
+        session.command = command;
+        command.on("stderr", (line) => session.metrics.ingest(line));
+        session.adaptive.onEncoderStart();
+        session.watchdog.resetProgress();
+
+        if (!isOnAir) {
+          isOnAir = true;
+          console.log(
+            `Streaming playlist to ${session.relays.size} destination(s)`
           );
-          if (seconds % 10 === 0) {
-            console.log(
-              `[Playlist ${broadcastId}] Progress: ${
-                progress.timemark
-              } | FPS: ${progress.currentFps || "N/A"} | Bitrate: ${
-                progress.currentKbps || "N/A"
-              }kbps`
+          await Broadcast.updateStatus(broadcastId, "active");
+          await logInfo("Playlist broadcast started successfully", {
+            broadcastId,
+          });
+        }
+      },
+      onItemStart: async (item) => {
+        if (session.overlays && generation === session.sourceGeneration) {
+          session.overlays.setContext({ title: item.title });
+        }
+
+        if (item.isLive) {
+          try {
+            await BroadcastEvent.record(
+              broadcastId,
+              "live_switch",
+              "Live source is up, switched from the playlist",
+              liveSwitchDetails
             );
+          } catch (error) {
+            console.error("Error recording live switch:", error.message);
           }
         }
-      })
-      .on("error", async (err, stdout, stderr) => {
-        const isUserStop =
-          err.message.includes("killed with signal SIGKILL") ||
-          err.message.includes("killed with signal SIGTERM");
-
-        // Check for SIGSEGV in playlist as well
-        const isSIGSEGV = err.message.includes("killed with signal SIGSEGV");
 
-        if (isUserStop) {
-          console.log("Playlist broadcast stopped by user");
-          await logInfo("Playlist broadcast stopped by user", { broadcastId });
-        } else if (isSIGSEGV) {
-          console.error(
-            "🔴 CRITICAL: ffmpeg crashed with SIGSEGV (segmentation fault) in playlist"
-          );
-          console.error(
-            "   This usually indicates: insufficient memory, codec library issue, or corrupt video"
-          );
-          await logError("Playlist broadcast SIGSEGV crash", {
+        try {
+          const asrunId = await BroadcastAsRun.recordStart({
+            accountId: broadcast ? broadcast.account_id : null,
             broadcastId,
-            error: err.message,
-            suggestion: "Increase Docker memory or check video files",
+            broadcastName: broadcast ? broadcast.broadcast_name : null,
+            playlistId,
+            itemId: item.item_id,
+            contentId: item.content_id,
+            contentTitle: item.title,
+            position: item.position,
+            plannedDurationSeconds: item.duration_seconds,
           });
-          await Broadcast.updateStatus(
+          asrunEntries.set(item, { asrunId, startedAt: Date.now() });
+        } catch (error) {
+          console.error("Error recording as-run entry:", error.message);
+        }
+      },
+      onItemFailed: async (item, error) => {
+        // Flag the file in the content library, the emergency slate airs
+        // in its place
+        if (item.content_id) {
+          try {
+            await Content.flagSourceError(item.content_id, error.message);
+          } catch (flagError) {
+            console.error("Error flagging content:", flagError.message);
+          }
+        }
+
+        try {
+          await BroadcastEvent.record(
             broadcastId,
-            "failed",
-            "FFmpeg crashed (SIGSEGV). Try increasing Docker memory or checking video files."
+            "emergency_slate",
+            `"${item.title}" failed, cut to the emergency slate and skipped`,
+            {
+              itemId: item.item_id,
+              contentId: item.content_id,
+              error: error.message,
+            }
           );
-        } else {
-          console.error("Playlist broadcast error:", err.message);
-          await logError("Playlist broadcast failed", {
-            broadcastId,
-            error: err.message,
-            stderr: stderr || "N/A",
-          });
-          await Broadcast.updateStatus(broadcastId, "failed", err.message);
+        } catch (recordError) {
+          console.error("Error recording emergency slate:", recordError.message);
+        }
+      },
+      onItemEnd: async (item, { status, errorMessage }) => {
+        // Played through, so a flagged file works again
+        if (item.content_id && status === "completed") {
+          try {
+            await Content.clearSourceError(item.content_id);
+          } catch (error) {
+            console.error("Error clearing content flag:", error.message);
+          }
         }
 
-        activeBroadcastProcesses.delete(broadcastId);
-
-        // Cleanup concat file
-        try {
-          if (fs.existsSync(concatFilePath)) {
-            fs.unlinkSync(concatFilePath);
+        if (item.isLive && status !== "stopped") {
+          const message =
+            status === "skipped"
+              ? "Live source taken off air"
+              : `Live source dropped${
+                  errorMessage ? ` (${errorMessage})` : ""
+                }, back to the playlist`;
+          try {
+            await BroadcastEvent.record(
+              broadcastId,
+              "live_switch",
+              message,
+              liveSwitchDetails
+            );
+          } catch (error) {
+            console.error("Error recording live switch:", error.message);
           }
-        } catch (cleanupErr) {
-          console.error("Error cleaning up concat file:", cleanupErr.message);
         }
-      })
-      .on("end", async () => {
-        console.log("Playlist broadcast ended normally");
-        await logInfo("Playlist broadcast ended", { broadcastId });
-        await Broadcast.updateStatus(broadcastId, "completed");
-        activeBroadcastProcesses.delete(broadcastId);
 
-        // Cleanup concat file
+        const entry = asrunEntries.get(item);
+        if (!entry) return;
+        asrunEntries.delete(item);
+
+        const airedSeconds = (Date.now() - entry.startedAt) / 1000;
         try {
-          if (fs.existsSync(concatFilePath)) {
-            fs.unlinkSync(concatFilePath);
-          }
-        } catch (cleanupErr) {
-          console.error("Error cleaning up concat file:", cleanupErr.message);
+          await BroadcastAsRun.recordEnd(
+            entry.asrunId,
+            status,
+            airedSeconds,
+            errorMessage
+          );
+        } catch (error) {
+          console.error("Error recording as-run entry:", error.message);
         }
-      });
+      },
+      onFinish: async ({ reason, errorMessage }) => {
+        if (generation !== session.sourceGeneration) return; // Replaced by a content switch
+        session.command = null;
 
-    // Run the process
-    ffmpegProcess.run();
+        if (session.failureMessage) {
+          await logError("Playlist broadcast failed", {
+            broadcastId,
+            error: session.failureMessage,
+          });
+          await endBroadcastSession(session, "failed", session.failureMessage);
+        } else if (reason === "stopped" || session.isStopping) {
+          console.log("Playlist broadcast stopped by user");
+          await logInfo("Playlist broadcast stopped by user", { broadcastId });
+          await endBroadcastSession(session, "stopped");
+        } else if (reason === "failed") {
+          console.error("Playlist broadcast error:", errorMessage);
+          await logError("Playlist broadcast failed", {
+            broadcastId,
+            error: errorMessage,
+          });
+          await endBroadcastSession(session, "failed", errorMessage);
+        } else {
+          console.log("Playlist broadcast ended normally");
+          await logInfo("Playlist broadcast ended", { broadcastId });
+          await endBroadcastSession(session, "completed");
+        }
+      },
+    });
 
-    // Store the process
-    activeBroadcastProcesses.set(broadcastId, ffmpegProcess);
+    await logInfo("Starting playlist broadcast", {
+      broadcastId,
+      playlistId,
+      destinations: session.relays.size,
+      videoCount: videos.length,
+      loop,
+      liveSwitch: liveSwitchDetails,
+    });
+
+    session.currentSource = { isPlaylist: true, playlistId, loop };
+
+    if (swapSession) {
+      // Destinations are already connected, only the source changes
+      attachSessionSource(session);
+    } else {
+      // Start the feeder and connect the destinations
+      runBroadcastSession(session);
+    }
 
     console.log(
       `✓ Playlist broadcast ${broadcastId} started with ${videos.length} videos`
     );
-    return { success: true, broadcastId };
+    return { success: true, broadcastId, completion: session.completion };
   } catch (error) {
     console.error("Error starting playlist broadcast:", error);
     await logError("Failed to start playlist broadcast", {
@@ -781,60 +1854,308 @@ async function startPlaylistBroadcast(
   }
 }
 
+/**
+ * Start a broadcast relaying a live source (RTMP, SRT, HLS or HTTP MPEG-TS URL)
+ * The source is pulled by a LiveSourceFeeder: while it is lost the program
+ * holds on the slate and the source is reconnected on its own, destinations
+ * stay connected
+ * @param {number} broadcastId - Broadcast ID
+ * @param {string} sourceUrl - URL to pull
+ * @param {Array} destinations - Enabled broadcast_destinations rows
+ * @param {object} advancedSettings - Advanced Settings (encoder profile, fit_mode, overlays)
+ * @param {object} options - Internal options (managedByReconnect, adaptive, endpoints, session to take over on a content switch)
+ * @returns {Promise<{success: boolean, broadcastId: number, completion: Promise}>}
+ */
+async function startLiveSourceBroadcast(
+  broadcastId,
+  sourceUrl,
+  destinations,
+  advancedSettings = {},
+  options = {}
+) {
+  try {
+    // A content switch hands over the running session of the broadcast
+    const swapSession = options.session || null;
+
+    // Parse Advanced Settings (encoder profile)
+    const encoder = resolveSessionEncoder(swapSession, advancedSettings);
+    const resolution = encoder.resolution;
+    const orientation = encoder.orientation;
+    const fitMode = resolveFitMode(advancedSettings.fit_mode, orientation);
+    const sourceKind = getSourceKind(sourceUrl);
+    const timeoutSeconds = getLiveSourceTimeout();
+
+    console.log(
+      `📊 Advanced Settings (Live source): Profile=${encoder.profile_name}, Bitrate=${encoder.video_bitrate}, FPS=${encoder.frame_rate}, Resolution=${resolution}, Orientation=${orientation}, Fit=${fitMode}, Source=${sourceKind}`
+    );
+
+    // Check if broadcast is already running
+    if (!swapSession && activeBroadcastSessions.has(broadcastId)) {
+      throw new Error("Broadcast is already active");
+    }
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    const session =
+      swapSession ||
+      createBroadcastSession(broadcastId, destinations, {
+        ...options,
+        retryPolicy: advancedSettings.retry_policy,
+      });
+    const generation = session.sourceGeneration;
+    session.encoder = encoder;
+    setupSessionOverlays(session, advancedSettings.overlays, broadcast);
+    setupSessionHls(session, advancedSettings.hls);
+    if (session.overlays) {
+      session.overlays.setContext({
+        title: broadcast ? broadcast.broadcast_name || "" : "",
+      });
+    }
+
+    // Source and slate take turns, a new rung applies from the next one
+    if (!session.adaptive) {
+      session.adaptive = new AdaptiveBitrateController(
+        broadcastId,
+        encoder,
+        advancedSettings.adaptive_bitrate
+      );
+      await session.adaptive.saveState();
+    }
+
+    // A source that is down starts the broadcast on the slate
+    let source = null;
+    try {
+      source = await analyzeLiveSource(sourceUrl, timeoutSeconds, true);
+    } catch (error) {
+      console.warn(
+        `⚠️  [Broadcast ${broadcastId}] Live source not reachable yet: ${error.message}`
+      );
+    }
+
+    // Output size is fixed for the whole broadcast, a reconnected source
+    // is fitted into it
+    // Priority: Advanced Settings resolution > source resolution > default 720p
+    if (!session.outputSize) {
+      const presetSize = getPresetSize(resolution, orientation);
+      if (presetSize) {
+        session.outputSize = presetSize;
+      } else if (source && source.video) {
+        session.outputSize = getAutoOutputSize(source.video, orientation);
+      } else {
+        session.outputSize = getPresetSize("720p", orientation);
+      }
+    }
+    const { width: outputWidth, height: outputHeight } = session.outputSize;
+    console.log(`Live source output resolution: ${outputWidth}x${outputHeight}`);
+
+    // Compliant sources are relayed as is, everything else is transcoded
+    let decision;
+    if (source) {
+      decision = decidePassthrough(source, {
+        encoder,
+        width: outputWidth,
+        height: outputHeight,
+        hasOverlays: !!session.overlays,
+      });
+    } else {
+      decision = {
+        passthrough: false,
+        reason: "Transcoding: live source could not be analyzed before going on air",
+      };
+    }
+    await recordEncodeMode(session, decision.passthrough, decision.reason);
+    const passthrough = decision.passthrough;
+
+    // Streams of the last probe, a reconnected source may have changed
+    let sourceHasAudio = source ? !!source.audio : true;
+    const probeSource = async () => {
+      const probe = await analyzeLiveSource(sourceUrl, timeoutSeconds);
+      if (!probe.video) {
+        throw new Error("Source has no video stream");
+      }
+      sourceHasAudio = !!probe.audio;
+    };
+
+    // Pull the source into the program bus
+    const buildSourceCommand = ({ offsetSeconds }) =>
+      buildLiveSourceCommand(session, sourceUrl, {
+        offsetSeconds,
+        passthrough,
+        hasAudio: sourceHasAudio,
+        fitMode,
+      });
+
+    // After a content switch the program is already on air
+    let isOnAir = !!swapSession;
+
+    session.feeder = new LiveSourceFeeder(broadcastId, {
+      sourceUrl,
+      probeSource,
+      buildCommand: buildSourceCommand,
+      buildSlateCommand: ({ offsetSeconds }) =>
+        buildSlateCommand(session, offsetSeconds),
+      onCommand: async (command) => {
+        if (generation !== session.sourceGeneration) return;
+        session.command = command;
+        command.on("stderr", (line) => session.metrics.ingest(line));
+        session.adaptive.onEncoderStart();
+        session.watchdog.resetProgress();
+
+        if (!isOnAir) {
+          isOnAir = true;
+          console.log(
+            `Relaying live source to ${session.relays.size} destination(s)`
+          );
+          await Broadcast.updateStatus(broadcastId, "active");
+          await logInfo("Live source broadcast started successfully", {
+            broadcastId,
+          });
+        }
+      },
+      onSourceLost: async (message) => {
+        try {
+          await BroadcastEvent.record(
+            broadcastId,
+            "live_source",
+            `${message}, holding on the slate`,
+            { sourceUrl }
+          );
+        } catch (error) {
+          console.error("Error recording live source loss:", error.message);
+        }
+      },
+      onSourceRestored: async (offlineSeconds) => {
+        try {
+          await BroadcastEvent.record(
+            broadcastId,
+            "live_source",
+            `Live source back on air after ${offlineSeconds}s`,
+            { sourceUrl, offlineSeconds }
+          );
+        } catch (error) {
+          console.error("Error recording live source return:", error.message);
+        }
+      },
+      onFinish: async ({ reason, errorMessage }) => {
+        if (generation !== session.sourceGeneration) return; // Replaced by a content switch
+        session.command = null;
+
+        if (session.failureMessage) {
+          await logError("Live source broadcast failed", {
+            broadcastId,
+            error: session.failureMessage,
+          });
+          await endBroadcastSession(session, "failed", session.failureMessage);
+        } else if (reason === "stopped" || session.isStopping) {
+          console.log("Live source broadcast stopped by user");
+          await logInfo("Live source broadcast stopped by user", {
+            broadcastId,
+          });
+          await endBroadcastSession(session, "stopped");
+        } else {
+          // The feeder already gave the source its own reconnects
+          console.error("Live source broadcast error:", errorMessage);
+          await logError("Live source broadcast failed", {
+            broadcastId,
+            error: errorMessage,
+          });
+          await endBroadcastSession(session, "failed", errorMessage);
+        }
+      },
+    });
+
+    await logInfo("Starting live source broadcast", {
+      broadcastId,
+      sourceKind,
+      destinations: session.relays.size,
+      resolution: `${outputWidth}x${outputHeight}`,
+      encodeMode: session.encodeMode.mode,
+    });
+
+    session.currentSource = {
+      isPlaylist: false,
+      isLiveSource: true,
+      sourceUrl,
+    };
+
+    if (swapSession) {
+      // Destinations are already connected, only the source changes
+      attachSessionSource(session);
+    } else {
+      // Start the feeder and connect the destinations
+      runBroadcastSession(session);
+    }
+
+    return { success: true, broadcastId, completion: session.completion };
+  } catch (error) {
+    console.error("Error starting live source broadcast:", error);
+    await logError("Failed to start live source broadcast", {
+      broadcastId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 /**
  * Start a live broadcast
  * @param {number} broadcastId - Broadcast ID
  * @param {string} videoFilePath - Path to video file
- * @param {string} destinationUrl - RTMP destination URL
- * @param {string} streamKey - Stream key
+ * @param {Array} destinations - Enabled broadcast_destinations rows
  * @param {number} maxDurationSeconds - Maximum duration in seconds (optional, default: no limit)
- * @param {object} advancedSettings - Advanced Settings (bitrate, frame_rate, resolution, orientation)
- * @param {object} options - Internal options (healthMonitor, networkMonitor, isYouTube, etc)
+ * @param {object} advancedSettings - Advanced Settings (encoder profile, fit_mode, overlays)
+ * @param {object} options - Internal options (networkMonitor, managedByReconnect, adaptive, endpoints, session to take over on a content switch)
+ * @returns {Promise<{success: boolean, message: string, completion: Promise}>}
  */
 async function startLiveBroadcast(
   broadcastId,
   videoFilePath,
-  destinationUrl,
-  streamKey,
+  destinations,
   maxDurationSeconds = null,
   advancedSettings = {},
   options = {}
 ) {
   try {
+    // A content switch hands over the running session of the broadcast
+    const swapSession = options.session || null;
+
     // Check if broadcast is already running
-    if (activeBroadcastProcesses.has(broadcastId)) {
+    if (!swapSession && activeBroadcastSessions.has(broadcastId)) {
       throw new Error("Broadcast is already active");
     }
 
-    // Parse Advanced Settings
-    // bitrate format: "2500k", frame_rate: "30", resolution: "720p", orientation: "landscape"
-    const bitrate = advancedSettings.bitrate || "2500k";
-    const frameRate = advancedSettings.frame_rate || 30;
-    const resolution = advancedSettings.resolution || null;
-    const orientation = advancedSettings.orientation || "landscape";
+    const session =
+      swapSession ||
+      createBroadcastSession(broadcastId, destinations, {
+        ...options,
+        retryPolicy: advancedSettings.retry_policy,
+      });
+    const generation = session.sourceGeneration;
+
+    // Parse Advanced Settings (encoder profile)
+    const encoder = resolveSessionEncoder(swapSession, advancedSettings);
+    session.encoder = encoder;
+
+    const broadcast = await Broadcast.findById(broadcastId);
+    setupSessionOverlays(session, advancedSettings.overlays, broadcast);
+    setupSessionHls(session, advancedSettings.hls);
+    setupSessionMusicBed(session, advancedSettings.music_bed);
+    if (session.overlays) {
+      session.overlays.setContext({
+        title: broadcast ? broadcast.content_title || "" : "",
+      });
+    }
+
+    // bitrate format: "2500k", frame_rate: 30, resolution: "720p", orientation: "landscape"
+    const bitrate = encoder.video_bitrate;
+    const frameRate = encoder.frame_rate;
+    const resolution = encoder.resolution;
+    const orientation = encoder.orientation;
+    const fitMode = resolveFitMode(advancedSettings.fit_mode, orientation);
 
     console.log(
-      `📊 Advanced Settings: Bitrate=${bitrate}, FPS=${frameRate}, Resolution=${resolution}, Orientation=${orientation}`
+      `📊 Advanced Settings: Profile=${encoder.profile_name}, Bitrate=${bitrate}, FPS=${frameRate}, Resolution=${resolution}, Orientation=${orientation}, Fit=${fitMode}`
     );
 
-    // Construct full destination URL, handling trailing slashes
-    const baseUrl = destinationUrl.endsWith("/")
-      ? destinationUrl.slice(0, -1)
-      : destinationUrl;
-    const fullDestinationUrl = streamKey ? `${baseUrl}/${streamKey}` : baseUrl;
-
-    // Special handling for Facebook: Wait for connection cleanup
-    if (isFacebookStream(destinationUrl)) {
-      console.log(
-        "⏳ Facebook stream detected. Waiting for connection cleanup..."
-      );
-      await delay(3000); // Wait 3 seconds for FB to release previous connection
-      await logInfo("Waiting for Facebook connection cleanup", {
-        broadcastId,
-        delay: "3s",
-      });
-    }
-
     // Check if video has audio stream
     const videoHasAudio = await hasAudioStream(videoFilePath);
 
@@ -860,59 +2181,69 @@ async function startLiveBroadcast(
 
     // Determine output resolution
     // Priority: Advanced Settings resolution > original video resolution (min 480p) > default 720p
+    // Portrait orientation turns each of them into its 9:16 equivalent
     let outputWidth, outputHeight;
 
-    if (resolution && resolution !== "auto" && resolution !== "auto-detect") {
+    if (session.outputSize) {
+      // Content switch - keep the size the destinations already receive
+      outputWidth = session.outputSize.width;
+      outputHeight = session.outputSize.height;
+      console.log(
+        `Keeping broadcast output resolution: ${outputWidth}x${outputHeight}`
+      );
+    } else if (
+      resolution &&
+      resolution !== "auto" &&
+      resolution !== "auto-detect"
+    ) {
       // User specified resolution in Advanced Settings (e.g., "720p", "1080p")
-      const resolutionMap = {
-        "720p": { w: 1280, h: 720 },
-        "1080p": { w: 1920, h: 1080 },
-        "1440p": { w: 2560, h: 1440 },
-        "2160p": { w: 3840, h: 2160 },
-      };
+      const presetSize = getPresetSize(resolution, orientation);
 
-      if (resolutionMap[resolution]) {
-        outputWidth = resolutionMap[resolution].w;
-        outputHeight = resolutionMap[resolution].h;
+      if (presetSize) {
+        outputWidth = presetSize.width;
+        outputHeight = presetSize.height;
         console.log(
-          `📐 Using Advanced Settings resolution: ${outputWidth}x${outputHeight} (${resolution})`
+          `📐 Using Advanced Settings resolution: ${outputWidth}x${outputHeight} (${resolution} ${orientation})`
         );
       } else {
         // Fallback to video resolution
-        outputWidth = videoResolution.width;
-        outputHeight = videoResolution.height;
+        const autoSize = getAutoOutputSize(videoResolution, orientation);
+        outputWidth = autoSize.width;
+        outputHeight = autoSize.height;
         console.log(
           `Using original video resolution: ${outputWidth}x${outputHeight}`
         );
       }
     } else {
-      // Use original video resolution, but ensure minimum 480p
-      outputWidth = videoResolution.width;
-      outputHeight = videoResolution.height;
-
-      // Ensure minimum height of 480px
-      if (outputHeight < 480) {
-        const scale = 480 / outputHeight;
-        outputHeight = 480;
-        outputWidth = Math.round(outputWidth * scale);
-        // Ensure width is even number (required by x264)
-        if (outputWidth % 2 !== 0) outputWidth++;
-        console.log(
-          `Upscaling to minimum 480p: ${outputWidth}x${outputHeight}`
-        );
-      } else {
-        console.log(
-          `Using original video resolution: ${outputWidth}x${outputHeight}`
-        );
-      }
+      // Use original video resolution, but ensure minimum 480p
+      // (x264 needs even dimensions)
+      const autoSize = getAutoOutputSize(videoResolution, orientation);
+      outputWidth = autoSize.width;
+      outputHeight = autoSize.height;
+      console.log(
+        `Using original video resolution: ${outputWidth}x${outputHeight}`
+      );
     }
 
+    session.outputSize = { width: outputWidth, height: outputHeight };
+
+    // Compliant sources are copied as is, everything else is transcoded
+    const passthrough = await chooseSourcePassthrough(
+      session,
+      videoFilePath,
+      outputWidth,
+      outputHeight
+    );
+
     await logInfo("Starting broadcast", {
       broadcastId,
-      destination: destinationUrl,
+      destinations: session.relays.size,
       maxDuration: maxDurationSeconds ? `${maxDurationSeconds}s` : "unlimited",
       hasAudio: videoHasAudio,
       resolution: `${outputWidth}x${outputHeight}`,
+      orientation,
+      fitMode,
+      encodeMode: session.encodeMode.mode,
     });
 
     // Input options - proven config + SAFER settings
@@ -932,70 +2263,25 @@ async function startLiveBroadcast(
       "-1", // Loop the video indefinitely
     ];
 
-    // Calculate bitrate values from Advanced Settings
-    // Bitrate format: "2500k", "3000k", "4500k", "6000k"
-    const baseVideoBitrate = bitrate; // e.g., "2500k"
-    const maxBitrate = bitrate.replace("k", "") * 1.5 + "k"; // 1.5x for maxrate
-    const bufferSize = bitrate.replace("k", "") * 2 + "k"; // 2x for bufsize
-
-    // Output options - FORCE RE-ENCODE for now (safer than copy codec)
-    // TODO: Test copy codec after confirming re-encode works
-
-    // Adaptive Profile & Level
-    let profile = "baseline";
-    let level = "3.0";
-
-    if (outputHeight == 480 && outputHeight >= 720) {
-      profile = "main";
-      level = "4.0";
-    } else if (outputHeight >= 1080) {
-      profile = "high";
-      level = "4.2";
-    }
-
-    // Adaptive GOP (2 detik per FPS)
-    const gop = frameRate * 2;
-
+    // Output options - stream copy, or RE-ENCODE from the encoder profile
     const outputOptions = [
-      // ALWAYS re-encode with SAFE settings (no copy codec for now)
-      "-c:v",
-      "libx264", // H.264 video codec
-      "-preset",
-      "ultrafast", // Fastest encoding (less CPU)
-      "-tune",
-      "zerolatency", // Low latency
-      "-profile:v",
-      profile, // BASELINE profile (most compatible)
-      "-level",
-      level, // Level 3.0 (compatible)
-      "-b:v",
-      baseVideoBitrate, // Video bitrate
-      "-maxrate",
-      maxBitrate, // Max bitrate
-      "-bufsize",
-      bufferSize, // Buffer size
-      "-pix_fmt",
-      "yuv420p", // Pixel format
-      "-g",
-      String(gop), // GOP size (2 seconds at 30fps)
-      "-r",
-      String(frameRate), // Frame rate
-      "-s",
-      `${outputWidth}x${outputHeight}`, // Output size
-      "-c:a",
-      "aac", // AAC audio codec
-      "-b:a",
-      "128k", // Audio bitrate
-      "-ar",
-      "44100", // Audio sample rate
-      "-ac",
-      "2", // Stereo audio
+      ...(passthrough
+        ? ["-c", "copy"]
+        : buildEncoderOutputOptions(encoder, outputWidth, outputHeight)),
       "-max_muxing_queue_size",
       "1024", // Large muxing queue
       "-f",
-      "flv", // FLV format for RTMP
+      "mpegts", // Program feed for destination relays
+      "-mpegts_flags",
+      "+resend_headers", // Relays may join mid-stream
     ];
 
+    // Switched in on a running program - continue its timeline
+    if (swapSession) {
+      const offsetSeconds = (Date.now() - session.programStartedAt) / 1000;
+      outputOptions.push("-output_ts_offset", offsetSeconds.toFixed(3));
+    }
+
     // Add duration limit if specified
     if (maxDurationSeconds && maxDurationSeconds > 0) {
       outputOptions.push("-t", maxDurationSeconds.toString());
@@ -1006,11 +2292,28 @@ async function startLiveBroadcast(
       );
     }
 
+    const overlays = passthrough
+      ? null
+      : await prepareSessionOverlays(session, outputWidth, outputHeight);
+    const fitFilter = buildFitFilter(outputWidth, outputHeight, fitMode);
+    const videoMap = overlays ? "[vout]" : "[vfit]";
+    const musicBed = passthrough ? null : getActiveMusicBed(session);
+
     // Create FFmpeg command for live streaming
     let ffmpegProcess;
 
-    // If no audio, add silent audio source as additional input
-    if (!videoHasAudio) {
+    if (passthrough) {
+      // Source streams go out untouched
+      ffmpegProcess = ffmpeg(videoFilePath).inputOptions(inputOptions);
+      outputOptions.push("-map", "0:v:0", "-map", "0:a:0");
+    } else if (musicBed) {
+      // The music bed replaces the video audio or is ducked under it
+      // Input 0 = video file, input 1 = music bed
+      ffmpegProcess = ffmpeg(videoFilePath).inputOptions(inputOptions);
+      musicBed.addInput(ffmpegProcess);
+      outputOptions.push("-map", videoMap, "-map", "[aout]", "-shortest");
+    } else if (!videoHasAudio) {
+      // If no audio, add silent audio source as additional input
       // When using .input(), fluent-ffmpeg adds them in reverse order
       // So anullsrc becomes input 0, video becomes input 1
       ffmpegProcess = ffmpeg("anullsrc=channel_layout=stereo:sample_rate=44100")
@@ -1022,7 +2325,7 @@ async function startLiveBroadcast(
       // Input 0 = anullsrc (audio), Input 1 = video file
       outputOptions.push(
         "-map",
-        "1:v", // Map video from second input (video file)
+        videoMap, // Video from second input (video file), fitted
         "-map",
         "0:a", // Map audio from first input (anullsrc)
         "-shortest" // Stop when shortest input ends
@@ -1030,14 +2333,45 @@ async function startLiveBroadcast(
     } else {
       // Video has audio, use normal flow
       ffmpegProcess = ffmpeg(videoFilePath).inputOptions(inputOptions);
+      outputOptions.push("-map", videoMap, "-map", "0:a:0");
+    }
+
+    // The video is fitted into the output frame, overlays drawn on top
+    const videoInput = videoHasAudio || musicBed ? "0:v:0" : "1:v:0";
+    const filters = [];
+    if (passthrough) {
+      // Nothing to fit, the source already has the output size
+    } else if (overlays) {
+      ffmpegProcess
+        .input(overlays.layerPath)
+        .inputOptions(overlays.getLayerInputOptions());
+      filters.push(
+        overlays.buildFilter(
+          videoInput,
+          `${videoHasAudio && !musicBed ? 1 : 2}:v`,
+          fitFilter
+        )
+      );
+    } else {
+      filters.push(`[${videoInput}]${fitFilter}[vfit]`);
+    }
+    if (musicBed) {
+      filters.push(musicBed.buildFilter("1:a", videoHasAudio ? "0:a:0" : null));
+    }
+    if (filters.length > 0) {
+      ffmpegProcess.complexFilter(filters.join(";"));
     }
 
     ffmpegProcess = ffmpegProcess
       .outputOptions(outputOptions)
-      .output(fullDestinationUrl)
+      .output(session.programBus, { end: false })
+      .on("stderr", (line) => session.metrics.ingest(line))
       .on("start", async (commandLine) => {
         console.log("FFmpeg command:", commandLine);
-        console.log("Streaming to:", fullDestinationUrl);
+        if (session.adaptive) session.adaptive.onEncoderStart();
+        session.watchdog.resetProgress();
+        if (swapSession) return; // Already on air, only the content changed
+        console.log(`Streaming to ${session.relays.size} destination(s)`);
         await Broadcast.updateStatus(broadcastId, "active");
         await logInfo("Broadcast started successfully", { broadcastId });
       })
@@ -1063,36 +2397,40 @@ async function startLiveBroadcast(
         }
       })
       .on("error", async (err, stdout, stderr) => {
+        if (generation !== session.sourceGeneration) return; // Replaced by a content switch
+
         const errorMsg = err.message || err.toString();
         const stderrStr = stderr || "";
 
         // Check if this is a user-initiated stop (SIGKILL/SIGTERM) or actual error
         const isUserStop =
-          errorMsg.includes("killed with signal SIGKILL") ||
-          errorMsg.includes("killed with signal SIGTERM");
+          !session.failureMessage &&
+          (session.isStopping ||
+            errorMsg.includes("killed with signal SIGKILL") ||
+            errorMsg.includes("killed with signal SIGTERM"));
 
         // Check for SIGSEGV (segmentation fault) - likely memory or codec issue
         const isSIGSEGV = errorMsg.includes("killed with signal SIGSEGV");
 
-        // Check if this is a connection-related error for YouTube/RTMP
-        const isConnectionError = StreamErrorDetector.isConnectionError(
-          err,
-          stderrStr
-        );
-
-        // Check if this is a Facebook connection error (needs retry)
-        const isFBConnectionError =
-          isFacebookStream(destinationUrl) &&
-          (errorMsg.includes("Connection refused") ||
-            errorMsg.includes("already publishing") ||
-            errorMsg.includes("Stream not found") ||
-            stderrStr.includes("Connection refused"));
-
-        if (isUserStop) {
+        if (session.failureMessage) {
+          // Every destination gave up, encoder was stopped on purpose
+          await logError("Broadcast failed", {
+            broadcastId,
+            error: session.failureMessage,
+          });
+          await endBroadcastSession(session, "failed", session.failureMessage);
+        } else if (session.restartReason && !session.isStopping) {
+          // Stopped for a new rung of the bitrate ladder
+          await endBroadcastSession(session, "failed", session.restartReason, true);
+        } else if (session.stallMessage && !session.isStopping) {
+          // Killed by the watchdog, the auto-reconnect wrapper restarts it
+          await endBroadcastSession(session, "failed", session.stallMessage, true);
+        } else if (isUserStop) {
           // User stopped the broadcast manually
           console.log("Broadcast stopped by user");
           await logInfo("Broadcast stopped by user", { broadcastId });
           // Status will be set by stopLiveBroadcast function
+          await endBroadcastSession(session, "stopped");
         } else if (isSIGSEGV) {
           // SIGSEGV indicates ffmpeg crashed - memory or codec issue
           console.error(
@@ -1107,40 +2445,14 @@ async function startLiveBroadcast(
             suggestion:
               "Increase Docker memory, check video file, or reduce bitrate/resolution",
           });
-          await Broadcast.updateStatus(
-            broadcastId,
+          await endBroadcastSession(
+            session,
             "failed",
             "FFmpeg crashed (SIGSEGV). Try reducing bitrate/resolution or increasing Docker memory."
           );
-        } else if (isFBConnectionError) {
-          // Facebook connection error (likely previous connection not released)
-          console.error(
-            "⚠️  Facebook connection error (previous stream may still be active):",
-            errorMsg
-          );
-          await logError("Facebook connection error - retry needed", {
-            broadcastId,
-            error: errorMsg,
-            suggestion: "Wait 10-15 seconds before retrying",
-          });
-          await Broadcast.updateStatus(
-            broadcastId,
-            "failed",
-            "Facebook connection error. Please wait 10-15 seconds and try again."
-          );
-        } else if (isConnectionError) {
-          // YouTube/RTMP connection error - should be retried by wrapper
-          console.error(
-            "⚠️  Stream connection error (will retry automatically):",
-            errorMsg
-          );
-          if (options && options.networkMonitor) {
-            options.networkMonitor.recordReconnectAttempt();
-          }
-          // Re-throw to trigger retry logic in wrapper
-          throw err;
         } else {
-          // Other actual error occurred
+          // Encoder error - destinations handle their own reconnects, so
+          // anything non-fatal here is left to the auto-reconnect wrapper
           console.error("Broadcast error:", errorMsg);
           await logError("Broadcast failed", {
             broadcastId,
@@ -1151,24 +2463,52 @@ async function startLiveBroadcast(
                 ? options.networkMonitor.getStatus()
                 : null,
           });
-          await Broadcast.updateStatus(broadcastId, "failed", errorMsg);
+          await endBroadcastSession(
+            session,
+            "failed",
+            errorMsg,
+            !StreamErrorDetector.isFatalError(err, stderrStr) &&
+              !StreamErrorDetector.isMemoryError(err, stderrStr)
+          );
         }
-        activeBroadcastProcesses.delete(broadcastId);
       })
       .on("end", async () => {
+        if (generation !== session.sourceGeneration) return; // Replaced by a content switch
+
         console.log("Broadcast ended");
         await logInfo("Broadcast completed", { broadcastId });
-        await Broadcast.updateStatus(broadcastId, "completed");
-        activeBroadcastProcesses.delete(broadcastId);
+        if (session.failureMessage) {
+          await endBroadcastSession(session, "failed", session.failureMessage);
+        } else if (session.restartReason && !session.isStopping) {
+          await endBroadcastSession(session, "failed", session.restartReason, true);
+        } else {
+          await endBroadcastSession(
+            session,
+            session.isStopping ? "stopped" : "completed"
+          );
+        }
       });
 
-    // Start the FFmpeg process
-    ffmpegProcess.run();
+    session.currentSource = {
+      isPlaylist: false,
+      videoFilePath,
+      maxDurationSeconds,
+    };
 
-    // Store the process reference
-    activeBroadcastProcesses.set(broadcastId, ffmpegProcess);
+    if (swapSession) {
+      // Destinations are already connected, only the source changes
+      session.feeder = null;
+      attachSessionSource(session, ffmpegProcess);
+    } else {
+      // Run the encoder and connect the destinations
+      runBroadcastSession(session, ffmpegProcess);
+    }
 
-    return { success: true, message: "Broadcast started" };
+    return {
+      success: true,
+      message: "Broadcast started",
+      completion: session.completion,
+    };
   } catch (error) {
     await logError("Failed to start broadcast", {
       broadcastId,
@@ -1183,34 +2523,47 @@ async function startLiveBroadcast(
  */
 async function stopLiveBroadcast(broadcastId) {
   try {
-    const ffmpegProcess = activeBroadcastProcesses.get(broadcastId);
+    const session = activeBroadcastSessions.get(broadcastId);
+
+    if (!session) {
+      // Waiting for the next reconnect attempt - cancel it
+      const pendingReconnect = pendingReconnects.get(broadcastId);
+      if (pendingReconnect) {
+        pendingReconnect.cancel();
+        await Broadcast.updateStatus(broadcastId, "stopped");
+        await logInfo("Broadcast reconnect cancelled", { broadcastId });
+        return { success: true, message: "Broadcast stopped" };
+      }
 
-    if (!ffmpegProcess) {
       throw new Error("Broadcast is not active");
     }
 
+    session.isStopping = true;
+    session.restartReason = null;
+
     // Kill the FFmpeg process gracefully first, then force if needed
     try {
-      ffmpegProcess.kill("SIGTERM"); // Try graceful shutdown first
+      stopSessionEncoder(session, "SIGTERM"); // Try graceful shutdown first
 
       // Wait a bit for graceful shutdown
       await new Promise((resolve) => setTimeout(resolve, 2000));
 
       // If still running, force kill
-      if (activeBroadcastProcesses.has(broadcastId)) {
-        ffmpegProcess.kill("SIGKILL");
+      if (!session.isFinished) {
+        stopSessionEncoder(session, "SIGKILL");
       }
     } catch (killError) {
       console.warn("Error killing FFmpeg process:", killError.message);
       // Try force kill anyway
       try {
-        ffmpegProcess.kill("SIGKILL");
+        stopSessionEncoder(session, "SIGKILL");
       } catch (forceKillError) {
         console.warn("Force kill also failed:", forceKillError.message);
       }
     }
 
-    activeBroadcastProcesses.delete(broadcastId);
+    // Disconnects every destination relay
+    await endBroadcastSession(session, "stopped");
 
     await Broadcast.updateStatus(broadcastId, "stopped");
     await logInfo("Broadcast stopped", { broadcastId });
@@ -1225,32 +2578,507 @@ async function stopLiveBroadcast(broadcastId) {
   }
 }
 
+/**
+ * Start relaying a live broadcast to an additional destination
+ * The encoder and the other destinations are not interrupted
+ * @param {number} broadcastId - Broadcast ID
+ * @param {object} destination - broadcast_destinations row
+ */
+async function addBroadcastDestination(broadcastId, destination) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  if (session.relays.has(destination.destination_id)) {
+    throw new Error("Destination is already connected");
+  }
+
+  const relay = createDestinationRelay(session, destination);
+  session.relays.set(destination.destination_id, relay);
+  await relay.start();
+
+  await logInfo("Destination added to live broadcast", {
+    broadcastId,
+    destinationId: destination.destination_id,
+    platform: destination.platform_name,
+  });
+
+  return { success: true };
+}
+
+/**
+ * Change the backup ingest of a destination of a live broadcast
+ * The relay stays connected, the new backup applies to its next failover
+ * @param {number} broadcastId - Broadcast ID
+ * @param {number} destinationId - Destination ID
+ * @param {string|null} backupUrl - Backup ingest URL (null removes it)
+ */
+async function updateDestinationBackup(broadcastId, destinationId, backupUrl) {
+  const session = activeBroadcastSessions.get(broadcastId);
+  const relay = session ? session.relays.get(destinationId) : null;
+  if (!relay) {
+    return { success: true };
+  }
+
+  relay.destination = { ...relay.destination, backup_url: backupUrl || null };
+
+  // Removing the backup in use moves the relay back to the primary
+  if (!backupUrl && relay.endpoint === "backup") {
+    relay.stopPrimaryProbe();
+    await relay.switchEndpoint("primary", "Backup ingest removed");
+    if (relay.command) {
+      relay.isSwitchingEndpoint = true;
+      relay.command.kill("SIGTERM");
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Keep the dashboard preview of a live broadcast encoding
+ * Called on every playlist request of the preview player
+ * @param {number} broadcastId - Broadcast ID
+ * @returns {Promise<boolean>} - false when the broadcast isn't on air
+ */
+async function requestOutputPreview(broadcastId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+  return session ? session.preview.requestPreview() : false;
+}
+
+/**
+ * Stop relaying a live broadcast to one of its destinations
+ * The encoder and the other destinations are not interrupted
+ * @param {number} broadcastId - Broadcast ID
+ * @param {number} destinationId - Destination ID
+ */
+async function removeBroadcastDestination(broadcastId, destinationId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  const relay = session.relays.get(destinationId);
+  if (!relay) {
+    return { success: true };
+  }
+
+  if (session.relays.size === 1) {
+    throw new Error(
+      "Cannot remove the last destination of a live broadcast. Stop the broadcast instead."
+    );
+  }
+
+  session.relays.delete(destinationId);
+  relay.stop();
+
+  await logInfo("Destination removed from live broadcast", {
+    broadcastId,
+    destinationId,
+  });
+
+  // Remaining destinations may all be failed already
+  checkDestinationsHealth(session);
+
+  return { success: true };
+}
+
+/**
+ * Switch a live broadcast to other content without dropping its destinations
+ * The outgoing source is stopped and the new one continues the program
+ * timeline on the same program bus, relays stay connected during the cut
+ * @param {number} broadcastId - Broadcast ID
+ * @param {object} source - { isPlaylist, playlistId, loop }, { isPlaylist, videoFilePath, maxDurationSeconds } or { isLiveSource, sourceUrl }
+ * @param {object} advancedSettings - Advanced Settings (encoder profile, fit_mode, overlays)
+ */
+async function swapBroadcastSource(broadcastId, source, advancedSettings = {}) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  if (session.isSwapping) {
+    throw new Error("A content switch is already in progress");
+  }
+
+  session.isSwapping = true;
+  // Exit handlers of the outgoing source see a newer generation and leave
+  // the session alone
+  session.sourceGeneration++;
+
+  try {
+    console.log(`🔀 [Broadcast ${broadcastId}] Switching content...`);
+    await detachSessionSource(session);
+
+    if (session.isStopping) {
+      throw new Error("Broadcast was stopped during the content switch");
+    }
+
+    if (source.isLiveSource) {
+      await startLiveSourceBroadcast(
+        broadcastId,
+        source.sourceUrl,
+        [],
+        advancedSettings,
+        { session }
+      );
+    } else if (source.isPlaylist) {
+      await startPlaylistBroadcast(
+        broadcastId,
+        source.playlistId,
+        [],
+        source.loop !== false,
+        advancedSettings,
+        { session }
+      );
+    } else {
+      // Duration limit counts from the start of the broadcast
+      let maxDurationSeconds = source.maxDurationSeconds || null;
+      if (maxDurationSeconds) {
+        const elapsedSeconds = (Date.now() - session.programStartedAt) / 1000;
+        maxDurationSeconds = Math.max(
+          1,
+          Math.round(maxDurationSeconds - elapsedSeconds)
+        );
+      }
+
+      await startLiveBroadcast(
+        broadcastId,
+        source.videoFilePath,
+        [],
+        maxDurationSeconds,
+        advancedSettings,
+        { session }
+      );
+    }
+
+    // Stopped while the new source was starting
+    if (session.isStopping) {
+      stopSessionEncoder(session, "SIGTERM");
+      throw new Error("Broadcast was stopped during the content switch");
+    }
+
+    console.log(`✓ [Broadcast ${broadcastId}] Content switched`);
+    await logInfo("Broadcast content switched", {
+      broadcastId,
+      isPlaylist: !!source.isPlaylist,
+      isLiveSource: !!source.isLiveSource,
+      playlistId: source.playlistId || null,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error(
+      `❌ [Broadcast ${broadcastId}] Content switch failed:`,
+      error.message
+    );
+    await logError("Broadcast content switch failed", {
+      broadcastId,
+      error: error.message,
+    });
+
+    // Nothing feeds the destinations anymore (a user stop ends the session
+    // itself)
+    if (session.failureMessage) {
+      await endBroadcastSession(session, "failed", session.failureMessage);
+    } else if (!session.isStopping) {
+      await endBroadcastSession(
+        session,
+        "failed",
+        `Content switch failed: ${error.message}`
+      );
+    }
+    throw error;
+  } finally {
+    session.isSwapping = false;
+  }
+}
+
+/**
+ * Apply new overlay settings to a live broadcast
+ * Overlays already on air change within a second, a broadcast started
+ * without overlays picks them up at its next encoder start (next item)
+ * @param {number} broadcastId - Broadcast ID
+ * @param {object} overlays - Overlay settings
+ * @returns {Promise<{success: boolean, live: boolean}>}
+ */
+async function updateBroadcastOverlays(broadcastId, overlays) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  if (!session.overlays) {
+    setupSessionOverlays(
+      session,
+      overlays,
+      await Broadcast.findById(broadcastId)
+    );
+    return { success: true, live: false };
+  }
+
+  await session.overlays.update(overlays);
+  await logInfo("Overlays updated on live broadcast", { broadcastId });
+
+  return { success: true, live: true };
+}
+
+/**
+ * Apply new music bed settings to a live broadcast
+ * A new playlist starts right away, mode and gain apply from the next
+ * encoder (next playlist item)
+ * @param {number} broadcastId - Broadcast ID
+ * @param {object} musicBed - Music bed settings (advanced_settings.music_bed)
+ * @returns {Promise<{success: boolean, live: boolean}>} - live = audible now
+ */
+async function updateBroadcastMusicBed(broadcastId, musicBed) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  if (!session.musicBed) {
+    setupSessionMusicBed(session, musicBed);
+    return { success: true, live: false };
+  }
+
+  const wasEnabled = session.musicBed.isEnabled();
+  session.musicBed.update(musicBed);
+  await logInfo("Music bed updated on live broadcast", { broadcastId });
+
+  // Encoders that already mix the bed keep its input until they end
+  return { success: true, live: wasEnabled && session.musicBed.isEnabled() };
+}
+
+/**
+ * Music bed of a live broadcast and the track it plays
+ * @returns {Promise<object|null>} - null when no music bed is on air
+ */
+async function getBroadcastMusic(broadcastId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+  if (!session || !session.musicBed || !session.musicBed.isEnabled()) {
+    return null;
+  }
+  return session.musicBed.getStatus();
+}
+
+/**
+ * Output size of a live broadcast
+ * @returns {{width: number, height: number}|null}
+ */
+function getBroadcastOutputSize(broadcastId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+  return session && session.outputSize ? { ...session.outputSize } : null;
+}
+
+/**
+ * Now playing / up next of a live playlist broadcast
+ * @param {number} broadcastId - Broadcast ID
+ * @returns {Promise<object|null>} - null when no playlist is on air
+ */
+async function getBroadcastNowPlaying(broadcastId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+  if (!session || !(session.feeder instanceof PlayoutFeeder)) {
+    return null;
+  }
+
+  const feeder = session.feeder;
+  const toSummary = (item) =>
+    item
+      ? {
+          item_id: item.item_id,
+          content_id: item.content_id,
+          title: item.title,
+          thumbnail_path: item.thumbnail_path,
+          duration_seconds: item.duration_seconds,
+          position: item.position,
+          playlist_length: item.playlistLength,
+        }
+      : null;
+
+  let upNext = null;
+  try {
+    upNext = await feeder.peekNextItem();
+  } catch (error) {
+    console.error("Error reading next playlist item:", error.message);
+  }
+
+  const current = feeder.currentItem;
+  const elapsedSeconds = current
+    ? Math.floor((Date.now() - feeder.currentItemStartedAt) / 1000)
+    : null;
+  const remainingSeconds =
+    current && current.duration_seconds
+      ? Math.max(0, Math.round(current.duration_seconds - elapsedSeconds))
+      : null;
+
+  return {
+    playlist_id: feeder.playlistId,
+    shuffle: feeder.shuffle,
+    loop: feeder.loop,
+    loop_count: feeder.loopCount,
+    on_slate: feeder.isOnSlate,
+    on_live: feeder.isOnLive,
+    on_emergency: feeder.isOnEmergency,
+    live_switch: !!feeder.liveSwitch,
+    now_playing: toSummary(current),
+    started_at: current
+      ? new Date(feeder.currentItemStartedAt).toISOString()
+      : null,
+    elapsed_seconds: elapsedSeconds,
+    remaining_seconds: remainingSeconds,
+    up_next: toSummary(upNext),
+  };
+}
+
+/**
+ * Feeder of a live playlist broadcast
+ */
+function getPlaylistFeeder(broadcastId) {
+  const session = activeBroadcastSessions.get(broadcastId);
+
+  if (!session || session.isStopping) {
+    throw new Error("Broadcast is not active");
+  }
+
+  if (!(session.feeder instanceof PlayoutFeeder)) {
+    throw new Error("Playout controls are only available for playlist broadcasts");
+  }
+
+  return session.feeder;
+}
+
+/**
+ * Skip to the next playlist item
+ * Only the item encoder is replaced, destinations stay connected
+ * @param {number} broadcastId - Broadcast ID
+ */
+async function skipToNextItem(broadcastId) {
+  const feeder = getPlaylistFeeder(broadcastId);
+  await feeder.next();
+
+  await logInfo("Playlist skipped to next item", { broadcastId });
+  return { success: true };
+}
+
+/**
+ * Go back to the previously aired playlist item
+ * @param {number} broadcastId - Broadcast ID
+ */
+async function skipToPreviousItem(broadcastId) {
+  const feeder = getPlaylistFeeder(broadcastId);
+  const item = await feeder.previous();
+
+  await logInfo("Playlist went back to previous item", {
+    broadcastId,
+    contentId: item.content_id,
+  });
+  return { success: true, item };
+}
+
+/**
+ * Jump to a playlist item
+ * @param {number} broadcastId - Broadcast ID
+ * @param {number} position - Item position in the playlist (1-based)
+ */
+async function jumpToItem(broadcastId, position) {
+  const feeder = getPlaylistFeeder(broadcastId);
+  const item = await feeder.jumpTo(position);
+
+  await logInfo("Playlist jumped to item", {
+    broadcastId,
+    position,
+    contentId: item.content_id,
+  });
+  return { success: true, item };
+}
+
+/**
+ * Hold the broadcast on the slate image until resumed
+ * @param {number} broadcastId - Broadcast ID
+ */
+async function holdOnSlate(broadcastId) {
+  const feeder = getPlaylistFeeder(broadcastId);
+  await feeder.holdOnSlate();
+
+  await logInfo("Broadcast holding on slate", { broadcastId });
+  return { success: true };
+}
+
+/**
+ * Leave the slate and continue the held item
+ * @param {number} broadcastId - Broadcast ID
+ */
+async function resumeFromSlate(broadcastId) {
+  const feeder = getPlaylistFeeder(broadcastId);
+  await feeder.resume();
+
+  await logInfo("Broadcast resumed from slate", { broadcastId });
+  return { success: true };
+}
+
 /**
  * Check if broadcast is active
  */
 function isBroadcastActive(broadcastId) {
-  return activeBroadcastProcesses.has(broadcastId);
+  return activeBroadcastSessions.has(broadcastId);
+}
+
+/**
+ * Check if a broadcast is on air or waiting for an encoder restart
+ */
+function isBroadcastRunning(broadcastId) {
+  return (
+    activeBroadcastSessions.has(broadcastId) ||
+    supervisedBroadcasts.has(broadcastId)
+  );
 }
 
 /**
  * Get active broadcast count
  */
 function getActiveBroadcastCount() {
-  return activeBroadcastProcesses.size;
+  return activeBroadcastSessions.size;
 }
 
 /**
  * Get all active broadcast IDs
  */
 function getActiveBroadcastIds() {
-  return Array.from(activeBroadcastProcesses.keys());
+  return Array.from(activeBroadcastSessions.keys());
+}
+
+/**
+ * Every broadcast on air or waiting for an encoder restart
+ * @returns {Array<{broadcastId: number, active: boolean, outputSize: object|null}>}
+ */
+function getBroadcastStates() {
+  const broadcastIds = new Set([
+    ...activeBroadcastSessions.keys(),
+    ...supervisedBroadcasts,
+  ]);
+
+  return Array.from(broadcastIds, (broadcastId) => ({
+    broadcastId,
+    active: activeBroadcastSessions.has(broadcastId),
+    outputSize: getBroadcastOutputSize(broadcastId),
+  }));
 }
 
 /**
  * Stop all broadcasts
  */
 async function stopAllBroadcasts() {
-  const broadcastIds = Array.from(activeBroadcastProcesses.keys());
+  // Broadcasts waiting for a reconnect attempt are stopped too
+  const broadcastIds = [
+    ...new Set([...activeBroadcastSessions.keys(), ...pendingReconnects.keys()]),
+  ];
 
   for (const broadcastId of broadcastIds) {
     try {
@@ -1263,39 +3091,6 @@ async function stopAllBroadcasts() {
   await logInfo("All broadcasts stopped", { count: broadcastIds.length });
 }
 
-/**
- * Restart a broadcast
- */
-async function restartBroadcast(
-  broadcastId,
-  videoFilePath,
-  destinationUrl,
-  streamKey
-) {
-  try {
-    // Stop if already running
-    if (isBroadcastActive(broadcastId)) {
-      await stopLiveBroadcast(broadcastId);
-      // Wait a bit before restarting
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-    }
-
-    // Start again
-    return await startLiveBroadcast(
-      broadcastId,
-      videoFilePath,
-      destinationUrl,
-      streamKey
-    );
-  } catch (error) {
-    await logError("Failed to restart broadcast", {
-      broadcastId,
-      error: error.message,
-    });
-    throw error;
-  }
-}
-
 // Cleanup on process termination
 process.on("SIGINT", async () => {
   console.log("\nShutting down broadcasts...");
@@ -1312,11 +3107,28 @@ process.on("SIGTERM", async () => {
 module.exports = {
   startLiveBroadcast,
   startPlaylistBroadcast,
+  startLiveSourceBroadcast,
+  getBroadcastNowPlaying,
+  skipToNextItem,
+  skipToPreviousItem,
+  jumpToItem,
+  holdOnSlate,
+  resumeFromSlate,
   stopLiveBroadcast,
   isBroadcastActive,
+  isBroadcastRunning,
   getActiveBroadcastCount,
   getActiveBroadcastIds,
+  getBroadcastStates,
   stopAllBroadcasts,
-  restartBroadcast,
   broadcastWithAutoReconnect,
+  addBroadcastDestination,
+  removeBroadcastDestination,
+  updateDestinationBackup,
+  requestOutputPreview,
+  swapBroadcastSource,
+  updateBroadcastOverlays,
+  updateBroadcastMusicBed,
+  getBroadcastMusic,
+  getBroadcastOutputSize,
 };
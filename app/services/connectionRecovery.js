@@ -5,16 +5,37 @@
 
 const { logInfo, logError } = require('./activityLogger');
 
+/**
+ * Stall thresholds of the stream watchdog
+ * WATCHDOG_STALL_SECONDS - no progress (or speed collapse) for this long
+ * WATCHDOG_MIN_SPEED - encoding speed below this counts as collapsed
+ */
+function getWatchdogSettings() {
+  const stallSeconds = parseInt(process.env.WATCHDOG_STALL_SECONDS);
+  const minSpeed = parseFloat(process.env.WATCHDOG_MIN_SPEED);
+  return {
+    stuckThreshold: (isNaN(stallSeconds) || stallSeconds < 10 ? 30 : stallSeconds) * 1000,
+    minSpeed: isNaN(minSpeed) ? 0.5 : minSpeed
+  };
+}
+
 /**
  * Connection health monitoring
+ * Watches the progress of one FFmpeg process; a process that stops
+ * reporting progress (e.g. RTMP stalled without erroring) is stuck
  */
 class ConnectionHealthMonitor {
   constructor(broadcastId) {
+    const { stuckThreshold, minSpeed } = getWatchdogSettings();
+
     this.broadcastId = broadcastId;
     this.lastProgressTime = Date.now();
-    this.stuckThreshold = 30000; // 30 seconds without progress = stuck
+    this.stuckThreshold = stuckThreshold; // Without progress = stuck
+    this.minSpeed = minSpeed; // Slower than this for stuckThreshold = stuck
     this.bitrate = 0;
     this.fps = 0;
+    this.speed = null;
+    this.slowSince = null;
     this.lastTimestamp = '0:0:0';
     this.errorCount = 0;
     this.maxErrors = 5;
@@ -22,12 +43,26 @@ class ConnectionHealthMonitor {
     this.statusCheckInterval = null;
   }
 
+  /**
+   * @param {object} progress - { timemark, currentKbps, currentFps, speed }
+   */
   updateProgress(progress) {
     if (progress && progress.timemark) {
-      this.lastProgressTime = Date.now();
-      this.lastTimestamp = progress.timemark;
+      // Stats lines keep coming from a frozen process, only a moving
+      // timemark is progress
+      if (progress.timemark !== this.lastTimestamp) {
+        this.lastProgressTime = Date.now();
+        this.lastTimestamp = progress.timemark;
+      }
       this.bitrate = progress.currentKbps || 0;
       this.fps = progress.currentFps || 0;
+
+      if (typeof progress.speed === 'number') {
+        this.speed = progress.speed;
+        this.slowSince = progress.speed < this.minSpeed
+          ? this.slowSince || Date.now()
+          : null;
+      }
     }
   }
 
@@ -45,6 +80,22 @@ class ConnectionHealthMonitor {
     return (Date.now() - this.lastProgressTime) > this.stuckThreshold;
   }
 
+  isSlow() {
+    return this.slowSince !== null &&
+      (Date.now() - this.slowSince) > this.stuckThreshold;
+  }
+
+  /**
+   * A new process started, give it time to report progress
+   * @param {number} graceMs - Extra time on top of the stall threshold
+   */
+  resetProgress(graceMs = 15000) {
+    this.lastProgressTime = Date.now() + graceMs;
+    this.lastTimestamp = '0:0:0';
+    this.slowSince = null;
+    this.speed = null;
+  }
+
   reset() {
     this.errorCount = 0;
     this.isHealthy = true;
@@ -54,18 +105,30 @@ class ConnectionHealthMonitor {
     return {
       isHealthy: this.isHealthy,
       isStuck: this.isStuck(),
+      isSlow: this.isSlow(),
       errorCount: this.errorCount,
       lastUpdate: new Date(this.lastProgressTime).toISOString(),
       bitrate: this.bitrate,
       fps: this.fps,
+      speed: this.speed,
       lastTimestamp: this.lastTimestamp
     };
   }
 
   startMonitoring(callback) {
+    this.stopMonitoring();
     this.statusCheckInterval = setInterval(() => {
+      const seconds = Math.round(this.stuckThreshold / 1000);
       if (this.isStuck()) {
-        callback({ type: 'stuck', message: 'Stream appears to be stuck' });
+        callback({
+          type: 'stuck',
+          message: `Stream appears to be stuck (no progress for ${seconds}s)`
+        });
+      } else if (this.isSlow()) {
+        callback({
+          type: 'slow',
+          message: `Encoding speed collapsed (${this.speed}x for ${seconds}s)`
+        });
       }
     }, 10000); // Check every 10 seconds
   }
@@ -82,33 +145,72 @@ class ConnectionHealthMonitor {
  * Exponential backoff retry strategy
  */
 class RetryStrategy {
-  constructor(maxRetries = 5) {
+  /**
+   * @param {number} maxRetries - Infinity = retry forever
+   * @param {object} options - { baseDelayMs, maxDelayMs, jitter (0-1) }
+   */
+  constructor(maxRetries = 5, options = {}) {
     this.maxRetries = maxRetries;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 60000;
+    this.jitter = options.jitter || 0;
     this.attempts = 0;
     this.retryLog = [];
+    this.pendingWait = null;
+    this.isCancelled = false;
   }
 
   getDelay() {
-    // Exponential backoff: 2^attempts * 1000ms, capped at 60 seconds
-    return Math.min(Math.pow(2, this.attempts) * 1000, 60000);
+    // Exponential backoff: 2^attempts * base delay, capped at the max delay
+    const delay = Math.min(
+      Math.pow(2, this.attempts) * this.baseDelayMs,
+      this.maxDelayMs
+    );
+    if (!this.jitter) return delay;
+
+    // Spread restarts of many broadcasts after a shared outage
+    const spread = delay * this.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
   }
 
-  async waitBeforeRetry() {
-    const delay = this.getDelay();
-    console.log(`⏳ Retry attempt ${this.attempts + 1}/${this.maxRetries} - waiting ${delay/1000}s...`);
+  /**
+   * @param {number} delay - Delay in ms (a fresh getDelay() by default)
+   */
+  async waitBeforeRetry(delay = this.getDelay()) {
+    const of = this.maxRetries === Infinity ? '' : `/${this.maxRetries}`;
+    console.log(`⏳ Retry attempt ${this.attempts + 1}${of} - waiting ${delay/1000}s...`);
     
     this.retryLog.push({
       attempt: this.attempts + 1,
       delay,
       timestamp: new Date().toISOString()
     });
+    // Retrying forever must not grow the log forever
+    if (this.retryLog.length > 50) {
+      this.retryLog.shift();
+    }
 
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      this.pendingWait = { timer, resolve };
+    });
+    this.pendingWait = null;
     this.attempts++;
   }
 
+  /**
+   * Stop waiting, no further attempt should be made
+   */
+  cancel() {
+    this.isCancelled = true;
+    if (this.pendingWait) {
+      clearTimeout(this.pendingWait.timer);
+      this.pendingWait.resolve();
+    }
+  }
+
   canRetry() {
-    return this.attempts < this.maxRetries;
+    return !this.isCancelled && this.attempts < this.maxRetries;
   }
 
   reset() {
@@ -177,17 +279,6 @@ class StreamErrorDetector {
            combined.includes('out of memory') ||
            combined.includes('segmentation fault');
   }
-
-  static getSuggestedBitrate(currentBitrate) {
-    // Parse current bitrate and reduce by 20%
-    const match = currentBitrate.match(/(\d+)/);
-    if (match) {
-      const current = parseInt(match[1]);
-      const reduced = Math.max(500, Math.round(current * 0.8)); // Min 500k
-      return `${reduced}k`;
-    }
-    return '1500k'; // Fallback
-  }
 }
 
 /**
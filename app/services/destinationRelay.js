@@ -0,0 +1,501 @@
+/**
+ * Destination Relay
+ * Pushes the already-encoded program of a broadcast to a single destination.
+ * Each relay is a lightweight stream-copy FFmpeg process, so a destination can
+ * disconnect, reconnect, be added or be removed without touching the encoder
+ * or the other destinations.
+ * Destinations with a backup ingest URL fail over to it when the primary keeps
+ * failing, and return to the primary once it answers again.
+ */
+
+const net = require("net");
+const ffmpeg = require("fluent-ffmpeg");
+const { logInfo, logWarning, logError } = require("./activityLogger");
+const BroadcastDestination = require("../models/BroadcastDestination");
+const {
+  ConnectionHealthMonitor,
+  RetryStrategy,
+  StreamErrorDetector,
+} = require("./connectionRecovery");
+const {
+  OUTPUT_PROTOCOLS,
+  getUrlProtocol,
+  buildOutputUrl,
+  getOutputOptions,
+} = require("../utils/streamUrl");
+const {
+  normalizeRetryPolicy,
+  getFailoverAttempts,
+} = require("../utils/retryPolicy");
+
+// The program must have been written this recently for a relay to be stalled
+const STALL_INPUT_WINDOW_MS = 10000;
+
+// While on the backup ingest the primary is probed this often, and has to
+// answer for PRIMARY_RECOVERY_MS before the relay moves back to it
+const PRIMARY_PROBE_INTERVAL_MS = 30000;
+const PRIMARY_RECOVERY_MS = 120000;
+const PROBE_TIMEOUT_MS = 5000;
+
+// Ingest protocols running over TCP, the others can't be probed
+const TCP_PROTOCOLS = ["rtmp", "rtmps"];
+
+/**
+ * Check whether an ingest accepts TCP connections
+ * Ingests that can't be probed (UDP protocols) count as reachable, the relay
+ * then simply tries them again after PRIMARY_RECOVERY_MS
+ * @param {string} url - Ingest URL
+ * @returns {Promise<boolean>}
+ */
+function probeIngest(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return Promise.resolve(false);
+  }
+
+  const protocol = getUrlProtocol(url);
+  if (!TCP_PROTOCOLS.includes(protocol)) return Promise.resolve(true);
+  const port = parseInt(target.port) || OUTPUT_PROTOCOLS[protocol].defaultPort;
+
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: target.hostname, port });
+    const finish = (reachable) => {
+      socket.destroy();
+      resolve(reachable);
+    };
+    socket.setTimeout(PROBE_TIMEOUT_MS);
+    socket.once("connect", () => finish(true));
+    socket.once("timeout", () => finish(false));
+    socket.once("error", () => finish(false));
+  });
+}
+
+class DestinationRelay {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} destination - broadcast_destinations row
+   * @param {ProgramBus} programBus - Program bus of the broadcast
+   * @param {object} options - { retryPolicy, startDelayMs, endpoint, onStatusChange, onStall, onEndpointChange }
+   */
+  constructor(broadcastId, destination, programBus, options = {}) {
+    this.broadcastId = broadcastId;
+    this.destination = destination;
+    this.destinationId = destination.destination_id;
+    this.programBus = programBus;
+    this.sinkId = `destination-${destination.destination_id}`;
+    this.startDelayMs = options.startDelayMs || 0;
+    this.onStatusChange = options.onStatusChange || null;
+    this.onStall = options.onStall || null;
+    this.onEndpointChange = options.onEndpointChange || null;
+    // Reconnects follow the retry policy of the broadcast (0 = forever)
+    const policy = normalizeRetryPolicy(options.retryPolicy);
+    this.retryStrategy = new RetryStrategy(policy.maxAttempts || Infinity, {
+      baseDelayMs: policy.baseDelaySeconds * 1000,
+      maxDelayMs: policy.maxDelaySeconds * 1000,
+      jitter: policy.jitterPercent / 100,
+    });
+    // A connection that stays up this long resets the retry counter
+    this.stableResetMs = policy.resetAfterStableMinutes * 60000;
+    // Watchdog - a relay stuck on a stalled RTMP connection never errors
+    this.health = new ConnectionHealthMonitor(broadcastId);
+    this.stallMessage = null;
+
+    // Ingest in use (primary | backup), failovers carry over encoder restarts
+    this.endpoint =
+      options.endpoint === "backup" && destination.backup_url
+        ? "backup"
+        : "primary";
+    this.endpointFailures = 0;
+    this.isSwitchingEndpoint = false;
+    this.probeTimer = null;
+    this.primaryReachableSince = null;
+
+    this.command = null;
+    this.status = "offline";
+    this.connectedAt = null;
+    this.nextRetryAt = null;
+    this.isStopped = false;
+  }
+
+  /**
+   * Full URL of the ingest in use (ingest URL + stream key)
+   */
+  getOutputUrl() {
+    const url =
+      this.endpoint === "backup"
+        ? this.destination.backup_url
+        : this.destination.destination_url;
+    return buildOutputUrl(url, this.destination.stream_key);
+  }
+
+  /**
+   * Start relaying to the destination
+   */
+  async start() {
+    await this.setStatus("connecting");
+    await this.saveEndpoint();
+    if (this.endpoint === "backup") {
+      this.startPrimaryProbe();
+    }
+
+    if (this.startDelayMs > 0) {
+      // e.g. Facebook needs time to release a previous connection
+      await new Promise((resolve) => setTimeout(resolve, this.startDelayMs));
+    }
+
+    if (!this.isStopped) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    const input = this.programBus.attach(this.sinkId);
+    const outputUrl = this.getOutputUrl();
+    let stderrTail = "";
+
+    this.command = ffmpeg(input)
+      .inputFormat("mpegts")
+      .inputOptions(["-fflags", "+genpts"])
+      .outputOptions([
+        "-map",
+        "0",
+        "-c",
+        "copy", // Program is already encoded, just remux
+        // Muxer of the protocol (FLV for RTMP/RTMPS, MPEG-TS for SRT)
+        ...getOutputOptions(outputUrl),
+      ])
+      .output(outputUrl)
+      .on("start", () => {
+        console.log(
+          `[Broadcast ${this.broadcastId}] Relay → destination ${this.destinationId} (${this.destination.platform_name}${
+            this.endpoint === "backup" ? ", backup ingest" : ""
+          })`
+        );
+      })
+      .on("stderr", (line) => {
+        stderrTail = (stderrTail + line + "\n").slice(-2000);
+      })
+      .on("progress", (progress) => {
+        this.health.updateProgress(progress);
+        if (this.status !== "live") {
+          this.connectedAt = Date.now();
+          this.setStatus("live");
+        }
+      })
+      .on("error", (err) => {
+        this.handleExit(err, stderrTail);
+      })
+      .on("end", () => {
+        this.handleExit(null, stderrTail);
+      });
+
+    this.command.run();
+
+    const command = this.command;
+    this.health.resetProgress();
+    this.health.startMonitoring((event) => {
+      if (this.command !== command || this.isStopped) return;
+
+      // Nothing to relay (encoder starting, stalled or between items) - not
+      // the relay's fault
+      if (!this.programBus.isFlowing(STALL_INPUT_WINDOW_MS)) {
+        this.health.resetProgress(0);
+        return;
+      }
+
+      this.handleStall(command, event);
+    });
+  }
+
+  /**
+   * Relay stopped making progress - kill it, the exit handler reconnects
+   */
+  handleStall(command, event) {
+    this.health.stopMonitoring();
+    this.stallMessage = `Watchdog: ${event.message}`;
+
+    console.warn(
+      `⚠️  [Broadcast ${this.broadcastId}] Relay → destination ${this.destinationId} stalled, restarting: ${event.message}`
+    );
+    if (this.onStall) {
+      this.onStall(this, event);
+    }
+
+    command.kill("SIGKILL");
+  }
+
+  /**
+   * Relay process exited - reconnect unless it was stopped on purpose
+   */
+  async handleExit(err, stderr) {
+    this.programBus.detach(this.sinkId);
+    this.command = null;
+    this.health.stopMonitoring();
+
+    // Killed by the watchdog
+    if (this.stallMessage) {
+      err = new Error(this.stallMessage);
+      this.stallMessage = null;
+    }
+
+    if (this.isStopped) {
+      await this.setStatus("offline");
+      return;
+    }
+
+    // Moved to the other ingest on purpose, not a failure
+    if (this.isSwitchingEndpoint) {
+      this.isSwitchingEndpoint = false;
+      this.connectedAt = null;
+      await this.setStatus("connecting");
+      this.connect();
+      return;
+    }
+
+    const errorMsg = err ? err.message : "Destination closed the connection";
+
+    // Connection was stable for a while, start counting retries from scratch
+    if (
+      this.connectedAt &&
+      this.stableResetMs > 0 &&
+      Date.now() - this.connectedAt >= this.stableResetMs
+    ) {
+      this.retryStrategy.reset();
+      this.endpointFailures = 0;
+    }
+    this.connectedAt = null;
+
+    if (err && StreamErrorDetector.isFatalError(err, stderr)) {
+      await logError("Destination relay failed - no retry", {
+        broadcastId: this.broadcastId,
+        destinationId: this.destinationId,
+        error: errorMsg,
+      });
+      await this.setStatus("failed", errorMsg);
+      return;
+    }
+
+    // Primary ingest keeps failing - continue on the backup ingest
+    this.endpointFailures++;
+    if (
+      this.endpoint === "primary" &&
+      this.destination.backup_url &&
+      this.endpointFailures >= getFailoverAttempts()
+    ) {
+      await this.switchEndpoint(
+        "backup",
+        `Primary ingest failed ${this.endpointFailures} times: ${errorMsg}`
+      );
+      this.retryStrategy.reset();
+      this.startPrimaryProbe();
+    }
+
+    if (!this.retryStrategy.canRetry()) {
+      await logError("Destination relay failed - max retries reached", {
+        broadcastId: this.broadcastId,
+        destinationId: this.destinationId,
+        attempts: this.retryStrategy.attempts,
+        retryLog: this.retryStrategy.getLog(),
+        lastError: errorMsg,
+      });
+      await this.setStatus(
+        "failed",
+        `Disconnected after ${this.retryStrategy.attempts} reconnection attempts: ${errorMsg}`
+      );
+      return;
+    }
+
+    await logWarning("Destination disconnected, reconnecting", {
+      broadcastId: this.broadcastId,
+      destinationId: this.destinationId,
+      error: errorMsg,
+    });
+
+    const delay = this.retryStrategy.getDelay();
+    const attemptLabel =
+      this.retryStrategy.maxRetries === Infinity
+        ? `attempt ${this.retryStrategy.attempts + 1}`
+        : `${this.retryStrategy.attempts + 1}/${this.retryStrategy.maxRetries}`;
+    // ISO time, the dashboard counts down to it in the browser
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    await this.setStatus(
+      "reconnecting",
+      `Attempting to reconnect (${attemptLabel})...`
+    );
+
+    await this.retryStrategy.waitBeforeRetry(delay);
+    this.nextRetryAt = null;
+
+    if (!this.isStopped) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Move to the other ingest of the destination
+   * @param {string} endpoint - primary | backup
+   * @param {string} reason - Why, for the logs and the broadcast events
+   */
+  async switchEndpoint(endpoint, reason) {
+    this.endpoint = endpoint;
+    this.endpointFailures = 0;
+
+    const message =
+      endpoint === "backup"
+        ? `Switched to backup ingest: ${reason}`
+        : `Returned to primary ingest: ${reason}`;
+    console.log(
+      `${endpoint === "backup" ? "🔀" : "↩️ "} [Broadcast ${this.broadcastId}] Destination ${this.destinationId}: ${message}`
+    );
+
+    const log = endpoint === "backup" ? logWarning : logInfo;
+    await log("Destination ingest switched", {
+      broadcastId: this.broadcastId,
+      destinationId: this.destinationId,
+      endpoint,
+      reason,
+    });
+    await this.saveEndpoint();
+
+    if (this.onEndpointChange) {
+      this.onEndpointChange(this, endpoint, message);
+    }
+  }
+
+  /**
+   * Probe the primary ingest while relaying to the backup
+   */
+  startPrimaryProbe() {
+    if (this.probeTimer) return;
+
+    this.primaryReachableSince = null;
+    this.probeTimer = setInterval(
+      () => this.checkPrimary(),
+      PRIMARY_PROBE_INTERVAL_MS
+    );
+  }
+
+  stopPrimaryProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.primaryReachableSince = null;
+  }
+
+  async checkPrimary() {
+    if (this.isStopped || this.endpoint !== "backup") {
+      this.stopPrimaryProbe();
+      return;
+    }
+
+    const reachable = await probeIngest(this.destination.destination_url);
+    if (!reachable) {
+      this.primaryReachableSince = null;
+      return;
+    }
+
+    this.primaryReachableSince = this.primaryReachableSince || Date.now();
+    if (
+      Date.now() - this.primaryReachableSince < PRIMARY_RECOVERY_MS ||
+      this.isStopped ||
+      this.endpoint !== "backup"
+    ) {
+      return;
+    }
+
+    this.stopPrimaryProbe();
+    await this.switchEndpoint(
+      "primary",
+      `Primary ingest reachable for ${PRIMARY_RECOVERY_MS / 60000} minutes`
+    );
+
+    // Reconnecting relays pick up the primary with their next attempt
+    if (this.command) {
+      this.isSwitchingEndpoint = true;
+      this.command.kill("SIGTERM");
+    }
+  }
+
+  async saveEndpoint() {
+    try {
+      await BroadcastDestination.updateActiveEndpoint(
+        this.destinationId,
+        this.endpoint
+      );
+    } catch (error) {
+      console.error(
+        `Failed to update destination ${this.destinationId} endpoint:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Stop relaying to the destination
+   * @param {boolean} graceful - Let FFmpeg flush remaining data instead of killing it
+   */
+  stop(graceful = false) {
+    this.isStopped = true;
+    this.retryStrategy.cancel();
+    this.health.stopMonitoring();
+    this.stopPrimaryProbe();
+
+    if (!this.command) {
+      this.setStatus("offline");
+      return;
+    }
+
+    const command = this.command;
+    if (graceful) {
+      // End of input makes the relay finish the FLV stream cleanly
+      this.programBus.detach(this.sinkId);
+    } else {
+      command.kill("SIGTERM");
+    }
+
+    // Make sure the relay never outlives its broadcast
+    setTimeout(() => {
+      if (this.command === command) {
+        command.kill("SIGKILL");
+      }
+    }, 5000);
+  }
+
+  async setStatus(status, errorMessage = null) {
+    this.status = status;
+
+    try {
+      await BroadcastDestination.updateStatus(
+        this.destinationId,
+        status,
+        errorMessage,
+        status === "reconnecting" ? this.nextRetryAt : null
+      );
+    } catch (error) {
+      console.error(
+        `Failed to update destination ${this.destinationId} status:`,
+        error.message
+      );
+    }
+
+    if (status === "live") {
+      await logInfo("Destination is live", {
+        broadcastId: this.broadcastId,
+        destinationId: this.destinationId,
+      });
+    }
+
+    if (this.onStatusChange) {
+      this.onStatusChange(this, status);
+    }
+  }
+
+  isFailed() {
+    return this.status === "failed";
+  }
+}
+
+module.exports = DestinationRelay;
@@ -0,0 +1,200 @@
+/**
+ * HLS Publisher
+ * Writes the already-encoded program of a broadcast as an HLS rendition
+ * (playlist + rolling segments) that FloopyStream serves itself on the watch
+ * page. Like a destination relay it only remuxes the program bus, so it never
+ * touches the encoder or the destinations.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const ffmpeg = require("fluent-ffmpeg");
+const { logWarning } = require("./activityLogger");
+
+const PLAYLIST_NAME = "index.m3u8";
+
+// Delay before a crashed publisher is started again
+const RESTART_DELAY_MS = 5000;
+
+/**
+ * Folder holding the HLS renditions of every broadcast
+ */
+function getHlsRoot() {
+  return path.resolve(process.env.HLS_DIR || "./storage/hls");
+}
+
+/**
+ * Folder of one broadcast's rendition
+ * @param {string} broadcastUuid - Broadcast UUID
+ */
+function getHlsDirectory(broadcastUuid) {
+  return path.join(getHlsRoot(), broadcastUuid);
+}
+
+/**
+ * Segment length and how many segments the playlist keeps
+ * Older segments are deleted from disk
+ */
+function getHlsSettings() {
+  const segmentSeconds = parseInt(process.env.HLS_SEGMENT_SECONDS);
+  const playlistSegments = parseInt(process.env.HLS_PLAYLIST_SEGMENTS);
+
+  return {
+    segmentSeconds: isNaN(segmentSeconds) ? 4 : Math.max(1, segmentSeconds),
+    playlistSegments: isNaN(playlistSegments)
+      ? 6
+      : Math.max(3, playlistSegments),
+  };
+}
+
+class HlsPublisher {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {string} broadcastUuid - Broadcast UUID (public folder name)
+   * @param {ProgramBus} programBus - Program bus of the broadcast
+   */
+  constructor(broadcastId, broadcastUuid, programBus) {
+    this.broadcastId = broadcastId;
+    this.broadcastUuid = broadcastUuid;
+    this.programBus = programBus;
+    this.sinkId = "hls";
+    this.directory = getHlsDirectory(broadcastUuid);
+
+    this.command = null;
+    this.restartTimer = null;
+    this.isStopped = false;
+  }
+
+  /**
+   * Start publishing, segments of an earlier run are removed first
+   */
+  async start() {
+    await fs.emptyDir(this.directory);
+
+    if (!this.isStopped) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    const { segmentSeconds, playlistSegments } = getHlsSettings();
+    const input = this.programBus.attach(this.sinkId);
+    let stderrTail = "";
+
+    this.command = ffmpeg(input)
+      .inputFormat("mpegts")
+      .inputOptions(["-fflags", "+genpts"])
+      .outputOptions([
+        "-map",
+        "0",
+        "-c",
+        "copy", // Program is already encoded, just segment it
+        "-f",
+        "hls",
+        "-hls_time",
+        String(segmentSeconds),
+        "-hls_list_size",
+        String(playlistSegments),
+        "-hls_flags",
+        "delete_segments+omit_endlist+independent_segments",
+        // Sequence numbers keep growing over restarts, players don't rewind
+        "-hls_start_number_source",
+        "epoch",
+        "-hls_segment_filename",
+        path.join(this.directory, "segment_%d.ts"),
+      ])
+      .output(path.join(this.directory, PLAYLIST_NAME))
+      .on("start", () => {
+        console.log(
+          `[Broadcast ${this.broadcastId}] Publishing HLS to ${this.directory}`
+        );
+      })
+      .on("stderr", (line) => {
+        stderrTail = (stderrTail + line + "\n").slice(-2000);
+      })
+      .on("error", (err) => {
+        this.handleExit(err, stderrTail);
+      })
+      .on("end", () => {
+        this.handleExit(null, stderrTail);
+      });
+
+    this.command.run();
+  }
+
+  /**
+   * Publisher exited - start it again unless it was stopped on purpose
+   */
+  async handleExit(err, stderr) {
+    this.programBus.detach(this.sinkId);
+    this.command = null;
+
+    if (this.isStopped) {
+      await this.cleanup();
+      return;
+    }
+
+    const errorMsg = err ? err.message : "HLS publisher exited";
+    console.warn(
+      `⚠️  [Broadcast ${this.broadcastId}] HLS publisher stopped, restarting: ${errorMsg}`
+    );
+    await logWarning("HLS publisher stopped, restarting", {
+      broadcastId: this.broadcastId,
+      error: errorMsg,
+      stderr: stderr ? stderr.slice(-500) : null,
+    });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.isStopped) {
+        this.connect();
+      }
+    }, RESTART_DELAY_MS);
+  }
+
+  /**
+   * Stop publishing and remove the rendition
+   */
+  stop() {
+    this.isStopped = true;
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    if (!this.command) {
+      this.cleanup();
+      return;
+    }
+
+    const command = this.command;
+    command.kill("SIGTERM");
+
+    // Make sure the publisher never outlives its broadcast
+    setTimeout(() => {
+      if (this.command === command) {
+        command.kill("SIGKILL");
+      }
+    }, 5000);
+  }
+
+  async cleanup() {
+    try {
+      await fs.remove(this.directory);
+    } catch (error) {
+      console.error(
+        `[Broadcast ${this.broadcastId}] Failed to remove HLS segments:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = {
+  PLAYLIST_NAME,
+  getHlsRoot,
+  getHlsDirectory,
+  getHlsSettings,
+  HlsPublisher,
+};
@@ -0,0 +1,265 @@
+/**
+ * RTMP Ingest Server
+ * Accepts streams pushed by OBS and other encoders to
+ * rtmp://<host>:<port>/live/<stream key>. Only active ingest keys may
+ * publish, and only the broadcast engine (loopback) may play them back: an
+ * ingest broadcast pulls its key like a live source.
+ * Runs in the process that owns the broadcast engine, status is written to
+ * ingest_keys so the dashboard sees it from any process.
+ */
+
+const IngestKey = require("../models/IngestKey");
+const { logInfo, logWarning, logError } = require("./activityLogger");
+
+// Application name in the push URL
+const INGEST_APP = "live";
+
+// Time between two status updates of a connected stream
+const STATS_INTERVAL_MS = 5000;
+
+let server = null;
+let statsTimer = null;
+
+// NMS session ID -> { ingestKeyId, session, lastBytes, lastAt }
+const publishers = new Map();
+
+function isIngestEnabled() {
+  return process.env.INGEST_ENABLED !== "false";
+}
+
+function getIngestPort() {
+  return parseInt(process.env.INGEST_RTMP_PORT) || 1935;
+}
+
+/**
+ * URL the broadcast engine pulls a pushed stream from
+ * @param {string} streamKey - Ingest stream key
+ */
+function getIngestSourceUrl(streamKey) {
+  return `rtmp://127.0.0.1:${getIngestPort()}/${INGEST_APP}/${streamKey}`;
+}
+
+/**
+ * Source URL of an ingest broadcast
+ * @param {number} ingestKeyId - Ingest key the broadcast was created with
+ * @throws {Error} When the ingest is disabled or the key was revoked
+ */
+async function resolveIngestSourceUrl(ingestKeyId) {
+  if (!isIngestEnabled()) {
+    throw new Error("RTMP ingest is disabled on this server");
+  }
+
+  const ingestKey = await IngestKey.findById(ingestKeyId);
+  if (!ingestKey || ingestKey.revoked_at) {
+    throw new Error("Ingest key was revoked");
+  }
+  return getIngestSourceUrl(ingestKey.stream_key);
+}
+
+/**
+ * URL an encoder pushes to (without the stream key)
+ * @param {string} host - Host name the dashboard was opened with
+ */
+function getIngestPushUrl(host) {
+  const publicHost = process.env.INGEST_PUBLIC_HOST || host;
+  const port = getIngestPort();
+  return `rtmp://${publicHost}${port === 1935 ? "" : `:${port}`}/${INGEST_APP}`;
+}
+
+/**
+ * Stream key of a /live/<key> stream path, null for anything else
+ */
+function parseStreamPath(streamPath) {
+  const match = /^\/([^/]+)\/([^/]+)$/.exec(streamPath || "");
+  return match && match[1] === INGEST_APP ? match[2] : null;
+}
+
+function isLoopback(ip) {
+  return /^(::ffff:)?127\.|^::1$/.test(ip || "");
+}
+
+/**
+ * Check the key of an encoder that starts publishing
+ * Unknown and revoked keys are disconnected
+ */
+async function handlePrePublish(id, streamPath) {
+  const session = server.getSession(id);
+  if (!session) return;
+
+  const ip = session.ip || (session.socket && session.socket.remoteAddress);
+  const streamKey = parseStreamPath(streamPath);
+
+  try {
+    const ingestKey = streamKey
+      ? await IngestKey.findActiveByStreamKey(streamKey)
+      : null;
+
+    // Encoder already gone while the key was looked up
+    if (!server || !server.getSession(id)) return;
+
+    if (!ingestKey) {
+      console.warn(`⚠️  Ingest rejected: unknown stream key from ${ip}`);
+      await logWarning("Ingest rejected, unknown stream key", {
+        ip,
+        streamPath: streamKey ? `/${INGEST_APP}/***` : streamPath,
+      });
+      session.reject();
+      return;
+    }
+
+    publishers.set(id, {
+      ingestKeyId: ingestKey.ingest_key_id,
+      session,
+      lastBytes: 0,
+      lastAt: Date.now(),
+    });
+    await IngestKey.markConnected(ingestKey.ingest_key_id, ip);
+
+    console.log(`📥 Ingest "${ingestKey.key_name}" connected from ${ip}`);
+    await logInfo("Ingest connected", {
+      ingestKeyId: ingestKey.ingest_key_id,
+      keyName: ingestKey.key_name,
+      ip,
+    });
+  } catch (error) {
+    console.error("Error checking ingest key:", error.message);
+    session.reject();
+  }
+}
+
+async function handleDonePublish(id) {
+  const publisher = publishers.get(id);
+  if (!publisher) return;
+  publishers.delete(id);
+
+  try {
+    await IngestKey.markOffline(publisher.ingestKeyId);
+    await logInfo("Ingest disconnected", {
+      ingestKeyId: publisher.ingestKeyId,
+    });
+  } catch (error) {
+    console.error("Error updating ingest status:", error.message);
+  }
+}
+
+/**
+ * Pushed streams are only played back by the local broadcast engine
+ */
+function handlePrePlay(id) {
+  const session = server.getSession(id);
+  if (!session) return;
+
+  const ip = session.ip || (session.socket && session.socket.remoteAddress);
+  if (!isLoopback(ip)) {
+    console.warn(`⚠️  Ingest playback refused for ${ip}`);
+    session.reject();
+  }
+}
+
+/**
+ * Store codec, size and bitrate of every connected stream, and drop
+ * streams whose key was revoked in the meantime
+ */
+async function updatePublisherStats() {
+  for (const [id, publisher] of publishers) {
+    const { session } = publisher;
+
+    try {
+      const ingestKey = await IngestKey.findById(publisher.ingestKeyId);
+      if (!ingestKey || ingestKey.revoked_at) {
+        console.warn(
+          `⚠️  Ingest key ${publisher.ingestKeyId} was revoked, disconnecting`
+        );
+        await logWarning("Ingest disconnected, key revoked", {
+          ingestKeyId: publisher.ingestKeyId,
+        });
+        session.reject();
+        continue;
+      }
+
+      const now = Date.now();
+      const bytes = session.socket ? session.socket.bytesRead : 0;
+      const bitrateKbps =
+        publisher.lastBytes > 0
+          ? Math.round(
+              ((bytes - publisher.lastBytes) * 8) / (now - publisher.lastAt)
+            )
+          : null;
+      publisher.lastBytes = bytes;
+      publisher.lastAt = now;
+
+      await IngestKey.updateStats(publisher.ingestKeyId, {
+        videoCodec: session.videoCodecName,
+        audioCodec: session.audioCodecName,
+        width: session.videoWidth,
+        height: session.videoHeight,
+        frameRate: session.videoFps,
+        bitrateKbps,
+      });
+    } catch (error) {
+      console.error("Error updating ingest stats:", error.message);
+    }
+  }
+}
+
+/**
+ * Start the RTMP ingest (no-op when INGEST_ENABLED=false)
+ */
+function startIngestServer() {
+  if (server || !isIngestEnabled()) return;
+
+  try {
+    const NodeMediaServer = require("node-media-server");
+    server = new NodeMediaServer({
+      logType: 1, // Errors only
+      rtmp: {
+        port: getIngestPort(),
+        chunk_size: 60000,
+        gop_cache: true, // The engine starts on a keyframe
+        ping: 30,
+        ping_timeout: 60,
+      },
+    });
+
+    server.on("prePublish", (id, streamPath) => {
+      handlePrePublish(id, streamPath);
+    });
+    server.on("donePublish", (id) => {
+      handleDonePublish(id);
+    });
+    server.on("prePlay", (id) => {
+      handlePrePlay(id);
+    });
+
+    server.run();
+    statsTimer = setInterval(updatePublisherStats, STATS_INTERVAL_MS);
+
+    console.log(`📥 RTMP ingest listening on port ${getIngestPort()}`);
+    logInfo("RTMP ingest started", { port: getIngestPort() });
+  } catch (error) {
+    server = null;
+    console.error("Failed to start RTMP ingest:", error.message);
+    logError("Failed to start RTMP ingest", { error: error.message });
+  }
+}
+
+function stopIngestServer() {
+  if (statsTimer) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+  }
+  if (server) {
+    server.stop();
+    server = null;
+  }
+  publishers.clear();
+}
+
+module.exports = {
+  isIngestEnabled,
+  getIngestSourceUrl,
+  resolveIngestSourceUrl,
+  getIngestPushUrl,
+  startIngestServer,
+  stopIngestServer,
+};
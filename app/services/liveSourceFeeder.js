@@ -0,0 +1,358 @@
+/**
+ * Live Source Feeder
+ * Pulls a live source (RTMP, SRT, HLS or HTTP MPEG-TS URL) into the program
+ * bus of a broadcast. When the source drops or stops sending, the program
+ * holds on the slate and the source is reconnected with its own backoff;
+ * destinations stay connected the whole time and keep their own reconnects,
+ * and the encoder reconnect policy of the broadcast is not used up.
+ */
+
+const { logInfo, logWarning, logError } = require("./activityLogger");
+const { RetryStrategy } = require("./connectionRecovery");
+
+// Source reconnect backoff (doubles per failed attempt)
+const SOURCE_RETRY_BASE_MS = 2000;
+const SOURCE_RETRY_MAX_MS = 30000;
+
+// A source that stayed up this long starts its backoff over
+const SOURCE_STABLE_MS = 60000;
+
+// Consecutive slate failures before the feeder gives up
+const MAX_SLATE_FAILURES = 3;
+
+/**
+ * Minutes a source may stay offline before the broadcast fails
+ * 0 = hold on the slate until the source is back or the broadcast is stopped
+ */
+function getMaxOfflineMinutes() {
+  const minutes = parseInt(process.env.LIVE_SOURCE_MAX_OFFLINE_MINUTES);
+  return isNaN(minutes) ? 30 : Math.max(0, minutes);
+}
+
+class LiveSourceFeeder {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} options
+   * @param {string} options.sourceUrl - URL to pull
+   * @param {Function} options.probeSource - async () => resolves when the source answers
+   * @param {Function} options.buildCommand - async ({ offsetSeconds }) => FFmpeg command pulling the source
+   * @param {Function} options.buildSlateCommand - async ({ offsetSeconds }) => FFmpeg command holding on the slate
+   * @param {Function} options.onCommand - Called with every started command
+   * @param {Function} options.onSourceLost - Called with (message) when the program goes to the slate
+   * @param {Function} options.onSourceRestored - Called with (offlineSeconds) when the source is back on air
+   * @param {Function} options.onFinish - Called once with { reason, errorMessage }
+   */
+  constructor(broadcastId, options) {
+    this.broadcastId = broadcastId;
+    this.sourceUrl = options.sourceUrl;
+    this.probeSource = options.probeSource;
+    this.buildCommand = options.buildCommand;
+    this.buildSlateCommand = options.buildSlateCommand;
+    this.onCommand = options.onCommand || null;
+    this.onSourceLost = options.onSourceLost || null;
+    this.onSourceRestored = options.onSourceRestored || null;
+    this.onFinish = options.onFinish;
+
+    this.command = null;
+    this.isOnSlate = false;
+    this.sourceStartedAt = null;
+    this.offlineSince = null;
+    this.slateFailures = 0;
+    this.pendingSwitch = false;
+    this.reconnecting = false;
+    this.retryStrategy = new RetryStrategy(Infinity, {
+      baseDelayMs: SOURCE_RETRY_BASE_MS,
+      maxDelayMs: SOURCE_RETRY_MAX_MS,
+    });
+    this.programStartedAt = null;
+    this.isStopped = false;
+    this.isFinished = false;
+
+    // Resolves once the feeder has finished (after onFinish was called)
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * Go on air with the source, or with the slate while it doesn't answer
+   * @param {number} programStartedAt - When the program went on air (ms)
+   */
+  async start(programStartedAt = Date.now()) {
+    this.programStartedAt = programStartedAt;
+
+    try {
+      await this.probeSource();
+    } catch (error) {
+      await this.handleSourceLoss(`Live source unreachable: ${error.message}`);
+      return;
+    }
+
+    await this.playSource();
+  }
+
+  /**
+   * Seconds since the program started
+   * Used as timestamp offset so source and slate continue one timeline
+   */
+  getProgramTime() {
+    return this.programStartedAt
+      ? (Date.now() - this.programStartedAt) / 1000
+      : 0;
+  }
+
+  async playSource() {
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    let command;
+    try {
+      command = await this.buildCommand({
+        offsetSeconds: this.getProgramTime(),
+      });
+    } catch (error) {
+      await this.handleSourceLoss(`Live source failed: ${error.message}`);
+      return;
+    }
+
+    // Stopped while the source was being prepared
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    this.isOnSlate = false;
+    this.command = command;
+    this.sourceStartedAt = Date.now();
+
+    const onExit = async (err) => {
+      if (this.command === command) this.command = null;
+
+      if (this.isStopped) {
+        this.finish("stopped");
+        return;
+      }
+
+      // A source that ran for a while starts the backoff over
+      if (Date.now() - this.sourceStartedAt >= SOURCE_STABLE_MS) {
+        this.retryStrategy.reset();
+      }
+
+      const reason = err ? err.message : "Live source ended";
+      await this.handleSourceLoss(`Live source lost: ${reason}`);
+    };
+
+    command.on("error", onExit).on("end", () => onExit(null));
+
+    if (this.onCommand) {
+      await this.onCommand(command, { isSlate: false });
+    }
+
+    if (this.offlineSince) {
+      const offlineSeconds = Math.round((Date.now() - this.offlineSince) / 1000);
+      this.offlineSince = null;
+      if (this.onSourceRestored) {
+        await this.onSourceRestored(offlineSeconds);
+      }
+    }
+
+    console.log(
+      `📡 [Broadcast ${this.broadcastId}] Pulling live source ${this.sourceUrl}`
+    );
+    command.run();
+  }
+
+  /**
+   * Source dropped, could not be reached or stopped sending
+   * Holds the program on the slate and schedules the next attempt
+   */
+  async handleSourceLoss(message) {
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    if (!this.offlineSince) {
+      this.offlineSince = Date.now();
+      console.warn(`⚠️  [Broadcast ${this.broadcastId}] ${message}`);
+      await logWarning("Live source lost, holding on the slate", {
+        broadcastId: this.broadcastId,
+        error: message,
+      });
+      if (this.onSourceLost) {
+        await this.onSourceLost(message);
+      }
+    }
+
+    await this.holdSlate();
+    this.scheduleReconnect();
+  }
+
+  async holdSlate() {
+    if (this.isStopped || this.command) return;
+
+    let command;
+    try {
+      command = await this.buildSlateCommand({
+        offsetSeconds: this.getProgramTime(),
+      });
+    } catch (error) {
+      await this.handleSlateFailure(error);
+      return;
+    }
+
+    // Stopped while the slate was being prepared
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    this.isOnSlate = true;
+    this.command = command;
+    const startedAt = Date.now();
+
+    command
+      .on("error", async (err) => {
+        if (this.command === command) this.command = null;
+
+        if (this.isStopped) {
+          this.finish("stopped");
+        } else if (this.pendingSwitch) {
+          // Cut for the source that answered again
+          this.pendingSwitch = false;
+          await this.playSource();
+        } else {
+          if (Date.now() - startedAt >= SOURCE_STABLE_MS) {
+            this.slateFailures = 0;
+          }
+          await this.handleSlateFailure(err);
+        }
+      })
+      .on("end", async () => {
+        if (this.command === command) this.command = null;
+
+        if (this.isStopped) {
+          this.finish("stopped");
+        } else if (this.pendingSwitch) {
+          this.pendingSwitch = false;
+          await this.playSource();
+        } else {
+          // The slate holds until the source is back
+          await this.holdSlate();
+        }
+      });
+
+    if (this.onCommand) {
+      await this.onCommand(command, { isSlate: true });
+    }
+
+    command.run();
+  }
+
+  async handleSlateFailure(error) {
+    this.slateFailures++;
+
+    if (this.slateFailures >= MAX_SLATE_FAILURES) {
+      await logError("Slate failed while the live source was offline", {
+        broadcastId: this.broadcastId,
+        error: error.message,
+      });
+      this.finish("failed", `Slate failed: ${error.message}`);
+      return;
+    }
+
+    await this.holdSlate();
+  }
+
+  /**
+   * Try the source again after the backoff delay, and switch back to it
+   * once it answers
+   */
+  async scheduleReconnect() {
+    if (this.isStopped || this.reconnecting) return;
+    this.reconnecting = true;
+
+    try {
+      while (!this.isStopped) {
+        const maxOfflineMinutes = getMaxOfflineMinutes();
+        if (
+          maxOfflineMinutes > 0 &&
+          Date.now() - this.offlineSince >= maxOfflineMinutes * 60000
+        ) {
+          const message = `Live source offline for more than ${maxOfflineMinutes} minutes`;
+          await logError("Live source did not come back", {
+            broadcastId: this.broadcastId,
+            attempts: this.retryStrategy.attempts,
+          });
+          this.finish("failed", message);
+          this.stop("SIGTERM");
+          return;
+        }
+
+        await this.retryStrategy.waitBeforeRetry();
+        if (this.isStopped || this.retryStrategy.isCancelled) return;
+
+        try {
+          await this.probeSource();
+        } catch (error) {
+          console.warn(
+            `⚠️  [Broadcast ${this.broadcastId}] Live source still unreachable: ${error.message}`
+          );
+          continue;
+        }
+
+        await logInfo("Live source is back, leaving the slate", {
+          broadcastId: this.broadcastId,
+          attempts: this.retryStrategy.attempts,
+        });
+
+        if (this.command) {
+          this.pendingSwitch = true;
+          this.command.kill("SIGTERM");
+        } else {
+          await this.playSource();
+        }
+        return;
+      }
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  /**
+   * Replace a stalled command
+   * A frozen source counts as lost, a frozen slate is started again
+   */
+  restartItem() {
+    if (this.command) {
+      this.command.kill("SIGKILL");
+    }
+  }
+
+  /**
+   * Stop pulling the source
+   * @param {string} signal - Signal for the running command
+   */
+  stop(signal = "SIGTERM") {
+    this.isStopped = true;
+    this.retryStrategy.cancel();
+
+    if (this.command) {
+      this.command.kill(signal);
+    } else {
+      this.finish("stopped");
+    }
+  }
+
+  finish(reason, errorMessage = null) {
+    if (this.isFinished) return;
+    this.isFinished = true;
+    this.command = null;
+    this.onFinish({ reason, errorMessage });
+    this.resolveFinished();
+  }
+}
+
+module.exports = LiveSourceFeeder;
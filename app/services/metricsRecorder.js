@@ -0,0 +1,126 @@
+/**
+ * Metrics Recorder
+ * Samples the FFmpeg progress of a broadcast's encoder into broadcast_metrics
+ * Reads the stats lines from stderr, the progress event of fluent-ffmpeg
+ * leaves out speed and dropped/duplicated frames
+ */
+
+const BroadcastMetric = require("../models/BroadcastMetric");
+
+const DEFAULT_INTERVAL_SECONDS = 5;
+
+function getSampleIntervalMs() {
+  const seconds = parseInt(process.env.BROADCAST_METRICS_INTERVAL_SECONDS);
+  return (isNaN(seconds) || seconds < 1 ? DEFAULT_INTERVAL_SECONDS : seconds) *
+    1000;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Parse an FFmpeg stats line
+ * "frame= 1500 fps= 30 q=23.0 size= 9216kB time=00:00:50.00 bitrate=1509.9kbits/s dup=0 drop=2 speed=1.00x"
+ * @param {string} line - stderr line
+ * @returns {object|null} - null when the line isn't a stats line
+ */
+function parseProgressLine(line) {
+  if (!line || !line.startsWith("frame=")) return null;
+
+  const fields = {};
+  for (const match of line.matchAll(/(\w+)=\s*(\S+)/g)) {
+    fields[match[1]] = match[2];
+  }
+
+  return {
+    frames: toNumber(fields.frame),
+    fps: toNumber(fields.fps),
+    bitrateKbps: toNumber(fields.bitrate), // "1509.9kbits/s" or "N/A"
+    speed: toNumber(fields.speed), // "1.00x" or "N/A"
+    dup: toNumber(fields.dup) || 0,
+    drop: toNumber(fields.drop) || 0,
+    timemark: fields.time && fields.time !== "N/A" ? fields.time : null,
+  };
+}
+
+class MetricsRecorder {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} options - onSample(sample) is called with every recorded
+   * sample, onProgress(progress) with every stats line
+   */
+  constructor(broadcastId, options = {}) {
+    this.broadcastId = broadcastId;
+    this.onSample = options.onSample || null;
+    this.onProgress = options.onProgress || null;
+    this.intervalMs = getSampleIntervalMs();
+    this.lastRecordedAt = 0;
+    // Counters of the encoder process that wrote the last stats line
+    this.lastDrop = 0;
+    this.lastDup = 0;
+    // Frames dropped/duplicated since the last recorded sample
+    this.pendingDropped = 0;
+    this.pendingDuplicated = 0;
+    this.isStopped = false;
+  }
+
+  /**
+   * Feed an stderr line of the encoder
+   */
+  ingest(line) {
+    if (this.isStopped) return;
+
+    const progress = parseProgressLine(line);
+    if (!progress) return;
+
+    if (this.onProgress) this.onProgress(progress);
+
+    // Counters start over with every encoder process (playlist items,
+    // content switches, reconnects)
+    this.pendingDropped +=
+      progress.drop >= this.lastDrop
+        ? progress.drop - this.lastDrop
+        : progress.drop;
+    this.pendingDuplicated +=
+      progress.dup >= this.lastDup ? progress.dup - this.lastDup : progress.dup;
+    this.lastDrop = progress.drop;
+    this.lastDup = progress.dup;
+
+    const now = Date.now();
+    if (now - this.lastRecordedAt < this.intervalMs) return;
+    this.lastRecordedAt = now;
+
+    const sample = {
+      broadcastId: this.broadcastId,
+      frames: progress.frames,
+      fps: progress.fps,
+      bitrateKbps: progress.bitrateKbps,
+      speed: progress.speed,
+      droppedFrames: this.pendingDropped,
+      duplicatedFrames: this.pendingDuplicated,
+      timemark: progress.timemark,
+    };
+    this.pendingDropped = 0;
+    this.pendingDuplicated = 0;
+
+    BroadcastMetric.record(sample).catch((error) => {
+      console.error(
+        `[Broadcast ${this.broadcastId}] Failed to record metrics:`,
+        error.message
+      );
+    });
+
+    if (this.onSample) this.onSample(sample);
+  }
+
+  /**
+   * Stop recording (broadcast ended)
+   */
+  stop() {
+    this.isStopped = true;
+  }
+}
+
+module.exports = MetricsRecorder;
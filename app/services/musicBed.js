@@ -0,0 +1,552 @@
+/**
+ * Music Bed
+ * Plays the audio playlist of a broadcast as one continuous PCM feed that
+ * the program encoders mix in, either replacing the source audio or ducked
+ * under it. The feed runs across playlist items, so the music does not
+ * restart with every item.
+ *
+ * Each pass is one FFmpeg run over the next tracks of the playlist,
+ * crossfaded into each other and paced in real time. Between passes and
+ * while nothing is playable the feed carries silence, encoders attached to
+ * it never wait for data.
+ */
+
+const { Writable } = require("stream");
+const ffmpeg = require("fluent-ffmpeg");
+const Playlist = require("../models/Playlist");
+const ProgramBus = require("./programBus");
+const { resolveMediaPath } = require("./playoutFeeder");
+const { logInfo, logWarning, logError } = require("./activityLogger");
+
+const MODES = ["replace", "duck"];
+
+// PCM format of the feed (s16le stereo)
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_FRAME = 4;
+
+// Tracks decoded by one FFmpeg run (each one is an input)
+const MAX_TRACKS_PER_PASS = 20;
+
+// Silence is written when no pass produced audio for this long
+const SILENCE_GAP_MS = 200;
+const SILENCE_INTERVAL_MS = 100;
+
+// Wait before looking at an empty or unplayable playlist again
+const EMPTY_PLAYLIST_POLL_MS = 30000;
+
+// Failed passes in a row before the bed is reported as broken
+const MAX_CONSECUTIVE_FAILURES = 3;
+const FAILED_PASS_RETRY_MS = 2000;
+
+function clampNumber(value, min, max, fallback) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Validate music bed settings and fill in defaults
+ * @param {object} raw - Music bed settings (advanced_settings.music_bed)
+ * @returns {object} - { playlist_id, mode, gain_db, crossfade_seconds }
+ */
+function normalizeMusicBed(raw) {
+  const settings = raw && typeof raw === "object" ? raw : {};
+  const playlistId = parseInt(settings.playlist_id);
+
+  return {
+    playlist_id: playlistId > 0 ? playlistId : null,
+    mode: MODES.includes(settings.mode) ? settings.mode : "duck",
+    gain_db: Math.round(clampNumber(settings.gain_db, -30, 10, -12) * 2) / 2,
+    crossfade_seconds: clampNumber(settings.crossfade_seconds, 0, 10, 3),
+  };
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+function shuffleItems(items) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Audio stream and duration of a track
+ * @returns {Promise<{hasAudio: boolean, durationSeconds: number|null}>}
+ */
+function probeTrack(mediaPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(mediaPath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const duration = parseFloat(metadata.format && metadata.format.duration);
+      resolve({
+        hasAudio: metadata.streams.some((s) => s.codec_type === "audio"),
+        durationSeconds: duration > 0 ? duration : null,
+      });
+    });
+  });
+}
+
+class MusicBed {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} settings - Music bed settings (see normalizeMusicBed)
+   * @param {object} options
+   * @param {Function} options.onTrackChange - (track|null) => void
+   */
+  constructor(broadcastId, settings, options = {}) {
+    this.broadcastId = broadcastId;
+    this.settings = normalizeMusicBed(settings);
+    this.onTrackChange = options.onTrackChange || (() => {});
+
+    this.bus = new ProgramBus(broadcastId);
+    this.sinkCounter = 0;
+    this.remainder = null;
+
+    this.isRunning = false;
+    this.command = null;
+    this.pass = null;
+    this.passTimer = null;
+    this.queue = [];
+    this.passCount = 0;
+    this.consecutiveFailures = 0;
+    this.isRestarting = false;
+
+    this.silenceTimer = null;
+    this.lastAudioAt = 0;
+    this.lastSilenceAt = Date.now();
+
+    this.trackTimer = null;
+    this.currentTrackId = null;
+
+    // Output of every pass, cut to whole PCM frames before the bus
+    this.pcmWriter = new Writable({
+      write: (chunk, encoding, callback) => {
+        this.writeAudio(chunk);
+        callback();
+      },
+    });
+  }
+
+  /**
+   * Whether encoders should mix the bed in (a playlist is selected)
+   */
+  isEnabled() {
+    return this.isRunning && this.settings.playlist_id !== null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.lastSilenceAt = Date.now();
+
+    this.silenceTimer = setInterval(
+      () => this.writeSilence(),
+      SILENCE_INTERVAL_MS
+    );
+    this.trackTimer = setInterval(() => this.checkTrackChange(), 1000);
+
+    logInfo("Music bed started", {
+      broadcastId: this.broadcastId,
+      playlistId: this.settings.playlist_id,
+      mode: this.settings.mode,
+    });
+    this.playNextPass();
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearInterval(this.silenceTimer);
+    clearInterval(this.trackTimer);
+    clearTimeout(this.passTimer);
+    this.silenceTimer = null;
+    this.trackTimer = null;
+    this.passTimer = null;
+
+    if (this.command) {
+      try {
+        this.command.kill("SIGKILL");
+      } catch (error) {
+        // Already exited
+      }
+      this.command = null;
+    }
+
+    this.pass = null;
+    this.bus.close();
+  }
+
+  /**
+   * Apply new settings
+   * Mode and gain apply to the next encoder, a new playlist starts with
+   * the next pass, which begins right away
+   */
+  update(settings) {
+    const previousPlaylistId = this.settings.playlist_id;
+    this.settings = normalizeMusicBed(settings);
+
+    if (this.settings.playlist_id === previousPlaylistId) return;
+
+    this.queue = [];
+    this.consecutiveFailures = 0;
+    if (this.command) {
+      this.isRestarting = true;
+      this.command.kill("SIGKILL");
+    } else if (this.isRunning) {
+      clearTimeout(this.passTimer);
+      this.playNextPass();
+    }
+  }
+
+  /**
+   * Add the bed as an input of an encoder
+   * The input is detached again when the encoder exits
+   * @param {object} command - FFmpeg command of the encoder
+   */
+  addInput(command) {
+    const sinkId = `encoder-${++this.sinkCounter}`;
+    const stream = this.bus.attach(sinkId);
+    const detach = () => this.bus.detach(sinkId);
+
+    command
+      .input(stream)
+      .inputFormat("s16le")
+      .inputOptions([
+        "-ar",
+        String(SAMPLE_RATE),
+        "-ac",
+        String(CHANNELS),
+        "-thread_queue_size",
+        "1024",
+        "-use_wallclock_as_timestamps",
+        "1", // Raw PCM has no timestamps of its own
+      ])
+      .on("end", detach)
+      .on("error", detach);
+  }
+
+  /**
+   * Audio filter of an encoder, output label [aout]
+   * @param {string} bedInput - Input of the bed, e.g. "1:a"
+   * @param {string|null} sourceAudio - Source audio, e.g. "0:a:0" (null = none)
+   */
+  buildFilter(bedInput, sourceAudio) {
+    const bed = `[${bedInput}]aresample=async=1000,volume=${this.settings.gain_db}dB`;
+
+    if (this.settings.mode === "replace" || !sourceAudio) {
+      return `${bed}[aout]`;
+    }
+
+    // The source audio keys a compressor on the bed, the music dips while
+    // someone speaks. amix halves both inputs, volume=2 restores the level
+    return [
+      `[${sourceAudio}]asplit=2[asrc][akey]`,
+      `${bed}[abed]`,
+      `[abed][akey]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=600[aducked]`,
+      `[asrc][aducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]`,
+    ].join(";");
+  }
+
+  /**
+   * Track of the bed playing now
+   * @returns {object|null}
+   */
+  getNowPlaying() {
+    if (!this.pass) return null;
+
+    const elapsed = (Date.now() - this.pass.startedAt) / 1000;
+    let track = null;
+    for (const entry of this.pass.tracks) {
+      if (entry.offsetSeconds > elapsed) break;
+      track = entry;
+    }
+    if (!track) return null;
+
+    const elapsedSeconds = Math.floor(elapsed - track.offsetSeconds);
+    return {
+      content_id: track.content_id,
+      title: track.title,
+      duration_seconds: track.durationSeconds,
+      elapsed_seconds: elapsedSeconds,
+      remaining_seconds: track.durationSeconds
+        ? Math.max(0, Math.round(track.durationSeconds - elapsedSeconds))
+        : null,
+    };
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      now_playing: this.getNowPlaying(),
+    };
+  }
+
+  checkTrackChange() {
+    const track = this.getNowPlaying();
+    const trackId = track ? track.content_id : null;
+    if (trackId === this.currentTrackId) return;
+
+    this.currentTrackId = trackId;
+    try {
+      this.onTrackChange(track);
+    } catch (error) {
+      console.error("Error handling music track change:", error.message);
+    }
+  }
+
+  writeAudio(chunk) {
+    this.lastAudioAt = Date.now();
+
+    let data = this.remainder ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const usable = data.length - (data.length % BYTES_PER_FRAME);
+    this.remainder = usable < data.length ? data.subarray(usable) : null;
+    if (usable > 0) {
+      this.bus.write(data.subarray(0, usable));
+    }
+  }
+
+  /**
+   * Keep the feed going in real time while no pass produces audio
+   */
+  writeSilence() {
+    const now = Date.now();
+    if (now - this.lastAudioAt < SILENCE_GAP_MS) {
+      this.lastSilenceAt = now;
+      return;
+    }
+
+    const elapsedMs = Math.min(now - this.lastSilenceAt, 1000);
+    this.lastSilenceAt = now;
+
+    const frames = Math.round((elapsedMs / 1000) * SAMPLE_RATE);
+    if (frames > 0) {
+      this.remainder = null;
+      this.bus.write(Buffer.alloc(frames * BYTES_PER_FRAME));
+    }
+  }
+
+  /**
+   * Next tracks of the playlist with an existing audio file
+   * The playlist is read again at the start of every cycle
+   */
+  async pickPassTracks() {
+    const playlistId = this.settings.playlist_id;
+    if (!playlistId) return [];
+
+    if (this.queue.length === 0) {
+      const playlist = await Playlist.findById(playlistId);
+      if (!playlist) return [];
+
+      const items = await Playlist.getVideos(playlistId);
+      this.queue =
+        playlist.playback_mode === "shuffle" ? shuffleItems(items) : items;
+    }
+
+    const tracks = [];
+    while (this.queue.length > 0 && tracks.length < MAX_TRACKS_PER_PASS) {
+      const item = this.queue.shift();
+      const mediaPath = resolveMediaPath(item.filepath);
+      if (!mediaPath) {
+        console.warn(`⚠️  Music track "${item.title}" not found, skipping`);
+        continue;
+      }
+
+      let probe;
+      try {
+        probe = await probeTrack(mediaPath);
+      } catch (error) {
+        console.warn(
+          `⚠️  Music track "${item.title}" could not be read, skipping:`,
+          error.message
+        );
+        continue;
+      }
+      if (!probe.hasAudio) {
+        console.warn(`⚠️  Music track "${item.title}" has no audio, skipping`);
+        continue;
+      }
+
+      tracks.push({
+        content_id: item.content_id,
+        title: item.title,
+        mediaPath,
+        durationSeconds: probe.durationSeconds || item.duration_seconds || null,
+      });
+    }
+
+    return tracks;
+  }
+
+  schedulePass(delayMs) {
+    clearTimeout(this.passTimer);
+    this.passTimer = setTimeout(() => {
+      this.passTimer = null;
+      this.playNextPass();
+    }, delayMs);
+  }
+
+  async playNextPass() {
+    if (!this.isRunning || this.command) return;
+
+    let tracks = [];
+    try {
+      tracks = await this.pickPassTracks();
+    } catch (error) {
+      console.error("Error reading music playlist:", error.message);
+    }
+
+    // Stopped, or another pass started while the playlist was read
+    if (!this.isRunning || this.command) return;
+
+    if (tracks.length === 0) {
+      this.pass = null;
+      this.schedulePass(EMPTY_PLAYLIST_POLL_MS);
+      return;
+    }
+
+    // A crossfade can't be longer than half of the shortest track
+    const shortest = Math.min(
+      ...tracks.map((track) => track.durationSeconds || Infinity)
+    );
+    const crossfade =
+      tracks.length > 1 && shortest !== Infinity
+        ? Math.min(this.settings.crossfade_seconds, shortest / 2)
+        : 0;
+
+    let offsetSeconds = 0;
+    for (const track of tracks) {
+      track.offsetSeconds = offsetSeconds;
+      offsetSeconds += (track.durationSeconds || 0) - crossfade;
+    }
+    const passSeconds = offsetSeconds + crossfade;
+
+    const command = ffmpeg();
+    tracks.forEach((track) => command.input(track.mediaPath));
+    command.complexFilter(this.buildPassFilter(tracks, crossfade, passSeconds));
+
+    this.command = command
+      .outputOptions([
+        "-map",
+        "[bed]",
+        "-f",
+        "s16le",
+        "-ar",
+        String(SAMPLE_RATE),
+        "-ac",
+        String(CHANNELS),
+      ])
+      .output(this.pcmWriter, { end: false })
+      .on("start", () => {
+        this.pass = { tracks, startedAt: Date.now() };
+        this.passCount++;
+        console.log(
+          `🎵 [Broadcast ${this.broadcastId}] Music bed playing ${tracks.length} track(s)`
+        );
+      })
+      .on("end", () => {
+        this.command = null;
+        this.consecutiveFailures = 0;
+        this.playNextPass();
+      })
+      .on("error", (err) => {
+        this.command = null;
+        if (!this.isRunning) return;
+
+        if (this.isRestarting) {
+          this.isRestarting = false;
+          this.pass = null;
+          this.playNextPass();
+          return;
+        }
+
+        this.handlePassFailure(err);
+      });
+
+    this.command.run();
+  }
+
+  /**
+   * Filter graph of a pass: every track in the feed format, chained with
+   * crossfades (or concatenated), faded in and out where the pass touches
+   * the previous and the next one, paced in real time
+   */
+  buildPassFilter(tracks, crossfade, passSeconds) {
+    const parts = tracks.map(
+      (track, index) =>
+        `[${index}:a:0]aformat=sample_fmts=s16:sample_rates=${SAMPLE_RATE}:channel_layouts=stereo[t${index}]`
+    );
+
+    let chained = "t0";
+    if (tracks.length > 1 && crossfade > 0) {
+      for (let index = 1; index < tracks.length; index++) {
+        parts.push(
+          `[${chained}][t${index}]acrossfade=d=${crossfade.toFixed(2)}[x${index}]`
+        );
+        chained = `x${index}`;
+      }
+    } else if (tracks.length > 1) {
+      parts.push(
+        `${tracks.map((track, index) => `[t${index}]`).join("")}concat=n=${
+          tracks.length
+        }:v=0:a=1[xall]`
+      );
+      chained = "xall";
+    }
+
+    const fades = [];
+    const edgeFade = this.settings.crossfade_seconds / 2;
+    if (edgeFade > 0 && this.passCount > 0) {
+      fades.push(`afade=t=in:d=${edgeFade.toFixed(2)}`);
+    }
+    if (edgeFade > 0 && passSeconds > edgeFade * 2) {
+      fades.push(
+        `afade=t=out:st=${(passSeconds - edgeFade).toFixed(2)}:d=${edgeFade.toFixed(2)}`
+      );
+    }
+    fades.push("arealtime");
+
+    parts.push(`[${chained}]${fades.join(",")}[bed]`);
+    return parts.join(";");
+  }
+
+  async handlePassFailure(err) {
+    this.consecutiveFailures++;
+    console.error(
+      `❌ [Broadcast ${this.broadcastId}] Music bed pass failed:`,
+      err.message
+    );
+
+    if (this.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      // Stays on silence and tries again later, the broadcast goes on
+      await logError("Music bed keeps failing, playing silence", {
+        broadcastId: this.broadcastId,
+        playlistId: this.settings.playlist_id,
+        error: err.message,
+      });
+      this.consecutiveFailures = 0;
+      this.pass = null;
+      this.schedulePass(EMPTY_PLAYLIST_POLL_MS);
+      return;
+    }
+
+    await logWarning("Music bed pass failed, continuing with the next tracks", {
+      broadcastId: this.broadcastId,
+      error: err.message,
+    });
+    this.pass = null;
+    this.schedulePass(FAILED_PASS_RETRY_MS);
+  }
+}
+
+module.exports = {
+  MusicBed,
+  normalizeMusicBed,
+};
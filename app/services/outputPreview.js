@@ -0,0 +1,306 @@
+/**
+ * Output Preview
+ * Lets operators see what a broadcast actually sends out (overlays, current
+ * playlist item, slate) by reading its program bus like a destination does:
+ *   - a frame grab every few seconds for the stream card, decoded from
+ *     keyframes only so it costs almost no CPU
+ *   - a low-bitrate HLS preview for the dashboard player, only encoded while
+ *     someone is watching it
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const ffmpeg = require("fluent-ffmpeg");
+const { logWarning } = require("./activityLogger");
+
+const PLAYLIST_NAME = "index.m3u8";
+const THUMBNAIL_NAME = "thumbnail.jpg";
+
+// Delay before a crashed frame grabber is started again
+const RESTART_DELAY_MS = 5000;
+// The preview encoder stops when its playlist wasn't requested for this long
+const PREVIEW_IDLE_MS = 60000;
+
+/**
+ * Folder holding the previews of every broadcast
+ */
+function getPreviewRoot() {
+  return path.resolve(process.env.PREVIEW_DIR || "./storage/previews");
+}
+
+/**
+ * Folder of one broadcast's preview and thumbnail
+ * @param {number} broadcastId - Broadcast ID
+ */
+function getPreviewDirectory(broadcastId) {
+  return path.join(getPreviewRoot(), String(broadcastId));
+}
+
+/**
+ * Seconds between two output frame grabs
+ */
+function getThumbnailInterval() {
+  const seconds = parseInt(process.env.OUTPUT_THUMBNAIL_SECONDS);
+  return isNaN(seconds) ? 10 : Math.max(2, seconds);
+}
+
+class OutputPreview {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {ProgramBus} programBus - Program bus of the broadcast
+   */
+  constructor(broadcastId, programBus) {
+    this.broadcastId = broadcastId;
+    this.programBus = programBus;
+    this.directory = getPreviewDirectory(broadcastId);
+
+    this.thumbnailCommand = null;
+    this.previewCommand = null;
+    this.restartTimer = null;
+    this.idleTimer = null;
+    this.isStopped = false;
+  }
+
+  /**
+   * Start grabbing output frames, files of an earlier run are removed first
+   */
+  async start() {
+    await fs.emptyDir(this.directory);
+
+    if (!this.isStopped) {
+      this.startThumbnails();
+    }
+  }
+
+  startThumbnails() {
+    const input = this.programBus.attach("thumbnail");
+    let stderrTail = "";
+
+    this.thumbnailCommand = ffmpeg(input)
+      .inputFormat("mpegts")
+      // Only keyframes are decoded, the rest of the program is skipped
+      .inputOptions(["-skip_frame", "nokey"])
+      .outputOptions([
+        "-an",
+        "-vf",
+        `fps=1/${getThumbnailInterval()},scale=480:-2`,
+        "-q:v",
+        "5",
+        "-update",
+        "1", // Keep overwriting the same file
+        "-f",
+        "image2",
+      ])
+      .output(path.join(this.directory, THUMBNAIL_NAME))
+      .on("stderr", (line) => {
+        stderrTail = (stderrTail + line + "\n").slice(-2000);
+      })
+      .on("error", (err) => {
+        this.handleThumbnailExit(err, stderrTail);
+      })
+      .on("end", () => {
+        this.handleThumbnailExit(null, stderrTail);
+      });
+
+    this.thumbnailCommand.run();
+  }
+
+  /**
+   * Frame grabber exited - start it again unless the broadcast ended
+   */
+  async handleThumbnailExit(err, stderr) {
+    this.programBus.detach("thumbnail");
+    this.thumbnailCommand = null;
+
+    if (this.isStopped) {
+      await this.cleanup();
+      return;
+    }
+
+    const errorMsg = err ? err.message : "Frame grabber exited";
+    console.warn(
+      `⚠️  [Broadcast ${this.broadcastId}] Output thumbnails stopped, restarting: ${errorMsg}`
+    );
+    await logWarning("Output thumbnails stopped, restarting", {
+      broadcastId: this.broadcastId,
+      error: errorMsg,
+      stderr: stderr ? stderr.slice(-500) : null,
+    });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.isStopped) {
+        this.startThumbnails();
+      }
+    }, RESTART_DELAY_MS);
+  }
+
+  /**
+   * Someone is watching the preview: start its encoder if needed and keep it
+   * running for another PREVIEW_IDLE_MS
+   */
+  requestPreview() {
+    if (this.isStopped) return false;
+
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+    }
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.stopPreview();
+    }, PREVIEW_IDLE_MS);
+
+    if (!this.previewCommand) {
+      this.startPreview();
+    }
+    return true;
+  }
+
+  startPreview() {
+    const input = this.programBus.attach("preview");
+    const command = ffmpeg(input)
+      .inputFormat("mpegts")
+      .inputOptions(["-fflags", "+genpts"])
+      .outputOptions([
+        "-map",
+        "0:v:0",
+        "-map",
+        "0:a:0?",
+        "-vf",
+        "scale=-2:360,fps=15",
+        "-c:v",
+        "libx264",
+        "-preset",
+        "veryfast",
+        "-tune",
+        "zerolatency",
+        "-b:v",
+        "500k",
+        "-maxrate",
+        "500k",
+        "-bufsize",
+        "1000k",
+        "-g",
+        "30",
+        "-c:a",
+        "aac",
+        "-b:a",
+        "64k",
+        "-ac",
+        "1",
+        "-f",
+        "hls",
+        "-hls_time",
+        "2",
+        "-hls_list_size",
+        "5",
+        "-hls_flags",
+        "delete_segments+omit_endlist",
+        "-hls_segment_filename",
+        path.join(this.directory, "segment_%d.ts"),
+      ])
+      .output(path.join(this.directory, PLAYLIST_NAME))
+      .on("start", () => {
+        console.log(`[Broadcast ${this.broadcastId}] Output preview started`);
+      })
+      .on("error", (err) => {
+        this.handlePreviewExit(command, err);
+      })
+      .on("end", () => {
+        this.handlePreviewExit(command, null);
+      });
+
+    this.previewCommand = command;
+    command.run();
+  }
+
+  /**
+   * Preview encoder exited - the next playlist request starts it again
+   */
+  async handlePreviewExit(command, err) {
+    if (this.previewCommand !== command) return;
+
+    this.programBus.detach("preview");
+    this.previewCommand = null;
+
+    if (err && !this.isStopped && !/SIGTERM|signal 15/.test(err.message)) {
+      console.warn(
+        `⚠️  [Broadcast ${this.broadcastId}] Output preview stopped: ${err.message}`
+      );
+    }
+
+    // Old segments would be served as live the next time
+    await this.removePreviewFiles();
+  }
+
+  stopPreview() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+
+    if (this.previewCommand) {
+      console.log(`[Broadcast ${this.broadcastId}] Output preview idle, stopping`);
+      this.previewCommand.kill("SIGTERM");
+    }
+  }
+
+  async removePreviewFiles() {
+    try {
+      const files = await fs.readdir(this.directory);
+      await Promise.all(
+        files
+          .filter((file) => file !== THUMBNAIL_NAME)
+          .map((file) => fs.remove(path.join(this.directory, file)))
+      );
+    } catch (error) {
+      // Folder already removed with the broadcast
+    }
+  }
+
+  /**
+   * Stop the preview and the frame grabber and remove their files
+   */
+  stop() {
+    this.isStopped = true;
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    this.stopPreview();
+
+    if (!this.thumbnailCommand) {
+      this.cleanup();
+      return;
+    }
+
+    const command = this.thumbnailCommand;
+    command.kill("SIGTERM");
+
+    // Make sure the grabber never outlives its broadcast
+    setTimeout(() => {
+      if (this.thumbnailCommand === command) {
+        command.kill("SIGKILL");
+      }
+    }, 5000);
+  }
+
+  async cleanup() {
+    try {
+      await fs.remove(this.directory);
+    } catch (error) {
+      console.error(
+        `[Broadcast ${this.broadcastId}] Failed to remove output preview:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = {
+  PLAYLIST_NAME,
+  THUMBNAIL_NAME,
+  getPreviewDirectory,
+  OutputPreview,
+};
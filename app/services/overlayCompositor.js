@@ -0,0 +1,518 @@
+/**
+ * Overlay Compositor
+ * Draws the overlays of a broadcast (watermark logo, text line, lower thirds)
+ * on top of the program video.
+ *
+ * Overlays can be edited while live without restarting the encoder, they
+ * are split in two parts the encoder re-reads on its own:
+ * - a full-frame transparent layer image (watermark + visible lower third),
+ *   rendered by a one-shot FFmpeg run and re-read by the encoder every second
+ * - a text file with the rendered text line, re-read by drawtext every frame
+ */
+
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { formatTimestamp } = require("../utils/datetime");
+
+const POSITIONS = [
+  "top-left",
+  "top-center",
+  "top-right",
+  "center",
+  "bottom-left",
+  "bottom-center",
+  "bottom-right",
+];
+
+const MAX_LOWER_THIRDS = 10;
+
+// Live overlay files (layer image, text files) of every broadcast
+const WORK_ROOT = path.join(os.tmpdir(), "floopystream-overlays");
+
+// Fonts tried when OVERLAY_FONT is not set (falls back to fontconfig)
+const DEFAULT_FONT_FILES = [
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+  "/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf",
+  "/usr/share/fonts/TTF/DejaVuSans-Bold.ttf",
+];
+
+/**
+ * Directory uploaded watermark images are stored in
+ */
+function getOverlayImageDir() {
+  return path.resolve(process.env.UPLOAD_DIR || "./storage/uploads", "overlays");
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function normalizeColor(value, fallback) {
+  const color = String(value || "").trim();
+  return /^#[0-9a-fA-F]{6}$/.test(color) || /^[a-zA-Z]+$/.test(color)
+    ? color
+    : fallback;
+}
+
+function normalizePosition(value, fallback) {
+  return POSITIONS.includes(value) ? value : fallback;
+}
+
+/**
+ * Validate overlay settings and fill in defaults
+ * @param {object} raw - Overlay settings (advanced_settings.overlays)
+ * @returns {object} - { watermark, text, lower_thirds }
+ */
+function normalizeOverlays(raw) {
+  const overlays = raw && typeof raw === "object" ? raw : {};
+  const watermark = overlays.watermark || {};
+  const text = overlays.text || {};
+  const lowerThirds = Array.isArray(overlays.lower_thirds)
+    ? overlays.lower_thirds
+    : [];
+
+  return {
+    watermark: {
+      enabled: !!watermark.enabled && !!watermark.image,
+      // Only a file name, images always come from the overlay image dir
+      image: watermark.image ? path.basename(String(watermark.image)) : null,
+      position: normalizePosition(watermark.position, "top-right"),
+      opacity: clampNumber(watermark.opacity, 0, 1, 0.8),
+      size: clampNumber(watermark.size, 1, 100, 15), // % of frame width
+      margin: Math.round(clampNumber(watermark.margin, 0, 500, 20)),
+    },
+    text: {
+      enabled: !!text.enabled && !!String(text.template || "").trim(),
+      template: String(text.template || "").slice(0, 200),
+      position: normalizePosition(text.position, "top-left"),
+      font_size: Math.round(clampNumber(text.font_size, 8, 200, 28)),
+      color: normalizeColor(text.color, "white"),
+      margin: Math.round(clampNumber(text.margin, 0, 500, 20)),
+    },
+    lower_thirds: lowerThirds
+      .slice(0, MAX_LOWER_THIRDS)
+      .map((lowerThird) => ({
+        title: String(lowerThird.title || "").slice(0, 100),
+        subtitle: String(lowerThird.subtitle || "").slice(0, 150),
+        start_seconds: Math.round(
+          clampNumber(lowerThird.start_seconds, 0, 86400, 0)
+        ),
+        duration_seconds: Math.round(
+          clampNumber(lowerThird.duration_seconds, 1, 3600, 10)
+        ),
+        // 0 = show once
+        repeat_seconds: Math.round(
+          clampNumber(lowerThird.repeat_seconds, 0, 86400, 0)
+        ),
+      }))
+      .filter((lowerThird) => lowerThird.title || lowerThird.subtitle),
+  };
+}
+
+/**
+ * Escape a filter option value (option level, then filtergraph level)
+ */
+function escapeFilterValue(value) {
+  const optionLevel = String(value)
+    .replace(/\\/g, "/")
+    .replace(/[':]/g, "\\$&");
+  return optionLevel.replace(/[\\'\[\],;]/g, "\\$&");
+}
+
+/**
+ * drawtext font option (empty = fontconfig default font)
+ */
+function getFontOption() {
+  const fontFile = [process.env.OVERLAY_FONT, ...DEFAULT_FONT_FILES].find(
+    (file) => file && fs.existsSync(file)
+  );
+  return fontFile ? `fontfile=${escapeFilterValue(fontFile)}:` : "";
+}
+
+// Expression variables of the frame and the placed item, per filter
+const DRAWTEXT_VARIABLES = { W: "w", H: "h", w: "text_w", h: "text_h" };
+const OVERLAY_VARIABLES = {
+  W: "main_w",
+  H: "main_h",
+  w: "overlay_w",
+  h: "overlay_h",
+};
+
+/**
+ * Overlay position as x/y expressions
+ * @param {string} position - One of POSITIONS
+ * @param {number} margin - Distance from the frame edge (px)
+ * @param {object} vars - DRAWTEXT_VARIABLES | OVERLAY_VARIABLES
+ */
+function getPositionExpressions(position, margin, vars) {
+  const [vertical, horizontal] =
+    position === "center" ? ["center", "center"] : position.split("-");
+
+  const x = {
+    left: `${margin}`,
+    center: `(${vars.W}-${vars.w})/2`,
+    right: `${vars.W}-${vars.w}-${margin}`,
+  }[horizontal];
+  const y = {
+    top: `${margin}`,
+    center: `(${vars.H}-${vars.h})/2`,
+    bottom: `${vars.H}-${vars.h}-${margin}`,
+  }[vertical];
+
+  return { x, y };
+}
+
+/**
+ * Write a file atomically, the encoder may read it at any time
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+class OverlayCompositor {
+  /**
+   * @param {string} name - Work directory name (unique per broadcast/preview)
+   * @param {object} overlays - Overlay settings
+   * @param {object} context - Template values { broadcast_name, title }
+   * @param {object} options - { lowerThird: index always shown (previews) }
+   */
+  constructor(name, overlays, context = {}, options = {}) {
+    this.name = name;
+    this.overlays = normalizeOverlays(overlays);
+    this.context = { broadcast_name: "", title: "", ...context };
+    this.forcedLowerThird =
+      options.lowerThird !== undefined ? options.lowerThird : null;
+
+    this.workDir = path.join(WORK_ROOT, name);
+    this.layerPath = path.join(this.workDir, "layer.png");
+    this.textPath = path.join(this.workDir, "text.txt");
+
+    this.width = null;
+    this.height = null;
+    this.startedAt = null;
+    this.visibleLowerThird = -1;
+    this.timer = null;
+    this.renderQueue = Promise.resolve();
+  }
+
+  /**
+   * Create the overlay files for an output size
+   * Safe to call before every encoder start
+   * @param {number} width - Program width
+   * @param {number} height - Program height
+   * @param {boolean} live - Keep clock and lower thirds updated
+   */
+  async prepare(width, height, live = true) {
+    if (this.width === width && this.height === height) {
+      return;
+    }
+
+    this.width = width;
+    this.height = height;
+    this.startedAt = this.startedAt || Date.now();
+    this.visibleLowerThird = this.getVisibleLowerThird();
+
+    fs.mkdirSync(this.workDir, { recursive: true });
+    this.writeText();
+    await this.renderLayer();
+
+    if (live && !this.timer) {
+      this.timer = setInterval(() => this.tick(), 1000);
+    }
+  }
+
+  /**
+   * Whether the layer image exists (encoders skip overlays otherwise)
+   */
+  isReady() {
+    return this.width !== null && fs.existsSync(this.layerPath);
+  }
+
+  /**
+   * Input options of the layer image
+   * Looped image2 input re-reads the file, so layer changes show up live
+   */
+  getLayerInputOptions() {
+    return ["-re", "-f", "image2", "-loop", "1", "-framerate", "1"];
+  }
+
+  /**
+   * Filtergraph drawing the overlays on the program video
+   * @param {string} videoInput - Video stream specifier (e.g. "0:v:0")
+   * @param {string} layerInput - Layer image stream specifier
+   * @param {string} baseFilter - Scaling of the video to the program size
+   * @returns {string} - Filtergraph, output label [vout]
+   */
+  buildFilter(videoInput, layerInput, baseFilter = null) {
+    const base = baseFilter || `scale=${this.width}:${this.height},setsar=1`;
+    const text = this.overlays.text;
+    const { x, y } = getPositionExpressions(
+      text.position,
+      text.margin,
+      DRAWTEXT_VARIABLES
+    );
+
+    return [
+      `[${videoInput}]${base}[ovbase]`,
+      `[${layerInput}]format=rgba[ovlayer]`,
+      `[ovbase][ovlayer]overlay=0:0:format=auto[ovlaid]`,
+      `[ovlaid]drawtext=${getFontOption()}textfile=${escapeFilterValue(
+        this.textPath
+      )}:reload=1:fontsize=${text.font_size}:fontcolor=${
+        text.color
+      }:borderw=2:bordercolor=black@0.6:x=${x}:y=${y}[vout]`,
+    ].join(";");
+  }
+
+  /**
+   * Apply new overlay settings to the running encoder
+   */
+  async update(overlays) {
+    this.overlays = normalizeOverlays(overlays);
+    if (this.width === null) return;
+
+    this.visibleLowerThird = this.getVisibleLowerThird();
+    this.writeText();
+    await this.renderLayer();
+  }
+
+  /**
+   * Update template values (e.g. title of the item on air)
+   */
+  setContext(context) {
+    this.context = { ...this.context, ...context };
+    if (this.width !== null) {
+      this.writeText();
+    }
+  }
+
+  /**
+   * Render the text template
+   * Placeholders: {broadcast_name} {title} {track} {clock} {date}
+   */
+  renderTemplate(template) {
+    const now = new Date();
+    const values = {
+      broadcast_name: this.context.broadcast_name || "",
+      title: this.context.title || "",
+      track: this.context.track || "",
+      clock: formatTimestamp(now, "time"),
+      date: formatTimestamp(now, "date"),
+    };
+
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined ? values[key] : match
+    );
+  }
+
+  writeText() {
+    const text = this.overlays.text;
+    // drawtext needs a non-empty file, a space draws nothing
+    const content = text.enabled ? this.renderTemplate(text.template) : "";
+    try {
+      writeFileAtomic(this.textPath, content.trim() ? content : " ");
+    } catch (error) {
+      console.error(`Error writing overlay text (${this.name}):`, error.message);
+    }
+  }
+
+  /**
+   * Index of the lower third on screen now (-1 = none)
+   */
+  getVisibleLowerThird() {
+    const lowerThirds = this.overlays.lower_thirds;
+    if (this.forcedLowerThird !== null) {
+      return lowerThirds[this.forcedLowerThird] ? this.forcedLowerThird : -1;
+    }
+
+    const elapsed = this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+    return lowerThirds.findIndex((lowerThird) => {
+      const sinceStart = elapsed - lowerThird.start_seconds;
+      if (sinceStart < 0) return false;
+      const cycle =
+        lowerThird.repeat_seconds > 0
+          ? sinceStart % lowerThird.repeat_seconds
+          : sinceStart;
+      return cycle < lowerThird.duration_seconds;
+    });
+  }
+
+  /**
+   * Every second: refresh the clock, show/hide lower thirds
+   */
+  tick() {
+    this.writeText();
+
+    const visibleLowerThird = this.getVisibleLowerThird();
+    if (visibleLowerThird !== this.visibleLowerThird) {
+      this.visibleLowerThird = visibleLowerThird;
+      this.renderLayer();
+    }
+  }
+
+  /**
+   * Render the layer image (queued, renders never overlap)
+   */
+  renderLayer() {
+    this.renderQueue = this.renderQueue.then(() =>
+      this.renderLayerNow().catch((error) => {
+        console.error(
+          `Error rendering overlay layer (${this.name}):`,
+          error.message
+        );
+      })
+    );
+    return this.renderQueue;
+  }
+
+  renderLayerNow() {
+    const { width, height } = this;
+    const watermark = this.overlays.watermark;
+    const lowerThird = this.overlays.lower_thirds[this.visibleLowerThird];
+    const imagePath = watermark.image
+      ? path.join(getOverlayImageDir(), watermark.image)
+      : null;
+
+    const command = ffmpeg(`color=c=black@0.0:s=${width}x${height}:r=1`)
+      .inputFormat("lavfi")
+      .inputOptions(["-t", "1"]);
+
+    const filters = [`[0:v]format=rgba[l0]`];
+    let current = "l0";
+
+    if (watermark.enabled && imagePath && fs.existsSync(imagePath)) {
+      command.input(imagePath);
+      const logoWidth = Math.max(2, Math.round((width * watermark.size) / 100));
+      const { x, y } = getPositionExpressions(
+        watermark.position,
+        watermark.margin,
+        OVERLAY_VARIABLES
+      );
+      filters.push(
+        `[1:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[wm]`,
+        `[${current}][wm]overlay=x=${x}:y=${y}:format=auto[l1]`
+      );
+      current = "l1";
+    }
+
+    if (lowerThird) {
+      const titlePath = path.join(this.workDir, "lower_title.txt");
+      const subtitlePath = path.join(this.workDir, "lower_subtitle.txt");
+      writeFileAtomic(titlePath, lowerThird.title || " ");
+      writeFileAtomic(subtitlePath, lowerThird.subtitle || " ");
+
+      const font = getFontOption();
+      const barHeight = Math.round(height * 0.14);
+      const barY = height - barHeight - Math.round(height * 0.08);
+      const titleSize = Math.round(barHeight * 0.38);
+      const subtitleSize = Math.round(barHeight * 0.24);
+      const textX = Math.round(width * 0.05);
+
+      filters.push(
+        `[${current}]drawbox=x=0:y=${barY}:w=${width}:h=${barHeight}:color=black@0.65:t=fill:replace=1,` +
+          `drawbox=x=0:y=${barY}:w=${Math.round(width * 0.012)}:h=${barHeight}:color=0x2563EB@1:t=fill:replace=1,` +
+          `drawtext=${font}textfile=${escapeFilterValue(titlePath)}:fontsize=${titleSize}:fontcolor=white:x=${textX}:y=${
+            barY + Math.round(barHeight * 0.12)
+          },` +
+          `drawtext=${font}textfile=${escapeFilterValue(subtitlePath)}:fontsize=${subtitleSize}:fontcolor=0xD1D5DB:x=${textX}:y=${
+            barY + Math.round(barHeight * 0.6)
+          }[l2]`
+      );
+      current = "l2";
+    }
+
+    const tempPath = path.join(this.workDir, "layer.tmp.png");
+
+    return new Promise((resolve, reject) => {
+      command
+        .complexFilter(filters.join(";"))
+        .outputOptions(["-map", `[${current}]`, "-frames:v", "1", "-update", "1"])
+        .output(tempPath)
+        .on("error", (err) => reject(err))
+        .on("end", () => {
+          try {
+            fs.renameSync(tempPath, this.layerPath);
+            resolve();
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Stop updating and remove the overlay files
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.renderQueue.then(() => {
+      fs.rmSync(this.workDir, { recursive: true, force: true });
+    });
+  }
+}
+
+/**
+ * Render a still frame of the program with overlays
+ * @param {object} overlays - Overlay settings (saved or being edited)
+ * @param {object} options - { sourcePath, width, height, context, seekSeconds, fitFilter }
+ * @returns {Promise<Buffer>} - JPEG image
+ */
+async function renderOverlayPreview(overlays, options) {
+  const {
+    sourcePath,
+    width,
+    height,
+    context = {},
+    seekSeconds = 5,
+    fitFilter = null,
+  } = options;
+  const compositor = new OverlayCompositor(
+    `preview-${Date.now()}-${Math.round(Math.random() * 1e6)}`,
+    overlays,
+    context,
+    { lowerThird: 0 }
+  );
+
+  try {
+    await compositor.prepare(width, height, false);
+
+    const outputPath = path.join(compositor.workDir, "preview.jpg");
+    const command =
+      sourcePath && fs.existsSync(sourcePath)
+        ? ffmpeg(sourcePath).inputOptions(["-ss", String(seekSeconds)])
+        : ffmpeg(`color=c=black:s=${width}x${height}:r=1`).inputFormat("lavfi");
+
+    await new Promise((resolve, reject) => {
+      command
+        .input(compositor.layerPath)
+        .complexFilter(compositor.buildFilter("0:v:0", "1:v", fitFilter))
+        .outputOptions(["-map", "[vout]", "-frames:v", "1", "-q:v", "3"])
+        .output(outputPath)
+        .on("error", (err) => reject(err))
+        .on("end", () => resolve())
+        .run();
+    });
+
+    return fs.readFileSync(outputPath);
+  } finally {
+    compositor.stop();
+  }
+}
+
+module.exports = {
+  OverlayCompositor,
+  normalizeOverlays,
+  renderOverlayPreview,
+  getOverlayImageDir,
+};
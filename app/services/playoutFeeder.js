@@ -0,0 +1,1012 @@
+/**
+ * Playout Feeder
+ * Plays a playlist item by item into the program bus of a broadcast.
+ * The next item is read from playlist_items at every item boundary, so
+ * add/remove/reorder in the playlist UI reaches the running broadcast
+ * without restarting it. Operator controls (next, previous, jump, slate)
+ * only swap the item encoder, the destinations stay connected.
+ * With a live switch the playlist is the fallback of a live source: the
+ * source is aired as soon as it answers and the playlist continues where
+ * it was cut off once the source drops.
+ * An item that fails on air (missing or corrupt file) is cut to the
+ * emergency slate right away and skipped once the slate time is up.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Playlist = require("../models/Playlist");
+const { logInfo, logWarning, logError } = require("./activityLogger");
+
+// Consecutive item failures before the feeder gives up
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// How often to look for items again when the playlist became empty
+const EMPTY_PLAYLIST_POLL_MS = 5000;
+
+// Aired item IDs kept for "previous"
+const MAX_HISTORY = 50;
+
+// How long the emergency slate airs after an item failed
+const EMERGENCY_SLATE_MS =
+  (parseInt(process.env.EMERGENCY_SLATE_SECONDS) || 5) * 1000;
+
+// Emergency slate time once several items failed in a row, before the
+// playlist is tried again
+const EMERGENCY_RETRY_MS = 60000;
+
+// How often a live switch checks whether its source answers
+const LIVE_CHECK_INTERVAL_MS = 5000;
+
+// A live source that drops sooner than this is checked again with a
+// growing delay, so a flapping source doesn't cut the playlist every time
+const LIVE_STABLE_MS = 60000;
+const LIVE_CHECK_MAX_DELAY_MS = 120000;
+
+// Pseudo item aired while the broadcast holds on the slate
+const SLATE_ITEM = Object.freeze({
+  item_id: null,
+  content_id: null,
+  title: "Slate",
+  duration_seconds: null,
+  isSlate: true,
+});
+
+// Pseudo item aired in place of an item that failed
+const EMERGENCY_ITEM = Object.freeze({
+  item_id: null,
+  content_id: null,
+  title: "Emergency slate",
+  duration_seconds: null,
+  isEmergency: true,
+});
+
+// Pseudo item aired while the live source of a live switch is on air
+const LIVE_ITEM = Object.freeze({
+  item_id: null,
+  content_id: null,
+  title: "Live source",
+  duration_seconds: null,
+  isLive: true,
+});
+
+/**
+ * Resolve the file path of a content item
+ * Checks storage/uploads first (current location), storage/media as fallback
+ * @param {string} filepath - content.filepath
+ * @returns {string|null} - Existing absolute path or null
+ */
+function resolveMediaPath(filepath) {
+  if (!filepath) return null;
+
+  if (path.isAbsolute(filepath) && fs.existsSync(filepath)) {
+    return filepath;
+  }
+
+  const basename = path.basename(filepath);
+  const possiblePaths = [
+    path.join(__dirname, "..", filepath),
+    path.join(__dirname, "..", "storage", "uploads", `stream_${basename}`),
+    path.join(__dirname, "..", "storage", "uploads", basename),
+    path.join(process.cwd(), "storage", "uploads", basename),
+    path.join(__dirname, "..", "storage", "media", basename),
+    path.join(process.cwd(), "storage", "media", basename),
+  ];
+
+  return possiblePaths.find((testPath) => fs.existsSync(testPath)) || null;
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+function shuffleItems(items) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+class PlayoutFeeder {
+  /**
+   * @param {number} broadcastId - Broadcast ID
+   * @param {object} options
+   * @param {number} options.playlistId - Playlist to play
+   * @param {boolean} options.loop - Start over after the last item
+   * @param {Function} options.buildCommand - async (item, { offsetSeconds, seekSeconds }) => FFmpeg command
+   * @param {Function} options.buildSlateCommand - async ({ offsetSeconds }) => FFmpeg command holding on the slate
+   * @param {Function} options.onCommand - Called with every started item command
+   * @param {Function} options.onItemStart - Called with (item) when an item goes on air
+   * @param {Function} options.onItemEnd - Called with (item, { status, errorMessage }) when it goes off air
+   * @param {Function} options.onItemFailed - Called with (item, error) when a playlist item can't be played
+   * @param {Function} options.onFinish - Called once with { reason, errorMessage }
+   * @param {object} options.liveSwitch - Live source the playlist falls back from (optional)
+   * @param {Function} options.liveSwitch.probeSource - async () => resolves when the source answers
+   * @param {Function} options.liveSwitch.buildCommand - async ({ offsetSeconds }) => FFmpeg command pulling the source
+   */
+  constructor(broadcastId, options) {
+    this.broadcastId = broadcastId;
+    this.playlistId = options.playlistId;
+    this.loop = options.loop !== false;
+    this.buildCommand = options.buildCommand;
+    this.buildSlateCommand = options.buildSlateCommand;
+    this.onCommand = options.onCommand || null;
+    this.onItemStart = options.onItemStart || null;
+    this.onItemEnd = options.onItemEnd || null;
+    this.onItemFailed = options.onItemFailed || null;
+    this.onFinish = options.onFinish;
+    this.liveSwitch = options.liveSwitch || null;
+
+    this.command = null;
+    this.currentItem = null;
+    this.currentItemStartedAt = null;
+    this.lastItem = null;
+    this.shuffle = false;
+    this.shuffleQueue = [];
+    this.playedThisPass = new Set();
+    this.loopCount = 0;
+    this.consecutiveFailures = 0;
+    this.lastFailureMessage = null;
+    this.history = [];
+    // Playout resumed after a restart starts at the item that was on air
+    this.pendingAction = options.startItemId
+      ? { type: "item", itemId: options.startItemId }
+      : null;
+    this.isOnSlate = false;
+    this.isOnEmergency = false;
+    this.emergencyTimer = null;
+    this.isOnLive = false;
+    this.liveStartedAt = null;
+    this.liveDrops = 0;
+    this.liveCheckTimer = null;
+    this.heldItem = null;
+    this.heldAtSeconds = 0;
+    this.programStartedAt = null;
+    this.isStopped = false;
+    this.isFinished = false;
+
+    // Resolves once playout has finished (after onFinish was called)
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * Start playout with the first item
+   * @param {number} programStartedAt - When the program went on air (ms),
+   * set when the feeder takes over a program that is already running
+   */
+  async start(programStartedAt = Date.now()) {
+    this.programStartedAt = programStartedAt;
+
+    const playlist = await Playlist.findById(this.playlistId);
+    if (!playlist) {
+      throw new Error("Playlist not found");
+    }
+    this.shuffle = playlist.playback_mode === "shuffle";
+
+    await this.playNext();
+
+    if (this.liveSwitch) {
+      this.scheduleLiveCheck(0);
+    }
+  }
+
+  /**
+   * Seconds since the program started
+   * Used as timestamp offset so every item continues the program timeline
+   */
+  getProgramTime() {
+    return this.programStartedAt
+      ? (Date.now() - this.programStartedAt) / 1000
+      : 0;
+  }
+
+  /**
+   * Pick the item that airs next from the current playlist contents
+   * @returns {Promise<object|null>} - Playlist item or null when playout is over
+   */
+  async pickNextItem() {
+    const playlist = await Playlist.findById(this.playlistId);
+    if (!playlist) {
+      return null;
+    }
+
+    let items = await Playlist.getProgramItems(this.playlistId);
+
+    // Playlist emptied while on air - keep the broadcast up and wait for items
+    while (items.length === 0 && this.loop && !this.isStopped) {
+      await logWarning("Playlist is empty, waiting for items", {
+        broadcastId: this.broadcastId,
+        playlistId: this.playlistId,
+      });
+      await new Promise((resolve) =>
+        setTimeout(resolve, EMPTY_PLAYLIST_POLL_MS)
+      );
+      items = await Playlist.getProgramItems(this.playlistId);
+    }
+
+    if (items.length === 0 || this.isStopped) {
+      return null;
+    }
+
+    const next = this.shuffle
+      ? this.pickShuffledItem(items, playlist)
+      : this.pickSequentialItem(items, playlist);
+
+    return next ? this.withPosition(next, items) : null;
+  }
+
+  /**
+   * Add the position of an item in the playlist (1-based) and the playlist length
+   */
+  withPosition(item, items) {
+    return {
+      ...item,
+      position: items.findIndex((entry) => entry.item_id === item.item_id) + 1,
+      playlistLength: items.length,
+    };
+  }
+
+  /**
+   * Item following afterItem in playlist order, wherever afterItem sits now
+   */
+  findItemAfter(items, afterItem) {
+    const index = items.findIndex((item) => item.item_id === afterItem.item_id);
+    return index !== -1
+      ? items[index + 1]
+      : items.find((item) => item.order_index > afterItem.order_index);
+  }
+
+  pickSequentialItem(items, playlist) {
+    if (!this.lastItem) {
+      return items[0];
+    }
+
+    let next = this.findItemAfter(items, this.lastItem);
+
+    if (!next) {
+      if (!this.loop) return null;
+      next = this.startNewPass(items, playlist);
+    }
+
+    return next;
+  }
+
+  pickShuffledItem(items, playlist) {
+    const availableIds = new Set(items.map((item) => item.item_id));
+
+    // Forget removed items
+    this.shuffleQueue = this.shuffleQueue.filter((id) => availableIds.has(id));
+
+    // Items added during this pass join the remaining queue at a random spot
+    for (const item of items) {
+      if (
+        !this.playedThisPass.has(item.item_id) &&
+        !this.shuffleQueue.includes(item.item_id)
+      ) {
+        const position = Math.floor(
+          Math.random() * (this.shuffleQueue.length + 1)
+        );
+        this.shuffleQueue.splice(position, 0, item.item_id);
+      }
+    }
+
+    if (this.shuffleQueue.length === 0) {
+      if (!this.loop) return null;
+      return this.startNewPass(items, playlist);
+    }
+
+    const nextId = this.shuffleQueue.shift();
+    this.playedThisPass.add(nextId);
+    return items.find((item) => item.item_id === nextId);
+  }
+
+  /**
+   * Begin the next loop of the playlist
+   * Playback mode is re-read so switching shuffle on/off applies from here
+   */
+  startNewPass(items, playlist) {
+    this.loopCount++;
+    this.playedThisPass.clear();
+    this.shuffle = playlist.playback_mode === "shuffle";
+
+    logInfo("Playlist loop started", {
+      broadcastId: this.broadcastId,
+      loop: this.loopCount,
+      shuffle: this.shuffle,
+    });
+
+    if (!this.shuffle) {
+      this.shuffleQueue = [];
+      return items[0];
+    }
+
+    // Re-randomize every loop, never the same item twice in a row
+    this.shuffleQueue = shuffleItems(items).map((item) => item.item_id);
+    if (
+      this.shuffleQueue.length > 1 &&
+      this.lastItem &&
+      this.shuffleQueue[0] === this.lastItem.item_id
+    ) {
+      [this.shuffleQueue[0], this.shuffleQueue[1]] = [
+        this.shuffleQueue[1],
+        this.shuffleQueue[0],
+      ];
+    }
+
+    const nextId = this.shuffleQueue.shift();
+    this.playedThisPass.add(nextId);
+    return items.find((item) => item.item_id === nextId);
+  }
+
+  /**
+   * Item expected to air after the current one, without advancing playout
+   * Unknown (null) right before a shuffled loop is re-randomized
+   * @returns {Promise<object|null>}
+   */
+  async peekNextItem() {
+    const items = await Playlist.getProgramItems(this.playlistId);
+    if (items.length === 0) {
+      return null;
+    }
+
+    let next = null;
+    if ((this.isOnSlate || this.isOnLive) && this.heldItem) {
+      next = items.find((item) => item.item_id === this.heldItem.item_id) || null;
+    } else if (this.shuffle) {
+      const nextId = this.shuffleQueue.find((id) =>
+        items.some((item) => item.item_id === id)
+      );
+      next = items.find((item) => item.item_id === nextId) || null;
+    } else {
+      const afterItem = this.getPlaylistItemOnAir() || this.lastItem;
+      next = afterItem ? this.findItemAfter(items, afterItem) : items[0];
+      if (!next && this.loop) {
+        next = items[0];
+      }
+    }
+
+    return next ? this.withPosition(next, items) : null;
+  }
+
+  /**
+   * Item (or slate) to air now, honoring a pending operator action
+   * @returns {Promise<object|null>} - Item to play or null when playout is over
+   */
+  async pickItemToAir() {
+    const action = this.pendingAction;
+    this.pendingAction = null;
+
+    if (action && action.type === "slate") {
+      return SLATE_ITEM;
+    }
+
+    if (action && action.type === "live") {
+      return LIVE_ITEM;
+    }
+
+    if (action && action.type === "emergency") {
+      return EMERGENCY_ITEM;
+    }
+
+    if (action && action.type === "resume" && this.heldItem) {
+      const heldItem = this.heldItem;
+      const seekSeconds = this.heldAtSeconds;
+      this.heldItem = null;
+      this.heldAtSeconds = 0;
+
+      // Continue the interrupted item where it was cut off, if still listed
+      const items = await Playlist.getProgramItems(this.playlistId);
+      if (items.some((item) => item.item_id === heldItem.item_id)) {
+        return { ...this.withPosition(heldItem, items), seekSeconds };
+      }
+    }
+
+    if (action && action.type === "item") {
+      const items = await Playlist.getProgramItems(this.playlistId);
+      const target = items.find((item) => item.item_id === action.itemId);
+      if (target) {
+        // Jumped-to item counts as played for this shuffle pass
+        this.shuffleQueue = this.shuffleQueue.filter(
+          (id) => id !== target.item_id
+        );
+        this.playedThisPass.add(target.item_id);
+        return this.withPosition(target, items);
+      }
+    }
+
+    return this.pickNextItem();
+  }
+
+  /**
+   * Air the next item
+   */
+  async playNext() {
+    clearTimeout(this.emergencyTimer);
+    this.emergencyTimer = null;
+
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    let item;
+    try {
+      item = await this.pickItemToAir();
+    } catch (error) {
+      this.finish("failed", `Failed to load playlist: ${error.message}`);
+      return;
+    }
+
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    if (!item) {
+      this.finish("ended");
+      return;
+    }
+
+    const isSlate = item === SLATE_ITEM;
+    const isEmergency = item === EMERGENCY_ITEM;
+    const isLive = item === LIVE_ITEM;
+    const isPlaylistItem = !isSlate && !isEmergency && !isLive;
+    this.isOnSlate = isSlate;
+    this.isOnEmergency = isEmergency;
+    this.isOnLive = isLive;
+    if (isLive) this.liveStartedAt = Date.now();
+
+    const mediaPath = isPlaylistItem ? resolveMediaPath(item.filepath) : null;
+    if (isPlaylistItem && !mediaPath) {
+      await this.handleItemFailure(
+        item,
+        new Error(`Video file not found: ${item.filepath}`)
+      );
+      return;
+    }
+
+    const seekSeconds = item.seekSeconds || 0;
+
+    try {
+      const command =
+        isSlate || isEmergency
+          ? await this.buildSlateCommand({
+              offsetSeconds: this.getProgramTime(),
+            })
+          : isLive
+          ? await this.liveSwitch.buildCommand({
+              offsetSeconds: this.getProgramTime(),
+            })
+          : await this.buildCommand(
+              { ...item, mediaPath },
+              { offsetSeconds: this.getProgramTime(), seekSeconds }
+            );
+
+      // Stopped while the command was being prepared
+      if (this.isStopped) {
+        this.finish("stopped");
+        return;
+      }
+
+      this.currentItem = item;
+      // Resumed items report their position in the item, not in this run
+      this.currentItemStartedAt = Date.now() - seekSeconds * 1000;
+      this.command = command;
+
+      command
+        .on("error", async (err) => {
+          if (this.command === command) this.command = null;
+          if (this.isStopped) {
+            await this.endItem(item, "stopped");
+            this.finish("stopped");
+          } else if (this.pendingAction) {
+            // Interrupted by an operator action
+            await this.endItem(item, "skipped");
+            if (isPlaylistItem) this.lastItem = item;
+            this.playNext();
+          } else if (isLive) {
+            await this.endItem(item, "failed", err.message);
+            this.returnToPlaylist();
+          } else if (isEmergency) {
+            await this.endItem(item, "failed", err.message);
+            this.handleEmergencyFailure(err);
+          } else {
+            await this.endItem(item, "failed", err.message);
+            this.handleItemFailure(item, err);
+          }
+        })
+        .on("end", async () => {
+          if (this.command === command) this.command = null;
+          await this.endItem(item, "completed");
+          if (!isEmergency) this.consecutiveFailures = 0;
+          if (isLive && !this.pendingAction) {
+            this.returnToPlaylist();
+            return;
+          }
+          if (isSlate && !this.pendingAction) {
+            // Slate holds until the operator resumes
+            this.pendingAction = { type: "slate" };
+          } else if (isPlaylistItem) {
+            this.lastItem = item;
+          }
+          this.playNext();
+        });
+
+      if (this.onCommand) {
+        this.onCommand(command, item);
+      }
+
+      if (this.onItemStart) {
+        await this.onItemStart(item);
+      }
+
+      // Stopped or redirected while the item start was being recorded
+      if (this.isStopped || this.pendingAction) {
+        this.command = null;
+        await this.endItem(item, this.isStopped ? "stopped" : "skipped");
+        if (this.isStopped) {
+          this.finish("stopped");
+        } else {
+          if (isPlaylistItem) this.lastItem = item;
+          this.playNext();
+        }
+        return;
+      }
+
+      if (isPlaylistItem) {
+        this.history.push(item.item_id);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+      }
+
+      console.log(
+        `▶️  [Broadcast ${this.broadcastId}] Now playing: ${item.title}`
+      );
+      command.run();
+
+      if (isEmergency) {
+        this.scheduleEmergencyEnd();
+      }
+    } catch (error) {
+      if (isLive) {
+        await this.endItem(item, "failed", error.message);
+        this.returnToPlaylist();
+      } else if (isEmergency) {
+        this.handleEmergencyFailure(error);
+      } else {
+        await this.handleItemFailure(item, error);
+      }
+    }
+  }
+
+  /**
+   * Item went off air
+   */
+  async endItem(item, status, errorMessage = null) {
+    if (this.currentItem === item) {
+      this.currentItem = null;
+      this.currentItemStartedAt = null;
+    }
+
+    if (this.onItemEnd) {
+      try {
+        await this.onItemEnd(item, { status, errorMessage });
+      } catch (error) {
+        console.error("Error in playlist item end handler:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Skip an item that could not be played
+   * A playlist item is replaced by the emergency slate until the slate
+   * time is up, so the destinations never go without a picture
+   */
+  async handleItemFailure(item, error) {
+    this.consecutiveFailures++;
+    this.lastFailureMessage = error.message;
+
+    if (item === SLATE_ITEM) {
+      // Without a slate, fall back to the playlist
+      this.isOnSlate = false;
+      this.pendingAction = this.heldItem ? { type: "resume" } : null;
+    } else {
+      this.lastItem = item;
+    }
+
+    await logWarning("Playlist item failed, skipping", {
+      broadcastId: this.broadcastId,
+      contentId: item.content_id,
+      title: item.title,
+      error: error.message,
+    });
+
+    if (item !== SLATE_ITEM && this.onItemFailed) {
+      try {
+        await this.onItemFailed(item, error);
+      } catch (handlerError) {
+        console.error(
+          "Error in playlist item failure handler:",
+          handlerError.message
+        );
+      }
+    }
+
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    if (this.consecutiveFailures === MAX_CONSECUTIVE_FAILURES) {
+      await logError("Too many playlist items failed in a row", {
+        broadcastId: this.broadcastId,
+        failures: this.consecutiveFailures,
+      });
+    }
+
+    // An operator action already decides what airs next
+    if (item !== SLATE_ITEM && !this.pendingAction) {
+      console.warn(
+        `⚠️  [Broadcast ${this.broadcastId}] ${item.title} failed, cutting to the emergency slate`
+      );
+      this.pendingAction = { type: "emergency" };
+    }
+
+    this.playNext();
+  }
+
+  /**
+   * Emergency slate could not be aired, carry on with the playlist
+   * Gives up like before once several items failed in a row, nothing
+   * would be on air between them
+   */
+  async handleEmergencyFailure(error) {
+    this.isOnEmergency = false;
+
+    await logWarning("Emergency slate failed", {
+      broadcastId: this.broadcastId,
+      error: error.message,
+    });
+
+    if (this.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      this.finish("failed", this.lastFailureMessage || error.message);
+      return;
+    }
+
+    this.playNext();
+  }
+
+  /**
+   * Leave the emergency slate once its time is up
+   * Held longer once several items failed in a row (the playlist is likely
+   * broken as a whole)
+   */
+  scheduleEmergencyEnd() {
+    clearTimeout(this.emergencyTimer);
+    const delayMs =
+      this.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES
+        ? EMERGENCY_RETRY_MS
+        : EMERGENCY_SLATE_MS;
+
+    this.emergencyTimer = setTimeout(() => {
+      this.emergencyTimer = null;
+      if (this.isOnEmergency && !this.pendingAction) {
+        try {
+          this.interrupt({ type: "next" });
+        } catch (error) {
+          // Playout ended meanwhile
+        }
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Playlist item on air (not the slate, the emergency slate or the live source)
+   */
+  getPlaylistItemOnAir() {
+    return this.currentItem && this.currentItem.item_id !== null
+      ? this.currentItem
+      : null;
+  }
+
+  // ============================================
+  // LIVE SWITCH
+  // ============================================
+
+  /**
+   * Check the live source again after delayMs
+   */
+  scheduleLiveCheck(delayMs = LIVE_CHECK_INTERVAL_MS) {
+    clearTimeout(this.liveCheckTimer);
+    this.liveCheckTimer = null;
+    if (!this.liveSwitch || this.isStopped || this.isFinished) return;
+
+    this.liveCheckTimer = setTimeout(() => this.checkLiveSource(), delayMs);
+  }
+
+  /**
+   * Cut to the live source once it answers
+   * Not while it is on air already, while the operator holds the slate or
+   * while another switch is pending
+   */
+  async checkLiveSource() {
+    this.liveCheckTimer = null;
+    if (this.isStopped || this.isFinished) return;
+
+    const canSwitch = () =>
+      !this.isStopped &&
+      !this.isFinished &&
+      !this.isOnLive &&
+      !this.isOnSlate &&
+      !this.pendingAction;
+
+    if (!canSwitch()) {
+      this.scheduleLiveCheck();
+      return;
+    }
+
+    try {
+      await this.liveSwitch.probeSource();
+    } catch (error) {
+      this.scheduleLiveCheck();
+      return;
+    }
+
+    // Changed while the source was probed
+    if (!canSwitch()) {
+      this.scheduleLiveCheck();
+      return;
+    }
+
+    // The playlist picks up the cut item again once the source drops
+    if (this.getPlaylistItemOnAir()) {
+      this.heldItem = this.currentItem;
+      this.heldAtSeconds = (Date.now() - this.currentItemStartedAt) / 1000;
+    }
+
+    console.log(
+      `🔀 [Broadcast ${this.broadcastId}] Live source answers, switching from the playlist`
+    );
+    this.interrupt({ type: "live" });
+  }
+
+  /**
+   * Live source dropped, continue the playlist where it was cut off
+   */
+  returnToPlaylist() {
+    if (this.isStopped) {
+      this.finish("stopped");
+      return;
+    }
+
+    this.isOnLive = false;
+    this.liveDrops =
+      Date.now() - this.liveStartedAt >= LIVE_STABLE_MS ? 0 : this.liveDrops + 1;
+    this.pendingAction = this.heldItem ? { type: "resume" } : null;
+
+    console.log(
+      `🔀 [Broadcast ${this.broadcastId}] Live source dropped, back to the playlist`
+    );
+    this.scheduleLiveCheck(
+      Math.min(
+        LIVE_CHECK_INTERVAL_MS * 2 ** this.liveDrops,
+        LIVE_CHECK_MAX_DELAY_MS
+      )
+    );
+    this.playNext();
+  }
+
+  // ============================================
+  // OPERATOR CONTROLS
+  // ============================================
+
+  /**
+   * Cut the current item and continue with the pending action
+   * The program bus (and every destination connection) stays up
+   */
+  interrupt(action, signal = "SIGTERM") {
+    if (this.isStopped || this.isFinished) {
+      throw new Error("Playout is not running");
+    }
+
+    this.pendingAction = action;
+
+    if (this.command) {
+      this.command.kill(signal);
+    }
+  }
+
+  /**
+   * Replace a stalled item encoder, the item continues where it froze
+   * A frozen encoder may ignore SIGTERM, so it is killed outright
+   */
+  restartItem() {
+    if (this.isOnSlate) {
+      this.interrupt({ type: "slate" }, "SIGKILL");
+      return;
+    }
+
+    // A frozen live source is pulled again
+    if (this.isOnLive) {
+      this.interrupt({ type: "live" }, "SIGKILL");
+      return;
+    }
+
+    // The failed item is skipped anyway
+    if (this.isOnEmergency) {
+      this.interrupt({ type: "next" }, "SIGKILL");
+      return;
+    }
+
+    if (this.getPlaylistItemOnAir()) {
+      this.heldItem = this.currentItem;
+      this.heldAtSeconds = (Date.now() - this.currentItemStartedAt) / 1000;
+    }
+    this.interrupt({ type: "resume" }, "SIGKILL");
+  }
+
+  /**
+   * Playlist controls wait while the live source is on air, the playlist
+   * continues on its own once the source drops
+   */
+  assertNotOnLive() {
+    if (this.isOnLive) {
+      throw new Error(
+        "The live source is on air, the playlist continues when it drops"
+      );
+    }
+  }
+
+  /**
+   * Skip to the next item
+   */
+  async next() {
+    this.assertNotOnLive();
+
+    if (this.isOnSlate) {
+      // Leave the slate without returning to the held item
+      this.heldItem = null;
+      this.isOnSlate = false;
+    }
+
+    this.interrupt({ type: "next" });
+  }
+
+  /**
+   * Go back to the item aired before the current one
+   * @returns {Promise<object>} - Target item
+   */
+  async previous() {
+    this.assertNotOnLive();
+
+    const items = await Playlist.getProgramItems(this.playlistId);
+    if (items.length === 0) {
+      throw new Error("Playlist is empty");
+    }
+
+    const current = this.isOnSlate ? this.heldItem : this.currentItem;
+    const currentId = current ? current.item_id : null;
+
+    // Most recent aired item that is not the current one and still listed
+    let target = null;
+    for (let i = this.history.length - 1; i >= 0; i--) {
+      const itemId = this.history[i];
+      if (itemId === currentId) continue;
+      target = items.find((item) => item.item_id === itemId);
+      if (target) break;
+    }
+
+    // Nothing aired before - use the previous item in playlist order
+    if (!target) {
+      const index = current
+        ? items.findIndex((item) => item.item_id === currentId)
+        : 0;
+      target = items[index > 0 ? index - 1 : items.length - 1];
+    }
+
+    // Drop the current item from history so "previous" keeps walking back
+    if (currentId !== null && this.history[this.history.length - 1] === currentId) {
+      this.history.pop();
+    }
+    const targetIndex = this.history.lastIndexOf(target.item_id);
+    if (targetIndex !== -1) {
+      this.history.splice(targetIndex);
+    }
+
+    await this.jumpToItem(target);
+    return this.withPosition(target, items);
+  }
+
+  /**
+   * Jump to an item by its position in the playlist (1-based)
+   * @returns {Promise<object>} - Target item
+   */
+  async jumpTo(position) {
+    this.assertNotOnLive();
+
+    const items = await Playlist.getProgramItems(this.playlistId);
+    const target = items[position - 1];
+
+    if (!target) {
+      throw new Error(
+        `Playlist has ${items.length} item(s), position ${position} does not exist`
+      );
+    }
+
+    await this.jumpToItem(target);
+    return this.withPosition(target, items);
+  }
+
+  async jumpToItem(target) {
+    if (this.isOnSlate) {
+      this.heldItem = null;
+      this.isOnSlate = false;
+    }
+
+    this.interrupt({ type: "item", itemId: target.item_id });
+  }
+
+  /**
+   * Hold the broadcast on the slate until resumed
+   */
+  async holdOnSlate() {
+    if (this.isOnSlate) {
+      throw new Error("Broadcast is already holding on the slate");
+    }
+
+    // Remember where to pick up again (the live source keeps the playlist
+    // item it cut off)
+    if (this.getPlaylistItemOnAir()) {
+      this.heldItem = this.currentItem;
+      this.heldAtSeconds = (Date.now() - this.currentItemStartedAt) / 1000;
+    }
+    this.isOnSlate = true;
+
+    this.interrupt({ type: "slate" });
+  }
+
+  /**
+   * Leave the slate and continue the held item where it was cut off
+   */
+  async resume() {
+    if (!this.isOnSlate) {
+      throw new Error("Broadcast is not holding on the slate");
+    }
+
+    this.isOnSlate = false;
+    this.interrupt({ type: "resume" });
+  }
+
+  /**
+   * Stop playout
+   * @param {string} signal - Signal for the running item encoder
+   */
+  stop(signal = "SIGTERM") {
+    this.isStopped = true;
+    clearTimeout(this.liveCheckTimer);
+    this.liveCheckTimer = null;
+    clearTimeout(this.emergencyTimer);
+    this.emergencyTimer = null;
+
+    if (this.command) {
+      this.command.kill(signal);
+    }
+  }
+
+  finish(reason, errorMessage = null) {
+    if (this.isFinished) return;
+    this.isFinished = true;
+    clearTimeout(this.liveCheckTimer);
+    this.liveCheckTimer = null;
+    clearTimeout(this.emergencyTimer);
+    this.emergencyTimer = null;
+    this.command = null;
+    this.onFinish({ reason, errorMessage });
+    this.resolveFinished();
+  }
+}
+
+module.exports = PlayoutFeeder;
+
+module.exports.resolveMediaPath = resolveMediaPath;
@@ -0,0 +1,109 @@
+/**
+ * Program Bus
+ * Receives the single encoded program output (MPEG-TS) of a broadcast
+ * and fans it out to every attached sink (destination relays, etc)
+ */
+
+const { Writable, PassThrough } = require("stream");
+
+// Sinks that fall this far behind are skipped instead of stalling the encoder
+const DEFAULT_MAX_BUFFERED_BYTES = 8 * 1024 * 1024; // 8MB
+
+class ProgramBus extends Writable {
+  constructor(broadcastId, options = {}) {
+    super();
+    this.broadcastId = broadcastId;
+    this.maxBufferedBytes =
+      options.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+    this.sinks = new Map();
+    this.bytesWritten = 0;
+    this.lastWriteAt = null;
+  }
+
+  /**
+   * Attach a new sink and return the stream it should read from
+   * @param {string} sinkId - Unique sink identifier
+   * @returns {PassThrough}
+   */
+  attach(sinkId) {
+    this.detach(sinkId);
+
+    const stream = new PassThrough();
+    // Sink consumers may exit at any time, never let that crash the bus
+    stream.on("error", () => {});
+
+    this.sinks.set(sinkId, { stream, droppedBytes: 0, isLagging: false });
+    return stream;
+  }
+
+  /**
+   * Detach a sink and end its stream
+   * @param {string} sinkId - Unique sink identifier
+   */
+  detach(sinkId) {
+    const sink = this.sinks.get(sinkId);
+    if (!sink) return;
+
+    this.sinks.delete(sinkId);
+    if (!sink.stream.writableEnded) {
+      sink.stream.end();
+    }
+  }
+
+  hasSink(sinkId) {
+    return this.sinks.has(sinkId);
+  }
+
+  getSinkCount() {
+    return this.sinks.size;
+  }
+
+  /**
+   * Whether the encoder wrote to the bus within the last windowMs
+   * Sinks can only make progress while it does
+   */
+  isFlowing(windowMs) {
+    return this.lastWriteAt !== null && Date.now() - this.lastWriteAt < windowMs;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.bytesWritten += chunk.length;
+    this.lastWriteAt = Date.now();
+
+    for (const [sinkId, sink] of this.sinks) {
+      if (sink.stream.destroyed || sink.stream.writableEnded) {
+        continue;
+      }
+
+      // Slow sink: drop data for it only, other sinks keep flowing
+      const bufferedBytes =
+        sink.stream.writableLength + sink.stream.readableLength;
+      if (bufferedBytes > this.maxBufferedBytes) {
+        if (!sink.isLagging) {
+          console.warn(
+            `⚠️  [Broadcast ${this.broadcastId}] Sink ${sinkId} is lagging, dropping data`
+          );
+        }
+        sink.isLagging = true;
+        sink.droppedBytes += chunk.length;
+        continue;
+      }
+
+      sink.isLagging = false;
+      sink.stream.write(chunk);
+    }
+
+    callback();
+  }
+
+  /**
+   * Detach every sink
+   */
+  close() {
+    for (const sinkId of Array.from(this.sinks.keys())) {
+      this.detach(sinkId);
+    }
+  }
+}
+
+module.exports = ProgramBus;
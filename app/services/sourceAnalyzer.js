@@ -0,0 +1,303 @@
+/**
+ * Source Analyzer
+ * Probes a source video and decides whether it can go on air as is
+ * (stream copy) or has to be transcoded with the broadcast's encoder profile.
+ * Stream copy costs next to no CPU, so compliant uploads skip the encoder.
+ */
+
+const ffmpeg = require("fluent-ffmpeg");
+const { execFile } = require("child_process");
+
+// Keyframes are read from the start of the source only
+const KEYFRAME_PROBE_SECONDS = 60;
+// Live sources play in real time, a short window keeps the start quick
+const LIVE_KEYFRAME_PROBE_SECONDS = 10;
+const KEYFRAME_PROBE_TIMEOUT_MS = 20000;
+
+// Longest keyframe interval platforms accept (YouTube, Facebook, Twitch)
+const MAX_KEYFRAME_INTERVAL_SECONDS = 4;
+
+// H.264 profiles every platform decodes (ffprobe names)
+const COMPATIBLE_H264_PROFILES = [
+  "constrained baseline",
+  "baseline",
+  "main",
+  "high",
+];
+
+const COMPATIBLE_AUDIO_SAMPLE_RATES = [44100, 48000];
+
+/**
+ * Parse an ffprobe rational ("30000/1001") into a number
+ */
+function parseRate(value) {
+  if (!value) return null;
+  const [num, den] = String(value).split("/").map(Number);
+  if (!num) return null;
+  return den ? num / den : num;
+}
+
+function toKbps(bitRate) {
+  const value = parseInt(bitRate);
+  return value > 0 ? Math.round(value / 1000) : null;
+}
+
+/**
+ * Video and audio stream info of a source
+ * @param {string} videoPath - Path or URL of the source
+ * @param {Array<string>} inputOptions - Extra ffprobe options (e.g. timeouts)
+ */
+function probeStreams(videoPath, inputOptions = []) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, inputOptions, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const video = metadata.streams.find((s) => s.codec_type === "video");
+      const audio = metadata.streams.find((s) => s.codec_type === "audio");
+
+      resolve({
+        video: video
+          ? {
+              codec: video.codec_name,
+              profile: video.profile ? String(video.profile) : null,
+              pixFmt: video.pix_fmt,
+              width: video.width,
+              height: video.height,
+              frameRate: parseRate(video.avg_frame_rate || video.r_frame_rate),
+              bitrateKbps:
+                toKbps(video.bit_rate) ||
+                toKbps(metadata.format && metadata.format.bit_rate),
+            }
+          : null,
+        audio: audio
+          ? {
+              codec: audio.codec_name,
+              sampleRate: parseInt(audio.sample_rate) || null,
+              channels: audio.channels || null,
+            }
+          : null,
+      });
+    });
+  });
+}
+
+/**
+ * Longest distance between keyframes at the start of the source
+ * Reads packet flags only, nothing is decoded
+ * @returns {Promise<number|null>} - Seconds, null when it can't be read
+ */
+function probeKeyframeInterval(
+  videoPath,
+  seconds = KEYFRAME_PROBE_SECONDS,
+  inputOptions = []
+) {
+  // fluent-ffmpeg keeps the configured ffprobe binary here
+  const ffprobePath = process.env.FFPROBE_PATH || "ffprobe";
+  const args = [
+    "-v",
+    "error",
+    ...inputOptions,
+    "-select_streams",
+    "v:0",
+    "-read_intervals",
+    `%+${seconds}`,
+    "-show_entries",
+    "packet=pts_time,flags",
+    "-of",
+    "csv=p=0",
+    videoPath,
+  ];
+
+  return new Promise((resolve) => {
+    execFile(
+      ffprobePath,
+      args,
+      { timeout: KEYFRAME_PROBE_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 },
+      (err, stdout) => {
+        if (err) {
+          resolve(null);
+          return;
+        }
+
+        let lastPacket = null;
+        let lastKeyframe = null;
+        let maxInterval = 0;
+
+        for (const line of stdout.split("\n")) {
+          const [ptsTime, flags] = line.trim().split(",");
+          const time = parseFloat(ptsTime);
+          if (isNaN(time)) continue;
+
+          lastPacket = lastPacket === null ? time : Math.max(lastPacket, time);
+          if (flags && flags.includes("K")) {
+            if (lastKeyframe !== null) {
+              maxInterval = Math.max(maxInterval, time - lastKeyframe);
+            }
+            lastKeyframe = time;
+          }
+        }
+
+        if (lastKeyframe === null) {
+          resolve(null);
+          return;
+        }
+
+        // A long tail without keyframes counts as well
+        maxInterval = Math.max(maxInterval, lastPacket - lastKeyframe);
+        resolve(Math.round(maxInterval * 100) / 100);
+      }
+    );
+  });
+}
+
+/**
+ * Probe everything the passthrough decision needs
+ * @param {string} videoPath - Path to video file
+ * @returns {Promise<{video: object|null, audio: object|null, keyframeInterval: number|null}>}
+ */
+async function analyzeSource(videoPath) {
+  const streams = await probeStreams(videoPath);
+  const keyframeInterval = streams.video
+    ? await probeKeyframeInterval(videoPath)
+    : null;
+  return { ...streams, keyframeInterval };
+}
+
+/**
+ * Probe a live source (RTMP, SRT, HLS or HTTP MPEG-TS URL)
+ * Rejects when the source doesn't answer within timeoutSeconds
+ * @param {string} url - Source URL
+ * @param {number} timeoutSeconds - Network timeout
+ * @param {boolean} withKeyframes - Also measure the keyframe interval
+ * (needed for the passthrough decision, takes a few seconds)
+ * @returns {Promise<{video: object|null, audio: object|null, keyframeInterval: number|null}>}
+ */
+async function analyzeLiveSource(url, timeoutSeconds, withKeyframes = false) {
+  const inputOptions = ["-rw_timeout", String(timeoutSeconds * 1000000)];
+  const streams = await probeStreams(url, inputOptions);
+  const keyframeInterval =
+    withKeyframes && streams.video
+      ? await probeKeyframeInterval(
+          url,
+          LIVE_KEYFRAME_PROBE_SECONDS,
+          inputOptions
+        )
+      : null;
+  return { ...streams, keyframeInterval };
+}
+
+/**
+ * Decide between stream copy and transcode for a source
+ * @param {object} source - Result of analyzeSource()
+ * @param {object} target - { encoder, width, height, hasOverlays, hasMusicBed }
+ * @returns {{passthrough: boolean, reason: string}}
+ */
+function decidePassthrough(source, target) {
+  const { encoder, width, height } = target;
+  const { video, audio, keyframeInterval } = source;
+  const reasons = [];
+
+  if (target.hasOverlays) {
+    reasons.push("overlays are enabled");
+  }
+
+  if (target.hasMusicBed) {
+    reasons.push("a music bed is mixed into the audio");
+  }
+
+  if (!video) {
+    reasons.push("no video stream found");
+  } else {
+    if (video.codec !== "h264") {
+      reasons.push(`video codec is ${video.codec}, not H.264`);
+    } else {
+      const profile = (video.profile || "").toLowerCase();
+      if (!COMPATIBLE_H264_PROFILES.includes(profile)) {
+        reasons.push(
+          `H.264 profile ${video.profile || "unknown"} is not supported by platforms`
+        );
+      } else if (
+        encoder.h264_profile !== "auto" &&
+        !profile.endsWith(encoder.h264_profile)
+      ) {
+        reasons.push(
+          `H.264 profile ${video.profile} differs from the encoder profile (${encoder.h264_profile})`
+        );
+      }
+    }
+
+    if (video.pixFmt !== "yuv420p") {
+      reasons.push(`pixel format is ${video.pixFmt}, not yuv420p`);
+    }
+
+    if (video.width !== width || video.height !== height) {
+      reasons.push(
+        `source is ${video.width}x${video.height}, output is ${width}x${height}`
+      );
+    }
+
+    const frameRate = video.frameRate ? video.frameRate.toFixed(2) : "unknown";
+    if (
+      !video.frameRate ||
+      Math.abs(video.frameRate - encoder.frame_rate) > 0.1
+    ) {
+      reasons.push(
+        `source is ${frameRate} FPS, output is ${encoder.frame_rate} FPS`
+      );
+    }
+
+    const maxKbps =
+      parseInt(encoder.max_bitrate) || parseInt(encoder.video_bitrate);
+    if (video.bitrateKbps && maxKbps && video.bitrateKbps > maxKbps) {
+      reasons.push(
+        `source bitrate ${video.bitrateKbps}k is above the ${maxKbps}k maximum`
+      );
+    }
+
+    const maxInterval = Math.max(
+      MAX_KEYFRAME_INTERVAL_SECONDS,
+      encoder.keyframe_interval
+    );
+    if (keyframeInterval === null) {
+      reasons.push("keyframe interval could not be read");
+    } else if (keyframeInterval > maxInterval) {
+      reasons.push(
+        `keyframes are up to ${keyframeInterval}s apart (max ${maxInterval}s)`
+      );
+    }
+  }
+
+  if (!audio) {
+    reasons.push("no audio track (silent audio has to be generated)");
+  } else {
+    if (audio.codec !== "aac") {
+      reasons.push(`audio codec is ${audio.codec}, not AAC`);
+    }
+    if (!COMPATIBLE_AUDIO_SAMPLE_RATES.includes(audio.sampleRate)) {
+      reasons.push(`audio sample rate is ${audio.sampleRate || "unknown"} Hz`);
+    }
+    if (!audio.channels || audio.channels > 2) {
+      reasons.push(`audio has ${audio.channels || "unknown"} channels`);
+    }
+  }
+
+  if (reasons.length > 0) {
+    return { passthrough: false, reason: `Transcoding: ${reasons.join("; ")}` };
+  }
+
+  return {
+    passthrough: true,
+    reason:
+      `Source is already compliant: H.264 ${video.profile} ${video.width}x${video.height} ` +
+      `${Math.round(video.frameRate)} FPS, keyframes every ${keyframeInterval}s or less, AAC audio`,
+  };
+}
+
+module.exports = {
+  analyzeSource,
+  analyzeLiveSource,
+  decidePassthrough,
+};
@@ -1,8 +1,16 @@
 const path = require('path');
-const { logInfo } = require('./activityLogger');
+const { logInfo, logWarning } = require('./activityLogger');
 const Broadcast = require('../models/Broadcast');
-const { startLiveBroadcast, startPlaylistBroadcast } = require('./broadcastEngine');
+const {
+  broadcastWithAutoReconnect,
+  isBroadcastRunning
+} = require('./broadcastControl');
 const Content = require('../models/Content');
+const BroadcastDestination = require('../models/BroadcastDestination');
+const { admitBroadcast, releaseBroadcast } = require('./admissionController');
+const BroadcastMetric = require('../models/BroadcastMetric');
+const { validateDestinationUrl } = require('../utils/streamUrl');
+const { resolveIngestSourceUrl } = require('./ingestServer');
 
 /**
  * Task Scheduler Service
@@ -10,8 +18,21 @@ const Content = require('../models/Content');
  */
 
 let schedulerInterval = null;
+let metricsCleanupInterval = null;
 const scheduledTasks = new Map();
 
+// Scheduled broadcasts the host had no capacity for, retried on every check
+// broadcastId -> time it was queued
+const admissionQueue = new Map();
+
+/**
+ * How long a scheduled broadcast may wait for capacity before it fails
+ */
+function getAdmissionQueueTimeoutMs() {
+  const minutes = parseInt(process.env.ADMISSION_QUEUE_MINUTES);
+  return (isNaN(minutes) ? 30 : minutes) * 60000;
+}
+
 /**
  * Check and start scheduled broadcasts
  */
@@ -20,21 +41,116 @@ async function checkScheduledBroadcasts() {
     const scheduledBroadcasts = await Broadcast.getScheduledBroadcasts();
     const now = Date.now();
 
+    // Forget queued broadcasts that were started, cancelled or deleted meanwhile
+    const scheduledIds = new Set(scheduledBroadcasts.map(b => b.broadcast_id));
+    for (const broadcastId of admissionQueue.keys()) {
+      if (!scheduledIds.has(broadcastId)) {
+        admissionQueue.delete(broadcastId);
+      }
+    }
+
     for (const broadcast of scheduledBroadcasts) {
       const scheduledTimeDate = require('../utils/datetime').parseTimestampToDate(broadcast.scheduled_time);
       const scheduledTime = scheduledTimeDate.getTime();
+      const isQueued = admissionQueue.has(broadcast.broadcast_id);
 
-      // Check if it's time to start (within 1 minute window)
-      if (scheduledTime <= now && (now - scheduledTime) < 60000) {
-        await logInfo('Starting scheduled broadcast', { 
-          broadcastId: broadcast.broadcast_id,
-          platform: broadcast.platform_name,
-          contentType: broadcast.content_type 
-        });
+      // Check if it's time to start (within 1 minute window, or still waiting for capacity)
+      if (isQueued || (scheduledTime <= now && (now - scheduledTime) < 60000)) {
+        // Started by an earlier check and still coming up (status is set once on air)
+        if (isBroadcastRunning(broadcast.broadcast_id)) {
+          continue;
+        }
 
         try {
+          const destinations = await BroadcastDestination.getEnabledByBroadcast(broadcast.broadcast_id);
+          if (destinations.length === 0) {
+            throw new Error('Broadcast has no enabled destinations');
+          }
+          const urlError = destinations
+            .map((destination) => validateDestinationUrl(destination.destination_url))
+            .find(Boolean);
+          if (urlError) {
+            throw new Error(urlError);
+          }
+
+          // Wait in the queue while the host can't take another broadcast
+          const engineSettings = await Broadcast.getEngineSettings(broadcast);
+          const admission = await admitBroadcast({
+            broadcastId: broadcast.broadcast_id,
+            accountId: broadcast.account_id,
+            encoder: engineSettings.encoder,
+            destinationCount: destinations.length
+          });
+
+          if (!admission.admitted) {
+            const queuedAt = admissionQueue.get(broadcast.broadcast_id) || now;
+            const timeoutMs = getAdmissionQueueTimeoutMs();
+
+            if (now - queuedAt >= timeoutMs) {
+              admissionQueue.delete(broadcast.broadcast_id);
+              throw new Error(
+                `No host capacity within ${Math.round(timeoutMs / 60000)} minutes: ${admission.message}`
+              );
+            }
+
+            if (!isQueued) {
+              admissionQueue.set(broadcast.broadcast_id, now);
+              console.log(`⏳ Scheduled broadcast ${broadcast.broadcast_id} queued: ${admission.message}`);
+              await logWarning('Scheduled broadcast queued by admission control', {
+                broadcastId: broadcast.broadcast_id,
+                reason: admission.message
+              });
+            }
+            continue;
+          }
+          admissionQueue.delete(broadcast.broadcast_id);
+
+          await logInfo('Starting scheduled broadcast', { 
+            broadcastId: broadcast.broadcast_id,
+            platform: broadcast.platform_name,
+            contentType: broadcast.content_type 
+          });
+
           // Check content type
-          if (broadcast.content_type === 'playlist') {
+          if (broadcast.content_type === 'live') {
+            await logInfo('Starting scheduled live source broadcast', {
+              broadcastId: broadcast.broadcast_id,
+              sourceUrl: broadcast.source_url
+            });
+
+            // Source losses are reconnected by the engine, crashes by the wrapper
+            broadcastWithAutoReconnect(
+              broadcast.broadcast_id,
+              null,
+              destinations,
+              null,
+              engineSettings,
+              false,
+              null,
+              { sourceUrl: broadcast.source_url }
+            ).catch((error) => {
+              console.error(`Background broadcast error for ${broadcast.broadcast_id}:`, error.message);
+            });
+          } else if (broadcast.content_type === 'ingest') {
+            await logInfo('Starting scheduled ingest broadcast', {
+              broadcastId: broadcast.broadcast_id,
+              ingestKeyId: broadcast.content_id
+            });
+
+            // Holds on the slate until the encoder pushes
+            broadcastWithAutoReconnect(
+              broadcast.broadcast_id,
+              null,
+              destinations,
+              null,
+              engineSettings,
+              false,
+              null,
+              { sourceUrl: await resolveIngestSourceUrl(broadcast.content_id) }
+            ).catch((error) => {
+              console.error(`Background broadcast error for ${broadcast.broadcast_id}:`, error.message);
+            });
+          } else if (broadcast.content_type === 'playlist') {
             // Get playlist with videos
             const Playlist = require('../models/Playlist');
             const playlist = await Playlist.findByIdWithVideos(broadcast.content_id);
@@ -50,21 +166,19 @@ async function checkScheduledBroadcasts() {
               playbackMode: playlist.playback_mode
             });
 
-            // Start playlist broadcast with Advanced Settings
-            await startPlaylistBroadcast(
+            // Start playlist broadcast with Advanced Settings and auto-reconnect
+            // Runs in the background, like a manual start
+            broadcastWithAutoReconnect(
               broadcast.broadcast_id,
-              playlist.videos,
-              broadcast.destination_url,
-              broadcast.stream_key,
-              false, // shuffle
-              true,  // loop
-              {
-                bitrate: broadcast.bitrate,
-                frame_rate: broadcast.frame_rate,
-                resolution: broadcast.resolution,
-                orientation: broadcast.orientation
-              }
-            );
+              null,
+              destinations,
+              null,
+              engineSettings,
+              true,
+              { playlistId: playlist.playlist_id, loop: true } // loop - shuffle follows the playlist playback_mode
+            ).catch((error) => {
+              console.error(`Background broadcast error for ${broadcast.broadcast_id}:`, error.message);
+            });
           } else {
             // Get regular content
             const content = await Content.findById(broadcast.content_id);
@@ -100,26 +214,25 @@ async function checkScheduledBroadcasts() {
               videoPath: videoPath
             });
 
-            // Start single video broadcast with Advanced Settings
-            await startLiveBroadcast(
+            // Start single video broadcast with Advanced Settings and auto-reconnect
+            // Runs in the background, like a manual start
+            broadcastWithAutoReconnect(
               broadcast.broadcast_id,
               videoPath,
-              broadcast.destination_url,
-              broadcast.stream_key,
+              destinations,
               broadcast.duration_timeout,
-              {
-                bitrate: broadcast.bitrate,
-                frame_rate: broadcast.frame_rate,
-                resolution: broadcast.resolution,
-                orientation: broadcast.orientation
-              }
-            );
+              engineSettings,
+              false // not a playlist
+            ).catch((error) => {
+              console.error(`Background broadcast error for ${broadcast.broadcast_id}:`, error.message);
+            });
           }
 
           await logInfo('Scheduled broadcast started', { 
             broadcastId: broadcast.broadcast_id 
           });
         } catch (error) {
+          releaseBroadcast(broadcast.broadcast_id);
           await Broadcast.updateStatus(
             broadcast.broadcast_id, 
             'failed', 
@@ -134,6 +247,24 @@ async function checkScheduledBroadcasts() {
   }
 }
 
+/**
+ * Delete broadcast metrics older than the retention period
+ */
+async function cleanupOldMetrics() {
+  const days = parseInt(process.env.BROADCAST_METRICS_RETENTION_DAYS);
+  const retentionDays = isNaN(days) ? 14 : days;
+  if (retentionDays <= 0) return; // Keep forever
+
+  try {
+    const result = await BroadcastMetric.deleteOlderThan(retentionDays);
+    if (result && result.changes > 0) {
+      console.log(`✓ Deleted ${result.changes} broadcast metric samples older than ${retentionDays} days`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up broadcast metrics:', error.message);
+  }
+}
+
 /**
  * Start the scheduler
  */
@@ -153,6 +284,10 @@ function startScheduler(intervalSeconds = 30) {
     checkScheduledBroadcasts();
   }, intervalSeconds * 1000);
 
+  // Metrics retention, hourly
+  cleanupOldMetrics();
+  metricsCleanupInterval = setInterval(cleanupOldMetrics, 60 * 60 * 1000);
+
   logInfo('Task scheduler started', { interval: intervalSeconds });
 }
 
@@ -163,6 +298,8 @@ function stopScheduler() {
   if (schedulerInterval) {
     clearInterval(schedulerInterval);
     schedulerInterval = null;
+    clearInterval(metricsCleanupInterval);
+    metricsCleanupInterval = null;
     console.log('✓ Task scheduler stopped');
     logInfo('Task scheduler stopped');
   }
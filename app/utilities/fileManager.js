@@ -149,6 +149,13 @@ async function calculateDirectorySize(directoryPath) {
 }
 
 
+/**
+ * Directory uploaded emergency slates are stored in
+ */
+function getSlateDir() {
+  return path.resolve(process.env.UPLOAD_DIR || './storage/uploads', 'slates');
+}
+
 /**
  * Generate unique filename (timestamp + random)
  */
@@ -170,5 +177,6 @@ module.exports = {
   relocateFile,
   duplicateFile,
   calculateDirectorySize,
-  getUniqueFilename
+  getUniqueFilename,
+  getSlateDir
 };
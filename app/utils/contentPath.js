@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Resolve the file a content item is broadcast from
+ * Prefers the converted 'stream_<filename>' if it exists
+ */
+function resolveContentVideoPath(content) {
+  const originalFilename = content.filepath;
+  const convertedFilename = `stream_${originalFilename}`;
+
+  // Candidate paths
+  const candidateConverted = path.join(
+    __dirname,
+    "../storage/uploads",
+    convertedFilename
+  );
+  const candidateOriginal = path.join(
+    __dirname,
+    "../storage/uploads",
+    originalFilename
+  );
+
+  if (fs.existsSync(candidateConverted)) {
+    console.log(
+      `Using converted streaming file for broadcast: ${convertedFilename}`
+    );
+    return candidateConverted;
+  }
+  if (fs.existsSync(candidateOriginal)) {
+    return candidateOriginal;
+  }
+  if (
+    originalFilename.startsWith("storage/uploads/") ||
+    originalFilename.startsWith("storage\\uploads\\")
+  ) {
+    // Already has prefix stored in DB
+    return path.join(__dirname, "..", originalFilename);
+  }
+  // Fallback: assume uploads dir
+  return candidateOriginal;
+}
+
+module.exports = {
+  resolveContentVideoPath,
+};
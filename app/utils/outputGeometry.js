@@ -0,0 +1,131 @@
+/**
+ * Output geometry of a broadcast
+ * Resolution presets, portrait (9:16) output and how sources are fitted into it
+ */
+
+// Preset sizes per orientation (portrait is the 9:16 equivalent)
+const RESOLUTION_MAP = {
+  "720p": {
+    landscape: { w: 1280, h: 720 },
+    portrait: { w: 720, h: 1280 },
+  },
+  "1080p": {
+    landscape: { w: 1920, h: 1080 },
+    portrait: { w: 1080, h: 1920 },
+  },
+  "1440p": {
+    landscape: { w: 2560, h: 1440 },
+    portrait: { w: 1440, h: 2560 },
+  },
+  "2160p": {
+    landscape: { w: 3840, h: 2160 },
+    portrait: { w: 2160, h: 3840 },
+  },
+};
+
+/**
+ * crop      - fill the frame, cut off what doesn't fit (center)
+ * letterbox - fit the whole source, black bars on the sides
+ * blur      - fit the whole source over a blurred, zoomed copy of itself
+ */
+const FIT_MODES = ["crop", "letterbox", "blur"];
+
+const MIN_OUTPUT_SIZE = 480;
+
+function normalizeOrientation(orientation) {
+  return orientation === "portrait" ? "portrait" : "landscape";
+}
+
+/**
+ * Fit mode of a broadcast
+ * Portrait output defaults to blur, landscape sources look bad letterboxed
+ */
+function resolveFitMode(fitMode, orientation) {
+  if (FIT_MODES.includes(fitMode)) return fitMode;
+  return normalizeOrientation(orientation) === "portrait" ? "blur" : "letterbox";
+}
+
+function toEven(value) {
+  const rounded = Math.round(value);
+  return rounded % 2 === 0 ? rounded : rounded + 1;
+}
+
+/**
+ * Output size of a resolution preset ("720p", "1080p", ...)
+ * @returns {{width: number, height: number}|null} null when not a preset
+ */
+function getPresetSize(resolution, orientation) {
+  const preset = RESOLUTION_MAP[resolution];
+  if (!preset) return null;
+
+  const size = preset[normalizeOrientation(orientation)];
+  return { width: size.w, height: size.h };
+}
+
+/**
+ * Output size derived from the source video (no preset selected)
+ * Portrait output of a landscape source becomes 9:16 at the source height,
+ * the short side is kept at 480px minimum
+ */
+function getAutoOutputSize(sourceSize, orientation) {
+  let { width, height } = sourceSize;
+
+  if (normalizeOrientation(orientation) === "portrait") {
+    if (width > height) {
+      width = height;
+      height = (height * 16) / 9;
+    }
+    if (width < MIN_OUTPUT_SIZE) {
+      height = (height * MIN_OUTPUT_SIZE) / width;
+      width = MIN_OUTPUT_SIZE;
+    }
+  } else if (height < MIN_OUTPUT_SIZE) {
+    width = (width * MIN_OUTPUT_SIZE) / height;
+    height = MIN_OUTPUT_SIZE;
+  }
+
+  // x264 needs even dimensions
+  return { width: toEven(width), height: toEven(height) };
+}
+
+/**
+ * Filter chain fitting any source into the output frame
+ * Used as "[input]<chain>[output]" in a filtergraph (blur has inner labels)
+ */
+function buildFitFilter(width, height, fitMode) {
+  switch (fitMode) {
+    case "crop":
+      return (
+        `scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+        `crop=${width}:${height},setsar=1`
+      );
+
+    case "blur": {
+      // Blur a quarter-size copy, it looks the same and costs far less CPU
+      const blurWidth = toEven(width / 4);
+      const blurHeight = toEven(height / 4);
+      return [
+        "split=2[fitbg][fitfg]",
+        `[fitbg]scale=${blurWidth}:${blurHeight}:force_original_aspect_ratio=increase,` +
+          `crop=${blurWidth}:${blurHeight},boxblur=10:2,scale=${width}:${height},setsar=1[fitblur]`,
+        `[fitfg]scale=${width}:${height}:force_original_aspect_ratio=decrease,setsar=1[fitfront]`,
+        "[fitblur][fitfront]overlay=(W-w)/2:(H-h)/2,setsar=1",
+      ].join(";");
+    }
+
+    default:
+      return (
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`
+      );
+  }
+}
+
+module.exports = {
+  RESOLUTION_MAP,
+  FIT_MODES,
+  resolveFitMode,
+  getPresetSize,
+  getAutoOutputSize,
+  buildFitFilter,
+};
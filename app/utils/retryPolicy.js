@@ -0,0 +1,129 @@
+/**
+ * Reconnect policy of a broadcast (retry_policy)
+ * How often and how fast the auto-reconnect wrapper restarts a failed encoder
+ */
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 4, // 0 = reconnect forever
+  baseDelaySeconds: 1, // Delay before the first attempt, doubled per attempt
+  maxDelaySeconds: 60,
+  jitterPercent: 0, // Delays vary by up to ± this share
+  resetAfterStableMinutes: 10, // Attempts count from zero after a run this long (0 = never)
+});
+
+// Accepted range per field
+const POLICY_LIMITS = {
+  maxAttempts: [0, 1000],
+  baseDelaySeconds: [1, 600],
+  maxDelaySeconds: [1, 3600],
+  jitterPercent: [0, 50],
+  resetAfterStableMinutes: [0, 1440],
+};
+
+function parsePolicyInput(input) {
+  if (typeof input === "string") {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      return null;
+    }
+  }
+  return input;
+}
+
+/**
+ * Check a policy sent by a client
+ * Fields left out keep their defaults
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateRetryPolicy(input) {
+  const policy = parsePolicyInput(input);
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return "Retry policy must be an object";
+  }
+
+  for (const [field, [min, max]] of Object.entries(POLICY_LIMITS)) {
+    const value = policy[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    const number = Number(value);
+    if (isNaN(number) || number < min || number > max) {
+      return `${field} must be a number between ${min} and ${max}`;
+    }
+  }
+
+  // A missing maximum is raised to the first delay by normalizeRetryPolicy()
+  const { baseDelaySeconds, maxDelaySeconds } = policy;
+  if (
+    baseDelaySeconds !== undefined &&
+    baseDelaySeconds !== null &&
+    baseDelaySeconds !== "" &&
+    maxDelaySeconds !== undefined &&
+    maxDelaySeconds !== null &&
+    maxDelaySeconds !== "" &&
+    Number(maxDelaySeconds) < Number(baseDelaySeconds)
+  ) {
+    return "maxDelaySeconds must not be below baseDelaySeconds";
+  }
+
+  return null;
+}
+
+/**
+ * Complete policy, defaults for missing or invalid fields
+ * @param {object|string} input - Policy object or retry_policy JSON
+ */
+function normalizeRetryPolicy(input) {
+  const policy = parsePolicyInput(input) || {};
+  const normalized = { ...DEFAULT_RETRY_POLICY };
+
+  for (const [field, [min, max]] of Object.entries(POLICY_LIMITS)) {
+    const value = policy[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    const number = Number(value);
+    if (!isNaN(number)) {
+      normalized[field] = Math.min(max, Math.max(min, number));
+    }
+  }
+
+  normalized.maxAttempts = Math.round(normalized.maxAttempts);
+  normalized.maxDelaySeconds = Math.max(
+    normalized.maxDelaySeconds,
+    normalized.baseDelaySeconds
+  );
+  return normalized;
+}
+
+/**
+ * Failed reconnects to the primary ingest before a destination switches to
+ * its backup URL
+ */
+function getFailoverAttempts() {
+  const attempts = parseInt(process.env.DESTINATION_FAILOVER_ATTEMPTS);
+  return isNaN(attempts) ? 3 : Math.max(1, attempts);
+}
+
+/**
+ * Check that destinations with a backup URL reach the failover threshold
+ * before the policy runs out of reconnect attempts
+ * @param {object|string} input - Policy object or retry_policy JSON
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateFailoverPolicy(input) {
+  const { maxAttempts } = normalizeRetryPolicy(input);
+  const failoverAttempts = getFailoverAttempts();
+
+  if (maxAttempts > 0 && maxAttempts < failoverAttempts) {
+    return `Backup ingests are used after ${failoverAttempts} failed reconnects (DESTINATION_FAILOVER_ATTEMPTS), the retry policy allows only ${maxAttempts}. Raise maxAttempts or set it to 0 for unlimited.`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  validateRetryPolicy,
+  normalizeRetryPolicy,
+  getFailoverAttempts,
+  validateFailoverPolicy,
+};
@@ -0,0 +1,198 @@
+/**
+ * Destination and source URLs
+ * Which output protocols a destination can use, how a stream key is added to
+ * their URL and which muxer and options FFmpeg needs to push to them, and
+ * which URLs a live source can be pulled from
+ */
+
+// rtmp/rtmps carry FLV, SRT carries MPEG-TS
+const OUTPUT_PROTOCOLS = {
+  rtmp: { label: "RTMP", defaultPort: 1935, format: "flv" },
+  rtmps: { label: "RTMPS", defaultPort: 443, format: "flv" },
+  srt: { label: "SRT", defaultPort: null, format: "mpegts" },
+};
+
+// Live sources: rtmp(s) and SRT feeds, HLS playlists or an HTTP MPEG-TS stream
+const INPUT_PROTOCOLS = ["rtmp", "rtmps", "srt", "http", "https"];
+
+// SRT options accepted in the URL query (passed on to FFmpeg's srt protocol)
+const SRT_MODES = ["caller", "listener", "rendezvous"];
+const SRT_KEY_LENGTHS = ["0", "16", "24", "32"];
+
+/**
+ * Protocol of a URL (rtmp, rtmps, srt, ...), null when it can't be parsed
+ */
+function getUrlProtocol(url) {
+  const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(String(url || "").trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+function validateSrtOptions(params) {
+  const latency = params.get("latency");
+  if (latency !== null && !/^\d+$/.test(latency)) {
+    return "SRT latency must be a whole number of microseconds";
+  }
+
+  const passphrase = params.get("passphrase");
+  if (passphrase !== null && (passphrase.length < 10 || passphrase.length > 79)) {
+    return "SRT passphrase must be 10 to 79 characters long";
+  }
+
+  const keyLength = params.get("pbkeylen");
+  if (keyLength !== null && !SRT_KEY_LENGTHS.includes(keyLength)) {
+    return "SRT pbkeylen must be 0, 16, 24 or 32";
+  }
+  if (keyLength !== null && keyLength !== "0" && passphrase === null) {
+    return "SRT pbkeylen needs a passphrase";
+  }
+
+  const mode = params.get("mode");
+  if (mode !== null && !SRT_MODES.includes(mode)) {
+    return `SRT mode must be one of: ${SRT_MODES.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a destination (or backup) URL before it is used
+ * @param {string} url - Destination URL
+ * @param {string} label - Name of the field, for the message
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateDestinationUrl(url, label = "Destination URL") {
+  const protocol = getUrlProtocol(url);
+  if (!protocol || !OUTPUT_PROTOCOLS[protocol]) {
+    return `${label} must start with rtmp://, rtmps:// or srt://`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return `${label} is not a valid ${OUTPUT_PROTOCOLS[protocol].label} URL`;
+  }
+
+  if (!parsed.hostname) {
+    return `${label} has no host`;
+  }
+
+  if (protocol === "srt") {
+    // SRT has no well-known port, it has to be given
+    if (!parsed.port) {
+      return `${label} needs a port (srt://host:port)`;
+    }
+    const srtError = validateSrtOptions(parsed.searchParams);
+    return srtError ? `${label}: ${srtError}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a live source URL before it is pulled
+ * @param {string} url - Source URL
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateSourceUrl(url) {
+  const protocol = getUrlProtocol(url);
+  if (!protocol || !INPUT_PROTOCOLS.includes(protocol)) {
+    return "Source URL must start with rtmp://, rtmps://, srt://, http:// or https://";
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return "Source URL is not a valid URL";
+  }
+
+  if (!parsed.hostname) {
+    return "Source URL has no host";
+  }
+
+  if (protocol === "srt") {
+    if (!parsed.port) {
+      return "Source URL needs a port (srt://host:port)";
+    }
+    const srtError = validateSrtOptions(parsed.searchParams);
+    return srtError ? `Source URL: ${srtError}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Kind of live source behind a URL
+ * @returns {string} - rtmp | srt | hls | mpegts
+ */
+function getSourceKind(url) {
+  const protocol = getUrlProtocol(url);
+  if (protocol === "rtmp" || protocol === "rtmps") return "rtmp";
+  if (protocol === "srt") return "srt";
+
+  try {
+    const { pathname } = new URL(url);
+    return pathname.toLowerCase().endsWith(".m3u8") ? "hls" : "mpegts";
+  } catch (error) {
+    return "mpegts";
+  }
+}
+
+/**
+ * Output URL of a destination with its stream key
+ * RTMP(S) keys are appended to the path, SRT keys become the streamid
+ * @param {string} url - Destination URL
+ * @param {string} streamKey - Stream key (optional)
+ */
+function buildOutputUrl(url, streamKey) {
+  if (getUrlProtocol(url) === "srt") {
+    if (!streamKey) return url;
+
+    const parsed = new URL(url);
+    if (!parsed.searchParams.has("streamid")) {
+      parsed.searchParams.set("streamid", streamKey);
+    }
+    return parsed.toString();
+  }
+
+  const baseUrl = url.endsWith("/") ? url.slice(0, -1) : url;
+  return streamKey ? `${baseUrl}/${streamKey}` : baseUrl;
+}
+
+/**
+ * FFmpeg output options to push an encoded program to a URL
+ * @param {string} url - Output URL
+ * @returns {Array<string>}
+ */
+function getOutputOptions(url) {
+  const protocol = getUrlProtocol(url);
+
+  if (protocol === "srt") {
+    return [
+      "-f",
+      "mpegts",
+      "-mpegts_flags",
+      "+resend_headers", // Receivers may join mid-stream
+    ];
+  }
+
+  // rtmp and rtmps
+  return [
+    "-bsf:a",
+    "aac_adtstoasc", // ADTS (program bus) to FLV audio
+    "-f",
+    "flv",
+  ];
+}
+
+module.exports = {
+  OUTPUT_PROTOCOLS,
+  INPUT_PROTOCOLS,
+  getUrlProtocol,
+  validateDestinationUrl,
+  validateSourceUrl,
+  getSourceKind,
+  buildOutputUrl,
+  getOutputOptions,
+};
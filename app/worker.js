@@ -0,0 +1,114 @@
+require('dotenv').config();
+
+// This process runs the encoders, even with BROADCAST_WORKER_URL in the shared .env
+const { WORKER_METHODS, useEmbeddedEngine, getWorkerToken } = require('./services/broadcastControl');
+useEmbeddedEngine();
+
+const express = require('express');
+const crypto = require('crypto');
+
+const { createRequiredDirectories } = require('./utilities/fileManager');
+const { startMonitoring } = require('./services/performanceMonitor');
+const { logInfo, logError } = require('./services/activityLogger');
+
+/**
+ * Broadcast Worker
+ * Standalone daemon that owns the FFmpeg processes of every broadcast.
+ * The web app (BROADCAST_WORKER_URL) controls it over a local HTTP API, so
+ * the web server can be restarted or redeployed without taking streams off air
+ */
+
+// Without a secret anyone reaching the control API could run broadcasts
+if (!getWorkerToken()) {
+  console.error('❌ Set BROADCAST_WORKER_TOKEN or SESSION_SECRET before starting the broadcast worker');
+  process.exit(1);
+}
+
+createRequiredDirectories();
+
+const engine = require('./services/broadcastEngine');
+const { scheduleAutoResume } = require('./services/autoResume');
+const { startIngestServer } = require('./services/ingestServer');
+
+const app = express();
+const host = process.env.BROADCAST_WORKER_HOST || '127.0.0.1';
+const port = process.env.BROADCAST_WORKER_PORT || 8091;
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('=== UNHANDLED REJECTION ===');
+  console.error('Promise:', promise);
+  console.error('Reason:', reason);
+  logError('Unhandled rejection in broadcast worker', { reason: String(reason) });
+});
+
+process.on('uncaughtException', (error) => {
+  console.error('=== UNCAUGHT EXCEPTION ===');
+  console.error('Error:', error);
+  logError('Uncaught exception in broadcast worker', { error: error.message, stack: error.stack });
+});
+
+app.use(express.json({ limit: '1mb' }));
+
+// Only the web app knows the token
+app.use((req, res, next) => {
+  const expected = Buffer.from(getWorkerToken());
+  const given = Buffer.from(req.get('X-Worker-Token') || '');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ success: false, error: 'Invalid worker token' });
+  }
+  next();
+});
+
+// Broadcasts on air, polled by the web app
+app.get('/state', (req, res) => {
+  res.json({ success: true, broadcasts: engine.getBroadcastStates() });
+});
+
+// Run an engine function: { args: [...] } -> { success, result }
+app.post('/rpc/:method', async (req, res) => {
+  const method = req.params.method;
+  const args = Array.isArray(req.body.args) ? req.body.args : [];
+
+  if (!WORKER_METHODS.includes(method)) {
+    return res.status(404).json({ success: false, error: `Unknown broadcast method: ${method}` });
+  }
+
+  try {
+    // Supervises the broadcast until it ends, answer once it is running
+    if (method === 'broadcastWithAutoReconnect') {
+      engine.broadcastWithAutoReconnect(...args).catch((error) => {
+        console.error(`Background broadcast error for ${args[0]}:`, error.message);
+      });
+      return res.json({ success: true, result: null });
+    }
+
+    const result = await engine[method](...args);
+
+    // The completion promise of a start stays in the worker
+    if (result && typeof result === 'object' && 'completion' in result) {
+      const { completion, ...rest } = result;
+      return res.json({ success: true, result: rest });
+    }
+    res.json({ success: true, result: result === undefined ? null : result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.listen(port, host, () => {
+  console.log('='.repeat(50));
+  console.log('🎛️  Broadcast worker is running');
+  console.log(`📡 Control API: http://${host}:${port}`);
+  console.log('='.repeat(50));
+
+  startMonitoring(5);
+
+  // Pushed streams are pulled by the engine, the ingest runs next to it
+  startIngestServer();
+
+  // Restart auto-resume broadcasts that were on air before the worker stopped
+  scheduleAutoResume();
+
+  logInfo('Broadcast worker started', { host, port });
+});